@@ -12,13 +12,30 @@ import {
   CircularProgress,
   Tabs,
   Tab,
-  Grid
+  Grid,
+  IconButton,
+  MenuItem,
+  Menu,
+  Chip,
+  Avatar,
+  ListItemAvatar,
+  ButtonBase
 } from '@mui/material';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import SaveIcon from '@mui/icons-material/Save';
+import CloseIcon from '@mui/icons-material/Close';
+import DownloadIcon from '@mui/icons-material/Download';
+import ReceiptIcon from '@mui/icons-material/Receipt';
+import DoneIcon from '@mui/icons-material/Done';
 import {
   PieChart,
   Pie,
   BarChart,
+  ComposedChart,
   Bar,
+  Line,
+  Area,
   XAxis,
   YAxis,
   Tooltip,
@@ -27,8 +44,100 @@ import {
   Cell
 } from 'recharts';
 import axios from 'axios';
+import { API_BASE_URL, getSessionToken, setSessionToken, openDownload, useDownloadLink, onSessionExpired } from './api';
+import { formatMoney, setTimeZone, browserTimeZone, toDayKey, formatDate, formatDay, describeSplit } from './format';
+import CategorySettings from './CategorySettings';
+import Budgets from './Budgets';
+import RecurringExpenses from './RecurringExpenses';
+import Groups from './Groups';
+import Projects from './Projects';
+import Merchants from './Merchants';
+import ImportStatement from './ImportStatement';
+import Trends from './Trends';
+import Login from './Login';
 
-const API_BASE_URL = 'http://localhost:3001/api';
+const EMPTY_FILTERS = {
+  from: '',
+  to: '',
+  type: '',
+  category: [],
+  tag: [],
+  project: [],
+  minAmount: '',
+  maxAmount: '',
+  q: '',
+  sort: 'date',
+  order: 'desc'
+};
+
+
+// Drop empty filter values so the server applies its defaults
+const toQueryParams = (filters) => Object.fromEntries(
+  Object.entries(filters).filter(([, value]) =>
+    Array.isArray(value) ? value.length > 0 : value !== ''
+  )
+);
+
+const METRIC_LABELS = {
+  sum: 'Total',
+  avg: 'Average',
+  count: 'Count',
+  max: 'Largest'
+};
+
+// Describe how the server understood a question, one chip per part
+const describeQuery = (parsed) => {
+  if (parsed.intent === 'budget' || parsed.intent === 'trend') {
+    return [
+      parsed.intent === 'budget' ? 'Budget' : 'Monthly trend',
+      parsed.range.label,
+      ...parsed.categories.map(category => `Category: ${category}`),
+      ...parsed.merchants.map(merchant => `Merchant: ${merchant}`)
+    ];
+  }
+  return [
+    parsed.per ? `${METRIC_LABELS.avg} per ${parsed.per}` : METRIC_LABELS[parsed.metric],
+    parsed.compare?.by === 'period'
+      ? `Comparing ${parsed.compare.values.map(period => period.label).join(' vs ')}`
+      : parsed.range.label,
+    ...(parsed.compare && parsed.compare.by !== 'period'
+      ? [`Comparing ${parsed.compare.values.join(' vs ')}`]
+      : []),
+    ...parsed.categories.map(category => `Category: ${category}`),
+    ...parsed.merchants.map(merchant => `Merchant: ${merchant}`),
+    ...parsed.projects.map(project => `Project: ${project}`),
+    ...parsed.tags.map(tag => `Tag: #${tag}`),
+    ...(parsed.groupBy ? [`By ${parsed.groupBy}`] : [])
+  ];
+};
+
+const isIncome = (expense) => expense.type === 'income';
+
+// What the spending pie chart can be broken down by. An expense with several
+// tags counts towards each, and expenses without any are left out.
+const CHART_GROUPS = {
+  category: { label: 'Category', keys: (expense) => [expense.category.charAt(0).toUpperCase() + expense.category.slice(1)] },
+  tag: { label: 'Tag', keys: (expense) => (expense.tags || []).map(tag => `#${tag}`) },
+  project: { label: 'Project', keys: (expense) => (expense.project ? [expense.project] : []) }
+};
+
+// Tags are edited as comma-separated text, which the server also accepts
+const toTagText = (tags) => (tags || []).join(', ');
+
+// Turn a previewed expense into an editable pending item
+const toPendingItem = (item) => ({
+  ...item,
+  day: toDayKey(item.date),
+  tags: toTagText(item.tags),
+  project: item.project || '',
+  merchant: item.merchant || ''
+});
+
+// Days of forecast spending continuing the daily spending chart
+const FORECAST_CHART_DAYS = 30;
+
+// Merchants shown in the top merchants chart
+const TOP_MERCHANTS = 10;
 
 // Custom colors for charts
 const COLORS = [
@@ -42,25 +151,157 @@ const COLORS = [
   '#607d8b', // Blue grey
 ];
 
-function App() {
+// Thumbnail of a stored receipt image, which opens the full image in a new
+// tab when openable
+function ReceiptThumbnail({ name, openable = false }) {
+  const path = `/receipts/${name}`;
+  const thumbnail = <Avatar variant="rounded" src={useDownloadLink(path) || undefined} alt="Receipt" />;
+  if (!openable) return thumbnail;
+  return (
+    <ButtonBase
+      aria-label="Open receipt"
+      onClick={() => openDownload(path).catch(error => console.error('Error opening receipt:', error))}
+    >
+      {thumbnail}
+    </ButtonBase>
+  );
+}
+
+// The tracker for a signed-in user
+function ExpenseTracker({ user, onSignOut }) {
   const [expenseText, setExpenseText] = useState('');
   const [query, setQuery] = useState('');
   const [expenses, setExpenses] = useState([]);
   const [answer, setAnswer] = useState('');
+  const [anomalies, setAnomalies] = useState({});
+  const [forecast, setForecast] = useState([]);
+  const [parsedQuery, setParsedQuery] = useState(null);
   const [loading, setLoading] = useState(false);
   const [tabValue, setTabValue] = useState(0);
+  const [editingId, setEditingId] = useState(null);
+  const [editForm, setEditForm] = useState({});
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [knownCategories, setKnownCategories] = useState([]);
+  const [knownTags, setKnownTags] = useState([]);
+  const [projects, setProjects] = useState([]);
+  const [chartGroupBy, setChartGroupBy] = useState('category');
+  const [baseCurrency, setBaseCurrency] = useState('USD');
+  const [addError, setAddError] = useState('');
+  const [pendingItems, setPendingItems] = useState(null);
+  const [exportMenuAnchor, setExportMenuAnchor] = useState(null);
 
   useEffect(() => {
-    fetchExpenses();
+    axios.get(`${API_BASE_URL}/exchange-rates`)
+      .then(response => setBaseCurrency(response.data.baseCurrency))
+      .catch(error => console.error('Error fetching base currency:', error));
   }, []);
 
+  // Days are worked out in the timezone saved on the server. Until one is
+  // saved, this browser's is sent, and expenses are fetched again as they
+  // may have moved to another day.
+  useEffect(() => {
+    axios.get(`${API_BASE_URL}/settings`)
+      .then(async ({ data }) => {
+        if (data.timezoneSource === 'default' && data.timezone !== browserTimeZone()) {
+          const response = await axios.put(`${API_BASE_URL}/settings`, { timezone: browserTimeZone() });
+          return response.data;
+        }
+        return data;
+      })
+      .then(settings => {
+        setTimeZone(settings.timezone);
+        fetchExpenses();
+      })
+      .catch(error => console.error('Error loading settings:', error));
+  }, []);
+
+  useEffect(() => {
+    fetchExpenses();
+  }, [appliedFilters]);
+
   const fetchExpenses = async () => {
     try {
-      const response = await axios.get(`${API_BASE_URL}/expenses`);
+      const response = await axios.get(`${API_BASE_URL}/expenses`, {
+        params: toQueryParams(appliedFilters)
+      });
       setExpenses(response.data);
+      setKnownCategories(prev => [...new Set([...prev, ...response.data.map(e => e.category)])].sort());
     } catch (error) {
       console.error('Error fetching expenses:', error);
     }
+    fetchAnomalies();
+    fetchForecast();
+    fetchLabels();
+  };
+
+  // Tags in use and the trips and projects, for filters and editing
+  const fetchLabels = async () => {
+    try {
+      const [tagsResponse, projectsResponse] = await Promise.all([
+        axios.get(`${API_BASE_URL}/tags`),
+        axios.get(`${API_BASE_URL}/projects`)
+      ]);
+      setKnownTags(tagsResponse.data.map(entry => entry.tag));
+      setProjects(projectsResponse.data);
+    } catch (error) {
+      console.error('Error fetching tags and projects:', error);
+    }
+  };
+
+  // Forecast daily spending for the categories filtered on. It only continues
+  // the chart when the filters run up to today and don't narrow expenses by
+  // amount, text, tag or project, which a forecast can't follow.
+  const fetchForecast = async () => {
+    const { to, type, minAmount, maxAmount, q, category, tag, project } = appliedFilters;
+    const today = toDayKey();
+    if ((to && to < today) || type === 'income' || minAmount !== '' || maxAmount !== '' || q !== '' ||
+        tag.length > 0 || project.length > 0) {
+      setForecast([]);
+      return;
+    }
+    try {
+      const response = await axios.get(`${API_BASE_URL}/forecast`, {
+        params: { months: 1, ...(category.length > 0 ? { category } : {}) }
+      });
+      setForecast(response.data.daily.slice(0, FORECAST_CHART_DAYS));
+    } catch (error) {
+      console.error('Error fetching forecast:', error);
+    }
+  };
+
+  // Unusual expenses in the filtered date range, by expense id
+  const fetchAnomalies = async () => {
+    try {
+      const { from, to } = toQueryParams({ from: appliedFilters.from, to: appliedFilters.to });
+      const response = await axios.get(`${API_BASE_URL}/insights/anomalies`, { params: { from, to } });
+      setAnomalies(Object.fromEntries(response.data.map(({ expense, reasons }) => [expense.id, reasons])));
+    } catch (error) {
+      console.error('Error fetching unusual expenses:', error);
+    }
+  };
+
+  const handleMarkExpected = async (id) => {
+    try {
+      await axios.post(`${API_BASE_URL}/expenses/${id}/expected`);
+      fetchAnomalies();
+    } catch (error) {
+      console.error('Error marking expense as expected:', error);
+    }
+  };
+
+  const handleFilterChange = (field) => (e) => {
+    setFilters({ ...filters, [field]: e.target.value });
+  };
+
+  const handleApplyFilters = (e) => {
+    e.preventDefault();
+    setAppliedFilters(filters);
+  };
+
+  const handleResetFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setAppliedFilters(EMPTY_FILTERS);
   };
 
   const handleAddExpense = async (e) => {
@@ -68,12 +309,73 @@ function App() {
     if (!expenseText) return;
 
     setLoading(true);
+    setAddError('');
+    try {
+      // Parse without saving so the details can be checked and corrected first
+      const preview = await axios.post(`${API_BASE_URL}/expenses/preview`, { text: expenseText });
+      setPendingItems(preview.data.map(toPendingItem));
+    } catch (error) {
+      console.error('Error previewing expense:', error);
+      setAddError(error.response?.data?.error || 'Could not add expense');
+    }
+    setLoading(false);
+  };
+
+  // Read a photographed receipt on the server and show it for confirmation like typed text
+  const handleScanReceipt = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setLoading(true);
+    setAddError('');
+    try {
+      const formData = new FormData();
+      formData.append('receipt', file);
+      const preview = await axios.post(`${API_BASE_URL}/receipts`, formData);
+      setPendingItems(preview.data.map(toPendingItem));
+    } catch (error) {
+      console.error('Error scanning receipt:', error);
+      setAddError(error.response?.data?.error || 'Could not read the receipt');
+    }
+    setLoading(false);
+  };
+
+  const handlePendingChange = (index, field) => (e) => {
+    setPendingItems(pendingItems.map((item, i) => (
+      i === index ? { ...item, [field]: e.target.value } : item
+    )));
+  };
+
+  const handleConfirmItems = async () => {
+    setLoading(true);
+    setAddError('');
     try {
-      await axios.post(`${API_BASE_URL}/expenses`, { text: expenseText });
+      await axios.post(`${API_BASE_URL}/expenses`, {
+        expenses: pendingItems.map(item => ({
+          description: item.description,
+          amount: Number(item.amount),
+          currency: item.currency,
+          category: item.category,
+          type: item.type || 'expense',
+          source: isIncome(item) ? item.source : undefined,
+          merchant: isIncome(item) ? undefined : item.merchant || null,
+          // Keep the parsed time unless the day was changed; the server
+          // dates a bare day at noon
+          date: item.day === toDayKey(item.date) ? item.date : item.day,
+          receipt: item.receipt,
+          tax: item.tax,
+          split: item.split,
+          tags: item.tags,
+          project: item.project || null
+        }))
+      });
       setExpenseText('');
+      setPendingItems(null);
       fetchExpenses();
     } catch (error) {
-      console.error('Error adding expense:', error);
+      console.error('Error adding expenses:', error);
+      setAddError(error.response?.data?.error || 'Could not add expenses');
     }
     setLoading(false);
   };
@@ -86,51 +388,201 @@ function App() {
     try {
       const response = await axios.post(`${API_BASE_URL}/query`, { query });
       setAnswer(response.data.answer);
+      setParsedQuery(response.data.query || null);
     } catch (error) {
       console.error('Error querying expenses:', error);
     }
     setLoading(false);
   };
 
-  // Prepare data for charts
+  const startEditing = (expense) => {
+    setEditingId(expense.id);
+    setEditForm({
+      description: expense.description,
+      amount: expense.amount,
+      currency: expense.currency,
+      category: expense.category,
+      type: expense.type || 'expense',
+      source: expense.source || '',
+      merchant: expense.merchant || '',
+      date: toDayKey(expense.date),
+      tags: toTagText(expense.tags),
+      project: expense.project || ''
+    });
+  };
+
+  const cancelEditing = () => {
+    setEditingId(null);
+    setEditForm({});
+  };
+
+  const handleEditChange = (field) => (e) => {
+    setEditForm({ ...editForm, [field]: e.target.value });
+  };
+
+  const handleSaveEdit = async () => {
+    setLoading(true);
+    try {
+      await axios.patch(`${API_BASE_URL}/expenses/${editingId}`, {
+        ...editForm,
+        amount: Number(editForm.amount),
+        project: editForm.project || null
+      });
+      cancelEditing();
+      fetchExpenses();
+    } catch (error) {
+      console.error('Error updating expense:', error);
+    }
+    setLoading(false);
+  };
+
+  const handleDeleteExpense = async (id) => {
+    if (!window.confirm('Delete this expense?')) return;
+
+    setLoading(true);
+    try {
+      await axios.delete(`${API_BASE_URL}/expenses/${id}`);
+      fetchExpenses();
+    } catch (error) {
+      console.error('Error deleting expense:', error);
+    }
+    setLoading(false);
+  };
+
+  // Charts use base-currency amounts; expenses without an exchange rate are left out.
+  // Spending charts leave out income.
+  const convertedExpenses = expenses.filter(expense => expense.baseAmount !== null);
+  const convertedSpending = convertedExpenses.filter(expense => !isIncome(expense));
+
+  // Prepare data for the spending pie chart, by category, tag or project
   const prepareChartData = () => {
-    const categoryTotals = expenses.reduce((acc, expense) => {
-      acc[expense.category] = (acc[expense.category] || 0) + expense.amount;
+    const totals = convertedSpending.reduce((acc, expense) => {
+      CHART_GROUPS[chartGroupBy].keys(expense).forEach(key => {
+        acc[key] = (acc[key] || 0) + expense.baseAmount;
+      });
       return acc;
     }, {});
 
-    return Object.entries(categoryTotals).map(([category, amount]) => ({
-      category: category.charAt(0).toUpperCase() + category.slice(1),
+    return Object.entries(totals).map(([name, amount]) => ({
+      name,
       amount: Number(amount.toFixed(2))
     }));
   };
 
+  // Prepare data for the top merchants chart: the merchants with the most
+  // spending, largest first
+  const prepareMerchantData = () => {
+    const totals = convertedSpending.reduce((acc, expense) => {
+      if (expense.merchant) {
+        acc[expense.merchant] = (acc[expense.merchant] || 0) + expense.baseAmount;
+      }
+      return acc;
+    }, {});
+
+    return Object.entries(totals)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, TOP_MERCHANTS)
+      .map(([name, amount]) => ({ name, amount: Number(amount.toFixed(2)) }));
+  };
+
   // Prepare data for timeline chart
   const prepareTimelineData = () => {
-    const timelineData = expenses.reduce((acc, expense) => {
-      const date = new Date(expense.date).toLocaleDateString();
-      if (!acc[date]) {
-        acc[date] = { date, total: 0 };
+    const timelineData = convertedSpending.reduce((acc, expense) => {
+      const day = toDayKey(expense.date);
+      if (!acc[day]) {
+        acc[day] = { day, date: formatDate(expense.date), total: 0 };
       }
-      acc[date].total += expense.amount;
+      acc[day].total += expense.baseAmount;
       return acc;
     }, {});
 
-    return Object.values(timelineData).map(item => ({
-      date: item.date,
-      total: Number(item.total.toFixed(2))
-    }));
+    // The list may be sorted any way, but the timeline always runs oldest to
+    // newest, followed by the forecast days with their confidence band
+    return [
+      ...Object.values(timelineData)
+        .sort((a, b) => a.day.localeCompare(b.day))
+        .map(item => ({
+          date: item.date,
+          total: Number(item.total.toFixed(2))
+        })),
+      ...forecast.map(item => ({
+        date: formatDay(item.date),
+        forecast: item.expected,
+        range: [item.low, item.high]
+      }))
+    ];
+  };
+
+  // Prepare monthly income, spending and net savings for the cash flow chart
+  const prepareCashFlowData = () => {
+    const months = convertedExpenses.reduce((acc, expense) => {
+      const month = toDayKey(expense.date).slice(0, 7);
+      if (!acc[month]) {
+        acc[month] = { month, income: 0, expenses: 0 };
+      }
+      acc[month][isIncome(expense) ? 'income' : 'expenses'] += expense.baseAmount;
+      return acc;
+    }, {});
+
+    return Object.values(months)
+      .sort((a, b) => a.month.localeCompare(b.month))
+      .map(item => ({
+        month: item.month,
+        income: Number(item.income.toFixed(2)),
+        expenses: Number(item.expenses.toFixed(2)),
+        net: Number((item.income - item.expenses).toFixed(2))
+      }));
+  };
+
+  // Income, spending, net savings and savings rate across the filtered range
+  const describeCashFlow = () => {
+    const income = convertedExpenses.filter(isIncome).reduce((sum, expense) => sum + expense.baseAmount, 0);
+    const spent = convertedSpending.reduce((sum, expense) => sum + expense.baseAmount, 0);
+    const parts = [
+      `Income ${formatMoney(income, baseCurrency)}`,
+      `Spent ${formatMoney(spent, baseCurrency)}`,
+      `Net savings ${formatMoney(income - spent, baseCurrency)}`
+    ];
+    if (income > 0) {
+      parts.push(`Savings rate ${((income - spent) / income * 100).toFixed(1)}%`);
+    }
+    return parts.join(' · ');
   };
 
   const handleTabChange = (event, newValue) => {
     setTabValue(newValue);
   };
 
+  // Open an export of the applied filters: a CSV or JSON Lines download, or
+  // the printable report for the month the filters end in
+  const handleExport = (format) => {
+    setExportMenuAnchor(null);
+    let path;
+    if (format === 'report') {
+      const params = toQueryParams(appliedFilters);
+      params.month = (params.to || toDayKey()).slice(0, 7);
+      delete params.from;
+      delete params.to;
+      path = `/export/report?${new URLSearchParams(params)}`;
+    } else {
+      path = `/export?${new URLSearchParams({ ...toQueryParams(appliedFilters), format })}`;
+    }
+    openDownload(path).catch(error => console.error('Error exporting expenses:', error));
+  };
+
   return (
     <Container maxWidth="md" sx={{ py: 4 }}>
-      <Typography variant="h4" component="h1" gutterBottom>
-        AI Expense Tracker
-      </Typography>
+      <Box sx={{ display: 'flex', alignItems: 'baseline', gap: 2, mb: 1 }}>
+        <Typography variant="h4" component="h1" sx={{ flexGrow: 1 }}>
+          AI Expense Tracker
+        </Typography>
+        <Typography variant="body2" color="text.secondary">
+          {user.username}
+        </Typography>
+        <Button size="small" onClick={onSignOut}>
+          Sign Out
+        </Button>
+      </Box>
 
       <Paper sx={{ p: 3, mb: 3 }}>
         <form onSubmit={handleAddExpense}>
@@ -141,7 +593,10 @@ function App() {
             <TextField
               fullWidth
               value={expenseText}
-              onChange={(e) => setExpenseText(e.target.value)}
+              onChange={(e) => {
+                setExpenseText(e.target.value);
+                setPendingItems(null);
+              }}
               placeholder="E.g., I spent $20 on gas"
               disabled={loading}
             />
@@ -152,8 +607,161 @@ function App() {
             >
               Add
             </Button>
+            <Button
+              variant="outlined"
+              component="label"
+              startIcon={<ReceiptIcon />}
+              disabled={loading}
+              sx={{ whiteSpace: 'nowrap' }}
+            >
+              Scan receipt
+              <input type="file" hidden accept="image/jpeg,image/png,image/webp,image/bmp" onChange={handleScanReceipt} />
+            </Button>
           </Box>
+          {addError && (
+            <Typography color="error" variant="body2" sx={{ mt: 1 }}>
+              {addError}
+            </Typography>
+          )}
         </form>
+        {pendingItems && (
+          <Box sx={{ mt: 2 }}>
+            <Typography variant="subtitle1" gutterBottom>
+              {pendingItems.length > 1
+                ? `Check these ${pendingItems.length} transactions before saving:`
+                : `Check this ${isIncome(pendingItems[0]) ? 'income' : 'expense'} before saving:`}
+            </Typography>
+            {pendingItems.map((item, index) => (
+              <Paper key={item.id} variant="outlined" sx={{ p: 2, mb: 1 }}>
+                <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', alignItems: 'center' }}>
+                  {item.receipt && (
+                    <ReceiptThumbnail name={item.receipt} />
+                  )}
+                  <TextField
+                    size="small"
+                    label="Description"
+                    value={item.description}
+                    onChange={handlePendingChange(index, 'description')}
+                    sx={{ flexGrow: 1 }}
+                  />
+                  <TextField
+                    size="small"
+                    label="Amount"
+                    type="number"
+                    value={item.amount}
+                    onChange={handlePendingChange(index, 'amount')}
+                    sx={{ width: 110 }}
+                  />
+                  <TextField
+                    size="small"
+                    label="Currency"
+                    value={item.currency}
+                    onChange={handlePendingChange(index, 'currency')}
+                    inputProps={{ maxLength: 3 }}
+                    sx={{ width: 90 }}
+                  />
+                  <TextField
+                    select
+                    size="small"
+                    label="Type"
+                    value={item.type || 'expense'}
+                    onChange={handlePendingChange(index, 'type')}
+                    sx={{ width: 110 }}
+                  >
+                    <MenuItem value="expense">Expense</MenuItem>
+                    <MenuItem value="income">Income</MenuItem>
+                  </TextField>
+                  <TextField
+                    size="small"
+                    label="Category"
+                    value={item.category}
+                    onChange={handlePendingChange(index, 'category')}
+                    sx={{ width: 150 }}
+                  />
+                  {isIncome(item) ? (
+                    <TextField
+                      size="small"
+                      label="Source"
+                      value={item.source || ''}
+                      onChange={handlePendingChange(index, 'source')}
+                      sx={{ width: 150 }}
+                    />
+                  ) : (
+                    <TextField
+                      size="small"
+                      label="Merchant"
+                      value={item.merchant}
+                      onChange={handlePendingChange(index, 'merchant')}
+                      sx={{ width: 150 }}
+                    />
+                  )}
+                  <TextField
+                    size="small"
+                    label="Date"
+                    type="date"
+                    value={item.day}
+                    onChange={handlePendingChange(index, 'day')}
+                    InputLabelProps={{ shrink: true }}
+                  />
+                  <TextField
+                    size="small"
+                    label="Tags"
+                    value={item.tags}
+                    onChange={handlePendingChange(index, 'tags')}
+                    sx={{ width: 150 }}
+                  />
+                  <TextField
+                    select
+                    size="small"
+                    label="Project"
+                    value={item.project}
+                    onChange={handlePendingChange(index, 'project')}
+                    sx={{ width: 150 }}
+                  >
+                    <MenuItem value="">None</MenuItem>
+                    {projects.map(project => (
+                      <MenuItem key={project.id} value={project.name}>{project.name}</MenuItem>
+                    ))}
+                  </TextField>
+                  <Chip
+                    size="small"
+                    label={`${Math.round(item.confidence * 100)}% sure`}
+                    color={item.confidence >= 0.8 ? 'success' : item.confidence >= 0.5 ? 'warning' : 'error'}
+                  />
+                </Box>
+                {item.tax !== undefined && (
+                  <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                    Includes {formatMoney(item.tax, item.currency)} tax
+                  </Typography>
+                )}
+                {item.split && (
+                  <Chip
+                    size="small"
+                    variant="outlined"
+                    label={describeSplit(item.split)}
+                    onDelete={() => setPendingItems(pendingItems.map((other, i) => (
+                      i === index ? { ...other, split: undefined } : other
+                    )))}
+                    sx={{ mt: 1 }}
+                  />
+                )}
+                {item.issues.length > 0 && (
+                  <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                    {item.issues.join('. ')}
+                  </Typography>
+                )}
+              </Paper>
+            ))}
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              <Button variant="contained" onClick={handleConfirmItems} disabled={loading}>
+                {pendingItems.length > 1 ? 'Save all' : 'Save'}
+              </Button>
+              <Button onClick={() => setPendingItems(null)} disabled={loading}>
+                Cancel
+              </Button>
+            </Box>
+          </Box>
+        )}
       </Paper>
 
       <Paper sx={{ p: 3, mb: 3 }}>
@@ -180,7 +788,14 @@ function App() {
         </form>
         {answer && (
           <Paper sx={{ p: 2, mt: 2, bgcolor: '#f5f5f5' }}>
-            <Typography>{answer}</Typography>
+            {parsedQuery && (
+              <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 1 }}>
+                {describeQuery(parsedQuery).map(label => (
+                  <Chip key={label} size="small" variant="outlined" label={label} />
+                ))}
+              </Box>
+            )}
+            <Typography sx={{ whiteSpace: 'pre-line' }}>{answer}</Typography>
           </Paper>
         )}
       </Paper>
@@ -189,11 +804,156 @@ function App() {
         <Typography variant="h6" gutterBottom>
           Expense Analysis
         </Typography>
-        <Box sx={{ borderBottom: 1, borderColor: 'divider', mb: 2 }}>
-          <Tabs value={tabValue} onChange={handleTabChange}>
+        <Box
+          component="form"
+          onSubmit={handleApplyFilters}
+          sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', alignItems: 'center', mb: 2 }}
+        >
+          <TextField
+            size="small"
+            label="From"
+            type="date"
+            value={filters.from}
+            onChange={handleFilterChange('from')}
+            InputLabelProps={{ shrink: true }}
+          />
+          <TextField
+            size="small"
+            label="To"
+            type="date"
+            value={filters.to}
+            onChange={handleFilterChange('to')}
+            InputLabelProps={{ shrink: true }}
+          />
+          <TextField
+            select
+            size="small"
+            label="Type"
+            value={filters.type}
+            onChange={handleFilterChange('type')}
+            sx={{ minWidth: 120 }}
+          >
+            <MenuItem value="">All</MenuItem>
+            <MenuItem value="expense">Expenses</MenuItem>
+            <MenuItem value="income">Income</MenuItem>
+          </TextField>
+          <TextField
+            select
+            size="small"
+            label="Categories"
+            value={filters.category}
+            onChange={handleFilterChange('category')}
+            SelectProps={{ multiple: true }}
+            sx={{ minWidth: 150 }}
+          >
+            {knownCategories.map(category => (
+              <MenuItem key={category} value={category}>{category}</MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            select
+            size="small"
+            label="Tags"
+            value={filters.tag}
+            onChange={handleFilterChange('tag')}
+            SelectProps={{ multiple: true }}
+            sx={{ minWidth: 120 }}
+          >
+            {knownTags.map(tag => (
+              <MenuItem key={tag} value={tag}>#{tag}</MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            select
+            size="small"
+            label="Projects"
+            value={filters.project}
+            onChange={handleFilterChange('project')}
+            SelectProps={{ multiple: true }}
+            sx={{ minWidth: 130 }}
+          >
+            {projects.map(project => (
+              <MenuItem key={project.id} value={project.name}>{project.name}</MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            size="small"
+            label={`Min (${baseCurrency})`}
+            type="number"
+            value={filters.minAmount}
+            onChange={handleFilterChange('minAmount')}
+            sx={{ width: 100 }}
+          />
+          <TextField
+            size="small"
+            label={`Max (${baseCurrency})`}
+            type="number"
+            value={filters.maxAmount}
+            onChange={handleFilterChange('maxAmount')}
+            sx={{ width: 100 }}
+          />
+          <TextField
+            size="small"
+            label="Search"
+            value={filters.q}
+            onChange={handleFilterChange('q')}
+            sx={{ flexGrow: 1 }}
+          />
+          <TextField
+            select
+            size="small"
+            label="Sort by"
+            value={`${filters.sort}:${filters.order}`}
+            onChange={(e) => {
+              const [sort, order] = e.target.value.split(':');
+              setFilters({ ...filters, sort, order });
+            }}
+            sx={{ minWidth: 160 }}
+          >
+            <MenuItem value="date:desc">Newest first</MenuItem>
+            <MenuItem value="date:asc">Oldest first</MenuItem>
+            <MenuItem value="amount:desc">Largest amount</MenuItem>
+            <MenuItem value="amount:asc">Smallest amount</MenuItem>
+            <MenuItem value="category:asc">Category</MenuItem>
+          </TextField>
+          <Button type="submit" variant="outlined">
+            Apply
+          </Button>
+          <Button onClick={handleResetFilters}>
+            Reset
+          </Button>
+        </Box>
+        <Box sx={{ borderBottom: 1, borderColor: 'divider', mb: 2, display: 'flex', alignItems: 'center' }}>
+          <Tabs
+            value={tabValue}
+            onChange={handleTabChange}
+            variant="scrollable"
+            scrollButtons="auto"
+            sx={{ flexGrow: 1 }}
+          >
             <Tab label="Charts" />
+            <Tab label="Trends" />
             <Tab label="List" />
+            <Tab label="Budgets" />
+            <Tab label="Recurring" />
+            <Tab label="Groups" />
+            <Tab label="Trips" />
+            <Tab label="Import" />
+            <Tab label="Categories" />
+            <Tab label="Merchants" />
           </Tabs>
+          <Button startIcon={<DownloadIcon />} onClick={(e) => setExportMenuAnchor(e.currentTarget)}>
+            Export
+          </Button>
+          <Menu
+            anchorEl={exportMenuAnchor}
+            open={Boolean(exportMenuAnchor)}
+            onClose={() => setExportMenuAnchor(null)}
+          >
+            <MenuItem onClick={() => handleExport('csv')}>CSV</MenuItem>
+            <MenuItem onClick={() => handleExport('jsonl')}>JSON Lines</MenuItem>
+            <MenuItem onClick={() => handleExport('report')}>Printable monthly report</MenuItem>
+          </Menu>
         </Box>
 
         {loading ? (
@@ -202,65 +962,310 @@ function App() {
           </Box>
         ) : (
           <Box>
-            {tabValue === 0 ? (
+            {tabValue === 0 && (
               <Grid container spacing={2}>
                 {/* Category Distribution (Pie Chart) */}
                 <Grid item xs={12} md={6}>
                   <Paper sx={{ p: 2, height: 300 }}>
-                    <Typography variant="subtitle1" gutterBottom align="center">
-                      Expenses by Category
-                    </Typography>
-                    <ResponsiveContainer width="100%" height="100%">
+                    <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: 1 }}>
+                      <Typography variant="subtitle1">
+                        Expenses by
+                      </Typography>
+                      <TextField
+                        select
+                        size="small"
+                        variant="standard"
+                        value={chartGroupBy}
+                        onChange={(e) => setChartGroupBy(e.target.value)}
+                      >
+                        {Object.entries(CHART_GROUPS).map(([value, { label }]) => (
+                          <MenuItem key={value} value={value}>{label}</MenuItem>
+                        ))}
+                      </TextField>
+                    </Box>
+                    <ResponsiveContainer width="100%" height="90%">
                       <PieChart>
                         <Pie
                           data={prepareChartData()}
                           dataKey="amount"
-                          nameKey="category"
+                          nameKey="name"
                           cx="50%"
                           cy="50%"
                           outerRadius={80}
-                          label={(entry) => `${entry.category}: $${entry.amount}`}
+                          label={(entry) => `${entry.name}: ${formatMoney(entry.amount, baseCurrency)}`}
                         >
                           {prepareChartData().map((entry, index) => (
                             <Cell key={index} fill={COLORS[index % COLORS.length]} />
                           ))}
                         </Pie>
-                        <Tooltip />
+                        <Tooltip formatter={(value) => formatMoney(value, baseCurrency)} />
                         <Legend />
                       </PieChart>
                     </ResponsiveContainer>
                   </Paper>
                 </Grid>
 
-                {/* Spending Timeline (Bar Chart) */}
+                {/* Spending Timeline (Bar Chart, with the forecast as a dashed line) */}
                 <Grid item xs={12} md={6}>
                   <Paper sx={{ p: 2, height: 300 }}>
                     <Typography variant="subtitle1" gutterBottom align="center">
                       Daily Spending
                     </Typography>
                     <ResponsiveContainer width="100%" height="100%">
-                      <BarChart data={prepareTimelineData()}>
+                      <ComposedChart data={prepareTimelineData()}>
                         <XAxis dataKey="date" />
                         <YAxis />
-                        <Tooltip />
+                        <Tooltip
+                          formatter={(value) => (Array.isArray(value)
+                            ? value.map(amount => formatMoney(amount, baseCurrency)).join(' – ')
+                            : formatMoney(value, baseCurrency))}
+                        />
                         <Bar dataKey="total" fill="#1976d2" name="Total Spent" />
+                        <Area dataKey="range" stroke="none" fill="#90caf9" fillOpacity={0.4} name="Likely range" />
+                        <Line dataKey="forecast" stroke="#1976d2" strokeDasharray="5 5" dot={false} name="Forecast" />
+                      </ComposedChart>
+                    </ResponsiveContainer>
+                  </Paper>
+                </Grid>
+
+                {/* Top Merchants (horizontal Bar Chart) */}
+                <Grid item xs={12}>
+                  <Paper sx={{ p: 2, height: 300 }}>
+                    <Typography variant="subtitle1" gutterBottom align="center">
+                      Top Merchants
+                    </Typography>
+                    <ResponsiveContainer width="100%" height="90%">
+                      <BarChart data={prepareMerchantData()} layout="vertical" margin={{ left: 40 }}>
+                        <XAxis type="number" />
+                        <YAxis type="category" dataKey="name" width={120} />
+                        <Tooltip formatter={(value) => formatMoney(value, baseCurrency)} />
+                        <Bar dataKey="amount" fill="#1976d2" name="Spent" />
                       </BarChart>
                     </ResponsiveContainer>
                   </Paper>
                 </Grid>
+
+                {/* Income vs. Expenses by month, with net savings */}
+                <Grid item xs={12}>
+                  <Paper sx={{ p: 2, height: 320 }}>
+                    <Typography variant="subtitle1" align="center">
+                      Income vs. Expenses
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary" align="center" gutterBottom>
+                      {describeCashFlow()}
+                    </Typography>
+                    <ResponsiveContainer width="100%" height="80%">
+                      <ComposedChart data={prepareCashFlowData()}>
+                        <XAxis dataKey="month" />
+                        <YAxis />
+                        <Tooltip formatter={(value) => formatMoney(value, baseCurrency)} />
+                        <Legend />
+                        <Bar dataKey="income" fill="#4caf50" name="Income" />
+                        <Bar dataKey="expenses" fill="#f44336" name="Expenses" />
+                        <Line type="monotone" dataKey="net" stroke="#1976d2" name="Net savings" />
+                      </ComposedChart>
+                    </ResponsiveContainer>
+                  </Paper>
+                </Grid>
               </Grid>
-            ) : (
+            )}
+            {tabValue === 1 && (
+              <Trends baseCurrency={baseCurrency} />
+            )}
+            {tabValue === 2 && (
               <List>
                 {expenses.map((expense, index) => (
-                  <ListItem key={index}>
-                    <ListItemText
-                      primary={expense.description}
-                      secondary={`$${expense.amount} - ${expense.category} - ${new Date(expense.date).toLocaleDateString()}`}
-                    />
-                  </ListItem>
+                  editingId === expense.id ? (
+                    <ListItem key={expense.id}>
+                      <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', alignItems: 'center', width: '100%' }}>
+                        <TextField
+                          size="small"
+                          label="Description"
+                          value={editForm.description}
+                          onChange={handleEditChange('description')}
+                          sx={{ flexGrow: 1 }}
+                        />
+                        <TextField
+                          size="small"
+                          label="Amount"
+                          type="number"
+                          value={editForm.amount}
+                          onChange={handleEditChange('amount')}
+                          sx={{ width: 110 }}
+                        />
+                        <TextField
+                          size="small"
+                          label="Currency"
+                          value={editForm.currency}
+                          onChange={handleEditChange('currency')}
+                          inputProps={{ maxLength: 3 }}
+                          sx={{ width: 90 }}
+                        />
+                        <TextField
+                          select
+                          size="small"
+                          label="Type"
+                          value={editForm.type}
+                          onChange={handleEditChange('type')}
+                          sx={{ width: 110 }}
+                        >
+                          <MenuItem value="expense">Expense</MenuItem>
+                          <MenuItem value="income">Income</MenuItem>
+                        </TextField>
+                        <TextField
+                          size="small"
+                          label="Category"
+                          value={editForm.category}
+                          onChange={handleEditChange('category')}
+                          sx={{ width: 150 }}
+                        />
+                        {editForm.type === 'income' ? (
+                          <TextField
+                            size="small"
+                            label="Source"
+                            value={editForm.source}
+                            onChange={handleEditChange('source')}
+                            sx={{ width: 150 }}
+                          />
+                        ) : (
+                          <TextField
+                            size="small"
+                            label="Merchant"
+                            value={editForm.merchant}
+                            onChange={handleEditChange('merchant')}
+                            sx={{ width: 150 }}
+                          />
+                        )}
+                        <TextField
+                          size="small"
+                          label="Date"
+                          type="date"
+                          value={editForm.date}
+                          onChange={handleEditChange('date')}
+                          InputLabelProps={{ shrink: true }}
+                        />
+                        <TextField
+                          size="small"
+                          label="Tags"
+                          value={editForm.tags}
+                          onChange={handleEditChange('tags')}
+                          sx={{ width: 150 }}
+                        />
+                        <TextField
+                          select
+                          size="small"
+                          label="Project"
+                          value={editForm.project}
+                          onChange={handleEditChange('project')}
+                          sx={{ width: 150 }}
+                        >
+                          <MenuItem value="">None</MenuItem>
+                          {projects.map(project => (
+                            <MenuItem key={project.id} value={project.name}>{project.name}</MenuItem>
+                          ))}
+                        </TextField>
+                        <IconButton aria-label="save" onClick={handleSaveEdit}>
+                          <SaveIcon />
+                        </IconButton>
+                        <IconButton aria-label="cancel" onClick={cancelEditing}>
+                          <CloseIcon />
+                        </IconButton>
+                      </Box>
+                    </ListItem>
+                  ) : (
+                    <ListItem
+                      key={expense.id || index}
+                      sx={anomalies[expense.id] ? { bgcolor: '#fff8e1' } : undefined}
+                      secondaryAction={
+                        <Box>
+                          {anomalies[expense.id] && (
+                            <IconButton
+                              aria-label="mark as expected"
+                              title="Mark as expected"
+                              onClick={() => handleMarkExpected(expense.id)}
+                            >
+                              <DoneIcon />
+                            </IconButton>
+                          )}
+                          <IconButton aria-label="edit" onClick={() => startEditing(expense)}>
+                            <EditIcon />
+                          </IconButton>
+                          <IconButton edge="end" aria-label="delete" onClick={() => handleDeleteExpense(expense.id)}>
+                            <DeleteIcon />
+                          </IconButton>
+                        </Box>
+                      }
+                    >
+                      {expense.receipt && (
+                        <ListItemAvatar>
+                          <ReceiptThumbnail name={expense.receipt} openable />
+                        </ListItemAvatar>
+                      )}
+                      <ListItemText
+                        primary={expense.description}
+                        secondary={
+                          <>
+                            {isIncome(expense) && (
+                              <Typography component="span" variant="body2" color="success.main">
+                                +{' '}
+                              </Typography>
+                            )}
+                            {[
+                              formatMoney(expense.amount, expense.currency),
+                              expense.currency !== baseCurrency && (expense.baseAmount !== null
+                                ? `(${formatMoney(expense.baseAmount, baseCurrency)})`
+                                : '(no exchange rate)'),
+                              '-',
+                              expense.category,
+                              isIncome(expense) && expense.source && `from ${expense.source}`,
+                              expense.merchant && `at ${expense.merchant}`,
+                              '-',
+                              formatDate(expense.date)
+                            ].filter(Boolean).join(' ')}
+                            {expense.split && (
+                              <Typography component="span" variant="body2" sx={{ display: 'block' }}>
+                                {describeSplit(expense.split)}
+                              </Typography>
+                            )}
+                            {(expense.project || expense.tags) && (
+                              <Typography component="span" variant="body2" sx={{ display: 'block' }}>
+                                {[expense.project, ...(expense.tags || []).map(tag => `#${tag}`)].filter(Boolean).join(' ')}
+                              </Typography>
+                            )}
+                            {anomalies[expense.id] && (
+                              <Typography component="span" variant="body2" color="warning.dark" sx={{ display: 'block' }}>
+                                {anomalies[expense.id].map(reason => reason.message).join('; ')}
+                              </Typography>
+                            )}
+                          </>
+                        }
+                      />
+                    </ListItem>
+                  )
                 ))}
               </List>
             )}
+            {tabValue === 3 && (
+              <Budgets baseCurrency={baseCurrency} />
+            )}
+            {tabValue === 4 && (
+              <RecurringExpenses onChange={fetchExpenses} />
+            )}
+            {tabValue === 5 && (
+              <Groups onChange={fetchExpenses} />
+            )}
+            {tabValue === 6 && (
+              <Projects baseCurrency={baseCurrency} onChange={fetchExpenses} />
+            )}
+            {tabValue === 7 && (
+              <ImportStatement onChange={fetchExpenses} />
+            )}
+            {tabValue === 8 && (
+              <CategorySettings onChange={fetchExpenses} />
+            )}
+            {tabValue === 9 && (
+              <Merchants onChange={fetchExpenses} />
+            )}
           </Box>
         )}
       </Paper>
@@ -268,4 +1273,43 @@ function App() {
   );
 }
 
+// Shows the sign-in screen until there's a session, then the tracker. A
+// session the server no longer accepts signs out.
+function App() {
+  const [user, setUser] = useState(null);
+  const [checking, setChecking] = useState(Boolean(getSessionToken()));
+
+  useEffect(() => onSessionExpired(() => {
+    setSessionToken(null);
+    setUser(null);
+  }), []);
+
+  useEffect(() => {
+    if (!getSessionToken()) return;
+    axios.get(`${API_BASE_URL}/auth/me`)
+      .then(response => setUser(response.data.user))
+      .catch(error => console.error('Error loading account:', error))
+      .finally(() => setChecking(false));
+  }, []);
+
+  const handleSignIn = ({ user, token }) => {
+    setSessionToken(token);
+    setUser(user);
+  };
+
+  const handleSignOut = async () => {
+    try {
+      await axios.post(`${API_BASE_URL}/auth/logout`);
+    } catch (error) {
+      console.error('Error signing out:', error);
+    }
+    setSessionToken(null);
+    setUser(null);
+  };
+
+  if (checking) return null;
+  if (!user) return <Login onSignIn={handleSignIn} />;
+  return <ExpenseTracker key={user.id} user={user} onSignOut={handleSignOut} />;
+}
+
 export default App;
@@ -0,0 +1,224 @@
+import React, { useState, useEffect } from 'react';
+import {
+  TextField,
+  Button,
+  List,
+  ListItem,
+  Typography,
+  Box,
+  IconButton,
+  MenuItem,
+  LinearProgress,
+  FormControlLabel,
+  Checkbox
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import axios from 'axios';
+import { API_BASE_URL } from './api';
+import { formatMoney, toDayKey } from './format';
+
+const EMPTY_FORM = { category: '', amount: '', thisMonthOnly: false };
+
+const currentMonth = () => toDayKey().slice(0, 7);
+
+// Progress bar color for each budget status
+const STATUS_COLORS = {
+  ok: 'success',
+  warning: 'warning',
+  'projected-over': 'warning',
+  over: 'error'
+};
+
+// Helper function to describe how a budget is going
+const describeStatus = (entry, currency) => {
+  switch (entry.status) {
+    case 'over':
+      return `Over budget by ${formatMoney(-entry.remaining, currency)}`;
+    case 'projected-over':
+      return `On pace to spend ${formatMoney(entry.projected, currency)} by the end of the month`;
+    case 'warning':
+      return `Only ${formatMoney(entry.remaining, currency)} left`;
+    default:
+      return `${formatMoney(entry.remaining, currency)} left`;
+  }
+};
+
+// Monthly budgets per category, with spending so far against each
+function Budgets({ baseCurrency }) {
+  const [month, setMonth] = useState(currentMonth());
+  const [status, setStatus] = useState(null);
+  const [budgets, setBudgets] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    axios.get(`${API_BASE_URL}/categories`)
+      .then(response => setCategories(response.data.map(category => category.name)))
+      .catch(error => console.error('Error fetching categories:', error));
+  }, []);
+
+  useEffect(() => {
+    fetchBudgets();
+  }, [month]);
+
+  const fetchBudgets = async () => {
+    try {
+      const [statusResponse, budgetsResponse] = await Promise.all([
+        axios.get(`${API_BASE_URL}/budgets/status`, { params: { month } }),
+        axios.get(`${API_BASE_URL}/budgets`)
+      ]);
+      setStatus(statusResponse.data);
+      setBudgets(budgetsResponse.data);
+    } catch (error) {
+      console.error('Error fetching budgets:', error);
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      await axios.put(`${API_BASE_URL}/budgets/${encodeURIComponent(form.category)}`, {
+        amount: form.amount,
+        month: form.thisMonthOnly ? month : null
+      });
+      setForm(EMPTY_FORM);
+      await fetchBudgets();
+    } catch (error) {
+      console.error('Error saving budget:', error);
+      setError(error.response?.data?.error || 'Could not save budget');
+    }
+  };
+
+  // Remove the budget that applies this month: the month's own one if set, else the every-month one
+  const handleDelete = async (category) => {
+    const monthly = budgets.some(budget => budget.category === category && budget.month === month);
+    try {
+      await axios.delete(`${API_BASE_URL}/budgets/${encodeURIComponent(category)}`, {
+        params: monthly ? { month } : {}
+      });
+      await fetchBudgets();
+    } catch (error) {
+      console.error('Error deleting budget:', error);
+      setError(error.response?.data?.error || 'Could not delete budget');
+    }
+  };
+
+  const currency = (status && status.currency) || baseCurrency;
+  const entries = status ? status.categories : [];
+  const overCount = entries.filter(entry => entry.status === 'over').length;
+  const atRiskCount = entries.filter(entry => entry.status === 'projected-over').length;
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', mb: 1 }}>
+        <TextField
+          size="small"
+          label="Month"
+          type="month"
+          value={month}
+          onChange={(e) => e.target.value && setMonth(e.target.value)}
+          InputLabelProps={{ shrink: true }}
+        />
+        {overCount > 0 && (
+          <Typography color="error" variant="body2">
+            Over budget in {overCount} {overCount === 1 ? 'category' : 'categories'}
+          </Typography>
+        )}
+        {atRiskCount > 0 && (
+          <Typography color="warning.main" variant="body2">
+            {atRiskCount} more on pace to go over
+          </Typography>
+        )}
+      </Box>
+      {error && (
+        <Typography color="error" variant="body2">
+          {error}
+        </Typography>
+      )}
+
+      {entries.length === 0 ? (
+        <Typography variant="body2" color="text.secondary" sx={{ my: 2 }}>
+          No budgets set for this month.
+        </Typography>
+      ) : (
+        <List>
+          {entries.map(entry => (
+            <ListItem
+              key={entry.category}
+              divider
+              secondaryAction={
+                <IconButton edge="end" aria-label="delete" onClick={() => handleDelete(entry.category)}>
+                  <DeleteIcon />
+                </IconButton>
+              }
+            >
+              <Box sx={{ width: '100%', pr: 2 }}>
+                <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+                  <Typography variant="subtitle2">{entry.category}</Typography>
+                  <Typography variant="body2">
+                    {formatMoney(entry.spent, currency)} of {formatMoney(entry.budget, currency)} ({entry.percentUsed}%)
+                  </Typography>
+                </Box>
+                <LinearProgress
+                  variant="determinate"
+                  value={Math.min(100, entry.percentUsed)}
+                  color={STATUS_COLORS[entry.status]}
+                  sx={{ height: 8, borderRadius: 1, my: 0.5 }}
+                />
+                <Typography
+                  variant="body2"
+                  color={entry.status === 'ok' ? 'text.secondary' : `${STATUS_COLORS[entry.status]}.main`}
+                >
+                  {describeStatus(entry, currency)}
+                </Typography>
+              </Box>
+            </ListItem>
+          ))}
+        </List>
+      )}
+
+      <Box
+        component="form"
+        onSubmit={handleSave}
+        sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', alignItems: 'center', mt: 2 }}
+      >
+        <TextField
+          select
+          size="small"
+          label="Category"
+          value={form.category}
+          onChange={(e) => setForm({ ...form, category: e.target.value })}
+          sx={{ minWidth: 180 }}
+        >
+          {categories.map(category => (
+            <MenuItem key={category} value={category}>{category}</MenuItem>
+          ))}
+        </TextField>
+        <TextField
+          size="small"
+          label={`Monthly budget (${currency})`}
+          type="number"
+          value={form.amount}
+          onChange={(e) => setForm({ ...form, amount: e.target.value })}
+          sx={{ width: 200 }}
+        />
+        <FormControlLabel
+          control={
+            <Checkbox
+              checked={form.thisMonthOnly}
+              onChange={(e) => setForm({ ...form, thisMonthOnly: e.target.checked })}
+            />
+          }
+          label="This month only"
+        />
+        <Button type="submit" variant="contained" disabled={!form.category || !form.amount}>
+          Set budget
+        </Button>
+      </Box>
+    </Box>
+  );
+}
+
+export default Budgets;
@@ -0,0 +1,253 @@
+import React, { useState, useEffect } from 'react';
+import {
+  TextField,
+  Button,
+  List,
+  ListItem,
+  Typography,
+  Box,
+  IconButton,
+  MenuItem,
+  FormControlLabel,
+  Checkbox
+} from '@mui/material';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import SaveIcon from '@mui/icons-material/Save';
+import CloseIcon from '@mui/icons-material/Close';
+import MergeIcon from '@mui/icons-material/CallMerge';
+import axios from 'axios';
+import { API_BASE_URL } from './api';
+
+const EMPTY_FORM = { name: '', keywords: '', patterns: '' };
+
+// Rules are edited as comma-separated text
+const toList = (text) => text.split(',').map(item => item.trim()).filter(Boolean);
+
+const toForm = (category) => ({
+  name: category.name,
+  keywords: category.keywords.join(', '),
+  patterns: category.patterns.join(', ')
+});
+
+// Settings screen for categories and the keyword/pattern rules that assign them
+function CategorySettings({ onChange }) {
+  const [categories, setCategories] = useState([]);
+  const [newCategory, setNewCategory] = useState(EMPTY_FORM);
+  const [editingName, setEditingName] = useState(null);
+  const [editForm, setEditForm] = useState(EMPTY_FORM);
+  const [mergingName, setMergingName] = useState(null);
+  const [mergeInto, setMergeInto] = useState('');
+  const [recategorize, setRecategorize] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchCategories();
+  }, []);
+
+  const fetchCategories = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/categories`);
+      setCategories(response.data);
+    } catch (error) {
+      console.error('Error fetching categories:', error);
+    }
+  };
+
+  // Run a change, then refresh categories (and expenses, which may have been recategorized)
+  const applyChange = async (change) => {
+    setError('');
+    try {
+      await change();
+      await fetchCategories();
+      onChange();
+      return true;
+    } catch (error) {
+      console.error('Error updating categories:', error);
+      setError(error.response?.data?.error || 'Could not update categories');
+      return false;
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const added = await applyChange(() => axios.post(`${API_BASE_URL}/categories`, {
+      name: newCategory.name,
+      keywords: toList(newCategory.keywords),
+      patterns: toList(newCategory.patterns)
+    }));
+    if (added) setNewCategory(EMPTY_FORM);
+  };
+
+  const handleSave = async () => {
+    const saved = await applyChange(() => axios.put(`${API_BASE_URL}/categories/${encodeURIComponent(editingName)}`, {
+      name: editForm.name,
+      keywords: toList(editForm.keywords),
+      patterns: toList(editForm.patterns),
+      recategorize
+    }));
+    if (saved) setEditingName(null);
+  };
+
+  const handleMerge = async () => {
+    const merged = await applyChange(() => axios.post(`${API_BASE_URL}/categories/${encodeURIComponent(mergingName)}/merge`, {
+      into: mergeInto,
+      recategorize
+    }));
+    if (merged) setMergingName(null);
+  };
+
+  const handleDelete = async (name) => {
+    if (!window.confirm(`Delete the "${name}" category? Past expenses keep it.`)) return;
+    await applyChange(() => axios.delete(`${API_BASE_URL}/categories/${encodeURIComponent(name)}`));
+  };
+
+  const startEditing = (category) => {
+    setMergingName(null);
+    setEditingName(category.name);
+    setEditForm(toForm(category));
+  };
+
+  const startMerging = (category) => {
+    setEditingName(null);
+    setMergingName(category.name);
+    setMergeInto('');
+  };
+
+  const recategorizeOption = (
+    <FormControlLabel
+      control={<Checkbox checked={recategorize} onChange={(e) => setRecategorize(e.target.checked)} />}
+      label="Also update past expenses"
+    />
+  );
+
+  return (
+    <Box>
+      <Typography variant="body2" color="text.secondary" gutterBottom>
+        New expenses get the first category whose keywords (whole words) or patterns (regular expressions) match
+        their description. Separate multiple keywords or patterns with commas.
+      </Typography>
+      {error && (
+        <Typography color="error" variant="body2">
+          {error}
+        </Typography>
+      )}
+
+      <List>
+        {categories.map(category => (
+          <ListItem key={category.name} divider sx={{ display: 'block' }}>
+            {editingName === category.name ? (
+              <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', alignItems: 'center' }}>
+                <TextField
+                  size="small"
+                  label="Name"
+                  value={editForm.name}
+                  onChange={(e) => setEditForm({ ...editForm, name: e.target.value })}
+                  sx={{ width: 150 }}
+                />
+                <TextField
+                  size="small"
+                  label="Keywords"
+                  value={editForm.keywords}
+                  onChange={(e) => setEditForm({ ...editForm, keywords: e.target.value })}
+                  sx={{ flexGrow: 1 }}
+                />
+                <TextField
+                  size="small"
+                  label="Patterns"
+                  value={editForm.patterns}
+                  onChange={(e) => setEditForm({ ...editForm, patterns: e.target.value })}
+                  sx={{ flexGrow: 1 }}
+                />
+                {editForm.name.trim().toLowerCase() !== category.name && recategorizeOption}
+                <IconButton aria-label="save" onClick={handleSave}>
+                  <SaveIcon />
+                </IconButton>
+                <IconButton aria-label="cancel" onClick={() => setEditingName(null)}>
+                  <CloseIcon />
+                </IconButton>
+              </Box>
+            ) : (
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                <Box sx={{ flexGrow: 1 }}>
+                  <Typography variant="subtitle2">{category.name}</Typography>
+                  <Typography variant="body2" color="text.secondary">
+                    {[...category.keywords, ...category.patterns.map(pattern => `/${pattern}/`)].join(', ') || 'No rules'}
+                  </Typography>
+                </Box>
+                <IconButton aria-label="edit" onClick={() => startEditing(category)}>
+                  <EditIcon />
+                </IconButton>
+                <IconButton aria-label="merge" onClick={() => startMerging(category)}>
+                  <MergeIcon />
+                </IconButton>
+                <IconButton aria-label="delete" onClick={() => handleDelete(category.name)}>
+                  <DeleteIcon />
+                </IconButton>
+              </Box>
+            )}
+            {mergingName === category.name && (
+              <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', alignItems: 'center', mt: 1 }}>
+                <TextField
+                  select
+                  size="small"
+                  label="Merge into"
+                  value={mergeInto}
+                  onChange={(e) => setMergeInto(e.target.value)}
+                  sx={{ minWidth: 180 }}
+                >
+                  {categories
+                    .filter(other => other.name !== category.name)
+                    .map(other => (
+                      <MenuItem key={other.name} value={other.name}>{other.name}</MenuItem>
+                    ))}
+                  <MenuItem value="other">other</MenuItem>
+                </TextField>
+                {recategorizeOption}
+                <Button variant="outlined" onClick={handleMerge} disabled={!mergeInto}>
+                  Merge
+                </Button>
+                <Button onClick={() => setMergingName(null)}>
+                  Cancel
+                </Button>
+              </Box>
+            )}
+          </ListItem>
+        ))}
+      </List>
+
+      <Box
+        component="form"
+        onSubmit={handleAdd}
+        sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', alignItems: 'center', mt: 2 }}
+      >
+        <TextField
+          size="small"
+          label="New category"
+          value={newCategory.name}
+          onChange={(e) => setNewCategory({ ...newCategory, name: e.target.value })}
+          sx={{ width: 150 }}
+        />
+        <TextField
+          size="small"
+          label="Keywords"
+          value={newCategory.keywords}
+          onChange={(e) => setNewCategory({ ...newCategory, keywords: e.target.value })}
+          sx={{ flexGrow: 1 }}
+        />
+        <TextField
+          size="small"
+          label="Patterns"
+          value={newCategory.patterns}
+          onChange={(e) => setNewCategory({ ...newCategory, patterns: e.target.value })}
+          sx={{ flexGrow: 1 }}
+        />
+        <Button type="submit" variant="contained" disabled={!newCategory.name.trim()}>
+          Add
+        </Button>
+      </Box>
+    </Box>
+  );
+}
+
+export default CategorySettings;
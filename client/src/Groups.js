@@ -0,0 +1,325 @@
+import React, { useState, useEffect } from 'react';
+import {
+  TextField,
+  Button,
+  List,
+  ListItem,
+  ListItemButton,
+  ListItemText,
+  Typography,
+  Box,
+  IconButton,
+  MenuItem,
+  Divider
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import axios from 'axios';
+import { API_BASE_URL } from './api';
+import { formatMoney, formatMember, formatDate } from './format';
+
+const EMPTY_GROUP = { name: '', members: '' };
+const EMPTY_SETTLEMENT = { from: '', to: '', amount: '' };
+
+// Members are edited as comma-separated text
+const toList = (text) => text.split(',').map(item => item.trim()).filter(Boolean);
+
+// Helper function to describe a member's balance, e.g. "Sam owes $12.00"
+const describeBalance = ({ member, balance }, currency) => {
+  const name = formatMember(member);
+  const self = member === 'me';
+  if (balance > 0) return `${name} ${self ? 'are' : 'is'} owed ${formatMoney(balance, currency)}`;
+  if (balance < 0) return `${name} ${self ? 'owe' : 'owes'} ${formatMoney(-balance, currency)}`;
+  return `${name} ${self ? 'are' : 'is'} settled up`;
+};
+
+// Groups of people who share expenses, who owes whom and settling up
+function Groups({ onChange }) {
+  const [groups, setGroups] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [balances, setBalances] = useState(null);
+  const [newGroup, setNewGroup] = useState(EMPTY_GROUP);
+  const [newMember, setNewMember] = useState('');
+  const [settlement, setSettlement] = useState(EMPTY_SETTLEMENT);
+  const [error, setError] = useState('');
+
+  const selected = groups.find(group => group.id === selectedId) || null;
+
+  useEffect(() => {
+    fetchGroups();
+  }, []);
+
+  useEffect(() => {
+    setBalances(null);
+    setSettlement(EMPTY_SETTLEMENT);
+    if (selectedId) fetchBalances(selectedId);
+  }, [selectedId]);
+
+  const fetchGroups = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/groups`);
+      setGroups(response.data);
+      if (!response.data.some(group => group.id === selectedId)) {
+        setSelectedId(response.data.length > 0 ? response.data[0].id : null);
+      }
+    } catch (error) {
+      console.error('Error fetching groups:', error);
+    }
+  };
+
+  const fetchBalances = async (id) => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/groups/${id}/balances`);
+      setBalances(response.data);
+    } catch (error) {
+      console.error('Error fetching balances:', error);
+    }
+  };
+
+  // Run a change, then refresh the groups and the selected group's balances
+  const applyChange = async (change, failure) => {
+    setError('');
+    try {
+      await change();
+      await fetchGroups();
+      if (selectedId) await fetchBalances(selectedId);
+      return true;
+    } catch (error) {
+      console.error(`${failure}:`, error);
+      setError(error.response?.data?.error || failure);
+      return false;
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    let created = null;
+    const saved = await applyChange(async () => {
+      const response = await axios.post(`${API_BASE_URL}/groups`, { name: newGroup.name, members: toList(newGroup.members) });
+      created = response.data;
+    }, 'Could not create group');
+    if (saved) {
+      setNewGroup(EMPTY_GROUP);
+      setSelectedId(created.id);
+    }
+  };
+
+  const handleAddMember = async (e) => {
+    e.preventDefault();
+    const saved = await applyChange(() => axios.put(`${API_BASE_URL}/groups/${selected.id}`, {
+      name: selected.name,
+      members: [...selected.members, ...toList(newMember)]
+    }), 'Could not add member');
+    if (saved) setNewMember('');
+  };
+
+  const handleRemoveMember = (member) => applyChange(() => axios.put(`${API_BASE_URL}/groups/${selected.id}`, {
+    name: selected.name,
+    members: selected.members.filter(existing => existing !== member)
+  }), 'Could not remove member');
+
+  const handleDeleteGroup = async () => {
+    if (!window.confirm(`Delete "${selected.name}"? Its expenses are kept but no longer split.`)) return;
+    if (await applyChange(() => axios.delete(`${API_BASE_URL}/groups/${selected.id}`), 'Could not delete group')) {
+      onChange();
+    }
+  };
+
+  const recordSettlement = (body) => applyChange(
+    () => axios.post(`${API_BASE_URL}/groups/${selected.id}/settlements`, body),
+    'Could not record settlement'
+  );
+
+  const handleRecord = async (e) => {
+    e.preventDefault();
+    if (await recordSettlement({ ...settlement, amount: Number(settlement.amount) })) {
+      setSettlement(EMPTY_SETTLEMENT);
+    }
+  };
+
+  const handleDeleteSettlement = (id) => applyChange(
+    () => axios.delete(`${API_BASE_URL}/groups/${selected.id}/settlements/${id}`),
+    'Could not delete settlement'
+  );
+
+  const members = selected ? ['me', ...selected.members] : [];
+  const currency = balances ? balances.currency : undefined;
+
+  return (
+    <Box>
+      <Typography variant="body2" color="text.secondary" gutterBottom>
+        Split an expense by adding "split with Sam and Alex" when you type it in.
+      </Typography>
+      {error && (
+        <Typography color="error" variant="body2">
+          {error}
+        </Typography>
+      )}
+
+      <Box sx={{ display: 'flex', gap: 3, flexWrap: 'wrap', mt: 1 }}>
+        <Box sx={{ width: 220 }}>
+          <List dense>
+            {groups.length === 0 && (
+              <ListItem>
+                <ListItemText secondary="No groups yet." />
+              </ListItem>
+            )}
+            {groups.map(group => (
+              <ListItemButton
+                key={group.id}
+                selected={group.id === selectedId}
+                onClick={() => setSelectedId(group.id)}
+              >
+                <ListItemText primary={group.name} secondary={`${group.members.length + 1} members`} />
+              </ListItemButton>
+            ))}
+          </List>
+          <Box component="form" onSubmit={handleCreate} sx={{ display: 'flex', flexDirection: 'column', gap: 1, mt: 1 }}>
+            <TextField
+              size="small"
+              label="New group"
+              value={newGroup.name}
+              onChange={(e) => setNewGroup({ ...newGroup, name: e.target.value })}
+            />
+            <TextField
+              size="small"
+              label="Members"
+              value={newGroup.members}
+              onChange={(e) => setNewGroup({ ...newGroup, members: e.target.value })}
+              helperText="Comma-separated; you're included"
+            />
+            <Button type="submit" variant="outlined" disabled={!newGroup.name || !newGroup.members}>
+              Create
+            </Button>
+          </Box>
+        </Box>
+
+        {selected && (
+          <Box sx={{ flexGrow: 1, minWidth: 300 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+              <Typography variant="h6" sx={{ flexGrow: 1 }}>
+                {selected.name}
+              </Typography>
+              <Button size="small" color="error" onClick={handleDeleteGroup}>
+                Delete group
+              </Button>
+            </Box>
+
+            <List dense>
+              {members.map(member => {
+                const entry = balances && balances.balances.find(item => item.member === member);
+                return (
+                  <ListItem
+                    key={member}
+                    secondaryAction={member !== 'me' && (
+                      <IconButton edge="end" aria-label="remove member" onClick={() => handleRemoveMember(member)}>
+                        <DeleteIcon />
+                      </IconButton>
+                    )}
+                  >
+                    <ListItemText
+                      primary={entry ? describeBalance(entry, currency) : formatMember(member)}
+                      secondary={entry && `Paid ${formatMoney(entry.paid, currency)}, share ${formatMoney(entry.share, currency)}`}
+                    />
+                  </ListItem>
+                );
+              })}
+            </List>
+            <Box component="form" onSubmit={handleAddMember} sx={{ display: 'flex', gap: 1, mb: 2 }}>
+              <TextField
+                size="small"
+                label="Add member"
+                value={newMember}
+                onChange={(e) => setNewMember(e.target.value)}
+              />
+              <Button type="submit" disabled={!newMember.trim()}>
+                Add
+              </Button>
+            </Box>
+
+            <Divider />
+            <Typography variant="subtitle1" sx={{ mt: 2 }}>
+              Settle up
+            </Typography>
+            {balances && balances.transfers.length === 0 && (
+              <Typography variant="body2" color="text.secondary">
+                Everyone is settled up.
+              </Typography>
+            )}
+            <List dense>
+              {balances && balances.transfers.map(transfer => (
+                <ListItem
+                  key={`${transfer.from}-${transfer.to}`}
+                  secondaryAction={
+                    <Button size="small" onClick={() => recordSettlement(transfer)}>
+                      Record
+                    </Button>
+                  }
+                >
+                  <ListItemText
+                    primary={`${formatMember(transfer.from)} ${transfer.from === 'me' ? 'pay' : 'pays'} ${formatMember(transfer.to)} ${formatMoney(transfer.amount, currency)}`}
+                  />
+                </ListItem>
+              ))}
+            </List>
+            {balances && balances.unconvertedCount > 0 && (
+              <Typography variant="body2" color="text.secondary">
+                {balances.unconvertedCount} in a currency with no exchange rate left out
+              </Typography>
+            )}
+
+            <Box component="form" onSubmit={handleRecord} sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', alignItems: 'center', mt: 1 }}>
+              {['from', 'to'].map(field => (
+                <TextField
+                  key={field}
+                  select
+                  size="small"
+                  label={field === 'from' ? 'Paid by' : 'Paid to'}
+                  value={settlement[field]}
+                  onChange={(e) => setSettlement({ ...settlement, [field]: e.target.value })}
+                  sx={{ width: 130 }}
+                >
+                  {members.map(member => (
+                    <MenuItem key={member} value={member}>{formatMember(member)}</MenuItem>
+                  ))}
+                </TextField>
+              ))}
+              <TextField
+                size="small"
+                label="Amount"
+                type="number"
+                value={settlement.amount}
+                onChange={(e) => setSettlement({ ...settlement, amount: e.target.value })}
+                sx={{ width: 110 }}
+              />
+              <Button type="submit" disabled={!settlement.from || !settlement.to || !settlement.amount}>
+                Record payment
+              </Button>
+            </Box>
+
+            {selected.settlements.length > 0 && (
+              <List dense>
+                {[...selected.settlements].reverse().map(item => (
+                  <ListItem
+                    key={item.id}
+                    secondaryAction={
+                      <IconButton edge="end" aria-label="delete" onClick={() => handleDeleteSettlement(item.id)}>
+                        <DeleteIcon />
+                      </IconButton>
+                    }
+                  >
+                    <ListItemText
+                      primary={`${formatMember(item.from)} paid ${formatMember(item.to)} ${formatMoney(item.amount, item.currency)}`}
+                      secondary={[formatDate(item.date), item.note].filter(Boolean).join(' - ')}
+                    />
+                  </ListItem>
+                ))}
+              </List>
+            )}
+          </Box>
+        )}
+      </Box>
+    </Box>
+  );
+}
+
+export default Groups;
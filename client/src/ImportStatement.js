@@ -0,0 +1,259 @@
+import React, { useState } from 'react';
+import {
+  TextField,
+  Button,
+  List,
+  ListItem,
+  Typography,
+  Box,
+  MenuItem,
+  Checkbox,
+  Chip
+} from '@mui/material';
+import axios from 'axios';
+import { API_BASE_URL } from './api';
+import { formatMoney, toDayKey } from './format';
+
+// CSV columns that can be mapped, and whether each is required
+const MAPPED_COLUMNS = [
+  ['date', 'Date', true],
+  ['description', 'Description', true],
+  ['amount', 'Amount', false],
+  ['debit', 'Debit', false],
+  ['credit', 'Credit', false],
+  ['currency', 'Currency', false]
+];
+
+const DUPLICATE_LABELS = {
+  exact: 'Already imported',
+  likely: 'Likely duplicate',
+  possible: 'Possible duplicate'
+};
+
+// Exact and likely duplicates start unselected; everything else is imported by default
+const selectedByDefault = (transaction) =>
+  !transaction.duplicate || transaction.duplicate.match === 'possible';
+
+// Upload a CSV or OFX/QFX bank statement, review the transactions, then import them
+function ImportStatement({ onChange }) {
+  const [content, setContent] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [headers, setHeaders] = useState(null);
+  const [mapping, setMapping] = useState(null);
+  const [rows, setRows] = useState([]);
+  const [skipped, setSkipped] = useState([]);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  // Parse the statement on the server without saving anything
+  const preview = async (text, columns) => {
+    setLoading(true);
+    setError('');
+    setMessage('');
+    try {
+      const response = await axios.post(`${API_BASE_URL}/import/preview`, { content: text, mapping: columns });
+      setHeaders(response.data.headers || null);
+      setMapping(response.data.mapping || null);
+      setSkipped(response.data.skipped);
+      setRows(response.data.transactions.map(transaction => ({
+        ...transaction,
+        selected: selectedByDefault(transaction)
+      })));
+    } catch (error) {
+      console.error('Error previewing import:', error);
+      const data = error.response?.data || {};
+      setError(data.error || 'Could not read the statement');
+      // A CSV whose columns couldn't be worked out can still be mapped by hand
+      setHeaders(data.headers || null);
+      setMapping(data.mapping || null);
+      setRows([]);
+      setSkipped([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const text = await file.text();
+    setFileName(file.name);
+    setContent(text);
+    await preview(text);
+    e.target.value = '';
+  };
+
+  const handleMappingChange = (field) => (e) => {
+    const next = { ...mapping };
+    if (e.target.value === '') {
+      delete next[field];
+    } else {
+      next[field] = field === 'dateFormat' || field === 'spending' ? e.target.value : Number(e.target.value);
+    }
+    setMapping(next);
+  };
+
+  const updateRow = (index, changes) => {
+    setRows(rows.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+  };
+
+  const handleImport = async () => {
+    setError('');
+    try {
+      const response = await axios.post(`${API_BASE_URL}/import`, {
+        expenses: rows
+          .filter(row => row.selected)
+          .map(({ amount, currency, category, merchant, description, date, externalId }) => ({
+            amount, currency, category, merchant: merchant || null, description, date, externalId
+          }))
+      });
+      setMessage(`Imported ${response.data.length} expenses from ${fileName}`);
+      setRows([]);
+      setSkipped([]);
+      setHeaders(null);
+      setMapping(null);
+      setContent('');
+      onChange();
+    } catch (error) {
+      console.error('Error importing expenses:', error);
+      setError(error.response?.data?.error || 'Could not import expenses');
+    }
+  };
+
+  const selectedCount = rows.filter(row => row.selected).length;
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', mb: 1 }}>
+        <Button variant="outlined" component="label" disabled={loading}>
+          Choose CSV or OFX file
+          <input type="file" hidden accept=".csv,.ofx,.qfx,text/csv" onChange={handleFile} />
+        </Button>
+        {fileName && <Typography variant="body2">{fileName}</Typography>}
+      </Box>
+      {message && (
+        <Typography color="success.main" variant="body2">
+          {message}
+        </Typography>
+      )}
+      {error && (
+        <Typography color="error" variant="body2">
+          {error}
+        </Typography>
+      )}
+
+      {headers && mapping && (
+        <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', alignItems: 'center', my: 2 }}>
+          {MAPPED_COLUMNS.map(([field, label, required]) => (
+            <TextField
+              key={field}
+              select
+              size="small"
+              label={label}
+              value={mapping[field] ?? ''}
+              onChange={handleMappingChange(field)}
+              sx={{ minWidth: 140 }}
+            >
+              {!required && <MenuItem value="">None</MenuItem>}
+              {headers.map((header, index) => (
+                <MenuItem key={index} value={index}>{header || `Column ${index + 1}`}</MenuItem>
+              ))}
+            </TextField>
+          ))}
+          <TextField
+            select
+            size="small"
+            label="Dates"
+            value={mapping.dateFormat || ''}
+            onChange={handleMappingChange('dateFormat')}
+            sx={{ minWidth: 120 }}
+          >
+            <MenuItem value="">Detect</MenuItem>
+            <MenuItem value="MDY">MM/DD/YYYY</MenuItem>
+            <MenuItem value="DMY">DD/MM/YYYY</MenuItem>
+          </TextField>
+          {mapping.amount !== undefined && (
+            <TextField
+              select
+              size="small"
+              label="Spending is"
+              value={mapping.spending || ''}
+              onChange={handleMappingChange('spending')}
+              sx={{ minWidth: 120 }}
+            >
+              <MenuItem value="">Detect</MenuItem>
+              <MenuItem value="negative">Negative</MenuItem>
+              <MenuItem value="positive">Positive</MenuItem>
+            </TextField>
+          )}
+          <Button onClick={() => preview(content, mapping)} disabled={loading}>
+            Re-read
+          </Button>
+        </Box>
+      )}
+
+      {skipped.length > 0 && (
+        <Typography variant="body2" color="text.secondary">
+          Skipped {skipped.length} {skipped.length === 1 ? 'row' : 'rows'}:{' '}
+          {skipped.slice(0, 5).map(row => `line ${row.line} (${row.reason})`).join(', ')}
+          {skipped.length > 5 && ', ...'}
+        </Typography>
+      )}
+
+      {rows.length > 0 && (
+        <>
+          <List>
+            {rows.map((row, index) => (
+              <ListItem key={`${row.line}-${index}`} divider sx={{ gap: 1, flexWrap: 'wrap' }}>
+                <Checkbox
+                  checked={row.selected}
+                  onChange={(e) => updateRow(index, { selected: e.target.checked })}
+                />
+                <Box sx={{ flexGrow: 1, minWidth: 200 }}>
+                  <Typography variant="body1">{row.description}</Typography>
+                  <Typography variant="body2" color="text.secondary">
+                    {toDayKey(row.date)} - {formatMoney(row.amount, row.currency)}
+                  </Typography>
+                  {row.duplicate && (
+                    <Typography variant="body2" color="warning.main">
+                      Matches "{row.duplicate.expense.description}" on{' '}
+                      {toDayKey(row.duplicate.expense.date)}
+                    </Typography>
+                  )}
+                </Box>
+                {row.duplicate && (
+                  <Chip size="small" color="warning" label={DUPLICATE_LABELS[row.duplicate.match]} />
+                )}
+                <TextField
+                  size="small"
+                  label="Merchant"
+                  value={row.merchant || ''}
+                  onChange={(e) => updateRow(index, { merchant: e.target.value })}
+                  sx={{ width: 150 }}
+                />
+                <TextField
+                  size="small"
+                  label="Category"
+                  value={row.category}
+                  onChange={(e) => updateRow(index, { category: e.target.value })}
+                  sx={{ width: 150 }}
+                />
+              </ListItem>
+            ))}
+          </List>
+          <Box sx={{ display: 'flex', gap: 1, mt: 2 }}>
+            <Button variant="contained" onClick={handleImport} disabled={selectedCount === 0}>
+              Import {selectedCount} {selectedCount === 1 ? 'expense' : 'expenses'}
+            </Button>
+            <Button onClick={() => setRows([])}>
+              Cancel
+            </Button>
+          </Box>
+        </>
+      )}
+    </Box>
+  );
+}
+
+export default ImportStatement;
@@ -0,0 +1,105 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Container,
+  Paper,
+  TextField,
+  Button,
+  Typography,
+  Box,
+  Link
+} from '@mui/material';
+import axios from 'axios';
+import { API_BASE_URL } from './api';
+
+const EMPTY_FORM = { username: '', password: '' };
+
+// Sign-in screen, which can also create an account when the server allows it.
+// Calls onSignIn with the server's { user, token } response.
+function Login({ onSignIn }) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [creating, setCreating] = useState(false);
+  const [registrationOpen, setRegistrationOpen] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    axios.get(`${API_BASE_URL}/auth/status`)
+      .then(response => setRegistrationOpen(response.data.registrationOpen))
+      .catch(error => console.error('Error fetching sign-in options:', error));
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    try {
+      const response = await axios.post(`${API_BASE_URL}/auth/${creating ? 'register' : 'login'}`, form);
+      onSignIn(response.data);
+    } catch (error) {
+      console.error(creating ? 'Error creating account:' : 'Error signing in:', error);
+      setError(error.response?.data?.error || (creating ? 'Could not create account' : 'Could not sign in'));
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Container maxWidth="xs" sx={{ py: 8 }}>
+      <Typography variant="h4" component="h1" gutterBottom>
+        AI Expense Tracker
+      </Typography>
+      <Paper sx={{ p: 3 }}>
+        <form onSubmit={handleSubmit}>
+          <Typography variant="h6" gutterBottom>
+            {creating ? 'Create Account' : 'Sign In'}
+          </Typography>
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+            <TextField
+              label="Username"
+              value={form.username}
+              onChange={(e) => setForm({ ...form, username: e.target.value })}
+              autoComplete="username"
+              autoFocus
+              disabled={loading}
+            />
+            <TextField
+              label="Password"
+              type="password"
+              value={form.password}
+              onChange={(e) => setForm({ ...form, password: e.target.value })}
+              autoComplete={creating ? 'new-password' : 'current-password'}
+              helperText={creating ? 'At least 8 characters' : ''}
+              disabled={loading}
+            />
+            {error && (
+              <Typography color="error" variant="body2">
+                {error}
+              </Typography>
+            )}
+            <Button
+              type="submit"
+              variant="contained"
+              disabled={loading || !form.username || !form.password}
+            >
+              {creating ? 'Create Account' : 'Sign In'}
+            </Button>
+            {registrationOpen && (
+              <Link
+                component="button"
+                type="button"
+                variant="body2"
+                onClick={() => {
+                  setCreating(!creating);
+                  setError('');
+                }}
+              >
+                {creating ? 'Already have an account? Sign in' : 'New here? Create an account'}
+              </Link>
+            )}
+          </Box>
+        </form>
+      </Paper>
+    </Container>
+  );
+}
+
+export default Login;
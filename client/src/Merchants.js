@@ -0,0 +1,162 @@
+import React, { useState, useEffect } from 'react';
+import {
+  TextField,
+  Button,
+  List,
+  ListItem,
+  ListItemText,
+  Typography,
+  Box,
+  IconButton
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import EditIcon from '@mui/icons-material/Edit';
+import axios from 'axios';
+import { API_BASE_URL } from './api';
+
+const EMPTY_FORM = { name: '', aliases: '' };
+
+// Aliases are edited as comma-separated text
+const toList = (text) => text.split(',').map(item => item.trim()).filter(Boolean);
+
+// The merchant alias table: how each merchant is named, and the other ways
+// it's written in expenses and bank statements
+function Merchants({ onChange }) {
+  const [merchants, setMerchants] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingName, setEditingName] = useState(null);
+  const [notice, setNotice] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchMerchants();
+  }, []);
+
+  const fetchMerchants = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/merchants`);
+      setMerchants(response.data);
+    } catch (error) {
+      console.error('Error fetching merchants:', error);
+    }
+  };
+
+  const startEditing = (merchant) => {
+    setEditingName(merchant.name);
+    setForm({ name: merchant.name, aliases: merchant.aliases.join(', ') });
+  };
+
+  const cancelEditing = () => {
+    setEditingName(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setError('');
+    setNotice('');
+    try {
+      const response = await axios.put(
+        `${API_BASE_URL}/merchants/${encodeURIComponent(editingName || form.name.trim())}`,
+        { name: form.name, aliases: toList(form.aliases) }
+      );
+      if (response.data.updated > 0) {
+        setNotice(`${response.data.updated} expenses are now at ${response.data.name}.`);
+      }
+      cancelEditing();
+      await fetchMerchants();
+      onChange();
+    } catch (error) {
+      console.error('Error saving merchant:', error);
+      setError(error.response?.data?.error || 'Could not save merchant');
+    }
+  };
+
+  const handleDelete = async (merchant) => {
+    setError('');
+    setNotice('');
+    try {
+      await axios.delete(`${API_BASE_URL}/merchants/${encodeURIComponent(merchant.name)}`);
+      if (editingName === merchant.name) cancelEditing();
+      await fetchMerchants();
+    } catch (error) {
+      console.error('Error deleting merchant:', error);
+      setError(error.response?.data?.error || 'Could not delete merchant');
+    }
+  };
+
+  return (
+    <Box>
+      <Typography variant="body2" color="text.secondary" gutterBottom>
+        Expenses that mention an alias, like "AMZN Mktp", are put under the merchant's name. Saving aliases also renames past expenses that use them.
+      </Typography>
+      {error && (
+        <Typography color="error" variant="body2">
+          {error}
+        </Typography>
+      )}
+      {notice && (
+        <Typography variant="body2">
+          {notice}
+        </Typography>
+      )}
+
+      <List>
+        {merchants.map(merchant => (
+          <ListItem
+            key={merchant.name}
+            divider
+            secondaryAction={
+              <>
+                <IconButton aria-label="edit" onClick={() => startEditing(merchant)}>
+                  <EditIcon />
+                </IconButton>
+                {merchant.listed && (
+                  <IconButton edge="end" aria-label="delete" onClick={() => handleDelete(merchant)}>
+                    <DeleteIcon />
+                  </IconButton>
+                )}
+              </>
+            }
+          >
+            <ListItemText
+              primary={`${merchant.name} (${merchant.count} expense${merchant.count === 1 ? '' : 's'})`}
+              secondary={merchant.aliases.length > 0 ? `Also written: ${merchant.aliases.join(', ')}` : 'No aliases'}
+            />
+          </ListItem>
+        ))}
+      </List>
+
+      <Box
+        component="form"
+        onSubmit={handleSave}
+        sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', alignItems: 'center', mt: 2 }}
+      >
+        <TextField
+          size="small"
+          label="Merchant"
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+        />
+        <TextField
+          size="small"
+          label="Aliases"
+          value={form.aliases}
+          onChange={(e) => setForm({ ...form, aliases: e.target.value })}
+          helperText="Comma-separated, e.g. amzn, amzn mktp"
+          sx={{ flexGrow: 1 }}
+        />
+        <Button type="submit" variant="contained" disabled={!form.name.trim()}>
+          {editingName ? 'Save' : 'Add'}
+        </Button>
+        {editingName && (
+          <Button onClick={cancelEditing}>
+            Cancel
+          </Button>
+        )}
+      </Box>
+    </Box>
+  );
+}
+
+export default Merchants;
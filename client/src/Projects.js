@@ -0,0 +1,207 @@
+import React, { useState, useEffect } from 'react';
+import {
+  TextField,
+  Button,
+  List,
+  ListItem,
+  ListItemText,
+  Typography,
+  Box,
+  IconButton,
+  MenuItem
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import EditIcon from '@mui/icons-material/Edit';
+import axios from 'axios';
+import { API_BASE_URL } from './api';
+import { formatMoney, formatDay } from './format';
+
+const EMPTY_FORM = { name: '', kind: 'trip', startDate: '', endDate: '' };
+
+// Helper function to describe when a trip or project runs, e.g. "May 2, 2025 to May 9, 2025"
+const describeDates = ({ startDate, endDate }) => {
+  if (startDate && endDate) return `${formatDay(startDate)} to ${formatDay(endDate)}`;
+  if (startDate) return `from ${formatDay(startDate)}`;
+  if (endDate) return `until ${formatDay(endDate)}`;
+  return '';
+};
+
+// Trips and projects, which collect expenses across categories. Expenses
+// made during a trip are put in it without being asked.
+function Projects({ baseCurrency, onChange }) {
+  const [projects, setProjects] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [notice, setNotice] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchProjects();
+  }, []);
+
+  const fetchProjects = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/projects`);
+      setProjects(response.data);
+    } catch (error) {
+      console.error('Error fetching projects:', error);
+    }
+  };
+
+  const handleFormChange = (field) => (e) => {
+    setForm({ ...form, [field]: e.target.value });
+  };
+
+  const startEditing = (project) => {
+    setEditingId(project.id);
+    setForm({
+      name: project.name,
+      kind: project.kind,
+      startDate: project.startDate || '',
+      endDate: project.endDate || ''
+    });
+  };
+
+  const cancelEditing = () => {
+    setEditingId(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setError('');
+    setNotice('');
+    try {
+      const body = { ...form, startDate: form.startDate || null, endDate: form.endDate || null };
+      const response = editingId
+        ? await axios.put(`${API_BASE_URL}/projects/${editingId}`, body)
+        : await axios.post(`${API_BASE_URL}/projects`, body);
+      if (response.data.assigned > 0) {
+        setNotice(`Added ${response.data.assigned} expenses made during ${response.data.name}.`);
+      }
+      cancelEditing();
+      await fetchProjects();
+      onChange();
+    } catch (error) {
+      console.error('Error saving project:', error);
+      setError(error.response?.data?.error || 'Could not save project');
+    }
+  };
+
+  const handleDelete = async (project) => {
+    if (!window.confirm(`Delete "${project.name}"? Its expenses are kept.`)) return;
+    setError('');
+    setNotice('');
+    try {
+      await axios.delete(`${API_BASE_URL}/projects/${project.id}`);
+      if (editingId === project.id) cancelEditing();
+      await fetchProjects();
+      onChange();
+    } catch (error) {
+      console.error('Error deleting project:', error);
+      setError(error.response?.data?.error || 'Could not delete project');
+    }
+  };
+
+  return (
+    <Box>
+      <Typography variant="body2" color="text.secondary" gutterBottom>
+        Expenses made during a trip are added to it. Add one to a project by writing its name as a hashtag, e.g. "tiles $300 #kitchen-remodel".
+      </Typography>
+      {error && (
+        <Typography color="error" variant="body2">
+          {error}
+        </Typography>
+      )}
+      {notice && (
+        <Typography variant="body2">
+          {notice}
+        </Typography>
+      )}
+
+      <List>
+        {projects.length === 0 && (
+          <ListItem>
+            <ListItemText secondary="No trips or projects yet." />
+          </ListItem>
+        )}
+        {projects.map(project => (
+          <ListItem
+            key={project.id}
+            divider
+            secondaryAction={
+              <>
+                <IconButton aria-label="edit" onClick={() => startEditing(project)}>
+                  <EditIcon />
+                </IconButton>
+                <IconButton edge="end" aria-label="delete" onClick={() => handleDelete(project)}>
+                  <DeleteIcon />
+                </IconButton>
+              </>
+            }
+          >
+            <ListItemText
+              primary={`${project.name} - ${formatMoney(project.spent, baseCurrency)}`}
+              secondary={[
+                project.kind === 'trip' ? 'Trip' : 'Project',
+                describeDates(project),
+                `${project.expenseCount} expense${project.expenseCount === 1 ? '' : 's'}`
+              ].filter(Boolean).join(' - ')}
+            />
+          </ListItem>
+        ))}
+      </List>
+
+      <Box
+        component="form"
+        onSubmit={handleSave}
+        sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', alignItems: 'center', mt: 2 }}
+      >
+        <TextField
+          size="small"
+          label="Name"
+          value={form.name}
+          onChange={handleFormChange('name')}
+          sx={{ flexGrow: 1 }}
+        />
+        <TextField
+          select
+          size="small"
+          label="Kind"
+          value={form.kind}
+          onChange={handleFormChange('kind')}
+          sx={{ width: 120 }}
+        >
+          <MenuItem value="trip">Trip</MenuItem>
+          <MenuItem value="project">Project</MenuItem>
+        </TextField>
+        <TextField
+          size="small"
+          label="Starts"
+          type="date"
+          value={form.startDate}
+          onChange={handleFormChange('startDate')}
+          InputLabelProps={{ shrink: true }}
+        />
+        <TextField
+          size="small"
+          label="Ends"
+          type="date"
+          value={form.endDate}
+          onChange={handleFormChange('endDate')}
+          InputLabelProps={{ shrink: true }}
+        />
+        <Button type="submit" variant="contained" disabled={!form.name.trim()}>
+          {editingId ? 'Save' : 'Add'}
+        </Button>
+        {editingId && (
+          <Button onClick={cancelEditing}>
+            Cancel
+          </Button>
+        )}
+      </Box>
+    </Box>
+  );
+}
+
+export default Projects;
@@ -0,0 +1,275 @@
+import React, { useState, useEffect } from 'react';
+import {
+  TextField,
+  Button,
+  List,
+  ListItem,
+  ListItemText,
+  Typography,
+  Box,
+  IconButton,
+  MenuItem
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import axios from 'axios';
+import { API_BASE_URL } from './api';
+import { formatMoney, toDayKey } from './format';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const today = () => toDayKey();
+
+const emptyForm = () => ({
+  description: '',
+  amount: '',
+  currency: '',
+  category: '',
+  frequency: 'monthly',
+  dayOfWeek: '',
+  dayOfMonth: '',
+  startDate: today(),
+  endDate: ''
+});
+
+// Helper function to describe a schedule, e.g. "Monthly on day 1 until 2025-12-31"
+const describeSchedule = (definition) => {
+  let schedule;
+  if (definition.frequency === 'weekly') {
+    schedule = `Weekly on ${WEEKDAYS[definition.dayOfWeek]}`;
+  } else if (definition.frequency === 'monthly') {
+    schedule = `Monthly on day ${definition.dayOfMonth}`;
+  } else {
+    schedule = `Yearly on ${definition.startDate.slice(5)}`;
+  }
+  return `${schedule} from ${definition.startDate}${definition.endDate ? ` until ${definition.endDate}` : ''}`;
+};
+
+// Helper function to turn the form into a request body, leaving out blank optional fields
+const toRequestBody = (form) => Object.fromEntries(
+  Object.entries(form).filter(([field, value]) => value !== '' && (
+    (field !== 'dayOfWeek' || form.frequency === 'weekly') &&
+    (field !== 'dayOfMonth' || form.frequency === 'monthly')
+  ))
+);
+
+// Recurring expenses (rent, subscriptions, bills) that are added automatically when due
+function RecurringExpenses({ onChange }) {
+  const [definitions, setDefinitions] = useState([]);
+  const [suggestions, setSuggestions] = useState([]);
+  const [form, setForm] = useState(emptyForm());
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchRecurring();
+  }, []);
+
+  const fetchRecurring = async () => {
+    try {
+      const [definitionsResponse, suggestionsResponse] = await Promise.all([
+        axios.get(`${API_BASE_URL}/recurring`),
+        axios.get(`${API_BASE_URL}/recurring/suggestions`)
+      ]);
+      setDefinitions(definitionsResponse.data);
+      setSuggestions(suggestionsResponse.data);
+    } catch (error) {
+      console.error('Error fetching recurring expenses:', error);
+    }
+  };
+
+  // Save a definition, then refresh it and the expenses it may have created
+  const create = async (body) => {
+    setError('');
+    try {
+      await axios.post(`${API_BASE_URL}/recurring`, body);
+      await fetchRecurring();
+      onChange();
+      return true;
+    } catch (error) {
+      console.error('Error saving recurring expense:', error);
+      setError(error.response?.data?.error || 'Could not save recurring expense');
+      return false;
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (await create(toRequestBody(form))) {
+      setForm(emptyForm());
+    }
+  };
+
+  // Suggestions are shaped like definitions; the extra fields are ignored
+  const handleAccept = (suggestion) => create(suggestion);
+
+  const handleDelete = async (definition) => {
+    if (!window.confirm(`Stop "${definition.description}"? Expenses already added are kept.`)) return;
+    try {
+      await axios.delete(`${API_BASE_URL}/recurring/${definition.id}`);
+      await fetchRecurring();
+    } catch (error) {
+      console.error('Error deleting recurring expense:', error);
+      setError(error.response?.data?.error || 'Could not delete recurring expense');
+    }
+  };
+
+  const handleFormChange = (field) => (e) => {
+    setForm({ ...form, [field]: e.target.value });
+  };
+
+  return (
+    <Box>
+      <Typography variant="body2" color="text.secondary" gutterBottom>
+        Recurring expenses are added on each due date, including any that fell due while the server was off.
+      </Typography>
+      {error && (
+        <Typography color="error" variant="body2">
+          {error}
+        </Typography>
+      )}
+
+      <List>
+        {definitions.length === 0 && (
+          <ListItem>
+            <ListItemText secondary="No recurring expenses yet." />
+          </ListItem>
+        )}
+        {definitions.map(definition => (
+          <ListItem
+            key={definition.id}
+            divider
+            secondaryAction={
+              <IconButton edge="end" aria-label="delete" onClick={() => handleDelete(definition)}>
+                <DeleteIcon />
+              </IconButton>
+            }
+          >
+            <ListItemText
+              primary={`${definition.description} - ${formatMoney(definition.amount, definition.currency)}`}
+              secondary={`${definition.category} - ${describeSchedule(definition)}`}
+            />
+          </ListItem>
+        ))}
+      </List>
+
+      <Box
+        component="form"
+        onSubmit={handleAdd}
+        sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', alignItems: 'center', mt: 2 }}
+      >
+        <TextField
+          size="small"
+          label="Description"
+          value={form.description}
+          onChange={handleFormChange('description')}
+          sx={{ flexGrow: 1 }}
+        />
+        <TextField
+          size="small"
+          label="Amount"
+          type="number"
+          value={form.amount}
+          onChange={handleFormChange('amount')}
+          sx={{ width: 110 }}
+        />
+        <TextField
+          size="small"
+          label="Currency"
+          value={form.currency}
+          onChange={handleFormChange('currency')}
+          inputProps={{ maxLength: 3 }}
+          sx={{ width: 90 }}
+        />
+        <TextField
+          size="small"
+          label="Category"
+          value={form.category}
+          onChange={handleFormChange('category')}
+          helperText="Guessed when blank"
+          sx={{ width: 150 }}
+        />
+        <TextField
+          select
+          size="small"
+          label="Repeats"
+          value={form.frequency}
+          onChange={handleFormChange('frequency')}
+          sx={{ width: 120 }}
+        >
+          <MenuItem value="weekly">Weekly</MenuItem>
+          <MenuItem value="monthly">Monthly</MenuItem>
+          <MenuItem value="yearly">Yearly</MenuItem>
+        </TextField>
+        {form.frequency === 'weekly' && (
+          <TextField
+            select
+            size="small"
+            label="On"
+            value={form.dayOfWeek}
+            onChange={handleFormChange('dayOfWeek')}
+            sx={{ width: 140 }}
+          >
+            {WEEKDAYS.map((weekday, index) => (
+              <MenuItem key={weekday} value={index}>{weekday}</MenuItem>
+            ))}
+          </TextField>
+        )}
+        {form.frequency === 'monthly' && (
+          <TextField
+            size="small"
+            label="Day of month"
+            type="number"
+            value={form.dayOfMonth}
+            onChange={handleFormChange('dayOfMonth')}
+            inputProps={{ min: 1, max: 31 }}
+            sx={{ width: 120 }}
+          />
+        )}
+        <TextField
+          size="small"
+          label="Starts"
+          type="date"
+          value={form.startDate}
+          onChange={handleFormChange('startDate')}
+          InputLabelProps={{ shrink: true }}
+        />
+        <TextField
+          size="small"
+          label="Ends"
+          type="date"
+          value={form.endDate}
+          onChange={handleFormChange('endDate')}
+          InputLabelProps={{ shrink: true }}
+        />
+        <Button type="submit" variant="contained" disabled={!form.description.trim() || !form.amount}>
+          Add
+        </Button>
+      </Box>
+
+      {suggestions.length > 0 && (
+        <Box sx={{ mt: 3 }}>
+          <Typography variant="subtitle1">Looks like a subscription</Typography>
+          <List>
+            {suggestions.map(suggestion => (
+              <ListItem
+                key={`${suggestion.description}-${suggestion.currency}`}
+                divider
+                secondaryAction={
+                  <Button size="small" onClick={() => handleAccept(suggestion)}>
+                    Make recurring
+                  </Button>
+                }
+              >
+                <ListItemText
+                  primary={`${suggestion.description} - ${formatMoney(suggestion.amount, suggestion.currency)}`}
+                  secondary={`${suggestion.occurrences} times, last on ${suggestion.lastDate}. ${describeSchedule(suggestion)}`}
+                />
+              </ListItem>
+            ))}
+          </List>
+        </Box>
+      )}
+    </Box>
+  );
+}
+
+export default RecurringExpenses;
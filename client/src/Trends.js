@@ -0,0 +1,197 @@
+import React, { useState, useEffect } from 'react';
+import {
+  TextField,
+  Typography,
+  Box,
+  MenuItem,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import {
+  ComposedChart,
+  Bar,
+  Line,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+  ResponsiveContainer
+} from 'recharts';
+import axios from 'axios';
+import { API_BASE_URL } from './api';
+import { formatMoney } from './format';
+
+const MONTH_OPTIONS = [6, 12, 24, 36];
+
+const PERIOD_OPTIONS = [
+  ['month', 'This month'],
+  ['quarter', 'This quarter'],
+  ['year', 'This year']
+];
+
+const AGAINST_OPTIONS = [
+  ['previous', 'Previous period'],
+  ['lastYear', 'Same period last year']
+];
+
+// Helper function to show a change with its sign, e.g. "+$12.00 (+8.5%)"
+const formatChange = (delta, percentChange, currency) => {
+  const sign = delta > 0 ? '+' : delta < 0 ? '-' : '';
+  let text = `${sign}${formatMoney(Math.abs(delta), currency)}`;
+  if (percentChange !== null) {
+    text += ` (${sign}${Math.abs(percentChange).toFixed(1)}%)`;
+  }
+  return text;
+};
+
+const changeColor = (delta) => (delta > 0 ? 'error.main' : delta < 0 ? 'success.main' : 'text.secondary');
+
+// Monthly spending with rolling averages, and a period-over-period comparison by category
+function Trends({ baseCurrency }) {
+  const [categories, setCategories] = useState([]);
+  const [category, setCategory] = useState('');
+  const [months, setMonths] = useState(12);
+  const [trend, setTrend] = useState([]);
+  const [period, setPeriod] = useState('month');
+  const [against, setAgainst] = useState('previous');
+  const [comparison, setComparison] = useState(null);
+
+  useEffect(() => {
+    axios.get(`${API_BASE_URL}/categories`)
+      .then(response => setCategories(response.data.map(item => item.name)))
+      .catch(error => console.error('Error fetching categories:', error));
+  }, []);
+
+  useEffect(() => {
+    const params = { months, ...(category ? { category } : {}) };
+    axios.get(`${API_BASE_URL}/trends`, { params })
+      .then(response => setTrend(response.data.months))
+      .catch(error => console.error('Error fetching trends:', error));
+  }, [category, months]);
+
+  useEffect(() => {
+    const params = { period, against, ...(category ? { category } : {}) };
+    axios.get(`${API_BASE_URL}/compare`, { params })
+      .then(response => setComparison(response.data))
+      .catch(error => console.error('Error comparing periods:', error));
+  }, [category, period, against]);
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', mb: 2 }}>
+        <TextField
+          select
+          size="small"
+          label="Category"
+          value={category}
+          onChange={(e) => setCategory(e.target.value)}
+          sx={{ minWidth: 160 }}
+        >
+          <MenuItem value="">All categories</MenuItem>
+          {categories.map(name => (
+            <MenuItem key={name} value={name}>{name}</MenuItem>
+          ))}
+        </TextField>
+        <TextField
+          select
+          size="small"
+          label="Months"
+          value={months}
+          onChange={(e) => setMonths(e.target.value)}
+          sx={{ minWidth: 100 }}
+        >
+          {MONTH_OPTIONS.map(option => (
+            <MenuItem key={option} value={option}>{option}</MenuItem>
+          ))}
+        </TextField>
+      </Box>
+
+      <Paper sx={{ p: 2, height: 320, mb: 3 }}>
+        <Typography variant="subtitle1" gutterBottom align="center">
+          Monthly Spending
+        </Typography>
+        <ResponsiveContainer width="100%" height="90%">
+          <ComposedChart data={trend}>
+            <XAxis dataKey="month" />
+            <YAxis />
+            <Tooltip formatter={(value) => formatMoney(value, baseCurrency)} />
+            <Legend />
+            <Bar dataKey="total" fill="#90caf9" name="Spent" />
+            <Line type="monotone" dataKey="rolling3" stroke="#1976d2" dot={false} name="3-month average" connectNulls />
+            <Line type="monotone" dataKey="rolling12" stroke="#ff9800" dot={false} name="12-month average" connectNulls />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </Paper>
+
+      <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', mb: 2 }}>
+        <TextField
+          select
+          size="small"
+          label="Period"
+          value={period}
+          onChange={(e) => setPeriod(e.target.value)}
+          sx={{ minWidth: 140 }}
+        >
+          {PERIOD_OPTIONS.map(([value, label]) => (
+            <MenuItem key={value} value={value}>{label}</MenuItem>
+          ))}
+        </TextField>
+        <TextField
+          select
+          size="small"
+          label="Compared with"
+          value={against}
+          onChange={(e) => setAgainst(e.target.value)}
+          sx={{ minWidth: 200 }}
+        >
+          {AGAINST_OPTIONS.map(([value, label]) => (
+            <MenuItem key={value} value={value}>{label}</MenuItem>
+          ))}
+        </TextField>
+      </Box>
+
+      {comparison && (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Category</TableCell>
+              <TableCell align="right">{comparison.current.label}</TableCell>
+              <TableCell align="right">{comparison.previous.label}</TableCell>
+              <TableCell align="right">Change</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {comparison.categories.map(entry => (
+              <TableRow key={entry.category}>
+                <TableCell>{entry.category}</TableCell>
+                <TableCell align="right">{formatMoney(entry.current, comparison.currency)}</TableCell>
+                <TableCell align="right">{formatMoney(entry.previous, comparison.currency)}</TableCell>
+                <TableCell align="right" sx={{ color: changeColor(entry.delta) }}>
+                  {formatChange(entry.delta, entry.percentChange, comparison.currency)}
+                </TableCell>
+              </TableRow>
+            ))}
+            <TableRow>
+              <TableCell sx={{ fontWeight: 'bold' }}>Total</TableCell>
+              <TableCell align="right" sx={{ fontWeight: 'bold' }}>
+                {formatMoney(comparison.current.total, comparison.currency)}
+              </TableCell>
+              <TableCell align="right" sx={{ fontWeight: 'bold' }}>
+                {formatMoney(comparison.previous.total, comparison.currency)}
+              </TableCell>
+              <TableCell align="right" sx={{ fontWeight: 'bold', color: changeColor(comparison.delta) }}>
+                {formatChange(comparison.delta, comparison.percentChange, comparison.currency)}
+              </TableCell>
+            </TableRow>
+          </TableBody>
+        </Table>
+      )}
+    </Box>
+  );
+}
+
+export default Trends;
@@ -0,0 +1,82 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+
+export const API_BASE_URL = 'http://localhost:3001/api';
+
+// The session token from signing in, kept across reloads and sent with
+// every axios request
+const TOKEN_KEY = 'sessionToken';
+
+export const getSessionToken = () => localStorage.getItem(TOKEN_KEY);
+
+export const setSessionToken = (token) => {
+  if (token) {
+    localStorage.setItem(TOKEN_KEY, token);
+    axios.defaults.headers.common.Authorization = `Bearer ${token}`;
+  } else {
+    localStorage.removeItem(TOKEN_KEY);
+    delete axios.defaults.headers.common.Authorization;
+  }
+};
+
+setSessionToken(getSessionToken());
+
+// Get a short-lived signed link for something the browser opens itself (an
+// export or a receipt image), which can't send the session token as a header.
+// path is relative to API_BASE_URL, e.g. "/receipts/abc.jpg".
+export const getDownloadLink = async (path) => {
+  const response = await axios.post(`${API_BASE_URL}/links`, { path });
+  return `${API_BASE_URL}${response.data.url}`;
+};
+
+// Open a download in a new tab. The tab is opened straight away, so it isn't
+// blocked as a pop-up, and sent to the signed link once there is one.
+export const openDownload = async (path) => {
+  const tab = window.open('', '_blank');
+  try {
+    const url = await getDownloadLink(path);
+    if (tab) {
+      tab.location.href = url;
+    } else {
+      window.location.href = url;
+    }
+  } catch (error) {
+    if (tab) tab.close();
+    throw error;
+  }
+};
+
+// Hook giving a signed link for path, or null until it's ready
+export const useDownloadLink = (path) => {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setUrl(null);
+    getDownloadLink(path)
+      .then(link => {
+        if (!cancelled) setUrl(link);
+      })
+      .catch(error => console.error('Error signing link:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [path]);
+
+  return url;
+};
+
+// Call handler whenever the server turns a request down because the session
+// has ended. Returns a function that stops listening.
+export const onSessionExpired = (handler) => {
+  const interceptor = axios.interceptors.response.use(
+    response => response,
+    error => {
+      if (error.response?.status === 401) {
+        handler();
+      }
+      return Promise.reject(error);
+    }
+  );
+  return () => axios.interceptors.response.eject(interceptor);
+};
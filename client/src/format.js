@@ -0,0 +1,45 @@
+// Format an amount of money, e.g. formatMoney(5, 'EUR') -> "€5.00"
+export const formatMoney = (amount, currency = 'USD') => {
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+  } catch (error) {
+    return `${Number(amount).toFixed(2)} ${currency}`;
+  }
+};
+
+// The user's timezone, which the server files expenses by. It's the
+// browser's until App loads the saved one from /api/settings.
+let timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+export const browserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+export const setTimeZone = (zone) => {
+  timeZone = zone;
+};
+
+// Get the day (YYYY-MM-DD) a date falls on in the user's timezone
+export const toDayKey = (date = new Date()) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .formatToParts(new Date(date))
+    .forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+  return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+// Format a date, or a YYYY-MM-DD day, for display
+export const formatDate = (date) => new Date(date).toLocaleDateString(undefined, { timeZone });
+export const formatDay = (day) => new Date(`${day}T12:00:00Z`).toLocaleDateString(undefined, { timeZone: 'UTC' });
+
+// The account holder's name in groups and splits
+const SELF = 'me';
+export const formatMember = (member) => (member === SELF ? 'You' : member);
+
+// Describe how an expense is split, e.g. "Split with Sam and Alex, Sam paid"
+export const describeSplit = (split) => {
+  const others = split.shares.map(share => share.member).filter(member => member !== SELF);
+  const names = others.length > 1 ? `${others.slice(0, -1).join(', ')} and ${others[others.length - 1]}` : others[0] || 'nobody else';
+  const how = split.method === 'equal' ? '' : split.method === 'percent'
+    ? ` (${split.shares.map(share => `${share.percent}%`).join('/')})`
+    : ' (exact amounts)';
+  return `Split with ${names}${how}, ${split.paidBy === SELF ? 'you' : split.paidBy} paid`;
+};
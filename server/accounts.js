@@ -0,0 +1,189 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomBytes, randomUUID, scrypt, createHash, createHmac, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import { DATA_DIR, adoptLegacyData } from './storage/index.js';
+import { writeJsonFile, withFileLock } from './storage/files.js';
+import { RATES_FILE } from './currency.js';
+
+// Accounts and sessions are shared by the whole server, unlike everything
+// else, which is kept per user (see storage/index.js)
+export const USERS_FILE = path.join(DATA_DIR, 'users.json');
+export const SESSIONS_FILE = path.join(DATA_DIR, 'sessions.json');
+
+// How long a session lasts after signing in, in days (SESSION_DAYS, default 30)
+export const SESSION_DAYS = Number(process.env.SESSION_DAYS) > 0 ? Number(process.env.SESSION_DAYS) : 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Anyone who can reach the server can create an account unless
+// ALLOW_REGISTRATION is "false"; the first account can always be created
+export const REGISTRATION_OPEN = process.env.ALLOW_REGISTRATION !== 'false';
+
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{2,31}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 256;
+
+// Passwords are hashed with scrypt and a random salt per user
+const KEY_LENGTH = 64;
+const deriveKey = promisify(scrypt);
+
+// Stand-in hash checked for unknown usernames, so a failed sign-in takes
+// as long whether or not the account exists
+const UNKNOWN_USER_HASH = `scrypt:${'0'.repeat(32)}:${'0'.repeat(KEY_LENGTH * 2)}`;
+
+const hashPassword = async (password) => {
+  const salt = randomBytes(16).toString('hex');
+  const key = await deriveKey(password, salt, KEY_LENGTH);
+  return `scrypt:${salt}:${key.toString('hex')}`;
+};
+
+const verifyPassword = async (password, passwordHash) => {
+  const [, salt, expected] = passwordHash.split(':');
+  const key = await deriveKey(password, salt, KEY_LENGTH);
+  return timingSafeEqual(key, Buffer.from(expected, 'hex'));
+};
+
+// Session tokens are stored only as hashes, so the sessions file can't be
+// used to sign in
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+// Changes to the account files are made one at a time. Registering can
+// change both files, so one lock, on the users file, covers both.
+const withAccountsLock = (task) => withFileLock(USERS_FILE, task);
+
+const readJson = async (file, key) => {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'))[key] || [];
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+};
+
+const loadUsers = () => readJson(USERS_FILE, 'users');
+const loadSessions = () => readJson(SESSIONS_FILE, 'sessions');
+
+// Helper function to get the details of an account that are safe to share
+export const toPublicUser = ({ id, username, createdAt }) => ({ id, username, createdAt });
+
+// Helper function to list every account, oldest first
+export const listUsers = async () => (await loadUsers()).map(toPublicUser);
+
+// Helper function to find an account by username, or null
+export const findUser = async (username) => {
+  const user = (await loadUsers()).find(existing => existing.username === String(username).toLowerCase());
+  return user ? toPublicUser(user) : null;
+};
+
+// Helper function to validate a username and password from a request body.
+// Usernames are case-insensitive and stored in lower case.
+// Returns { credentials } on success or { error } describing the first problem.
+export const normalizeCredentials = (body) => {
+  const { username, password } = body || {};
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username.trim().toLowerCase())) {
+    return { error: 'username must be 3-32 letters, digits, ".", "_" or "-", starting with a letter or digit' };
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    return { error: `password must be ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_LENGTH} characters` };
+  }
+  return { credentials: { username: username.trim().toLowerCase(), password } };
+};
+
+// Helper function to create an account. The first account takes over the
+// data saved before there were accounts.
+// Returns { user, adopted } on success or { error, status } when the
+// username is taken or registration is closed.
+export const registerUser = ({ username, password }) => withAccountsLock(async () => {
+  const users = await loadUsers();
+  if (users.length > 0 && !REGISTRATION_OPEN) {
+    return { error: 'Registration is closed', status: 403 };
+  }
+  if (users.some(existing => existing.username === username)) {
+    return { error: 'That username is taken', status: 409 };
+  }
+
+  const user = {
+    id: randomUUID(),
+    username,
+    passwordHash: await hashPassword(password),
+    createdAt: new Date().toISOString()
+  };
+  const adopted = users.length === 0 ? await adoptLegacyData(user, [USERS_FILE, SESSIONS_FILE, RATES_FILE]) : 0;
+  if (adopted > 0) {
+    console.log(`Moved ${adopted} existing data files to ${username}'s account`);
+  }
+  await writeJsonFile(USERS_FILE, { users: [...users, user] });
+  return { user: toPublicUser(user), adopted };
+});
+
+// Helper function to check a username and password.
+// Returns the account, or null when either is wrong.
+export const authenticate = async ({ username, password }) => {
+  const user = (await loadUsers()).find(existing => existing.username === username);
+  const matches = await verifyPassword(password, user ? user.passwordHash : UNKNOWN_USER_HASH);
+  return user && matches ? toPublicUser(user) : null;
+};
+
+// Helper function to start a session for an account. Returns the token to
+// sign requests with and when it expires.
+export const createSession = (user, now = new Date()) => withAccountsLock(async () => {
+  const token = randomBytes(32).toString('base64url');
+  const expiresAt = new Date(now.getTime() + SESSION_DAYS * DAY_MS).toISOString();
+  const sessions = (await loadSessions()).filter(session => new Date(session.expiresAt) > now);
+  sessions.push({ tokenHash: hashToken(token), userId: user.id, createdAt: now.toISOString(), expiresAt });
+  await writeJsonFile(SESSIONS_FILE, { sessions });
+  return { token, expiresAt };
+});
+
+// Helper function to find the account a session token belongs to.
+// Returns null for unknown and expired tokens.
+export const findSessionUser = async (token, now = new Date()) => {
+  const tokenHash = hashToken(token);
+  const session = (await loadSessions()).find(existing => existing.tokenHash === tokenHash);
+  if (!session || new Date(session.expiresAt) <= now) return null;
+  const user = (await loadUsers()).find(existing => existing.id === session.userId);
+  return user ? toPublicUser(user) : null;
+};
+
+// Helper function to end a session
+export const endSession = (token) => withAccountsLock(async () => {
+  const tokenHash = hashToken(token);
+  const sessions = await loadSessions();
+  await writeJsonFile(SESSIONS_FILE, { sessions: sessions.filter(session => session.tokenHash !== tokenHash) });
+});
+
+// Links the browser opens itself (exports and receipt images) can't carry the
+// session token as a header, so they're signed instead: each signature is for
+// one user and one URL, and expires after DOWNLOAD_LINK_SECONDS. The signing
+// key is made when the server starts, so no link outlives it.
+export const DOWNLOAD_LINK_SECONDS = 300;
+const linkKey = randomBytes(32);
+
+const signLink = (userId, expires, url) =>
+  createHmac('sha256', linkKey).update(`${userId}\n${expires}\n${url}`).digest('base64url');
+
+// Helper function to sign a URL (relative to /api) for a user. Returns the
+// URL with a signature parameter added, and when it expires.
+export const createDownloadLink = (user, url, now = new Date()) => {
+  const expires = now.getTime() + DOWNLOAD_LINK_SECONDS * 1000;
+  const signature = `${user.id}.${expires}.${signLink(user.id, expires, url)}`;
+  return {
+    url: `${url}${url.includes('?') ? '&' : '?'}signature=${signature}`,
+    expiresAt: new Date(expires).toISOString()
+  };
+};
+
+// Helper function to find the account a signed URL was made for.
+// Returns null unless the URL ends with a valid signature that hasn't expired.
+export const findDownloadLinkUser = async (signedUrl, now = new Date()) => {
+  const match = signedUrl.match(/^(.*)[?&]signature=([^.&]+)\.(\d+)\.([\w-]+)$/);
+  if (!match) return null;
+  const [, url, userId, expires, signature] = match;
+  if (Number(expires) <= now.getTime()) return null;
+
+  const expected = Buffer.from(signLink(userId, expires, url));
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) return null;
+  const user = (await loadUsers()).find(existing => existing.id === userId);
+  return user ? toPublicUser(user) : null;
+};
@@ -0,0 +1,240 @@
+import * as chrono from 'chrono-node';
+import {
+  BASE_CURRENCY,
+  CURRENCY_NAMES,
+  SYMBOL_PATTERN,
+  CODE_PATTERN,
+  NAME_PATTERN,
+  toCurrencyCode,
+  formatMoney
+} from './currency.js';
+
+// A number as people type it: "1,250.00", "1.250,00" or "1.250.000" (thousands
+// dots), "12,50" (decimal comma), "4.5", ".99", "20". "1.250" could be either
+// 1250 or 1.25, so it's read both ways (see readNumber).
+const NUMBER_PATTERN = String.raw`\d{1,3}(?:,\d{3})+(?:\.\d{1,2})?(?!\d)|\d{1,3}(?:\.\d{3})+,\d{1,2}(?![\d,])|\d{1,3}(?:\.\d{3})+(?![\d,.])|\d+,\d{2}(?![\d,])|\d*\.\d{1,2}(?!\d)|\d+`;
+
+// An optional currency marker before the number, the number (with an optional
+// "k" for thousands), then an optional currency marker after it. A marker
+// followed by another number belongs to that number ("7:30 $15").
+const NUMERIC_AMOUNT = new RegExp(
+  `(?:(${SYMBOL_PATTERN})|\\b(${CODE_PATTERN})\\s?)?(?<![\\d.,])(${NUMBER_PATTERN})(k\\b)?` +
+  `(?:\\s?(?:(${SYMBOL_PATTERN})(?!\\s?\\d)|(${CODE_PATTERN}|${NAME_PATTERN})\\b(?!\\s?\\d)))?`,
+  'g'
+);
+
+const ONES = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+  seventeen: 17, eighteen: 18, nineteen: 19
+};
+const TENS = {
+  twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90
+};
+const SCALES = { hundred: 100, thousand: 1000, million: 1000000 };
+
+const NUMBER_WORD = [...Object.keys(ONES), ...Object.keys(TENS), ...Object.keys(SCALES), 'a', 'an', 'and'].join('|');
+
+// A run of number words followed by a currency name: "twenty dollars", "a hundred and fifty euros"
+const WORD_AMOUNT = new RegExp(
+  `\\b((?:${NUMBER_WORD})(?:[\\s-]+(?:${NUMBER_WORD}))*)\\s+(${NAME_PATTERN})\\b`,
+  'gi'
+);
+
+// Words that introduce the amount actually paid: "for $12", "paid 40", "total was 18.50"
+const AMOUNT_CUE = /\b(?:for|cost|costs|costing|paid|pay|spent|spend|was|were|total|totaling|totalling|charged|came to|price)\s*(?:of\s*)?$/i;
+
+// Things a bare number can be instead of money: times, percentages, ordinals, quantities
+const NOT_MONEY_SUFFIX = /^\s*(?:%|am\b|pm\b|a\.m\.|p\.m\.|st\b|nd\b|rd\b|th\b|x\b|:\d|items?\b|pcs\b|pieces?\b|people\b|persons?\b|guests?\b|miles?\b|km\b|kg\b|lbs?\b|hours?\b|hrs?\b|mins?\b|minutes?\b|days?\b|weeks?\b|months?\b|years?\b|nights?\b)/i;
+const NOT_MONEY_PREFIX = /(?:[#:/]|\bno\.?\s?)$/i;
+
+// Helper function to turn a number typed by a person into a value
+const parseNumber = (raw) => {
+  if (/^\d{1,3}(?:\.\d{3})+(?:,\d{1,2})?$/.test(raw) && !/^\d{1,3}\.\d{3}$/.test(raw)) {
+    return parseFloat(raw.replace(/\./g, '').replace(',', '.'));
+  }
+  if (/^\d+,\d{2}$/.test(raw)) {
+    return parseFloat(raw.replace(',', '.'));
+  }
+  return parseFloat(raw.replace(/,/g, ''));
+};
+
+// Helper function to list the values a typed number can have: one, apart from
+// a single group after a dot ("1.250"), which is 1250 with a thousands dot
+// and 1.25 with a decimal point
+const readNumber = (raw) => (/^\d{1,3}\.\d{3}$/.test(raw)
+  ? [parseFloat(raw.replace('.', '')), parseFloat(raw)]
+  : [parseNumber(raw)]);
+
+// Helper function to turn a run of number words into a value, e.g.
+// "a hundred and twenty five" -> 125. Returns null for runs with no number in them.
+const parseNumberWords = (phrase) => {
+  let words = phrase.toLowerCase().split(/[\s-]+/).filter(word => word !== 'and');
+
+  // "a"/"an" only counts as one right before a scale ("a hundred") or alone ("a dollar")
+  while (words.length > 1 && ['a', 'an'].includes(words[0]) && !(words[1] in SCALES)) {
+    words = words.slice(1);
+  }
+  if (words.length === 0) return null;
+
+  let total = 0;
+  let current = 0;
+  for (const word of words) {
+    if (word === 'a' || word === 'an') {
+      current += 1;
+    } else if (word in ONES) {
+      current += ONES[word];
+    } else if (word in TENS) {
+      current += TENS[word];
+    } else if (word === 'hundred') {
+      current = Math.max(current, 1) * 100;
+    } else {
+      total += Math.max(current, 1) * SCALES[word];
+      current = 0;
+    }
+  }
+  return total + current;
+};
+
+// Helper function to get the spans of text that chrono reads as dates or times,
+// so numbers inside them ("at 5pm", "March 3") aren't taken for amounts
+const getDateSpans = (text, referenceDate) =>
+  chrono.parse(text, referenceDate).map(result => [result.index, result.index + result.text.length]);
+
+// Helper function to find every amount mentioned in a piece of text.
+// Each candidate has its position, value, currency (or null when none was
+// written) and whether a cue word such as "for" introduces it.
+export const findAmountCandidates = (text, referenceDate = new Date()) => {
+  const dateSpans = getDateSpans(text, referenceDate);
+  const inDateSpan = (start, end) => dateSpans.some(([spanStart, spanEnd]) => start >= spanStart && end <= spanEnd);
+  const candidates = [];
+
+  for (const match of text.matchAll(NUMERIC_AMOUNT)) {
+    const [raw, prefixSymbol, prefixCode, number, thousands, suffixSymbol, suffixWord] = match;
+    const currency = toCurrencyCode(prefixSymbol || prefixCode || suffixSymbol || suffixWord);
+    const start = match.index;
+    const numberStart = start + raw.indexOf(number);
+    const numberEnd = numberStart + number.length + (thousands ? 1 : 0);
+
+    // Bare numbers that look like part of a date, time or quantity are not amounts
+    if (!currency) {
+      if (inDateSpan(numberStart, numberEnd)) continue;
+      if (NOT_MONEY_SUFFIX.test(text.slice(numberEnd))) continue;
+      if (NOT_MONEY_PREFIX.test(text.slice(0, numberStart))) continue;
+    }
+
+    for (const value of readNumber(number)) {
+      candidates.push({
+        index: start,
+        end: start + raw.length,
+        text: raw.trim(),
+        amount: value * (thousands ? 1000 : 1),
+        currency,
+        cued: AMOUNT_CUE.test(text.slice(0, start))
+      });
+    }
+  }
+
+  for (const match of text.matchAll(WORD_AMOUNT)) {
+    const amount = parseNumberWords(match[1]);
+    if (amount === null) continue;
+    candidates.push({
+      index: match.index,
+      end: match.index + match[0].length,
+      text: match[0],
+      amount,
+      currency: CURRENCY_NAMES[match[2].toLowerCase()],
+      cued: AMOUNT_CUE.test(text.slice(0, match.index))
+    });
+  }
+
+  return candidates
+    .filter(candidate => candidate.amount > 0)
+    .sort((a, b) => a.index - b.index);
+};
+
+// Helper function to rank a candidate: an explicit currency counts most, then a cue word
+const scoreCandidate = (candidate) => (candidate.currency ? 2 : 0) + (candidate.cued ? 1 : 0);
+
+// Helper function to pick the amount paid from free text.
+// Returns { amount, currency, confidence, issues } when one amount stands out,
+// { error, candidates } when several amounts are equally likely, or null when
+// the text has no amount. Amounts written without a currency are assumed to be
+// in the base currency.
+export const extractAmount = (text, referenceDate = new Date()) => {
+  const candidates = findAmountCandidates(text, referenceDate);
+  if (candidates.length === 0) return null;
+
+  const bestScore = Math.max(...candidates.map(scoreCandidate));
+  const best = candidates.filter(candidate => scoreCandidate(candidate) === bestScore);
+  const distinct = [...new Map(best.map(candidate => [`${candidate.amount}:${candidate.currency}`, candidate])).values()];
+
+  if (distinct.length > 1) {
+    const listed = distinct.map(candidate => formatMoney(candidate.amount, candidate.currency || BASE_CURRENCY));
+    if (distinct.every(candidate => candidate.index === distinct[0].index)) {
+      return {
+        error: `"${distinct[0].text}" could be ${listed.join(' or ')}. Please write it without the thousands separator or with two decimals.`,
+        candidates: distinct.map(({ text: candidateText, amount, currency }) => ({ text: candidateText, amount, currency }))
+      };
+    }
+    return {
+      error: `Found several amounts (${listed.join(', ')}). Please enter one amount, or mark the price with "for", e.g. "for ${listed[0]}".`,
+      candidates: distinct.map(({ text: candidateText, amount, currency }) => ({ text: candidateText, amount, currency }))
+    };
+  }
+
+  // An explicit currency is the strongest signal, then a cue word; picking one
+  // amount out of several leaves some doubt
+  const chosen = distinct[0];
+  const issues = [];
+  let confidence = chosen.currency ? 1 : chosen.cued ? 0.8 : 0.7;
+  if (!chosen.currency) {
+    issues.push(`No currency given; assumed ${BASE_CURRENCY}`);
+  }
+  const numbers = new Set(candidates.map(candidate => candidate.index)).size;
+  if (numbers > 1) {
+    confidence -= 0.15;
+    issues.push(`Picked "${chosen.text}" out of ${numbers} numbers`);
+  }
+
+  return { amount: chosen.amount, currency: chosen.currency || BASE_CURRENCY, confidence, issues };
+};
+
+// Separators between line items: "coffee $4, lunch $15", "gas $40 and milk $10"
+const ITEM_SEPARATOR = /\s*(?:[,;\n]|\s(?:and|plus|&)\s|\s-\s)\s*/gi;
+
+// Conjunctions left at the start of an item after splitting ("and lunch $15")
+const LEADING_CONJUNCTION = /^(?:and|plus|&|also|then)\s+/i;
+
+// Helper function to split text that lists several expenses into one piece
+// of text per item. Items are cut at the first separator between two
+// consecutive amounts; text with fewer than two amounts, or with amounts that
+// aren't separated ("2 coffees 9"), is returned as a single item.
+export const splitLineItems = (text, referenceDate = new Date()) => {
+  const candidates = findAmountCandidates(text, referenceDate);
+  if (candidates.length < 2) return [text.trim()];
+
+  const cuts = [];
+  for (let i = 0; i < candidates.length - 1; i++) {
+    const gapStart = candidates[i].end;
+    const gap = text.slice(gapStart, candidates[i + 1].index);
+    ITEM_SEPARATOR.lastIndex = 0;
+    const separator = ITEM_SEPARATOR.exec(gap);
+    if (separator) {
+      cuts.push([gapStart + separator.index, gapStart + separator.index + separator[0].length]);
+    }
+  }
+  if (cuts.length === 0) return [text.trim()];
+
+  const items = [];
+  let start = 0;
+  for (const [cutStart, cutEnd] of cuts) {
+    items.push(text.slice(start, cutStart));
+    start = cutEnd;
+  }
+  items.push(text.slice(start));
+
+  return items
+    .map(item => item.trim().replace(LEADING_CONJUNCTION, '').replace(/[.,;]+$/, '').trim())
+    .filter(Boolean);
+};
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractAmount, splitLineItems } from './amounts.js';
+import { BASE_CURRENCY } from './currency.js';
+
+// Fixed so date phrases ("March 3") are read the same way on every run
+const NOW = new Date('2025-03-10T12:00:00Z');
+
+// Phrasings people type, and the amount and currency each should give
+const PHRASINGS = [
+  ['I spent $20 on gas', 20, 'USD'],
+  ['Paid $1,250 rent', 1250, 'USD'],
+  ['rent $1,250.00', 1250, 'USD'],
+  ['rent 1.250,00 EUR', 1250, 'EUR'],
+  ['€1.250,50 hotel', 1250.5, 'EUR'],
+  ['new car 12.500.000 JPY', 12500000, 'JPY'],
+  ['lunch 12,50 EUR', 12.5, 'EUR'],
+  ['coffee 4.5', 4.5, BASE_CURRENCY],
+  ['gum .99', 0.99, BASE_CURRENCY],
+  ['Uber at 5pm for $12', 12, 'USD'],
+  ['dinner on March 3 for 45', 45, BASE_CURRENCY],
+  ['7:30 $15 breakfast', 15, 'USD'],
+  ['twenty dollars lunch', 20, 'USD'],
+  ['a hundred and fifty euros for the hotel', 150, 'EUR'],
+  ['laptop 1.2k', 1200, BASE_CURRENCY],
+  ['bought 3 items for $18.50', 18.5, 'USD'],
+  ['taxi 2 people 30 GBP', 30, 'GBP'],
+  ['train £42', 42, 'GBP'],
+  ['sushi 2500 yen', 2500, 'JPY'],
+  ['table #12 bill 60', 60, BASE_CURRENCY]
+];
+
+for (const [text, amount, currency] of PHRASINGS) {
+  test(`"${text}" is ${amount} ${currency}`, () => {
+    const result = extractAmount(text, NOW);
+    assert.ok(result && !result.error, `expected an amount, got ${JSON.stringify(result)}`);
+    assert.equal(result.amount, amount);
+    assert.equal(result.currency, currency);
+  });
+}
+
+// Text that mentions several amounts with nothing to choose between them
+const AMBIGUOUS = [
+  ['pizza $12 beer $8', [12, 8]],
+  ['lunch 1.250 EUR', [1250, 1.25]]
+];
+
+for (const [text, amounts] of AMBIGUOUS) {
+  test(`"${text}" is ambiguous`, () => {
+    const result = extractAmount(text, NOW);
+    assert.ok(result.error);
+    assert.deepEqual(result.candidates.map(candidate => candidate.amount), amounts);
+  });
+}
+
+test('text without an amount gives null', () => {
+  assert.equal(extractAmount('lunch with Sam', NOW), null);
+  assert.equal(extractAmount('meeting at 5pm on March 3', NOW), null);
+});
+
+test('an amount without a currency is less certain', () => {
+  const result = extractAmount('coffee 4', NOW);
+  assert.equal(result.confidence, 0.7);
+  assert.deepEqual(result.issues, [`No currency given; assumed ${BASE_CURRENCY}`]);
+});
+
+test('picking one of several numbers lowers confidence', () => {
+  const result = extractAmount('2 coffees for $9', NOW);
+  assert.equal(result.amount, 9);
+  assert.ok(result.confidence < 1);
+});
+
+test('line items are split at separators between amounts', () => {
+  assert.deepEqual(splitLineItems('coffee $4 and lunch $15 yesterday', NOW), ['coffee $4', 'lunch $15 yesterday']);
+  assert.deepEqual(splitLineItems('rent 1.250,00 EUR', NOW), ['rent 1.250,00 EUR']);
+  assert.deepEqual(splitLineItems('2 coffees 9', NOW), ['2 coffees 9']);
+});
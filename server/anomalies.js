@@ -0,0 +1,150 @@
+import { tokenize } from './learner.js';
+import { toCategoryName } from './categories.js';
+import { currencyOf, formatMoney } from './currency.js';
+import { dayOf } from './timezone.js';
+
+// Robust z-score above which an amount is flagged (Iglewicz and Hoaglin's
+// cut-off), and how far above the typical amount it must also be, so small
+// price changes at a merchant that always charges the same aren't flagged
+export const OUTLIER_THRESHOLD = 3.5;
+const MIN_OUTLIER_RATIO = 1.5;
+
+// Fewest other expenses in a category, or at a merchant, before amounts there are judged
+const MIN_CATEGORY_HISTORY = 5;
+const MIN_MERCHANT_HISTORY = 3;
+
+// Days apart two charges of the same amount at the same merchant can be and
+// still look like a duplicate
+const DUPLICATE_WINDOW_DAYS = 1;
+
+// Amount in the base currency above which a first purchase at a merchant is flagged
+export const NEW_MERCHANT_THRESHOLD = Number(process.env.NEW_MERCHANT_ALERT_AMOUNT || 100);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Helper function to get the key that groups expenses at the same merchant:
+// the stored merchant, or the description for expenses without one
+// ("Starbucks #123" and "STARBUCKS 456" share one)
+export const merchantKey = (expense) => tokenize(expense.merchant || expense.description || '').join(' ');
+
+// Helper function to name an expense's merchant in a message
+const merchantName = (expense) => expense.merchant || expense.description;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Helper function to measure how far a value is above a set of others with
+// the modified z-score: 0.6745 * (x - median) / MAD. When more than half the
+// values are equal the MAD is 0, so the mean absolute deviation is used instead.
+// Returns { score, typical } where typical is the median.
+const robustScore = (value, others) => {
+  const typical = median(others);
+  const deviations = others.map(other => Math.abs(other - typical));
+  const mad = median(deviations);
+  if (mad > 0) {
+    return { score: 0.6745 * (value - typical) / mad, typical };
+  }
+  const meanDeviation = deviations.reduce((sum, deviation) => sum + deviation, 0) / deviations.length;
+  if (meanDeviation > 0) {
+    return { score: (value - typical) / (1.253314 * meanDeviation), typical };
+  }
+  return { score: value > typical ? Infinity : 0, typical };
+};
+
+// Helper function to check an amount against the rest of its group
+const checkOutlier = (expense, group, minHistory) => {
+  const others = group.filter(other => other !== expense).map(other => other.baseAmount);
+  if (others.length < minHistory) return null;
+  const { score, typical } = robustScore(expense.baseAmount, others);
+  if (score > OUTLIER_THRESHOLD && expense.baseAmount >= typical * MIN_OUTLIER_RATIO) {
+    return { score: Math.round(score * 10) / 10, typical };
+  }
+  return null;
+};
+
+// Helper function to find unusual expenses dated from `from` to `to`
+// (YYYY-MM-DD, in the user's timezone). Expects every stored expense, with base-currency amounts
+// (see attachBaseAmounts), so amounts can be judged against history and
+// first purchases at a merchant recognized. An expense is flagged when:
+//   - its amount is an outlier for its category or its merchant
+//   - it repeats a charge of the same amount at the same merchant within a day
+//   - it's the first expense at a merchant and over NEW_MERCHANT_THRESHOLD
+// Expenses marked as expected are never flagged. Returns
+// [{ expense, reasons: [{ type, message, ... }] }], newest first.
+export const detectAnomalies = (expenses, { from, to }) => {
+  const converted = expenses
+    .filter(expense => expense.baseAmount !== null)
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  const byCategory = new Map();
+  const byMerchant = new Map();
+  converted.forEach(expense => {
+    const category = toCategoryName(expense.category);
+    const merchant = merchantKey(expense);
+    if (!byCategory.has(category)) byCategory.set(category, []);
+    byCategory.get(category).push(expense);
+    if (merchant) {
+      if (!byMerchant.has(merchant)) byMerchant.set(merchant, []);
+      byMerchant.get(merchant).push(expense);
+    }
+  });
+
+  const anomalies = [];
+  converted.forEach(expense => {
+    const day = dayOf(expense);
+    if (day < from || day > to || expense.expected) return;
+
+    const reasons = [];
+    const category = toCategoryName(expense.category);
+    const merchant = merchantKey(expense);
+    const atMerchant = merchant ? byMerchant.get(merchant) : [];
+
+    const categoryOutlier = checkOutlier(expense, byCategory.get(category), MIN_CATEGORY_HISTORY);
+    if (categoryOutlier) {
+      reasons.push({
+        type: 'category-amount',
+        message: `${formatMoney(expense.baseAmount)} is unusually high for ${category} (typically ${formatMoney(categoryOutlier.typical)})`,
+        ...categoryOutlier
+      });
+    }
+
+    const merchantOutlier = merchant && checkOutlier(expense, atMerchant, MIN_MERCHANT_HISTORY);
+    if (merchantOutlier) {
+      reasons.push({
+        type: 'merchant-amount',
+        message: `${formatMoney(expense.baseAmount)} is unusually high for ${merchantName(expense)} (typically ${formatMoney(merchantOutlier.typical)})`,
+        ...merchantOutlier
+      });
+    }
+
+    // The later of two matching charges is the one flagged
+    const index = atMerchant.indexOf(expense);
+    const original = atMerchant.slice(0, index).reverse().find(other =>
+      other.amount === expense.amount &&
+      currencyOf(other) === currencyOf(expense) &&
+      new Date(expense.date) - new Date(other.date) <= DUPLICATE_WINDOW_DAYS * DAY_MS);
+    if (original) {
+      reasons.push({
+        type: 'duplicate',
+        message: `Possible duplicate of the ${formatMoney(original.amount, currencyOf(original))} charge on ${dayOf(original)}`,
+        duplicateOf: original.id
+      });
+    }
+
+    if (merchant && index === 0 && expense.baseAmount >= NEW_MERCHANT_THRESHOLD) {
+      reasons.push({
+        type: 'new-merchant',
+        message: `First expense at ${merchantName(expense)}, over ${formatMoney(NEW_MERCHANT_THRESHOLD)}`
+      });
+    }
+
+    if (reasons.length > 0) {
+      anomalies.push({ expense, reasons });
+    }
+  });
+
+  return anomalies.reverse();
+};
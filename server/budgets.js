@@ -0,0 +1,165 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { userDataDir } from './storage/index.js';
+import { writeJsonFile, withFileLock } from './storage/files.js';
+import { toCategoryName } from './categories.js';
+import { toDayKey, toMonthKey, parseDayKey, monthEnd, startOfDay, endOfDay } from './timezone.js';
+
+export const budgetsFile = () => path.join(userDataDir(), 'budgets.json');
+
+// Share of a budget that can be spent before it is flagged as nearly used up
+export const BUDGET_WARNING_RATIO = 0.8;
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Helper function to check a YYYY-MM month
+export const isMonthKey = (value) => typeof value === 'string' && MONTH_PATTERN.test(value);
+
+// Helper function to get the first and last instant of a YYYY-MM month in
+// the user's timezone
+export const getMonthRange = (month) => ({
+  startDate: startOfDay(`${month}-01`),
+  endDate: endOfDay(monthEnd(`${month}-01`))
+});
+
+// Helper function to load the budget list
+export const loadBudgets = async () => {
+  try {
+    const data = JSON.parse(await fs.readFile(budgetsFile(), 'utf8'));
+    return data.budgets || [];
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+};
+
+// Helper function to save the budget list
+export const saveBudgets = async (budgets) => {
+  await writeJsonFile(budgetsFile(), { budgets });
+};
+
+// Helper function to load, change and save the budget list after any earlier change
+export const withBudgetsLock = (task) => withFileLock(budgetsFile(), task);
+
+// Helper function to validate and normalize a budget from a request body.
+// A budget without a month applies to every month; one with a month
+// (YYYY-MM) overrides it for that month only. Amounts are in the base currency.
+// Returns { budget } on success or { error } describing the first problem.
+export const normalizeBudget = (category, body) => {
+  if (typeof category !== 'string' || !category.trim()) {
+    return { error: 'Budget category is required' };
+  }
+
+  const { amount: rawAmount, month: rawMonth } = body || {};
+  const amount = Number(rawAmount);
+  if (rawAmount === undefined || rawAmount === null || !Number.isFinite(amount) || amount <= 0) {
+    return { error: 'Budget amount must be a positive number' };
+  }
+
+  const month = rawMonth === undefined || rawMonth === null || rawMonth === '' ? null : rawMonth;
+  if (month !== null && !isMonthKey(month)) {
+    return { error: 'month must be in YYYY-MM format' };
+  }
+
+  return { budget: { category: toCategoryName(category), month, amount } };
+};
+
+// Helper function to find the budget that applies to each category in a month.
+// A budget set for the month wins over the every-month budget.
+export const budgetsForMonth = (budgets, month) => {
+  const applicable = new Map();
+  for (const budget of budgets) {
+    if (budget.month === null && !applicable.has(budget.category)) {
+      applicable.set(budget.category, budget);
+    }
+  }
+  for (const budget of budgets) {
+    if (budget.month === month) {
+      applicable.set(budget.category, budget);
+    }
+  }
+  return [...applicable.values()];
+};
+
+// Helper function to compare a month's spending with its budgets.
+// Expects expenses from that month with base-currency amounts (see
+// attachBaseAmounts). Spending is projected to the end of the month at the
+// pace so far; past months are projected at what was actually spent.
+export const calculateBudgetStatus = (budgets, expenses, month, now = new Date()) => {
+  const daysInMonth = parseDayKey(monthEnd(`${month}-01`)).day;
+  const currentMonth = toMonthKey(now);
+
+  let daysElapsed;
+  if (month < currentMonth) {
+    daysElapsed = daysInMonth;
+  } else if (month > currentMonth) {
+    daysElapsed = 0;
+  } else {
+    daysElapsed = parseDayKey(toDayKey(now)).day;
+  }
+
+  const spentByCategory = {};
+  expenses
+    .filter(expense => expense.baseAmount !== null && toMonthKey(expense.date) === month)
+    .forEach(expense => {
+      const category = expense.category.toLowerCase();
+      spentByCategory[category] = (spentByCategory[category] || 0) + expense.baseAmount;
+    });
+
+  const categories = budgetsForMonth(budgets, month).map(({ category, amount }) => {
+    const spent = spentByCategory[category] || 0;
+    const projected = daysElapsed > 0 ? spent / daysElapsed * daysInMonth : 0;
+
+    let status = 'ok';
+    if (spent > amount) {
+      status = 'over';
+    } else if (projected > amount) {
+      status = 'projected-over';
+    } else if (spent >= amount * BUDGET_WARNING_RATIO) {
+      status = 'warning';
+    }
+
+    return {
+      category,
+      budget: amount,
+      spent,
+      remaining: amount - spent,
+      percentUsed: Math.round(spent / amount * 1000) / 10,
+      projected: Math.round(projected * 100) / 100,
+      status
+    };
+  });
+
+  return { month, daysElapsed, daysInMonth, categories };
+};
+
+// Helper function to move budgets to a renamed category. They replace any
+// budgets the new name already had.
+export const renameBudgetCategory = (from, to) => withBudgetsLock(async () => {
+  const budgets = await loadBudgets();
+  if (!budgets.some(budget => budget.category === from)) return;
+  await saveBudgets(budgets
+    .filter(budget => budget.category !== to)
+    .map(budget => (budget.category === from ? { ...budget, category: to } : budget)));
+});
+
+// Helper function to move budgets to the category their expenses were moved
+// to. Where both categories have a budget for the same month (or both have an
+// every-month budget) the amounts are added together.
+export const mergeBudgetCategory = (from, to) => withBudgetsLock(async () => {
+  const budgets = await loadBudgets();
+  if (!budgets.some(budget => budget.category === from)) return;
+
+  const merged = budgets.filter(budget => budget.category !== from);
+  for (const budget of budgets.filter(existing => existing.category === from)) {
+    const index = merged.findIndex(existing => existing.category === to && existing.month === budget.month);
+    if (index === -1) {
+      merged.push({ ...budget, category: to });
+    } else {
+      merged[index] = { ...merged[index], amount: merged[index].amount + budget.amount };
+    }
+  }
+  await saveBudgets(merged);
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import { randomUUID } from 'crypto';
+import { runAsUser } from './context.js';
+import { userDataDir } from './storage/index.js';
+import { loadBudgets, saveBudgets, mergeBudgetCategory } from './budgets.js';
+
+// Helper function to run a test as a throwaway account whose files are removed afterwards
+const asTestUser = (task) => () => runAsUser({ id: `test-${randomUUID()}` }, async () => {
+  try {
+    await task();
+  } finally {
+    await fs.rm(userDataDir(), { recursive: true, force: true });
+  }
+});
+
+// Helper function to list budgets in a fixed order for comparison
+const sorted = (budgets) => [...budgets].sort((a, b) =>
+  a.category.localeCompare(b.category) || String(a.month).localeCompare(String(b.month)));
+
+test('merging moves budgets to the target and adds them to its budgets for the same month', asTestUser(async () => {
+  await saveBudgets([
+    { category: 'coffee', month: null, amount: 50 },
+    { category: 'coffee', month: '2025-03', amount: 80 },
+    { category: 'coffee', month: '2025-04', amount: 20 },
+    { category: 'food', month: null, amount: 300 },
+    { category: 'food', month: '2025-03', amount: 400 },
+    { category: 'travel', month: null, amount: 100 }
+  ]);
+
+  await mergeBudgetCategory('coffee', 'food');
+
+  assert.deepEqual(sorted(await loadBudgets()), [
+    { category: 'food', month: '2025-03', amount: 480 },
+    { category: 'food', month: '2025-04', amount: 20 },
+    { category: 'food', month: null, amount: 350 },
+    { category: 'travel', month: null, amount: 100 }
+  ]);
+}));
+
+test('merging a category without budgets leaves the budgets alone', asTestUser(async () => {
+  await saveBudgets([{ category: 'food', month: null, amount: 300 }]);
+  await mergeBudgetCategory('coffee', 'food');
+  assert.deepEqual(await loadBudgets(), [{ category: 'food', month: null, amount: 300 }]);
+}));
+
+test('parallel merges are applied one after the other', asTestUser(async () => {
+  await saveBudgets([
+    { category: 'coffee', month: null, amount: 10 },
+    { category: 'snacks', month: null, amount: 20 },
+    { category: 'food', month: null, amount: 30 }
+  ]);
+
+  await Promise.all([mergeBudgetCategory('coffee', 'food'), mergeBudgetCategory('snacks', 'food')]);
+
+  assert.deepEqual(await loadBudgets(), [{ category: 'food', month: null, amount: 60 }]);
+}));
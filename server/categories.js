@@ -0,0 +1,139 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { RE2 } from 're2-wasm';
+import { userDataDir } from './storage/index.js';
+import { writeJsonFile, withFileLock } from './storage/files.js';
+
+export const categoriesFile = () => path.join(userDataDir(), 'categories.json');
+
+// Category given to expenses that match no rule
+export const FALLBACK_CATEGORY = 'other';
+
+// Categories used until the user saves their own. Order matters: the first
+// category with a matching rule wins.
+const DEFAULT_CATEGORIES = [
+  { name: 'food', keywords: ['restaurant', 'dining', 'dinner', 'lunch', 'breakfast', 'meal', 'food'], patterns: [] },
+  { name: 'groceries', keywords: ['grocery', 'groceries', 'supermarket', 'market', 'food store'], patterns: [] },
+  { name: 'transportation', keywords: ['gas', 'fuel', 'uber', 'lyft', 'taxi', 'bus', 'train'], patterns: [] },
+  { name: 'utilities', keywords: ['electricity', 'water', 'internet', 'phone', 'bill'], patterns: [] },
+  { name: 'entertainment', keywords: ['movie', 'concert', 'show', 'game', 'streaming'], patterns: [] },
+  { name: 'shopping', keywords: ['clothes', 'shoes', 'amazon', 'store'], patterns: [] },
+  { name: 'health', keywords: ['doctor', 'medicine', 'pharmacy', 'medical'], patterns: [] },
+  { name: 'housing', keywords: ['rent', 'mortgage', 'maintenance', 'repair'], patterns: [] }
+];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Longest regular expression a category rule can have
+const MAX_PATTERN_LENGTH = 100;
+
+// Compiled patterns, by pattern text; null for one RE2 can't run
+const compiledPatterns = new Map();
+const MAX_COMPILED_PATTERNS = 1000;
+
+// Helper function to compile a category pattern with RE2, which matches in
+// time linear in the text, so no pattern can tie up the server however it's
+// written. Patterns are case-insensitive and Unicode-aware. Throws for a
+// pattern RE2 can't run, such as one with a backreference or a lookbehind.
+const compilePattern = (pattern) => new RE2(pattern, 'iu');
+
+// Helper function to get a saved pattern ready to match, or null when it
+// can't be run (patterns saved before they were checked)
+const patternMatcher = (pattern) => {
+  if (!compiledPatterns.has(pattern)) {
+    if (compiledPatterns.size >= MAX_COMPILED_PATTERNS) compiledPatterns.clear();
+    let compiled = null;
+    if (pattern.length <= MAX_PATTERN_LENGTH) {
+      try {
+        compiled = compilePattern(pattern);
+      } catch (error) {
+        compiled = null;
+      }
+    }
+    compiledPatterns.set(pattern, compiled);
+  }
+  return compiledPatterns.get(pattern);
+};
+
+// Helper function to normalize a category name
+export const toCategoryName = (name) => String(name).trim().toLowerCase();
+
+// Helper function to load the category list
+export const loadCategories = async () => {
+  try {
+    const data = JSON.parse(await fs.readFile(categoriesFile(), 'utf8'));
+    return data.categories || [];
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return DEFAULT_CATEGORIES.map(category => ({ ...category }));
+    }
+    throw error;
+  }
+};
+
+// Helper function to save the category list
+export const saveCategories = async (categories) => {
+  await writeJsonFile(categoriesFile(), { categories });
+};
+
+// Helper function to load, change and save the category list after any earlier change
+export const withCategoriesLock = (task) => withFileLock(categoriesFile(), task);
+
+// Helper function to validate and normalize a category from a request body.
+// Returns { category } on success or { error } describing the first problem.
+export const normalizeCategory = (body) => {
+  if (!body || typeof body.name !== 'string' || !body.name.trim()) {
+    return { error: 'Category name is required' };
+  }
+
+  const toStrings = (value) => {
+    if (value === undefined) return [];
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+      return null;
+    }
+    return [...new Set(value.map(item => item.trim()).filter(Boolean))];
+  };
+
+  const keywords = toStrings(body.keywords);
+  if (!keywords) return { error: 'keywords must be a list of strings' };
+  const patterns = toStrings(body.patterns);
+  if (!patterns) return { error: 'patterns must be a list of strings' };
+
+  for (const pattern of patterns) {
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+      return { error: `Pattern "${pattern.slice(0, 20)}..." is too long (${MAX_PATTERN_LENGTH} characters max)` };
+    }
+    try {
+      compilePattern(pattern);
+    } catch (error) {
+      return { error: `Invalid pattern "${pattern}": ${error.message}` };
+    }
+  }
+
+  return {
+    category: {
+      name: toCategoryName(body.name),
+      keywords: keywords.map(keyword => keyword.toLowerCase()),
+      patterns
+    }
+  };
+};
+
+// Helper function to test whether text matches one of a category's rules.
+// Keywords match whole words, allowing a plural "s"/"es" ("movie" matches
+// "movies" but "bus" doesn't match "business"); patterns are case-insensitive
+// regular expressions, run with RE2 (see compilePattern).
+const matchesCategory = (category, text) =>
+  category.keywords.some(keyword => new RegExp(`\\b${escapeRegExp(keyword)}(?:s|es)?\\b`, 'i').test(text)) ||
+  category.patterns.some(pattern => {
+    const matcher = patternMatcher(pattern);
+    return matcher !== null && matcher.test(text);
+  });
+
+// Helper function to find the first category whose rules match the text.
+// Returns the category name, or null when nothing matches.
+export const matchCategory = async (text) => {
+  const categories = await loadCategories();
+  const match = categories.find(category => matchesCategory(category, text));
+  return match ? match.name : null;
+};
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import { randomUUID } from 'crypto';
+import { runAsUser } from './context.js';
+import { userDataDir } from './storage/index.js';
+import { normalizeCategory, saveCategories, matchCategory } from './categories.js';
+
+// Patterns people write for category rules, and ones that would backtrack
+// catastrophically in a backtracking engine; RE2 runs all of them in linear time
+const ACCEPTED_PATTERNS = [
+  'star ?bucks',
+  '\\bcafe\\b',
+  '^(uber|lyft)( trip)?$',
+  '(?:ab)?c',
+  'a{2,}b',
+  '(a+)+',
+  '(\\w+\\s?)*$',
+  '(a|aa)*',
+  '.*.*.*.*.*.*.*x$'
+];
+
+// Patterns RE2 can't run
+const REJECTED_PATTERNS = [
+  '(a)\\1',
+  '(?<n>a)\\k<n>',
+  '(?<=x)y+',
+  '('
+];
+
+for (const pattern of ACCEPTED_PATTERNS) {
+  test(`pattern ${pattern} is accepted`, () => {
+    const { category, error } = normalizeCategory({ name: 'coffee', patterns: [pattern] });
+    assert.equal(error, undefined);
+    assert.deepEqual(category.patterns, [pattern]);
+  });
+}
+
+for (const pattern of REJECTED_PATTERNS) {
+  test(`pattern ${pattern} is rejected`, () => {
+    assert.match(normalizeCategory({ name: 'coffee', patterns: [pattern] }).error, /^Invalid pattern/);
+  });
+}
+
+test('long patterns are rejected', () => {
+  assert.match(normalizeCategory({ name: 'coffee', patterns: ['a'.repeat(101)] }).error, /too long \(100 characters max\)/);
+});
+
+// Helper function to run a test as a throwaway account whose files are removed afterwards
+const asTestUser = (task) => () => runAsUser({ id: `test-${randomUUID()}` }, async () => {
+  try {
+    await task();
+  } finally {
+    await fs.rm(userDataDir(), { recursive: true, force: true });
+  }
+});
+
+test('patterns that backtrack catastrophically elsewhere match quickly', { timeout: 5000 }, asTestUser(async () => {
+  await saveCategories([
+    { name: 'slow', keywords: [], patterns: ['.*.*.*.*.*.*.*x$', '(a+)+b$'] },
+    { name: 'coffee', keywords: ['latte'], patterns: [] }
+  ]);
+
+  const started = Date.now();
+  assert.equal(await matchCategory(`${'a'.repeat(60)}! latte`), 'coffee');
+  assert.equal(await matchCategory(`${'a'.repeat(5000)}b`), 'slow');
+  assert.ok(Date.now() - started < 1000, `matching took ${Date.now() - started} ms`);
+}));
+
+test('patterns match case-insensitively', asTestUser(async () => {
+  await saveCategories([{ name: 'coffee', keywords: [], patterns: ['star ?bucks'] }]);
+  assert.equal(await matchCategory('STARBUCKS on main'), 'coffee');
+  assert.equal(await matchCategory('Star Bucks'), 'coffee');
+  assert.equal(await matchCategory('bakery'), null);
+}));
+
+test('a pattern saved before patterns were checked is skipped if RE2 cannot run it', asTestUser(async () => {
+  await saveCategories([
+    { name: 'repeat', keywords: [], patterns: ['(a)\\1'] },
+    { name: 'coffee', keywords: ['latte'], patterns: [] }
+  ]);
+  assert.equal(await matchCategory('aa latte'), 'coffee');
+}));
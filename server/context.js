@@ -0,0 +1,21 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// The user a request (or background job) is working for. Everything that
+// reads or writes a user's data (storage, categories, budgets, recurring
+// expenses, receipts, settings and the timezone) looks the user up here, so
+// handlers don't pass them around. Each task gets its own state, kept for
+// everything it starts, including callbacks and awaited promises.
+const context = new AsyncLocalStorage();
+
+// Helper function to run a task as a user. Returns what the task returns.
+export const runAsUser = (user, task) => context.run({ user, timeZone: null }, task);
+
+// Helper function to get the state of the task running now, or null outside
+// one (at startup, or in scripts before they pick a user)
+export const currentContext = () => context.getStore() || null;
+
+// Helper function to get the user the current task runs as, or null
+export const currentUser = () => {
+  const store = currentContext();
+  return store ? store.user : null;
+};
@@ -0,0 +1,179 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { DATA_DIR } from './storage/index.js';
+import { writeJsonFile } from './storage/files.js';
+import { dayOf } from './timezone.js';
+
+// Currency assumed for expenses saved before currencies were recorded
+// (the old parser only understood "$" amounts)
+export const LEGACY_CURRENCY = 'USD';
+
+export const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+
+export const RATES_FILE = path.join(DATA_DIR, 'exchange-rates.json');
+
+// Currency symbols, longest first so "US$" wins over "$"
+export const CURRENCY_SYMBOLS = [
+  ['US$', 'USD'],
+  ['C$', 'CAD'],
+  ['CA$', 'CAD'],
+  ['A$', 'AUD'],
+  ['AU$', 'AUD'],
+  ['NZ$', 'NZD'],
+  ['HK$', 'HKD'],
+  ['R$', 'BRL'],
+  ['$', 'USD'],
+  ['€', 'EUR'],
+  ['£', 'GBP'],
+  ['¥', 'JPY'],
+  ['₹', 'INR'],
+  ['₩', 'KRW'],
+  ['₽', 'RUB'],
+  ['₺', 'TRY'],
+  ['₪', 'ILS'],
+  ['฿', 'THB'],
+  ['₱', 'PHP'],
+  ['zł', 'PLN']
+];
+
+// Currency names that may follow an amount ("45 euros")
+export const CURRENCY_NAMES = {
+  dollar: 'USD',
+  dollars: 'USD',
+  buck: 'USD',
+  bucks: 'USD',
+  euro: 'EUR',
+  euros: 'EUR',
+  pound: 'GBP',
+  pounds: 'GBP',
+  quid: 'GBP',
+  yen: 'JPY',
+  rupee: 'INR',
+  rupees: 'INR',
+  peso: 'MXN',
+  pesos: 'MXN',
+  franc: 'CHF',
+  francs: 'CHF'
+};
+
+// ISO 4217 codes recognized in text
+export const CURRENCY_CODES = [
+  'USD', 'EUR', 'GBP', 'JPY', 'CNY', 'CAD', 'AUD', 'NZD', 'CHF', 'SEK', 'NOK', 'DKK',
+  'PLN', 'CZK', 'HUF', 'INR', 'KRW', 'SGD', 'HKD', 'MXN', 'BRL', 'ZAR', 'TRY', 'RUB',
+  'ILS', 'THB', 'PHP', 'IDR', 'MYR', 'AED'
+];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Regular expression sources for currency markers, used by the amount parser
+export const SYMBOL_PATTERN = CURRENCY_SYMBOLS.map(([symbol]) => escapeRegExp(symbol)).join('|');
+export const CODE_PATTERN = CURRENCY_CODES.join('|');
+// Codes must be upper case ("45 EUR") so ordinary words aren't mistaken for
+// currencies; names may be capitalized ("45 Euros")
+export const NAME_PATTERN = Object.keys(CURRENCY_NAMES)
+  .flatMap(name => [name, name.charAt(0).toUpperCase() + name.slice(1)])
+  .join('|');
+
+const symbolToCode = (symbol) => {
+  const match = CURRENCY_SYMBOLS.find(([candidate]) => candidate === symbol);
+  return match ? match[1] : null;
+};
+
+// Helper function to resolve a symbol, ISO code or currency name to an ISO code
+export const toCurrencyCode = (token) => {
+  if (!token) return null;
+  const upper = token.toUpperCase();
+  if (CURRENCY_CODES.includes(upper)) return upper;
+  return symbolToCode(token) || CURRENCY_NAMES[token.toLowerCase()] || null;
+};
+
+// Helper function to get the currency of a stored expense
+export const currencyOf = (expense) => expense.currency || LEGACY_CURRENCY;
+
+// Helper function to load the exchange-rate table.
+// Format: { "quote": "USD", "rates": { "YYYY-MM-DD": { "EUR": 0.92, ... } } }
+// where each rate is how many units of that currency one unit of the quote
+// currency buys on that day.
+export const loadExchangeRates = async () => {
+  try {
+    const table = JSON.parse(await fs.readFile(RATES_FILE, 'utf8'));
+    return { quote: (table.quote || 'USD').toUpperCase(), rates: table.rates || {} };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { quote: BASE_CURRENCY, rates: {} };
+    }
+    throw error;
+  }
+};
+
+// Helper function to save the exchange-rate table
+export const saveExchangeRates = async (table) => {
+  const sorted = Object.fromEntries(Object.entries(table.rates).sort(([a], [b]) => a.localeCompare(b)));
+  await writeJsonFile(RATES_FILE, { quote: table.quote, rates: sorted });
+};
+
+// Helper function to validate a day's rates. Returns an error message or null.
+export const validateRates = (rates) => {
+  if (!rates || typeof rates !== 'object' || Array.isArray(rates)) {
+    return 'Rates must be an object of currency code to rate';
+  }
+  for (const [code, rate] of Object.entries(rates)) {
+    if (!/^[A-Z]{3}$/.test(code)) return `Invalid currency code: ${code}`;
+    if (typeof rate !== 'number' || !(rate > 0)) return `Rate for ${code} must be a positive number`;
+  }
+  return null;
+};
+
+// Create a converter bound to a rate table. For each currency it uses the
+// latest rate dated on or before the expense day, falling back to the
+// earliest rate after it. Returns null when a currency has no rate at all.
+export const createConverter = (table, baseCurrency = BASE_CURRENCY) => {
+  const days = Object.keys(table.rates).sort();
+
+  const rateOn = (currency, day) => {
+    if (currency === table.quote) return 1;
+    let before = null;
+    let after = null;
+    for (const candidate of days) {
+      const rate = table.rates[candidate][currency];
+      if (rate === undefined) continue;
+      if (candidate <= day) {
+        before = rate;
+      } else if (after === null) {
+        after = rate;
+      }
+    }
+    return before ?? after;
+  };
+
+  return (amount, currency, day) => {
+    if (currency === baseCurrency) return amount;
+    const fromRate = rateOn(currency, day);
+    const toRate = rateOn(baseCurrency, day);
+    if (!fromRate || !toRate) return null;
+    return (amount / fromRate) * toRate;
+  };
+};
+
+// Helper function to add base-currency amounts to expenses.
+// baseAmount is null when there's no exchange rate for the expense's currency.
+export const attachBaseAmounts = async (expenses) => {
+  const convert = createConverter(await loadExchangeRates());
+  return expenses.map(expense => {
+    const baseAmount = convert(expense.amount, currencyOf(expense), dayOf(expense));
+    return {
+      ...expense,
+      currency: currencyOf(expense),
+      baseAmount: baseAmount === null ? null : Math.round(baseAmount * 100) / 100
+    };
+  });
+};
+
+// Helper function to format an amount of money, e.g. formatMoney(5, 'EUR') -> "€5.00"
+export const formatMoney = (amount, currency = BASE_CURRENCY) => {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+  } catch (error) {
+    return `${amount.toFixed(2)} ${currency}`;
+  }
+};
@@ -0,0 +1,192 @@
+import { BASE_CURRENCY, currencyOf, formatMoney } from './currency.js';
+import { typeOf } from './income.js';
+import { getTimeZone, zonedParts, toDayKey, dayOf, addDays } from './timezone.js';
+
+// Columns written to CSV exports, in order
+const CSV_COLUMNS = ['id', 'date', 'description', 'category', 'amount', 'currency', 'baseAmount', 'type', 'source', 'merchant', 'tags', 'project'];
+
+// Helper function to get the value of a CSV column for an expense
+const csvValue = (expense, column) => {
+  if (column === 'currency') return currencyOf(expense);
+  if (column === 'type') return typeOf(expense);
+  if (column === 'tags') return (expense.tags || []).join(' ');
+  return expense[column];
+};
+
+// Number of largest expenses listed in a report
+const TOP_TRANSACTIONS = 10;
+
+// Helper function to quote a CSV field. Text that a spreadsheet would run as
+// a formula ("=SUM(...)", "+1", "@cmd") is prefixed with a quote mark.
+const toCsvField = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Helper function to write expenses as CSV with a header row
+export const toCsv = (expenses) => [
+  CSV_COLUMNS.join(','),
+  ...expenses.map(expense => CSV_COLUMNS
+    .map(column => toCsvField(csvValue(expense, column)))
+    .join(','))
+].join('\r\n') + '\r\n';
+
+// Helper function to write expenses as JSON Lines (one expense per line)
+export const toJsonLines = (expenses) => expenses.map(expense => JSON.stringify(expense)).join('\n') + '\n';
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Helper function to list every day from startDate to endDate (YYYY-MM-DD,
+// in the user's timezone)
+const listDays = (startDate, endDate) => {
+  const days = [];
+  const last = toDayKey(endDate);
+  for (let day = toDayKey(startDate); day <= last; day = addDays(day, 1)) {
+    days.push(day);
+  }
+  return days;
+};
+
+// Helper function to show when a report was made, in the user's timezone
+const formatGeneratedAt = (date) => {
+  const { hour, minute } = zonedParts(date);
+  return `${toDayKey(date)} ${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')} (${getTimeZone()})`;
+};
+
+const REPORT_STYLES = `
+  body { font-family: -apple-system, "Segoe UI", Roboto, Arial, sans-serif; color: #222; max-width: 900px; margin: 2em auto; padding: 0 1em; }
+  h1 { color: #1976d2; margin-bottom: 0; }
+  h2 { border-bottom: 2px solid #1976d2; padding-bottom: 4px; margin-top: 2em; }
+  .period { color: #666; margin-top: 4px; }
+  .summary { display: flex; gap: 2em; flex-wrap: wrap; }
+  .summary div { font-size: 0.9em; color: #666; }
+  .summary strong { display: block; font-size: 1.6em; color: #222; }
+  table { width: 100%; border-collapse: collapse; font-size: 0.9em; }
+  th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #e0e0e0; }
+  td.number, th.number { text-align: right; white-space: nowrap; }
+  .bar { background: #1976d2; height: 12px; min-width: 1px; }
+  .note { color: #666; font-size: 0.85em; }
+  .print { float: right; padding: 6px 16px; font-size: 1em; }
+  @media print {
+    .print { display: none; }
+    body { margin: 0; }
+    h2 { break-after: avoid; }
+    tr { break-inside: avoid; }
+  }
+`;
+
+// Helper function to render a printable HTML report for a set of expenses.
+// Expects expenses with base-currency amounts (see attachBaseAmounts) and the
+// output of analyzeExpenses for them and any income in the same period, which
+// is summarized next to the spending. The page is self-contained (no external
+// files), so it can be saved or printed to PDF.
+export const renderReport = ({ title, period, startDate, endDate, expenses, analysis, generatedAt = new Date() }) => {
+  const currency = analysis.currency || BASE_CURRENCY;
+  const money = (amount) => escapeHtml(formatMoney(amount, currency));
+  const converted = expenses.filter(expense => expense.baseAmount !== null);
+
+  const categoryRows = Object.entries(analysis.categorySummary)
+    .sort((a, b) => b[1] - a[1])
+    .map(([category, total]) => `
+      <tr>
+        <td>${escapeHtml(category)}</td>
+        <td class="number">${money(total)}</td>
+        <td class="number">${analysis.totalSpent > 0 ? (total / analysis.totalSpent * 100).toFixed(1) : '0.0'}%</td>
+      </tr>`)
+    .join('');
+
+  const dailyTotals = {};
+  converted.forEach(expense => {
+    const day = dayOf(expense);
+    dailyTotals[day] = (dailyTotals[day] || 0) + expense.baseAmount;
+  });
+  const largestDay = Math.max(0, ...Object.values(dailyTotals));
+  const dailyRows = listDays(startDate, endDate)
+    .map(day => {
+      const total = dailyTotals[day] || 0;
+      const width = largestDay > 0 ? (total / largestDay * 100).toFixed(1) : 0;
+      return `
+      <tr>
+        <td>${day}</td>
+        <td style="width: 60%">${total > 0 ? `<div class="bar" style="width: ${width}%"></div>` : ''}</td>
+        <td class="number">${money(total)}</td>
+      </tr>`;
+    })
+    .join('');
+
+  const topRows = [...converted]
+    .sort((a, b) => b.baseAmount - a.baseAmount)
+    .slice(0, TOP_TRANSACTIONS)
+    .map(expense => `
+      <tr>
+        <td>${escapeHtml(dayOf(expense))}</td>
+        <td>${escapeHtml(expense.description)}</td>
+        <td>${escapeHtml(expense.category)}</td>
+        <td class="number">${escapeHtml(formatMoney(expense.amount, currencyOf(expense)))}</td>
+        <td class="number">${money(expense.baseAmount)}</td>
+      </tr>`)
+    .join('');
+
+  const unusualItems = analysis.unusualSpending
+    .map(item => `<li>${escapeHtml(item.category)}: ${money(item.total)} (${money(item.avgPerDay)} per day)</li>`)
+    .join('');
+  const recommendationItems = analysis.recommendations
+    .map(recommendation => `<li>${escapeHtml(recommendation)}</li>`)
+    .join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<button class="print" onclick="window.print()">Print</button>
+<h1>${escapeHtml(title)}</h1>
+<p class="period">${escapeHtml(period)}</p>
+
+<div class="summary">
+  <div><strong>${money(analysis.totalSpent)}</strong>Total spent</div>
+  <div><strong>${converted.length}</strong>Expenses</div>
+  <div><strong>${money(analysis.dailyAverage)}</strong>Average per day with spending</div>
+${analysis.totalIncome > 0 ? `  <div><strong>${money(analysis.totalIncome)}</strong>Income</div>
+  <div><strong>${money(analysis.netSavings)}</strong>Net savings (${analysis.savingsRate.toFixed(1)}% of income)</div>
+` : ''}</div>
+${analysis.unconvertedCount > 0
+    ? `<p class="note">${analysis.unconvertedCount} expenses in currencies without an exchange rate are not included in the totals.</p>`
+    : ''}
+
+<h2>Spending by Category</h2>
+${categoryRows
+    ? `<table><tr><th>Category</th><th class="number">Total</th><th class="number">Share</th></tr>${categoryRows}</table>`
+    : '<p class="note">No expenses in this period.</p>'}
+
+<h2>Analysis</h2>
+${unusualItems
+    ? `<p>Categories with above-average daily spending:</p><ul>${unusualItems}</ul>`
+    : '<p>No categories with above-average daily spending.</p>'}
+${recommendationItems ? `<ul>${recommendationItems}</ul>` : ''}
+
+<h2>Daily Spending</h2>
+<table><tr><th>Day</th><th></th><th class="number">Total</th></tr>${dailyRows}</table>
+
+<h2>Top Transactions</h2>
+${topRows
+    ? `<table><tr><th>Date</th><th>Description</th><th>Category</th><th class="number">Amount</th><th class="number">${escapeHtml(currency)}</th></tr>${topRows}</table>`
+    : '<p class="note">No expenses in this period.</p>'}
+
+<p class="note">Amounts in ${escapeHtml(currency)}. Generated ${escapeHtml(formatGeneratedAt(generatedAt))}.</p>
+</body>
+</html>
+`;
+};
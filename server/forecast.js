@@ -0,0 +1,258 @@
+import { toCategoryName } from './categories.js';
+import { BASE_CURRENCY } from './currency.js';
+import { describePeriod } from './trends.js';
+import { toDayKey, dayOf, parseDayKey, addDays, monthStart, monthEnd, weekdayOf, startOfDay } from './timezone.js';
+
+// Days of history the forecast reads. A category's rate of spending comes
+// from the last BASELINE_DAYS; once there's a year of history, month-of-year
+// patterns are used too and the rate comes from the last full year instead,
+// so every month counts once.
+export const FORECAST_HISTORY_DAYS = 730;
+const BASELINE_DAYS = 180;
+const SEASONAL_MIN_DAYS = 365;
+
+// Months forecast after the current one, by default and at most
+export const DEFAULT_FORECAST_MONTHS = 3;
+export const MAX_FORECAST_MONTHS = 12;
+
+// Confidence bands cover 80%: 1.2816 standard deviations either side
+export const CONFIDENCE_LEVEL = 0.8;
+const BAND_Z = 1.2816;
+
+// Weeks of history before a category's weekday pattern counts in full; with
+// less, it's blended with a flat week
+const WEEKDAY_FULL_WEIGHT_WEEKS = 8;
+
+// Weekday factors are kept within these bounds
+const MIN_FACTOR = 0.25;
+const MAX_FACTOR = 4;
+
+const clampFactor = (value) => Math.min(MAX_FACTOR, Math.max(MIN_FACTOR, value));
+const round = (value) => Math.round(value * 100) / 100;
+
+// Helper functions for the month (0-11) a YYYY-MM-DD day falls in and its name
+const monthOf = (day) => parseDayKey(day).month - 1;
+const describeMonth = (day) => describePeriod('month', startOfDay(day));
+
+// Helper function to work out how much each month of the year runs above or
+// below a category's average day, over its whole history. One year says
+// little about the next, so the factors are pulled towards 1, less so with
+// each further year of history.
+const seasonalFactors = (dailyTotals, historyDays) => {
+  const sums = new Array(12).fill(0);
+  const counts = new Array(12).fill(0);
+  historyDays.forEach(day => {
+    const month = monthOf(day);
+    sums[month] += dailyTotals.get(day) || 0;
+    counts[month] += 1;
+  });
+  const overall = sums.reduce((sum, value) => sum + value, 0) / historyDays.length;
+  const years = historyDays.length / SEASONAL_MIN_DAYS;
+  const weight = years / (years + 1);
+  return sums.map((sum, month) => (overall > 0 && counts[month] > 0 ? 1 + (sum / counts[month] / overall - 1) * weight : 1));
+};
+
+// Helper function to fit one category's daily spending: a rate per day with
+// the season taken out, factors per month of the year (all 1 without
+// seasonal patterns) and per weekday, and how much a day varies around the
+// fit, relative to the average day
+const fitCategory = (dailyTotals, historyDays, baselineDays, seasonal) => {
+  const season = seasonal ? seasonalFactors(dailyTotals, historyDays) : new Array(12).fill(1);
+  const values = baselineDays.map(day => dailyTotals.get(day) || 0);
+  const seasonOf = baselineDays.map(day => season[monthOf(day)]);
+  const total = values.reduce((sum, value) => sum + value, 0);
+  const rate = total / seasonOf.reduce((sum, factor) => sum + factor, 0);
+
+  // A weekday pattern from a few weeks is mostly noise, so it's blended
+  // with a flat week until there are enough
+  const sums = new Array(7).fill(0);
+  const expected = new Array(7).fill(0);
+  baselineDays.forEach((day, index) => {
+    const weekday = weekdayOf(day);
+    sums[weekday] += values[index];
+    expected[weekday] += rate * seasonOf[index];
+  });
+  const weeks = values.length / 7;
+  const weight = weeks / (weeks + WEEKDAY_FULL_WEIGHT_WEEKS);
+  const blended = sums.map((sum, weekday) =>
+    1 + ((expected[weekday] > 0 ? clampFactor(sum / expected[weekday]) : 1) - 1) * weight);
+  const average = blended.reduce((sum, factor) => sum + factor, 0) / 7;
+  const weekday = blended.map(factor => factor / average);
+
+  const squares = baselineDays.reduce((sum, day, index) =>
+    sum + (values[index] - rate * seasonOf[index] * weekday[weekdayOf(day)]) ** 2, 0);
+  const deviation = Math.sqrt(squares / Math.max(1, values.length - 1));
+
+  return { rate, season, weekday, deviation: total > 0 ? deviation / (total / values.length) : 0 };
+};
+
+// Helper function to total a category's forecast over some days with an
+// 80% band. Day-to-day variation and the uncertainty in the fitted rate
+// (which grows with the number of days) both widen the band; amounts from
+// recurring expenses are known and don't.
+const summarizeCategory = (category, days, baselineLength) => {
+  let expected = 0;
+  let recurring = 0;
+  let dailyVariance = 0;
+  let discretionary = 0;
+  days.forEach(({ predicted, scheduled }) => {
+    expected += predicted + scheduled;
+    recurring += scheduled;
+    discretionary += predicted;
+    dailyVariance += (predicted * category.deviation) ** 2;
+  });
+  const rateVariance = (discretionary * category.deviation) ** 2 / baselineLength;
+  return { expected, recurring, variance: dailyVariance + rateVariance };
+};
+
+// Helper function to turn an expected amount and its variance into a band
+// that never drops below the recurring amounts already known
+const toBand = ({ expected, recurring, variance }) => {
+  const spread = BAND_Z * Math.sqrt(variance);
+  return {
+    expected: round(expected),
+    low: round(Math.max(recurring, expected - spread)),
+    high: round(expected + spread),
+    recurring: round(recurring)
+  };
+};
+
+// Helper function to forecast spending per category for the rest of the
+// current month and the `months` months after it.
+//   history    past expenses with base-currency amounts (see attachBaseAmounts),
+//              covering up to FORECAST_HISTORY_DAYS
+//   upcoming   expenses recurring definitions will add, with base-currency amounts
+//              (see listUpcomingExpenses)
+// Spending not from recurring expenses is projected per category at its
+// recent daily rate, adjusted for the weekday and, once there is a year of
+// history, the month of the year. Expenses added by recurring definitions are
+// left out of that rate and their upcoming amounts added as they fall due.
+// Returns the forecast per period (with per-category figures) and per day,
+// each with an expected amount and a confidence band.
+export const forecastSpending = ({ history, upcoming, now = new Date(), months = DEFAULT_FORECAST_MONTHS }) => {
+  const today = toDayKey(now);
+  const lastHistoryDay = addDays(today, -1);
+  const firstForecastDay = addDays(today, 1);
+  const lastForecastDay = monthEnd(today, months);
+
+  const converted = history.filter(expense => expense.baseAmount !== null);
+  const discretionary = converted.filter(expense => !expense.recurringId && dayOf(expense) <= lastHistoryDay);
+
+  // Daily totals per category
+  const byCategory = new Map();
+  let firstDay = null;
+  discretionary.forEach(expense => {
+    const day = dayOf(expense);
+    const category = toCategoryName(expense.category);
+    if (!byCategory.has(category)) byCategory.set(category, new Map());
+    const totals = byCategory.get(category);
+    totals.set(day, (totals.get(day) || 0) + expense.baseAmount);
+    if (!firstDay || day < firstDay) firstDay = day;
+  });
+
+  const historyDays = [];
+  if (firstDay) {
+    for (let day = firstDay; day <= lastHistoryDay; day = addDays(day, 1)) historyDays.push(day);
+  }
+  const seasonal = historyDays.length >= SEASONAL_MIN_DAYS;
+  const baselineDays = historyDays.slice(-(seasonal ? SEASONAL_MIN_DAYS : BASELINE_DAYS));
+
+  const models = new Map();
+  if (baselineDays.length > 0) {
+    byCategory.forEach((totals, category) =>
+      models.set(category, fitCategory(totals, historyDays, baselineDays, seasonal)));
+  }
+
+  // Recurring amounts due each day, per category
+  const scheduled = new Map();
+  upcoming
+    .filter(expense => expense.baseAmount !== null)
+    .forEach(expense => {
+      const day = dayOf(expense);
+      if (day < firstForecastDay || day > lastForecastDay) return;
+      const category = toCategoryName(expense.category);
+      const key = `${category}|${day}`;
+      scheduled.set(key, (scheduled.get(key) || 0) + expense.baseAmount);
+      if (!models.has(category)) {
+        models.set(category, { rate: 0, season: new Array(12).fill(1), weekday: new Array(7).fill(1), deviation: 0 });
+      }
+    });
+
+  // Forecast for every category on every day
+  const forecastDays = [];
+  for (let day = firstForecastDay; day <= lastForecastDay; day = addDays(day, 1)) {
+    const categories = new Map();
+    models.forEach((model, category) => {
+      categories.set(category, {
+        predicted: model.rate * model.weekday[weekdayOf(day)] * model.season[monthOf(day)],
+        scheduled: scheduled.get(`${category}|${day}`) || 0
+      });
+    });
+    forecastDays.push({ day, categories });
+  }
+
+  const baselineLength = Math.max(1, baselineDays.length);
+  const summarize = (days) => {
+    const categories = [...models.entries()].map(([category, model]) => ({
+      category,
+      ...summarizeCategory(model, days.map(entry => entry.categories.get(category)), baselineLength)
+    }));
+    const total = categories.reduce((sum, entry) => ({
+      expected: sum.expected + entry.expected,
+      recurring: sum.recurring + entry.recurring,
+      variance: sum.variance + entry.variance
+    }), { expected: 0, recurring: 0, variance: 0 });
+    return {
+      total: toBand(total),
+      categories: categories
+        .filter(entry => entry.expected > 0)
+        .map(entry => ({ category: entry.category, ...toBand(entry) }))
+        .sort((a, b) => b.expected - a.expected)
+    };
+  };
+
+  // The current month so far, for a projected month total
+  const spentSoFar = converted
+    .filter(expense => {
+      const day = dayOf(expense);
+      return day >= monthStart(today) && day <= today;
+    })
+    .reduce((sum, expense) => sum + expense.baseAmount, 0);
+
+  const periods = [];
+  for (let offset = 0; offset <= months; offset++) {
+    const startDate = offset === 0 ? firstForecastDay : monthStart(today, offset);
+    const endDate = monthEnd(today, offset);
+    const period = {
+      label: offset === 0 ? `Rest of ${describeMonth(today)}` : describeMonth(startDate),
+      startDate,
+      endDate,
+      ...summarize(forecastDays.filter(entry => entry.day >= startDate && entry.day <= endDate))
+    };
+    if (offset === 0) {
+      period.spentSoFar = round(spentSoFar);
+      period.projectedMonthTotal = {
+        expected: round(spentSoFar + period.total.expected),
+        low: round(spentSoFar + period.total.low),
+        high: round(spentSoFar + period.total.high)
+      };
+    }
+    periods.push(period);
+  }
+
+  return {
+    currency: BASE_CURRENCY,
+    confidence: CONFIDENCE_LEVEL,
+    history: {
+      startDate: baselineDays[0] || null,
+      endDate: baselineDays.length > 0 ? lastHistoryDay : null,
+      days: baselineDays.length,
+      seasonal
+    },
+    periods,
+    daily: forecastDays.map(entry => {
+      const { total } = summarize([entry]);
+      return { date: entry.day, ...total };
+    })
+  };
+};
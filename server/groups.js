@@ -0,0 +1,437 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { userDataDir } from './storage/index.js';
+import { writeJsonFile, withFileLock } from './storage/files.js';
+import { BASE_CURRENCY } from './currency.js';
+import { isDayKey, toDayKey, noonOf } from './timezone.js';
+
+export const groupsFile = () => path.join(userDataDir(), 'groups.json');
+
+// The account holder, who is in every group they make. Other members are
+// people's names.
+export const SELF = 'me';
+const SELF_ALIASES = new Set(['me', 'myself', 'i', 'you']);
+
+export const SPLIT_METHODS = ['equal', 'percent', 'exact'];
+
+const MAX_MEMBERS = 20;
+
+// Settle-up plans are worked out exactly for up to this many members with a
+// balance; larger groups get a plan that may use a transfer or two more
+const MAX_EXACT_SETTLE_MEMBERS = 16;
+
+const toCents = (amount) => Math.round(amount * 100);
+const fromCents = (cents) => cents / 100;
+
+// Helper function to find a member of a group by name, ignoring case.
+// "me", "I" and "you" are the account holder. Returns the name as the group
+// has it, or null.
+export const findMember = (group, name) => {
+  if (typeof name !== 'string' || !name.trim()) return null;
+  const wanted = name.trim().toLowerCase();
+  if (SELF_ALIASES.has(wanted)) return SELF;
+  return group.members.find(member => member.toLowerCase() === wanted) || null;
+};
+
+// Helper function to load the current user's groups
+export const loadGroups = async () => {
+  try {
+    const data = JSON.parse(await fs.readFile(groupsFile(), 'utf8'));
+    return data.groups || [];
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+};
+
+// Helper function to save the current user's groups
+export const saveGroups = async (groups) => {
+  await writeJsonFile(groupsFile(), { groups });
+};
+
+// Helper function to load, change and save the current user's groups after any earlier change
+export const withGroupsLock = (task) => withFileLock(groupsFile(), task);
+
+// Helper function to validate a group from a request body, e.g.
+// { "name": "Flat", "members": ["Sam", "Alex"] }. The account holder is
+// always a member and isn't listed.
+// Returns { group } on success or { error } describing the first problem.
+export const normalizeGroup = (body) => {
+  const { name, members } = body || {};
+  if (typeof name !== 'string' || !name.trim()) {
+    return { error: 'name is required' };
+  }
+  if (!Array.isArray(members) || members.length === 0) {
+    return { error: 'members must list at least one other person' };
+  }
+
+  const names = [];
+  for (const member of members) {
+    if (typeof member !== 'string' || !member.trim()) {
+      return { error: 'members must be non-empty names' };
+    }
+    const clean = member.trim().replace(/\s+/g, ' ');
+    if (SELF_ALIASES.has(clean.toLowerCase())) continue;
+    if (names.some(existing => existing.toLowerCase() === clean.toLowerCase())) {
+      return { error: `${clean} is listed twice` };
+    }
+    names.push(clean);
+  }
+  if (names.length === 0) {
+    return { error: 'members must list at least one other person' };
+  }
+  if (names.length > MAX_MEMBERS) {
+    return { error: `A group can have at most ${MAX_MEMBERS} other members` };
+  }
+
+  return { group: { name: name.trim(), members: names } };
+};
+
+// Helper function to share an amount in cents out by weight, handing the
+// cents left over by rounding to the first members so the shares add up
+const allocate = (cents, weights) => {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const shares = weights.map(weight => Math.floor(cents * weight / totalWeight));
+  let left = cents - shares.reduce((sum, share) => sum + share, 0);
+  for (let i = 0; left > 0; i = (i + 1) % shares.length, left--) {
+    shares[i] += 1;
+  }
+  return shares;
+};
+
+// Helper function to validate how an expense is split and work out each
+// member's share of amount. The split names its group and who paid (the
+// account holder by default), and is one of:
+//   { "method": "equal", "members": ["me", "Sam"] }      (default: the whole group)
+//   { "method": "percent", "shares": [{ "member": "me", "percent": 60 }, ...] }
+//   { "method": "exact", "shares": [{ "member": "me", "amount": 30 }, ...] }
+// A split returned by this function is accepted again as it is, with its
+// shares worked out afresh for a new amount.
+// Returns { split } with shares as [{ member, amount }] (plus percent for
+// percentage splits), or { error }.
+export const normalizeSplit = (body, amount, groups) => {
+  if (!body || typeof body !== 'object') {
+    return { error: 'split must be an object' };
+  }
+  const group = groups.find(existing => existing.id === body.groupId);
+  if (!group) {
+    return { error: 'split.groupId must name one of your groups' };
+  }
+
+  const paidBy = body.paidBy === undefined ? SELF : findMember(group, body.paidBy);
+  if (!paidBy) {
+    return { error: `split.paidBy must be a member of ${group.name}` };
+  }
+
+  const method = body.method === undefined ? 'equal' : body.method;
+  if (!SPLIT_METHODS.includes(method)) {
+    return { error: `split.method must be one of: ${SPLIT_METHODS.join(', ')}` };
+  }
+
+  // Members named, from members or the shares given
+  let entries;
+  if (method === 'equal') {
+    const listed = Array.isArray(body.members)
+      ? body.members
+      : Array.isArray(body.shares) ? body.shares.map(share => share && share.member) : [SELF, ...group.members];
+    entries = listed.map(member => ({ member }));
+  } else {
+    if (!Array.isArray(body.shares) || body.shares.length === 0) {
+      return { error: `split.shares must list each member's ${method === 'percent' ? 'percent' : 'amount'}` };
+    }
+    entries = body.shares.map(share => ({ ...share }));
+  }
+  if (entries.length === 0) {
+    return { error: 'split must include at least one member' };
+  }
+
+  const seen = new Set();
+  for (const entry of entries) {
+    const member = findMember(group, entry.member);
+    if (!member) {
+      return { error: `${entry.member} is not a member of ${group.name}` };
+    }
+    if (seen.has(member)) {
+      return { error: `${member} is in the split twice` };
+    }
+    seen.add(member);
+    entry.member = member;
+  }
+
+  const cents = toCents(amount);
+  let shares;
+  if (method === 'equal') {
+    shares = allocate(cents, entries.map(() => 1)).map((share, index) => ({ member: entries[index].member, amount: fromCents(share) }));
+  } else if (method === 'percent') {
+    const percents = entries.map(entry => Number(entry.percent));
+    if (percents.some(percent => !Number.isFinite(percent) || percent < 0)) {
+      return { error: 'Each share needs a percent of 0 or more' };
+    }
+    if (Math.abs(percents.reduce((sum, percent) => sum + percent, 0) - 100) > 0.01) {
+      return { error: 'Percentages must add up to 100' };
+    }
+    shares = allocate(cents, percents).map((share, index) => ({
+      member: entries[index].member,
+      percent: percents[index],
+      amount: fromCents(share)
+    }));
+  } else {
+    const amounts = entries.map(entry => Number(entry.amount));
+    if (amounts.some(value => !Number.isFinite(value) || value < 0)) {
+      return { error: 'Each share needs an amount of 0 or more' };
+    }
+    if (amounts.reduce((sum, value) => sum + toCents(value), 0) !== cents) {
+      return { error: `Shares must add up to the expense amount (${amount})` };
+    }
+    shares = entries.map((entry, index) => ({ member: entry.member, amount: amounts[index] }));
+  }
+
+  return { split: { groupId: group.id, paidBy, method, shares } };
+};
+
+// Words that end a list of names: "with Sam and Alex for dinner yesterday"
+const NAME_STOP_WORDS = new Set([
+  'on', 'for', 'in', 'at', 'as', 'of', 'to', 'via', 'from', 'paid', 'who', 'because',
+  'today', 'yesterday', 'tonight', 'last', 'this', 'next', 'ago'
+]);
+
+// Helper function to read a list of names: "Sam, Alex and Jo for dinner" ->
+// ["Sam", "Alex", "Jo"]. Names are up to three words.
+const readNames = (text) => {
+  const names = [];
+  let current = [];
+  const finish = () => {
+    if (current.length > 0) names.push(current.join(' '));
+    current = [];
+  };
+  for (const word of text.split(/\s+/)) {
+    const clean = word.replace(/[.,;:!?]+$/, '');
+    const lower = clean.toLowerCase();
+    if (!clean) continue;
+    if (NAME_STOP_WORDS.has(lower) || /\d/.test(clean)) break;
+    if (lower === 'and' || lower === '&') {
+      finish();
+    } else {
+      if (current.length === 3) break;
+      current.push(clean);
+    }
+    if (clean !== word) finish();
+  }
+  finish();
+  return names.filter(name => !['the', 'my'].includes(name.toLowerCase()));
+};
+
+// Helper function to find a split mentioned in expense text:
+//   "dinner $90 split with Sam and Alex"         (equal, with the account holder)
+//   "rent $2000 split 60/40 with Sam"             (percentages, the account holder's first)
+//   "groceries $80 split with the flat"           (a group's name: all its members)
+//   "Sam paid $90 for dinner split with me and Alex" / "... paid by Sam"
+// Returns { names, percents, paidBy } as written, or null when there's no split.
+export const extractSplit = (text) => {
+  const match = text.match(/\b(?:split|shared?|splitting)\s+(?:it\s+)?(?:(equally|evenly)\s+|(\d+(?:\.\d+)?(?:\s*\/\s*\d+(?:\.\d+)?)+)\s+)?(?:with|between|among)\s+(.+)$/i);
+  if (!match) return null;
+
+  const names = readNames(match[3]);
+  const percents = match[2] ? match[2].split('/').map(Number) : null;
+  const payer = text.match(/\bpaid by\s+([A-Z][\w'-]*)/i) || text.match(/^\s*([A-Z][\w'-]*)\s+paid\b/);
+  const paidBy = payer && !SELF_ALIASES.has(payer[1].toLowerCase()) ? payer[1] : null;
+  return { names, percents, paidBy };
+};
+
+// Helper function to turn a split found in text (see extractSplit) into a
+// split for normalizeSplit. The group is the one named, or the smallest
+// that has everyone mentioned.
+// Returns { split } or { issue } explaining why it couldn't be matched.
+export const resolveSplitMention = (mention, groups) => {
+  const people = mention.names.filter(name => !SELF_ALIASES.has(name.toLowerCase()));
+  if (mention.paidBy && !people.some(name => name.toLowerCase() === mention.paidBy.toLowerCase())) {
+    people.push(mention.paidBy);
+  }
+
+  const named = people.length === 1
+    ? groups.find(group => group.name.toLowerCase() === people[0].toLowerCase().replace(/^the\s+/, ''))
+    : null;
+  if (named) {
+    return { split: { groupId: named.id, method: 'equal', paidBy: mention.paidBy || SELF } };
+  }
+  if (people.length === 0) {
+    return { issue: 'Could not tell who to split with' };
+  }
+
+  const [group] = groups
+    .filter(candidate => people.every(name => findMember(candidate, name)))
+    .sort((a, b) => a.members.length - b.members.length);
+  if (!group) {
+    return { issue: `None of your groups has ${people.join(' and ')}; add one to split this` };
+  }
+
+  const members = [SELF, ...people.map(name => findMember(group, name))];
+  const split = { groupId: group.id, paidBy: mention.paidBy || SELF };
+  if (mention.percents) {
+    if (mention.percents.length !== members.length) {
+      return { issue: `The split ${mention.percents.join('/')} doesn't match the ${members.length} people sharing` };
+    }
+    return { split: { ...split, method: 'percent', shares: members.map((member, index) => ({ member, percent: mention.percents[index] })) } };
+  }
+  return { split: { ...split, method: 'equal', members } };
+};
+
+// Helper function to validate a settlement (a payment between two members)
+// from a request body, e.g. { "from": "Sam", "to": "me", "amount": 45 }.
+// Returns { settlement } on success or { error } describing the first problem.
+export const normalizeSettlement = (body, group) => {
+  const { from, to, note } = body || {};
+  const payer = findMember(group, from);
+  const payee = findMember(group, to);
+  if (!payer || !payee) {
+    return { error: `from and to must be members of ${group.name}` };
+  }
+  if (payer === payee) {
+    return { error: 'from and to must be different members' };
+  }
+
+  const amount = Number(body.amount);
+  if (!Number.isFinite(amount) || amount <= 0) {
+    return { error: 'amount must be a positive number' };
+  }
+
+  const currency = body.currency === undefined ? BASE_CURRENCY : String(body.currency).toUpperCase();
+  if (!/^[A-Z]{3}$/.test(currency)) {
+    return { error: 'currency must be a 3-letter ISO code' };
+  }
+
+  const day = body.date === undefined ? toDayKey(new Date()) : body.date;
+  if (!isDayKey(day)) {
+    return { error: 'date must be a date in YYYY-MM-DD format' };
+  }
+
+  return {
+    settlement: {
+      from: payer,
+      to: payee,
+      amount: Math.round(amount * 100) / 100,
+      currency,
+      date: noonOf(day).toISOString(),
+      note: typeof note === 'string' && note.trim() ? note.trim() : null
+    }
+  };
+};
+
+// Helper function to plan the fewest transfers that settle every balance.
+// Balances are in cents, positive for members who are owed. Members whose
+// balances cancel out among themselves settle within that set, so the plan
+// is found by splitting members into as many such sets as possible; each
+// set of n members then needs n - 1 transfers.
+const planTransfers = (balances) => {
+  const people = balances.filter(entry => entry.cents !== 0);
+  const sets = [];
+
+  if (people.length <= MAX_EXACT_SETTLE_MEMBERS) {
+    const size = 1 << people.length;
+    const sums = new Array(size).fill(0);
+    const best = new Array(size).fill(0);
+    for (let mask = 1; mask < size; mask++) {
+      const low = mask & -mask;
+      sums[mask] = sums[mask ^ low] + people[31 - Math.clz32(low)].cents;
+      let most = 0;
+      for (let rest = mask; rest; rest &= rest - 1) {
+        most = Math.max(most, best[mask ^ (rest & -rest)]);
+      }
+      best[mask] = most + (sums[mask] === 0 ? 1 : 0);
+    }
+
+    // Walk back from everyone, cutting off a set at each zero-sum step
+    let mask = size - 1;
+    let current = [];
+    while (mask) {
+      const target = best[mask] - (sums[mask] === 0 ? 1 : 0);
+      let bit = mask & -mask;
+      for (let rest = mask; rest; rest &= rest - 1) {
+        if (best[mask ^ (rest & -rest)] === target) {
+          bit = rest & -rest;
+          break;
+        }
+      }
+      current.push(people[31 - Math.clz32(bit)]);
+      mask ^= bit;
+      if (sums[mask] === 0) {
+        sets.push(current);
+        current = [];
+      }
+    }
+  } else {
+    sets.push(people);
+  }
+
+  // Within a set, the biggest debtor pays the biggest creditor until it's even
+  const transfers = [];
+  sets.forEach(set => {
+    const owed = set.filter(entry => entry.cents > 0).map(entry => ({ ...entry }));
+    const owing = set.filter(entry => entry.cents < 0).map(entry => ({ ...entry, cents: -entry.cents }));
+    while (owed.length > 0 && owing.length > 0) {
+      owed.sort((a, b) => b.cents - a.cents);
+      owing.sort((a, b) => b.cents - a.cents);
+      const cents = Math.min(owed[0].cents, owing[0].cents);
+      transfers.push({ from: owing[0].member, to: owed[0].member, amount: fromCents(cents) });
+      owed[0].cents -= cents;
+      owing[0].cents -= cents;
+      if (owed[0].cents === 0) owed.shift();
+      if (owing[0].cents === 0) owing.shift();
+    }
+  });
+  return transfers.sort((a, b) => b.amount - a.amount);
+};
+
+// Helper function to work out who owes whom in a group.
+//   expenses     the group's split expenses, with base-currency amounts (see attachBaseAmounts)
+//   settlements  the group's settlements, with base-currency amounts
+// A member's balance is what they paid (including settlements they sent)
+// less their shares (and settlements they received): positive when they're
+// owed, negative when they owe. Expenses without an exchange rate are left
+// out and counted. Returns the balances, in the base currency, and the
+// fewest transfers that settle them.
+export const calculateBalances = (group, expenses, settlements) => {
+  const members = [SELF, ...group.members];
+  const totals = new Map(members.map(member => [member, { paid: 0, share: 0, sent: 0, received: 0 }]));
+  const converted = expenses.filter(expense => expense.baseAmount !== null);
+
+  converted.forEach(expense => {
+    // Shares are in the expense's currency; each is converted at the same rate
+    const shares = expense.split.shares;
+    const weights = expense.amount > 0 ? shares.map(share => share.amount) : shares.map(() => 1);
+    const cents = allocate(toCents(expense.baseAmount), weights);
+    if (totals.has(expense.split.paidBy)) totals.get(expense.split.paidBy).paid += toCents(expense.baseAmount);
+    shares.forEach((share, index) => {
+      if (totals.has(share.member)) totals.get(share.member).share += cents[index];
+    });
+  });
+  settlements
+    .filter(settlement => settlement.baseAmount !== null)
+    .forEach(settlement => {
+      const cents = toCents(settlement.baseAmount);
+      if (totals.has(settlement.from)) totals.get(settlement.from).sent += cents;
+      if (totals.has(settlement.to)) totals.get(settlement.to).received += cents;
+    });
+
+  const balances = members.map(member => {
+    const { paid, share, sent, received } = totals.get(member);
+    return { member, cents: paid - share + sent - received, paid, share, sent, received };
+  });
+
+  return {
+    currency: BASE_CURRENCY,
+    unconvertedCount: expenses.length - converted.length + settlements.filter(settlement => settlement.baseAmount === null).length,
+    balances: balances.map(({ member, cents, paid, share, sent, received }) => ({
+      member,
+      paid: fromCents(paid),
+      share: fromCents(share),
+      settledOut: fromCents(sent),
+      settledIn: fromCents(received),
+      balance: fromCents(cents)
+    })),
+    transfers: planTransfers(balances),
+    settled: balances.every(entry => entry.cents === 0)
+  };
+};
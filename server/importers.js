@@ -0,0 +1,351 @@
+import { BASE_CURRENCY, currencyOf } from './currency.js';
+import { tokenize } from './learner.js';
+import { dayOf, daysBetween, noonOf } from './timezone.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Imported transactions within this many days of an existing expense with the
+// same amount may be the same expense (card transactions often post a day or two late)
+const DUPLICATE_WINDOW_DAYS = 2;
+
+// Share of description words two expenses must have in common to count as alike
+const DESCRIPTION_SIMILARITY = 0.5;
+
+// Header names used to guess which CSV column holds what
+const COLUMN_HINTS = {
+  date: /date|posted|booking/i,
+  description: /description|payee|merchant|name|memo|details|narrative|reference/i,
+  amount: /amount|value|sum/i,
+  debit: /debit|withdrawal|paid out|money out/i,
+  credit: /credit|deposit|paid in|money in/i,
+  currency: /currency|ccy/i
+};
+
+// Helper function to split CSV text into rows of fields. Handles quoted
+// fields (with "" for a quote) and comma, semicolon or tab delimiters.
+export const parseCsv = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t']
+    .map(candidate => [candidate, firstLine.split(candidate).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows
+    .map(fields => fields.map(value => value.trim()))
+    .filter(fields => fields.some(Boolean));
+};
+
+// Helper function to turn an amount from a statement into a number:
+// "-1,234.56", "1.234,56", "(12.00)", "$12.00", "12.00-"
+export const parseStatementAmount = (raw) => {
+  if (raw === undefined || raw === null) return null;
+  let value = String(raw).trim();
+  if (!value) return null;
+
+  const negative = /^\(.*\)$/.test(value) || /^-|-$/.test(value.replace(/[^\d.,()-]/g, ''));
+  value = value.replace(/[^\d.,]/g, '');
+  if (!/\d/.test(value)) return null;
+
+  // The last of "," and "." is the decimal separator when both appear;
+  // a lone "," followed by one or two digits is a decimal comma
+  const lastComma = value.lastIndexOf(',');
+  const lastDot = value.lastIndexOf('.');
+  if (lastComma > lastDot && (lastDot !== -1 || /,\d{1,2}$/.test(value))) {
+    value = value.replace(/\./g, '').replace(',', '.');
+  } else {
+    value = value.replace(/,/g, '');
+  }
+
+  const amount = parseFloat(value);
+  if (!Number.isFinite(amount)) return null;
+  return negative ? -amount : amount;
+};
+
+const toIsoDay = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().split('T')[0];
+};
+
+// Helper function to guess whether slash dates are month-first (MDY) or
+// day-first (DMY): any first part above 12 means day-first
+const detectDateOrder = (values) =>
+  values.some(value => {
+    const match = /^(\d{1,2})[/.-](\d{1,2})[/.-]\d{2,4}/.exec(value || '');
+    return match && Number(match[1]) > 12;
+  }) ? 'DMY' : 'MDY';
+
+// Helper function to parse a statement date (YYYY-MM-DD, slash dates in the
+// given order, or anything Date understands) into a YYYY-MM-DD day
+export const parseStatementDate = (raw, order = 'MDY') => {
+  const value = String(raw || '').trim();
+
+  let match = /^(\d{4})[/.-](\d{1,2})[/.-](\d{1,2})/.exec(value);
+  if (match) return toIsoDay(Number(match[1]), Number(match[2]), Number(match[3]));
+
+  match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})\b/.exec(value);
+  if (match) {
+    const year = Number(match[3]) < 100 ? 2000 + Number(match[3]) : Number(match[3]);
+    const [month, day] = order === 'DMY' ? [match[2], match[1]] : [match[1], match[2]];
+    return toIsoDay(year, Number(month), Number(day));
+  }
+
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) return null;
+  return toIsoDay(date.getFullYear(), date.getMonth() + 1, date.getDate());
+};
+
+// Helper function to guess the column mapping from a CSV header row.
+// Columns are referred to by index.
+export const detectCsvMapping = (headers) => {
+  const mapping = {};
+  const taken = new Set();
+  for (const field of ['date', 'debit', 'credit', 'currency', 'amount', 'description']) {
+    const index = headers.findIndex((header, i) => !taken.has(i) && COLUMN_HINTS[field].test(header));
+    if (index !== -1) {
+      mapping[field] = index;
+      taken.add(index);
+    }
+  }
+  // A single amount column is preferred over separate debit/credit columns
+  if (mapping.amount !== undefined) {
+    delete mapping.debit;
+    delete mapping.credit;
+  }
+  return mapping;
+};
+
+// Helper function to check a CSV column mapping against the header row.
+// Returns an error message, or null when the mapping is usable.
+export const validateCsvMapping = (mapping, headers) => {
+  const isColumn = (value) => Number.isInteger(value) && value >= 0 && value < headers.length;
+  for (const [field, value] of Object.entries(mapping)) {
+    if (['date', 'description', 'amount', 'debit', 'credit', 'currency'].includes(field) && !isColumn(value)) {
+      return `${field} must be a column number from 0 to ${headers.length - 1}`;
+    }
+  }
+  if (mapping.date === undefined) return 'Choose the column that holds the date';
+  if (mapping.description === undefined) return 'Choose the column that holds the description';
+  if (mapping.amount === undefined && mapping.debit === undefined) {
+    return 'Choose the column that holds the amount (or the debit column)';
+  }
+  if (mapping.dateFormat !== undefined && !['MDY', 'DMY'].includes(mapping.dateFormat)) {
+    return 'dateFormat must be MDY or DMY';
+  }
+  if (mapping.spending !== undefined && !['negative', 'positive'].includes(mapping.spending)) {
+    return 'spending must be negative or positive';
+  }
+  return null;
+};
+
+// Helper function to turn CSV rows (after the header) into transactions.
+// With a single amount column, spending is whichever sign most rows have
+// unless mapping.spending says otherwise; rows of the other sign (payments,
+// refunds) are skipped. Returns { transactions, skipped, mapping } with the
+// date order and spending sign that were used filled in.
+export const csvToTransactions = (rows, mapping) => {
+  const used = {
+    ...mapping,
+    dateFormat: mapping.dateFormat || detectDateOrder(rows.map(row => row[mapping.date]))
+  };
+  if (used.amount !== undefined && !used.spending) {
+    const amounts = rows.map(row => parseStatementAmount(row[used.amount])).filter(amount => amount !== null);
+    used.spending = amounts.filter(amount => amount < 0).length > amounts.length / 2 ? 'negative' : 'positive';
+  }
+
+  const transactions = [];
+  const skipped = [];
+  rows.forEach((row, index) => {
+    const line = index + 2;
+    const day = parseStatementDate(row[used.date], used.dateFormat);
+    if (!day) {
+      skipped.push({ line, reason: `Unreadable date "${row[used.date] || ''}"` });
+      return;
+    }
+
+    let amount;
+    if (used.amount !== undefined) {
+      const value = parseStatementAmount(row[used.amount]);
+      amount = value === null ? null : (used.spending === 'negative' ? -value : value);
+    } else {
+      const debit = parseStatementAmount(row[used.debit]);
+      amount = debit === null ? null : Math.abs(debit);
+    }
+    if (amount === null) {
+      skipped.push({ line, reason: 'No amount spent (credit or blank)' });
+      return;
+    }
+    if (amount <= 0) {
+      skipped.push({ line, reason: 'Not spending (payment, refund or credit)' });
+      return;
+    }
+
+    const description = row[used.description];
+    if (!description) {
+      skipped.push({ line, reason: 'Missing description' });
+      return;
+    }
+
+    const currency = used.currency !== undefined && /^[A-Za-z]{3}$/.test(row[used.currency] || '')
+      ? row[used.currency].toUpperCase()
+      : BASE_CURRENCY;
+
+    transactions.push({ line, date: noonOf(day).toISOString(), amount, currency, description });
+  });
+
+  return { transactions, skipped, mapping: used };
+};
+
+// Helper function to read a tag's value from OFX, which may be SGML
+// (<TAG>value with no closing tag) or XML
+const ofxValue = (block, tag) => {
+  const match = new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i').exec(block);
+  if (!match) return null;
+  return match[1].trim()
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+};
+
+// Helper function to check whether text is an OFX/QFX file
+export const isOfx = (text) => /<OFX>/i.test(text) || /^\s*OFXHEADER:/i.test(text);
+
+// Helper function to turn an OFX/QFX statement into transactions. Debits
+// (negative amounts) are spending; credits are skipped.
+// Returns { transactions, skipped }.
+export const ofxToTransactions = (text) => {
+  const currency = (ofxValue(text, 'CURDEF') || BASE_CURRENCY).toUpperCase();
+  const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>|$)/gi) || [];
+
+  const transactions = [];
+  const skipped = [];
+  blocks.forEach((block, index) => {
+    const line = index + 1;
+    const posted = /^(\d{4})(\d{2})(\d{2})/.exec(ofxValue(block, 'DTPOSTED') || '');
+    const day = posted && toIsoDay(Number(posted[1]), Number(posted[2]), Number(posted[3]));
+    if (!day) {
+      skipped.push({ line, reason: 'Unreadable date' });
+      return;
+    }
+
+    const value = parseStatementAmount(ofxValue(block, 'TRNAMT'));
+    if (value === null || value >= 0) {
+      skipped.push({ line, reason: 'Not spending (payment, refund or credit)' });
+      return;
+    }
+
+    const description = ofxValue(block, 'NAME') || ofxValue(block, 'MEMO');
+    if (!description) {
+      skipped.push({ line, reason: 'Missing description' });
+      return;
+    }
+
+    transactions.push({
+      line,
+      date: noonOf(day).toISOString(),
+      amount: -value,
+      currency: (ofxValue(block, 'CURSYM') || currency).toUpperCase(),
+      description,
+      externalId: ofxValue(block, 'FITID') || undefined
+    });
+  });
+
+  return { transactions, skipped };
+};
+
+// Helper function to rate how alike two descriptions are, from 0 to 1
+const descriptionSimilarity = (a, b) => {
+  const wordsA = new Set(tokenize(a));
+  const wordsB = new Set(tokenize(b));
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return shared / Math.min(wordsA.size, wordsB.size);
+};
+
+// Helper function to find an existing expense an imported transaction
+// duplicates. The same bank transaction ID is an exact match; otherwise the
+// amount and currency must be equal and the dates close, and the match is
+// "likely" when the descriptions are alike or "possible" when they're on the
+// same day but described differently (e.g. "coffee" vs "STARBUCKS #1234").
+// Returns { expense, match } or null.
+export const findDuplicate = (transaction, expenses) => {
+  const day = dayOf(transaction);
+  let best = null;
+
+  for (const expense of expenses) {
+    if (transaction.externalId && expense.externalId === transaction.externalId) {
+      return { expense, match: 'exact' };
+    }
+    if (currencyOf(expense) !== transaction.currency || Math.abs(expense.amount - transaction.amount) >= 0.005) {
+      continue;
+    }
+
+    const dayGap = Math.abs(daysBetween(dayOf(expense), day));
+    if (dayGap > DUPLICATE_WINDOW_DAYS) continue;
+
+    if (descriptionSimilarity(expense.description, transaction.description) >= DESCRIPTION_SIMILARITY) {
+      best = { expense, match: 'likely' };
+    } else if (dayGap === 0 && !best) {
+      best = { expense, match: 'possible' };
+    }
+  }
+
+  return best;
+};
+
+// Helper function to get the date range existing expenses must be loaded for
+// to check a list of transactions for duplicates
+export const duplicateSearchRange = (transactions) => {
+  // Found in one pass rather than by spreading the dates into Math.min/max,
+  // which overflows the call stack on a long statement
+  let first = Infinity;
+  let last = -Infinity;
+  for (const transaction of transactions) {
+    const time = new Date(transaction.date).getTime();
+    first = Math.min(first, time);
+    last = Math.max(last, time);
+  }
+  return {
+    startDate: new Date(first - DUPLICATE_WINDOW_DAYS * DAY_MS),
+    endDate: new Date(last + DUPLICATE_WINDOW_DAYS * DAY_MS)
+  };
+};
@@ -0,0 +1,16 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { duplicateSearchRange } from './importers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('the duplicate search range covers a long statement', () => {
+  const start = new Date('2020-01-01T12:00:00Z').getTime();
+  const transactions = Array.from({ length: 200000 }, (_, index) => ({
+    date: new Date(start + (index % 1000) * DAY_MS).toISOString()
+  }));
+
+  const { startDate, endDate } = duplicateSearchRange(transactions);
+  assert.ok(startDate.getTime() < start);
+  assert.ok(endDate.getTime() > start + 999 * DAY_MS);
+});
@@ -0,0 +1,103 @@
+import { toMonthKey } from './timezone.js';
+
+// Kinds of transaction. Records without a type are expenses, as every record
+// was before income was tracked.
+export const TRANSACTION_TYPES = ['expense', 'income'];
+
+// Category given to income that matches no rule
+export const FALLBACK_INCOME_CATEGORY = 'other income';
+
+// Income categories, kept apart from expense categories. Order matters: the
+// first category with a matching keyword wins.
+export const INCOME_CATEGORIES = [
+  { name: 'salary', keywords: ['salary', 'paycheck', 'paycheque', 'payroll', 'wage', 'wages', 'got paid', 'get paid', 'was paid', 'payday'] },
+  { name: 'bonus', keywords: ['bonus', 'commission'] },
+  { name: 'freelance', keywords: ['freelance', 'freelancing', 'invoice', 'client', 'consulting', 'contract work', 'gig'] },
+  { name: 'investments', keywords: ['dividend', 'dividends', 'interest', 'capital gains', 'stock', 'stocks'] },
+  { name: 'refunds', keywords: ['refund', 'refunded', 'reimbursed', 'reimbursement', 'cashback', 'cash back', 'rebate'] },
+  { name: 'gifts', keywords: ['gift', 'birthday money'] },
+  { name: 'sales', keywords: ['sold', 'sale of'] }
+];
+
+// Phrases that mean money came in: "got paid $3000", "received $50 from Sam",
+// "earned 200 freelancing", "refund of $30"
+const INCOME_PATTERN = /\b(?:got paid|get paid|getting paid|was paid|been paid|paid me|received|receive|earned|earn|salary|paycheck|paycheque|payday|income|refund(?:ed)?|reimburs\w*|direct deposit|bonus|dividends?|sold|cash ?back)\b|\bmade \$?\d/i;
+
+// Phrases that mean money went out, which win over the income phrases ("paid
+// for a refund shipping label" is still an expense)
+const EXPENSE_PATTERN = /\b(?:spent|spend|spending|bought|buy|purchased?|paid (?:for|to)|cost|costs|charged)\b/i;
+
+// Words that end a source name: "from Acme yesterday", "from Sam for dinner"
+const SOURCE_STOP_WORDS = new Set([
+  'on', 'for', 'in', 'at', 'and', 'as', 'of', 'to', 'with', 'via', 'into',
+  'today', 'yesterday', 'tonight', 'last', 'this', 'next', 'ago'
+]);
+const MAX_SOURCE_WORDS = 4;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Helper function to get a record's transaction type
+export const typeOf = (record) => (record.type === 'income' ? 'income' : 'expense');
+export const isIncome = (record) => typeOf(record) === 'income';
+export const isExpense = (record) => typeOf(record) === 'expense';
+
+// Helper function to tell whether text describes money coming in
+export const isIncomeText = (text) => INCOME_PATTERN.test(text) && !EXPENSE_PATTERN.test(text);
+
+// Helper function to pick an income category for some text.
+// Returns { category, confidence } like categorizeExpense.
+export const categorizeIncome = (text) => {
+  const match = INCOME_CATEGORIES.find(category =>
+    category.keywords.some(keyword => new RegExp(`\\b${escapeRegExp(keyword)}\\b`, 'i').test(text)));
+  return match
+    ? { category: match.name, confidence: 0.9 }
+    : { category: FALLBACK_INCOME_CATEGORY, confidence: 0.5 };
+};
+
+// Helper function to find who paid, from "from X" or "by X" in the text,
+// e.g. "got paid $3000 from Acme Corp yesterday" -> "Acme Corp".
+// Returns null when the text doesn't name one.
+export const extractSource = (text) => {
+  const match = text.match(/\b(?:from|by)\s+(.+)$/i);
+  if (!match) return null;
+
+  const words = [];
+  for (const word of match[1].split(/\s+/)) {
+    const clean = word.replace(/[.,;:!?]+$/, '');
+    if (!clean || SOURCE_STOP_WORDS.has(clean.toLowerCase()) || /\d/.test(clean)) break;
+    words.push(clean);
+    if (words.length === MAX_SOURCE_WORDS || clean !== word) break;
+  }
+  if (words[0] && ['the', 'my', 'a', 'an'].includes(words[0].toLowerCase())) words.shift();
+  return words.length > 0 ? words.join(' ') : null;
+};
+
+// Helper function to total income and expenses. Expects records with
+// base-currency amounts (see attachBaseAmounts); ones without are left out.
+// savingsRate is the share of income not spent, as a percentage, or null
+// when there was no income.
+export const summarizeCashFlow = (records) => {
+  const converted = records.filter(record => record.baseAmount !== null);
+  const income = converted.filter(isIncome).reduce((sum, record) => sum + record.baseAmount, 0);
+  const expenses = converted.filter(isExpense).reduce((sum, record) => sum + record.baseAmount, 0);
+  const netSavings = income - expenses;
+  return {
+    income,
+    expenses,
+    netSavings,
+    savingsRate: income > 0 ? Math.round(netSavings / income * 1000) / 10 : null
+  };
+};
+
+// Helper function to break cash flow (see summarizeCashFlow) down by
+// calendar month in the user's timezone, oldest first. Months with no records are left out.
+export const cashFlowByMonth = (records) => {
+  const months = {};
+  records.forEach(record => {
+    const month = toMonthKey(record.date);
+    (months[month] = months[month] || []).push(record);
+  });
+  return Object.keys(months)
+    .sort()
+    .map(month => ({ period: month, ...summarizeCashFlow(months[month]) }));
+};
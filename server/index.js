@@ -1,35 +1,202 @@
 import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
-import bodyParser from 'body-parser';
+import multer from 'multer';
 import * as chrono from 'chrono-node';
-import { promises as fs } from 'fs';
+import { randomUUID } from 'crypto';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { pipeline, env } from '@xenova/transformers';
+import { createUserStorage } from './storage/index.js';
+import { runAsUser, currentUser } from './context.js';
+import {
+  REGISTRATION_OPEN,
+  normalizeCredentials,
+  registerUser,
+  authenticate,
+  createSession,
+  findSessionUser,
+  endSession,
+  listUsers,
+  createDownloadLink,
+  findDownloadLinkUser
+} from './accounts.js';
+import { applySavedSettings, loadSettings, saveSettings, withSettingsLock, normalizeSettings } from './settings.js';
+import {
+  getTimeZone,
+  setTimeZone,
+  zonedParts,
+  fromZonedTime,
+  isDayKey,
+  parseDayKey,
+  addDays,
+  toDayKey,
+  toMonthKey,
+  dayOf,
+  startOfDay,
+  endOfDay,
+  chronoReference,
+  chronoDate
+} from './timezone.js';
+import { extractAmount, splitLineItems } from './amounts.js';
+import {
+  FALLBACK_CATEGORY,
+  loadCategories,
+  saveCategories,
+  withCategoriesLock,
+  normalizeCategory,
+  matchCategory,
+  toCategoryName
+} from './categories.js';
+import { createCategoryLearner } from './learner.js';
+import {
+  loadBudgets,
+  saveBudgets,
+  withBudgetsLock,
+  normalizeBudget,
+  calculateBudgetStatus,
+  renameBudgetCategory,
+  mergeBudgetCategory,
+  getMonthRange,
+  isMonthKey
+} from './budgets.js';
+import {
+  loadRecurring,
+  saveRecurring,
+  withRecurringLock,
+  normalizeRecurring,
+  createRecurringScheduler,
+  detectSubscriptions,
+  listUpcomingExpenses
+} from './recurring.js';
+import {
+  loadGroups,
+  saveGroups,
+  withGroupsLock,
+  normalizeGroup,
+  normalizeSplit,
+  extractSplit,
+  resolveSplitMention,
+  normalizeSettlement,
+  calculateBalances
+} from './groups.js';
+import {
+  toTag,
+  normalizeTags,
+  extractTags,
+  stripTags,
+  findProjectByTag,
+  findProject,
+  findActiveTrip,
+  loadProjects,
+  saveProjects,
+  withProjectsLock,
+  normalizeProject,
+  summarizeProjects,
+  countTags
+} from './projects.js';
+import {
+  loadMerchants,
+  saveMerchants,
+  withMerchantsLock,
+  findMerchant,
+  findAliasOwner,
+  normalizeMerchant,
+  matchAlias,
+  resolveMerchant,
+  extractMerchant,
+  merchantFromPayee,
+  countMerchants
+} from './merchants.js';
+import {
+  parseCsv,
+  detectCsvMapping,
+  validateCsvMapping,
+  csvToTransactions,
+  isOfx,
+  ofxToTransactions,
+  findDuplicate,
+  duplicateSearchRange
+} from './importers.js';
+import { toCsv, toJsonLines, renderReport } from './exporters.js';
+import {
+  parseQuestion,
+  queryDateSpan,
+  runQuery,
+  describeResult,
+  filterByQuery,
+  trendMonths,
+  describeTrend,
+  runSavingsQuery,
+  describeSavings,
+  describeIncome
+} from './query.js';
+import {
+  COMPARISON_PERIODS,
+  COMPARISON_BASES,
+  getPeriodRange,
+  getComparisonRange,
+  describePeriod,
+  comparePeriods,
+  getTrendRange,
+  calculateTrends
+} from './trends.js';
+import { detectAnomalies } from './anomalies.js';
+import {
+  TRANSACTION_TYPES,
+  INCOME_CATEGORIES,
+  FALLBACK_INCOME_CATEGORY,
+  isIncome,
+  isExpense,
+  isIncomeText,
+  categorizeIncome,
+  extractSource,
+  summarizeCashFlow,
+  cashFlowByMonth
+} from './income.js';
+import {
+  FORECAST_HISTORY_DAYS,
+  DEFAULT_FORECAST_MONTHS,
+  MAX_FORECAST_MONTHS,
+  forecastSpending
+} from './forecast.js';
+import {
+  RECEIPT_TYPES,
+  saveReceipt,
+  claimReceipt,
+  releaseReceipt,
+  deleteReceipt,
+  receiptExists,
+  isPendingReceipt,
+  findReceipt,
+  removeAbandonedReceipts,
+  recognizeReceipt,
+  parseReceiptText
+} from './receipts.js';
+import {
+  BASE_CURRENCY,
+  currencyOf,
+  attachBaseAmounts,
+  formatMoney,
+  loadExchangeRates
+} from './currency.js';
 
-// Set environment variables for transformers.js
-env.cacheDir = './.cache';
-env.allowLocalModels = true;
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const app = express();
+export const app = express();
 const port = process.env.PORT || 3001;
-const DATA_DIR = path.join(__dirname, 'data');
 
 // Initialize AI models
-let classifier = null;
 let analyzer = null;
 
-// Load AI models
+// Load AI models. transformers.js is only imported here, so the app can be
+// used (in tests) without loading it.
 const loadModels = async () => {
   console.log('Loading AI models...');
   try {
-    // Load text classification model for expense categorization
-    classifier = await pipeline('text-classification', 'Xenova/distilbert-base-uncased-finetuned-sst-2-english');
-    
+    const { pipeline, env } = await import('@xenova/transformers');
+
+    // Set environment variables for transformers.js
+    env.cacheDir = './.cache';
+    env.allowLocalModels = true;
+
     // Load text generation model for expense analysis
     analyzer = await pipeline('text2text-generation', 'Xenova/t5-small');
     
@@ -39,60 +206,213 @@ const loadModels = async () => {
   }
 };
 
-// Load models on startup
-loadModels();
+// Browsers may only call the API from the client's origin (CORS_ORIGIN, a
+// comma-separated list, default http://localhost:3000)
+const allowedOrigins = (process.env.CORS_ORIGIN || 'http://localhost:3000').split(',').map(origin => origin.trim());
+app.use(cors({ origin: allowedOrigins, exposedHeaders: ['X-Next-Cursor'] }));
 
-app.use(cors());
-app.use(express.json());
-app.use(bodyParser.json());
+// JSON bodies are limited to express's default size, except on the import
+// routes: bank statements are uploaded as JSON, so those take larger bodies
+// (importJson), read only once the request is signed in
+const IMPORT_PATHS = ['/api/import', '/api/import/preview'];
+const importJson = express.json({ limit: '10mb' });
+const defaultJson = express.json();
+app.use((req, res, next) => (IMPORT_PATHS.includes(req.path) ? next() : defaultJson(req, res, next)));
 
-// Ensure data directory exists
-await fs.mkdir(DATA_DIR, { recursive: true });
+// Storage backend selected in .env. Every call works on the data of the
+// user the request runs as; each user's storage is opened on first use.
+const storage = createUserStorage();
+console.log(`Using ${storage.name} storage`);
 
-// AI-powered expense categorization
-const categorizeExpense = async (description) => {
-  if (!classifier) return 'other';
-
-  try {
-    const categories = {
-      'food': ['restaurant', 'dinner', 'lunch', 'breakfast', 'meal', 'food'],
-      'groceries': ['grocery', 'supermarket', 'market', 'food store'],
-      'transportation': ['gas', 'fuel', 'uber', 'lyft', 'taxi', 'bus', 'train'],
-      'utilities': ['electricity', 'water', 'internet', 'phone', 'bill'],
-      'entertainment': ['movie', 'concert', 'show', 'game', 'streaming'],
-      'shopping': ['clothes', 'shoes', 'amazon', 'store'],
-      'health': ['doctor', 'medicine', 'pharmacy', 'medical'],
-      'housing': ['rent', 'mortgage', 'maintenance', 'repair']
-    };
+// Helper function to run a task as a user, with their saved timezone and
+// category learner ready
+const runWithUser = (user, task) => runAsUser(user, async () => {
+  await applySavedSettings();
+  await getLearner();
+  return task();
+});
 
-    // First try keyword matching
-    const lowerDesc = description.toLowerCase();
-    for (const [category, keywords] of Object.entries(categories)) {
-      if (keywords.some(keyword => lowerDesc.includes(keyword))) {
-        return category;
-      }
+// Helper function to load every stored expense
+const loadAllExpenses = () => storage.loadExpensesInRange(new Date('1970-01-01'), new Date('9999-12-31'));
+
+// Helper function to load the expenses between two dates, leaving out income,
+// for views of spending
+const loadSpendingInRange = async (startDate, endDate) =>
+  (await storage.loadExpensesInRange(startDate, endDate)).filter(isExpense);
+
+// Category learners, one per user, trained on that user's past expenses the
+// first time something runs as them and kept in step with changes to them
+const learners = new Map();
+const retrainLearner = async () => {
+  const learner = createCategoryLearner().train(await loadAllExpenses());
+  console.log(`Category learner trained on ${learner.size()} expenses for ${currentUser().username}`);
+  return learner;
+};
+const getLearner = () => {
+  const { id } = currentUser();
+  if (!learners.has(id)) {
+    const pending = retrainLearner();
+    learners.set(id, pending);
+    pending.catch(() => learners.delete(id));
+  }
+  return learners.get(id);
+};
+const resetLearner = async () => {
+  learners.delete(currentUser().id);
+  await getLearner();
+};
+
+// Expense categorization.
+// Returns { category, confidence }: the user's keyword rules are trusted most,
+// then the learner's guess from past expenses, and falling back to "other" least.
+const categorizeExpense = async (description) => {
+  try {
+    // First try the user's category rules
+    const matched = await matchCategory(description);
+    if (matched) {
+      return { category: matched, confidence: 0.9 };
     }
 
-    // If no keyword match, use AI model
-    const result = await classifier(description, { topk: 1 });
-    const sentiment = result[0].label;
-    
-    // Map sentiment to expense category
-    if (sentiment.includes('POSITIVE')) {
-      if (lowerDesc.includes('buy') || lowerDesc.includes('purchase')) {
-        return 'shopping';
-      } else if (lowerDesc.includes('eat') || lowerDesc.includes('drink')) {
-        return 'food';
-      }
+    // If no rule matches, use what was learned from past expenses
+    const prediction = (await getLearner()).predict(description);
+    if (prediction) {
+      return prediction;
     }
     
-    return 'other';
+    return { category: FALLBACK_CATEGORY, confidence: 0.3 };
   } catch (error) {
     console.error('Error categorizing expense:', error);
-    return 'other';
+    return { category: FALLBACK_CATEGORY, confidence: 0.3 };
+  }
+};
+
+// Helper function to run a task as every user in turn. A task that fails
+// for one user is logged and the rest still run.
+const forEachUser = async (task) => {
+  for (const user of await listUsers()) {
+    try {
+      await runWithUser(user, task);
+    } catch (error) {
+      console.error(`Error running task for ${user.username}:`, error);
+    }
   }
 };
 
+// Scheduler that adds recurring expenses as they fall due, catching up on
+// any missed while the server was down. Runs for every user.
+const scheduler = createRecurringScheduler({
+  storage,
+  forEachUser,
+  onExpenseCreated: async (expense) => (await getLearner()).learn(expense)
+});
+
+// Helper function to read a request's session token from "Authorization:
+// Bearer <token>"
+const readToken = (req) => {
+  const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+};
+
+// Paths (under /api) the browser opens itself, which take a signed link
+// instead of a session token (see createDownloadLink)
+const DOWNLOAD_PATH = /^\/(export|export\/report|receipts\/[^/?]+)(\?|$)/;
+
+// Register endpoint. Body: { "username": "sam", "password": "..." }.
+// Creates the account and signs in. The first account takes over the data
+// saved before there were accounts.
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    const { credentials, error } = normalizeCredentials(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await registerUser(credentials);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.status(201).json({ user: result.user, ...(await createSession(result.user)) });
+  } catch (error) {
+    console.error('Error registering user:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sign-in endpoint. Body: { "username": "sam", "password": "..." }.
+// Returns the user and a session token to send as "Authorization: Bearer <token>".
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: 'username and password are required' });
+    }
+
+    const user = await authenticate({ username: username.trim().toLowerCase(), password });
+    if (!user) {
+      return res.status(401).json({ error: 'Wrong username or password' });
+    }
+    res.json({ user, ...(await createSession(user)) });
+  } catch (error) {
+    console.error('Error signing in:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Whether new accounts can be created, for the sign-in screen
+app.get('/api/auth/status', (req, res) => {
+  res.json({ registrationOpen: REGISTRATION_OPEN });
+});
+
+// Every other /api route needs a session and runs as its user, so it only
+// sees that user's expenses, categories, budgets and settings
+app.use('/api', async (req, res, next) => {
+  try {
+    const token = readToken(req);
+    let user = token ? await findSessionUser(token) : null;
+    if (!user && !token && req.method === 'GET' && DOWNLOAD_PATH.test(req.url)) {
+      user = await findDownloadLinkUser(req.url);
+    }
+    if (!user) {
+      return res.status(401).json({ error: 'Sign in to continue' });
+    }
+
+    req.user = user;
+    req.sessionToken = token;
+    await runWithUser(user, next);
+  } catch (error) {
+    console.error('Error checking session:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Current user endpoint
+app.get('/api/auth/me', (req, res) => {
+  res.json({ user: req.user });
+});
+
+// Sign-out endpoint. Ends the session the request was made with.
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await endSession(req.sessionToken);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error signing out:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download link endpoint. Body: { "path": "/export?format=csv" }, a path
+// under /api the browser opens itself (an export or a receipt image).
+// Returns { url, expiresAt }: the path signed for the current user, which
+// works without a session token for a few minutes.
+app.post('/api/links', (req, res) => {
+  const target = req.body && req.body.path;
+  if (typeof target !== 'string' || !DOWNLOAD_PATH.test(target) || /[?&]signature=/.test(target)) {
+    return res.status(400).json({ error: 'path must be an export or a receipt image' });
+  }
+  res.json(createDownloadLink(req.user, target));
+});
+
 // AI-powered expense analysis
 const analyzeExpensesWithAI = async (expenses) => {
   if (!analyzer) return null;
@@ -100,7 +420,7 @@ const analyzeExpensesWithAI = async (expenses) => {
   try {
     // Prepare expense data for analysis
     const expenseText = expenses.map(e => 
-      `${e.amount} on ${e.category} (${e.description})`
+      `${formatMoney(e.amount, currencyOf(e))} on ${e.category} (${e.description})`
     ).join(', ');
 
     // Generate prompts for different types of analysis
@@ -126,70 +446,281 @@ const analyzeExpensesWithAI = async (expenses) => {
   }
 };
 
-// Helper function to get file path for a specific date
-const getFilePath = (date) => {
-  const dateStr = date.toISOString().split('T')[0];
-  return path.join(DATA_DIR, `${dateStr}.json`);
+// Default number of days covered when no date range is requested
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_PAGE_SIZE = 500;
+const SORT_FIELDS = ['date', 'amount', 'category'];
+
+// Helper function to turn a query parameter into a list of values
+const toList = (value) => {
+  if (value === undefined) return [];
+  return (Array.isArray(value) ? value : [value])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
 };
 
-// Helper function to load expenses for a specific date
-const loadDailyExpenses = async (date) => {
-  const filePath = getFilePath(date);
+// Helper function to get the value an expense is sorted by.
+// Amounts sort by their base-currency value so mixed currencies compare fairly.
+const sortValue = (expense, sort) => (sort === 'amount' ? expense.baseAmount ?? -1 : expense[sort]);
+
+// Helper function to encode/decode opaque pagination cursors
+const encodeCursor = (expense, sort) =>
+  Buffer.from(JSON.stringify([sortValue(expense, sort), expense.id])).toString('base64url');
+
+const decodeCursor = (cursor) => {
   try {
-    const data = await fs.readFile(filePath, 'utf8');
-    return JSON.parse(data);
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return Array.isArray(decoded) && decoded.length === 2 ? decoded : null;
   } catch (error) {
-    if (error.code === 'ENOENT') {
-      return { date: date.toISOString().split('T')[0], expenses: [] };
+    return null;
+  }
+};
+
+// Helper function to parse filter, sort and pagination query parameters.
+// Returns { options } on success or { error } describing the first invalid parameter.
+// from and to are days in the user's timezone and include the whole day.
+const parseExpenseQuery = (query) => {
+  if (query.from !== undefined && !isDayKey(query.from)) {
+    return { error: 'from must be a date in YYYY-MM-DD format' };
+  }
+  if (query.to !== undefined && !isDayKey(query.to)) {
+    return { error: 'to must be a date in YYYY-MM-DD format' };
+  }
+
+  const endDate = query.to ? endOfDay(query.to) : new Date();
+  const startDate = startOfDay(query.from || addDays(toDayKey(endDate), -DEFAULT_RANGE_DAYS));
+  if (startDate > endDate) {
+    return { error: 'from must not be after to' };
+  }
+
+  if (query.type !== undefined && !TRANSACTION_TYPES.includes(query.type)) {
+    return { error: `type must be one of: ${TRANSACTION_TYPES.join(', ')}` };
+  }
+
+  const options = {
+    startDate,
+    endDate,
+    type: query.type || null,
+    categories: toList(query.category).map(category => category.toLowerCase()),
+    tags: toList(query.tag).map(toTag),
+    projects: toList(query.project).map(project => project.toLowerCase()),
+    q: query.q ? String(query.q).trim().toLowerCase() : '',
+    sort: query.sort || 'date',
+    order: query.order || 'desc',
+    limit: null,
+    cursor: null
+  };
+
+  for (const param of ['minAmount', 'maxAmount']) {
+    if (query[param] !== undefined) {
+      const value = Number(query[param]);
+      if (!Number.isFinite(value)) {
+        return { error: `${param} must be a number` };
+      }
+      options[param] = value;
+    }
+  }
+
+  if (!SORT_FIELDS.includes(options.sort)) {
+    return { error: `sort must be one of: ${SORT_FIELDS.join(', ')}` };
+  }
+  if (!['asc', 'desc'].includes(options.order)) {
+    return { error: 'order must be asc or desc' };
+  }
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return { error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` };
     }
-    throw error;
+    options.limit = limit;
+  }
+
+  if (query.cursor) {
+    options.cursor = decodeCursor(String(query.cursor));
+    if (!options.cursor) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+
+  return { options };
+};
+
+// Helper function to apply type, category, tag, project, amount and text
+// filters. Amount bounds apply to base-currency amounts.
+const filterExpenses = (expenses, options) => expenses.filter(expense => {
+  if (options.type && (options.type === 'income') !== isIncome(expense)) return false;
+  if (options.categories.length > 0 && !options.categories.includes(expense.category.toLowerCase())) {
+    return false;
+  }
+  if (options.tags.length > 0 && !(expense.tags || []).some(tag => options.tags.includes(tag))) return false;
+  if (options.projects.length > 0 && !(expense.project && options.projects.includes(expense.project.toLowerCase()))) {
+    return false;
   }
+  if (options.minAmount !== undefined && !(expense.baseAmount >= options.minAmount)) return false;
+  if (options.maxAmount !== undefined && !(expense.baseAmount <= options.maxAmount)) return false;
+  if (options.q && !expense.description.toLowerCase().includes(options.q)) return false;
+  return true;
+});
+
+// Helper function to compare two expenses by a sort field, using the ID as a tiebreaker
+const compareExpenses = (sort, order) => {
+  const direction = order === 'asc' ? 1 : -1;
+  return (a, b) => {
+    const [valueA, idA] = Array.isArray(a) ? a : [sortValue(a, sort), a.id];
+    const [valueB, idB] = Array.isArray(b) ? b : [sortValue(b, sort), b.id];
+    if (valueA < valueB) return -direction;
+    if (valueA > valueB) return direction;
+    return String(idA).localeCompare(String(idB)) * direction;
+  };
 };
 
-// Helper function to save expenses for a specific date
-const saveDailyExpenses = async (date, expenses) => {
-  const filePath = getFilePath(date);
-  const data = { date: date.toISOString().split('T')[0], expenses };
-  await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+// Helper function to sort and paginate expenses.
+// Returns the requested page and the cursor for the next page, if any.
+const paginateExpenses = (expenses, options) => {
+  const compare = compareExpenses(options.sort, options.order);
+  let sorted = [...expenses].sort(compare);
+
+  if (options.cursor) {
+    sorted = sorted.filter(expense => compare(expense, options.cursor) > 0);
+  }
+  if (!options.limit || sorted.length <= options.limit) {
+    return { page: sorted, nextCursor: null };
+  }
+
+  const page = sorted.slice(0, options.limit);
+  return { page, nextCursor: encodeCursor(page[page.length - 1], options.sort) };
 };
 
-// Helper function to load expenses within a date range
-const loadExpensesInRange = async (startDate, endDate) => {
-  const files = await fs.readdir(DATA_DIR);
-  const expenses = [];
+// Fields of an expense that can be changed through the API
+const EDITABLE_FIELDS = ['amount', 'category', 'description', 'date'];
+
+// Helper function to validate and normalize expense changes.
+// Returns { changes } on success or { error } describing the first invalid field.
+const normalizeExpenseChanges = (body, existing, { partial }) => {
+  const changes = {};
+
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] === undefined) {
+      if (!partial) return { error: `Missing required field: ${field}` };
+      continue;
+    }
+    changes[field] = body[field];
+  }
+
+  if (changes.amount !== undefined) {
+    const amount = Number(changes.amount);
+    if (!Number.isFinite(amount) || amount < 0) {
+      return { error: 'Amount must be a non-negative number' };
+    }
+    changes.amount = amount;
+  }
+
+  for (const field of ['category', 'description']) {
+    if (changes[field] !== undefined) {
+      if (typeof changes[field] !== 'string' || !changes[field].trim()) {
+        return { error: `${field} must be a non-empty string` };
+      }
+      changes[field] = changes[field].trim();
+    }
+  }
+
+  // Type and source are optional too; an expense stays an expense unless told otherwise
+  if (body.type !== undefined) {
+    if (!TRANSACTION_TYPES.includes(body.type)) {
+      return { error: `type must be one of: ${TRANSACTION_TYPES.join(', ')}` };
+    }
+    changes.type = body.type;
+  }
+  if (body.source !== undefined) {
+    if (body.source !== null && typeof body.source !== 'string') {
+      return { error: 'source must be a string' };
+    }
+    changes.source = body.source && body.source.trim() ? body.source.trim() : null;
+  }
+
+  // Currency is optional even for PUT; it keeps its current value when omitted
+  if (body.currency !== undefined) {
+    const currency = String(body.currency).toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currency)) {
+      return { error: 'Currency must be a 3-letter ISO code' };
+    }
+    changes.currency = currency;
+  }
 
-  for (const file of files) {
-    if (!file.endsWith('.json')) continue;
-    const fileDate = file.replace('.json', '');
-    if (fileDate >= startDate.toISOString().split('T')[0] && 
-        fileDate <= endDate.toISOString().split('T')[0]) {
-      const data = await loadDailyExpenses(new Date(fileDate));
-      expenses.push(...data.expenses);
+  if (changes.date !== undefined) {
+    // A bare YYYY-MM-DD keeps the expense's original time of day in the
+    // user's timezone
+    let date;
+    if (isDayKey(changes.date)) {
+      const time = existing.date ? zonedParts(new Date(existing.date)) : { hour: 12 };
+      date = fromZonedTime({ ...time, ...parseDayKey(changes.date) });
+    } else {
+      date = new Date(changes.date);
+    }
+    if (Number.isNaN(date.getTime())) {
+      return { error: 'Date must be a valid date' };
     }
+    changes.date = date.toISOString();
   }
 
-  return expenses;
+  return { changes };
 };
 
-// Helper function to analyze expenses using AI
-const analyzeExpenses = (expenses) => {
+// Helper function to analyze expenses and income
+// Expects records with base-currency amounts (see attachBaseAmounts); records
+// without an exchange rate are left out of the totals and counted separately.
+// Spending figures cover expenses only; income, net savings and the savings
+// rate are given for the whole range and for each month in it.
+const analyzeExpenses = (allExpenses) => {
+  const converted = allExpenses.filter(expense => expense.baseAmount !== null);
+  const expenses = converted.filter(isExpense);
+  const { income, netSavings, savingsRate } = summarizeCashFlow(converted);
   const analysis = {
+    currency: BASE_CURRENCY,
+    unconvertedCount: allExpenses.length - converted.length,
     totalSpent: 0,
+    totalIncome: income,
+    netSavings,
+    savingsRate,
     categorySummary: {},
+    tagSummary: {},
+    projectSummary: {},
+    merchantSummary: {},
+    incomeSummary: {},
+    incomeBySource: {},
+    periods: cashFlowByMonth(converted),
     dailyAverage: 0,
     unusualSpending: [],
     recommendations: []
   };
 
-  // Calculate totals and category summaries
+  // Calculate totals and category, tag, project and merchant summaries. An
+  // expense with several tags counts towards each of them.
   expenses.forEach(expense => {
-    analysis.totalSpent += expense.amount;
+    analysis.totalSpent += expense.baseAmount;
     analysis.categorySummary[expense.category] = 
-      (analysis.categorySummary[expense.category] || 0) + expense.amount;
+      (analysis.categorySummary[expense.category] || 0) + expense.baseAmount;
+    (expense.tags || []).forEach(tag => {
+      analysis.tagSummary[tag] = (analysis.tagSummary[tag] || 0) + expense.baseAmount;
+    });
+    if (expense.project) {
+      analysis.projectSummary[expense.project] = (analysis.projectSummary[expense.project] || 0) + expense.baseAmount;
+    }
+    if (expense.merchant) {
+      analysis.merchantSummary[expense.merchant] = (analysis.merchantSummary[expense.merchant] || 0) + expense.baseAmount;
+    }
+  });
+  converted.filter(isIncome).forEach(record => {
+    analysis.incomeSummary[record.category] = (analysis.incomeSummary[record.category] || 0) + record.baseAmount;
+    if (record.source) {
+      analysis.incomeBySource[record.source] = (analysis.incomeBySource[record.source] || 0) + record.baseAmount;
+    }
   });
 
   // Calculate daily average
-  const uniqueDates = new Set(expenses.map(e => e.date.split('T')[0]));
+  const uniqueDates = new Set(expenses.map(e => dayOf(e)));
   analysis.dailyAverage = analysis.totalSpent / Math.max(1, uniqueDates.size);
 
   // Identify unusual spending
@@ -210,279 +741,767 @@ const analyzeExpenses = (expenses) => {
       "Consider reducing spending in categories with above-average daily expenses"
     );
   }
+  if (income > 0 && netSavings < 0) {
+    analysis.recommendations.push(
+      "You spent more than you earned in this period"
+    );
+  }
 
   return analysis;
 };
 
-// Helper function to parse expense from text
-const parseExpense = async (text) => {
-  const amountMatch = text.match(/\$?\d+(\.\d{2})?/);
-  if (!amountMatch) return null;
-  
-  const amount = parseFloat(amountMatch[0].replace('$', ''));
+// Expenses parsed with less confidence than this must be confirmed before
+// they're saved from text (0 turns the check off)
+const CONFIRM_BELOW_CONFIDENCE = Number(process.env.CONFIRM_BELOW_CONFIDENCE || 0);
+
+// Helper function to rate how far a parsed date can be trusted.
+// Returns { confidence, issue } where issue explains a low rating.
+const assessDate = (parsed, date, currentDate) => {
+  if (date > currentDate) {
+    return { confidence: 0.3, issue: 'Date is in the future' };
+  }
+  if (currentDate - date > 366 * 24 * 60 * 60 * 1000) {
+    return { confidence: 0.5, issue: 'Date is more than a year ago' };
+  }
+  if (parsed && !parsed.start.isCertain('day')) {
+    return { confidence: 0.7, issue: `Day was guessed from "${parsed.text}"` };
+  }
+  return { confidence: parsed ? 1 : 0.9, issue: null };
+};
+
+// Helper function to parse expense from text.
+// Returns { expense, confidence, issues } on success, where confidence (0-1)
+// is the lowest of the amount, date and category ratings and issues explains
+// it, or { error } when no single amount can be found.
+// Text about money coming in ("got paid $3000 from Acme") is parsed as income,
+// with an income category and the source it came from. A split ("dinner $90
+// split with Sam and Alex") is matched to one of the user's groups.
+// #hashtags become tags, or put the expense in the project they name; an
+// expense made during a trip is put in the trip. The merchant is read from
+// the text and named as the alias table has it.
+// fallbackDate is used when the text itself has no date phrase.
+const parseExpense = async (text, { currentDate = new Date(), fallbackDate = null } = {}) => {
+  const amountMatch = extractAmount(text, currentDate);
+  if (!amountMatch) {
+    return { error: 'Could not parse expense from text. Please include an amount (e.g., $20).' };
+  }
+  if (amountMatch.error) {
+    return { error: amountMatch.error, candidates: amountMatch.candidates };
+  }
   
-  // Parse date from text
-  const currentDate = new Date();
-  const parsedDate = chrono.parseDate(text, currentDate, { forwardDate: false });
-  const date = parsedDate || currentDate;
+  const { amount, currency } = amountMatch;
   
-  // Use AI to categorize the expense
-  const category = await categorizeExpense(text);
+  // Parse date from text, in the user's timezone
+  const [parsed] = chrono.parse(text, chronoReference(currentDate), { forwardDate: false });
+  const date = (parsed && chronoDate(parsed.start)) || fallbackDate || currentDate;
+  const dateRating = assessDate(parsed, date, currentDate);
   
-  return {
+  // Use AI to categorize the expense; income has categories of its own.
+  // Hashtags are labels rather than part of what the money was for.
+  const words = stripTags(text);
+  const income = isIncomeText(words);
+  const { category, confidence: categoryConfidence } = income
+    ? categorizeIncome(words)
+    : await categorizeExpense(words);
+
+  const issues = [...amountMatch.issues];
+  if (dateRating.issue) issues.push(dateRating.issue);
+  if (category === FALLBACK_CATEGORY || category === FALLBACK_INCOME_CATEGORY) {
+    issues.push('Could not determine a category');
+  } else if (categoryConfidence < 0.9) {
+    issues.push('Category was guessed from similar past expenses');
+  }
+
+  const expense = {
+    id: randomUUID(),
     amount,
+    currency,
     category,
     description: text,
     date: date.toISOString()
   };
+  if (income) {
+    expense.type = 'income';
+    expense.source = extractSource(words);
+  } else {
+    setMerchant(expense, extractMerchant(await loadMerchants(), words));
+  }
+
+  // A split that can't be matched to a group is left off, and the expense
+  // should be checked before it's saved
+  let splitConfidence = 1;
+  const mention = income ? null : extractSplit(words);
+  if (mention) {
+    const groups = await loadGroups();
+    const resolved = resolveSplitMention(mention, groups);
+    const { split, error } = resolved.split ? normalizeSplit(resolved.split, amount, groups) : { error: resolved.issue };
+    if (split) {
+      expense.split = split;
+    } else {
+      issues.push(error);
+      splitConfidence = 0.6;
+    }
+  }
+
+  const projects = await loadProjects();
+  const hashtags = extractTags(text);
+  const tags = hashtags.filter(tag => !findProjectByTag(projects, tag));
+  const project = hashtags.map(tag => findProjectByTag(projects, tag)).find(Boolean) || findActiveTrip(projects, expense);
+  setLabels(expense, { tags, project: project ? project.name : null });
+  
+  return {
+    expense,
+    confidence: Math.round(Math.min(amountMatch.confidence, dateRating.confidence, categoryConfidence, splitConfidence) * 100) / 100,
+    issues
+  };
 };
 
-// Add expense endpoint
-app.post('/api/expenses', async (req, res) => {
-  try {
-    const { text } = req.body;
-    const expense = await parseExpense(text);
-    
-    if (!expense) {
-      return res.status(400).json({ error: 'Could not parse expense from text. Please include an amount (e.g., $20).' });
+// Helper function to parse every expense in a piece of text ("coffee $4 and
+// lunch $15 yesterday" is two expenses). A date phrase anywhere in the text
+// applies to items that don't name their own date.
+// Returns { items } (each { expense, confidence, issues }) on success or
+// { error } naming the item that failed.
+const parseExpenses = async (text) => {
+  const currentDate = new Date();
+  const lineItems = splitLineItems(text, currentDate);
+  const [shared] = chrono.parse(text, chronoReference(currentDate), { forwardDate: false });
+  const sharedDate = shared ? chronoDate(shared.start) : null;
+
+  const items = [];
+  for (const lineItem of lineItems) {
+    const result = await parseExpense(lineItem, { currentDate, fallbackDate: sharedDate });
+    if (result.error) {
+      return lineItems.length > 1 ? { ...result, error: `"${lineItem}": ${result.error}` } : result;
     }
+    items.push(result);
+  }
 
-    const expenseDate = new Date(expense.date);
-    const dailyData = await loadDailyExpenses(expenseDate);
-    dailyData.expenses.push(expense);
-    await saveDailyExpenses(expenseDate, dailyData.expenses);
-    
-    res.json(expense);
-  } catch (error) {
-    console.error('Error saving expense:', error);
-    res.status(500).json({ error: error.message });
+  return { items };
+};
+
+// Helper function to read and parse the expense text from a request body.
+// Sends a 400 response and returns null when the text can't be parsed.
+const parseExpensesFromRequest = async (req, res) => {
+  const { text } = req.body || {};
+  if (typeof text !== 'string' || !text.trim()) {
+    res.status(400).json({ error: 'Please describe the expense, e.g. "I spent $20 on gas".' });
+    return null;
   }
-});
 
-// Query expenses endpoint
-app.post('/api/query', async (req, res) => {
-  try {
-    const { query } = req.body;
-    const lowerQuery = query.toLowerCase();
-    console.log('Processing query:', query);
+  const { items, error, candidates } = await parseExpenses(text);
+  if (error) {
+    res.status(400).json({ error, candidates });
+    return null;
+  }
+  return items;
+};
 
-    // Default to last 30 days if no specific time is mentioned
-    const endDate = new Date();
-    let startDate = new Date();
-    startDate.setDate(startDate.getDate() - 30);
-
-    // Adjust date range based on query
-    if (lowerQuery.includes('today')) {
-      startDate = new Date();
-      startDate.setHours(0, 0, 0, 0);
-    } else if (lowerQuery.includes('this week')) {
-      startDate.setDate(endDate.getDate() - endDate.getDay());
-      startDate.setHours(0, 0, 0, 0);
-    } else if (lowerQuery.includes('this month')) {
-      startDate = new Date(endDate.getFullYear(), endDate.getMonth(), 1);
-    } else if (lowerQuery.includes('last month')) {
-      endDate.setDate(0); // Last day of previous month
-      startDate = new Date(endDate.getFullYear(), endDate.getMonth(), 1);
-    } else if (lowerQuery.includes('year')) {
-      startDate = new Date(endDate.getFullYear(), 0, 1);
-    }
-
-    const expenses = await loadExpensesInRange(startDate, endDate);
-    
-    if (!expenses || expenses.length === 0) {
-      return res.json({ answer: "No expenses found for the specified time period." });
-    }
+// Helper function to shape parsed items for a preview response
+const toPreview = (items) => items.map(({ expense, confidence, issues }) => ({ ...expense, confidence, issues }));
 
-    // Get both statistical and AI analysis
-    const analysis = analyzeExpenses(expenses);
-    const aiAnalysis = await analyzeExpensesWithAI(expenses);
-    
-    let answer = '';
-    
-    // Handle specific category queries (e.g., "How much did I spend on gas?")
-    const categories = Object.keys(analysis.categorySummary);
-    let matchedCategory = null;
-    
-    // Check for category mentions in the query
-    for (const category of categories) {
-      if (lowerQuery.includes(category.toLowerCase())) {
-        matchedCategory = category;
-        break;
-      }
-    }
-
-    // Also check for keywords that might map to categories
-    const categoryKeywords = {
-      'transportation': ['gas', 'fuel', 'uber', 'lyft', 'taxi', 'bus', 'train'],
-      'food': ['restaurant', 'dining', 'lunch', 'dinner', 'breakfast', 'meal'],
-      'groceries': ['grocery', 'supermarket', 'market', 'food store'],
-      'utilities': ['electricity', 'water', 'internet', 'phone', 'bill'],
-      'entertainment': ['movie', 'concert', 'show', 'game', 'streaming'],
-      'shopping': ['clothes', 'shoes', 'amazon', 'store'],
-      'health': ['doctor', 'medicine', 'pharmacy', 'medical'],
-      'housing': ['rent', 'mortgage', 'maintenance', 'repair']
-    };
+// Helper function to check an expense's split against the user's groups and
+// work out the shares (see normalizeSplit). Income can't be split.
+// Returns { split }, null when there's none, or { error }.
+const splitExpense = async (body, expense) => {
+  if (body === undefined || body === null) return { split: null };
+  if (isIncome(expense)) {
+    return { error: 'Income can\'t be split' };
+  }
+  return normalizeSplit(body, expense.amount, await loadGroups());
+};
 
-    if (!matchedCategory) {
-      for (const [category, keywords] of Object.entries(categoryKeywords)) {
-        if (keywords.some(keyword => lowerQuery.includes(keyword))) {
-          matchedCategory = category;
-          break;
-        }
-      }
-    }
+// Helper function to check an expense's tags and project (by name) against
+// the user's projects. With assignTrip, an expense whose project is left out
+// goes to the trip it was made on; null or "" means no project.
+// Returns { tags, project } with the project's name, or { error }.
+const labelExpense = async (expense, { tags, project }, { assignTrip = false } = {}) => {
+  const { tags: normalized, error } = normalizeTags(tags);
+  if (error) return { error };
 
-    // If a specific category is mentioned, provide detailed category analysis
-    if (matchedCategory) {
-      const categoryExpenses = expenses.filter(exp => exp.category.toLowerCase() === matchedCategory.toLowerCase());
-      const totalAmount = categoryExpenses.reduce((sum, exp) => sum + exp.amount, 0);
-      
-      answer = `You spent $${totalAmount.toFixed(2)} on ${matchedCategory}`;
-      
-      // Add time context if specified
-      if (lowerQuery.includes('today')) {
-        answer += ' today';
-      } else if (lowerQuery.includes('this week')) {
-        answer += ' this week';
-      } else if (lowerQuery.includes('this month')) {
-        answer += ' this month';
-      } else if (lowerQuery.includes('last month')) {
-        answer += ' last month';
-      } else if (lowerQuery.includes('year')) {
-        answer += ' this year';
-      } else {
-        answer += ' in the last 30 days';
-      }
-      
-      // Add frequency and average
-      if (categoryExpenses.length > 0) {
-        const avgPerExpense = totalAmount / categoryExpenses.length;
-        answer += `.\nYou made ${categoryExpenses.length} ${matchedCategory} expenses, averaging $${avgPerExpense.toFixed(2)} per expense`;
-        
-        // Add comparison to overall spending
-        const percentageOfTotal = (totalAmount / analysis.totalSpent * 100).toFixed(1);
-        answer += `.\nThis represents ${percentageOfTotal}% of your total spending`;
-        
-        // Add recent transactions
-        const recentExpenses = categoryExpenses
-          .sort((a, b) => new Date(b.date) - new Date(a.date))
-          .slice(0, 3);
-        
-        if (recentExpenses.length > 0) {
-          answer += '.\n\nRecent transactions:';
-          recentExpenses.forEach(exp => {
-            const date = new Date(exp.date).toLocaleDateString();
-            answer += `\n- $${exp.amount.toFixed(2)} on ${date} (${exp.description})`;
-          });
-        }
-      }
-    } else {
-      // Handle time-based queries
-      if (lowerQuery.includes('today')) {
-        const todayTotal = expenses.reduce((sum, exp) => sum + exp.amount, 0);
-        answer = `Today's total spending: $${todayTotal.toFixed(2)}. `;
-        
-        // Add category breakdown for today
-        const categories = {};
-        expenses.forEach(exp => {
-          categories[exp.category] = (categories[exp.category] || 0) + exp.amount;
-        });
-        
-        if (Object.keys(categories).length > 0) {
-          answer += 'Breakdown by category: ';
-          Object.entries(categories).forEach(([category, amount]) => {
-            answer += `${category}: $${amount.toFixed(2)}, `;
-          });
-          answer = answer.slice(0, -2);
-        }
-      } else if (lowerQuery.includes('this week')) {
-        answer = `This week's total spending: $${analysis.totalSpent.toFixed(2)}. `;
-        answer += `Daily average: $${analysis.dailyAverage.toFixed(2)}. `;
-      } else if (lowerQuery.includes('total') || lowerQuery.includes('spent')) {
-        answer = `Total spending: $${analysis.totalSpent.toFixed(2)}. `;
-        answer += `Daily average: $${analysis.dailyAverage.toFixed(2)}. `;
-      }
-      
-      // Add AI insights based on query type
-      if (aiAnalysis) {
-        if (lowerQuery.includes('pattern') || lowerQuery.includes('trend')) {
-          answer += `\nSpending Pattern: ${aiAnalysis.pattern}`;
-        }
-        if (lowerQuery.includes('save') || lowerQuery.includes('savings')) {
-          answer += `\nSavings Suggestions: ${aiAnalysis.savings}`;
-        }
-        if (lowerQuery.includes('unusual') || lowerQuery.includes('strange')) {
-          answer += `\nUnusual Expenses: ${aiAnalysis.unusual}`;
-        }
-      }
-      
-      // Add category breakdown if requested
-      if (lowerQuery.includes('category') || lowerQuery.includes('breakdown')) {
-        answer += '\nCategory breakdown: ';
-        Object.entries(analysis.categorySummary).forEach(([category, amount]) => {
-          answer += `${category}: $${amount.toFixed(2)}, `;
-        });
-        answer = answer.slice(0, -2);
-      }
+  const projects = await loadProjects();
+  if (project === undefined || project === null || project === '') {
+    const trip = project === undefined && assignTrip ? findActiveTrip(projects, expense) : null;
+    return { tags: normalized, project: trip ? trip.name : null };
+  }
+  const found = findProject(projects, project);
+  if (!found) {
+    return { error: `Project "${project}" not found` };
+  }
+  return { tags: normalized, project: found.name };
+};
 
-      // If no specific answer was generated, provide a general summary with AI insights
-      if (!answer && aiAnalysis) {
-        answer = `Total spending: $${analysis.totalSpent.toFixed(2)}. `;
-        answer += `Daily average: $${analysis.dailyAverage.toFixed(2)}.\n`;
-        answer += `Spending Pattern: ${aiAnalysis.pattern}\n`;
-        answer += `Savings Suggestions: ${aiAnalysis.savings}`;
-      }
+// Helper function to set an expense's tags and project, leaving out the
+// fields when there are none
+const setLabels = (expense, { tags, project }) => {
+  if (tags.length > 0) {
+    expense.tags = tags;
+  } else {
+    delete expense.tags;
+  }
+  if (project) {
+    expense.project = project;
+  } else {
+    delete expense.project;
+  }
+};
+
+// Helper function to check a merchant from a request body: a name, which
+// goes through the alias table, or null or "" for none. Income has a source
+// instead, so it never has a merchant.
+// Returns { merchant } (the stored name or null) or { error }.
+const nameMerchant = async (expense, value) => {
+  if (!isExpense(expense) || value === undefined || value === null || value === '') {
+    return { merchant: null };
+  }
+  if (typeof value !== 'string') {
+    return { error: 'merchant must be a string' };
+  }
+  return { merchant: resolveMerchant(await loadMerchants(), value) };
+};
+
+// Helper function to set an expense's merchant, leaving the field out when there's none
+const setMerchant = (expense, merchant) => {
+  if (merchant) {
+    expense.merchant = merchant;
+  } else {
+    delete expense.merchant;
+  }
+};
+
+// Helper function to build an expense from fields the user confirmed or edited.
+// Income is marked with its type and source. A scanned receipt's image name
+// and tax amount are kept when given, and so are a split, tags and a project
+// (see labelExpense; an expense made during a trip goes to it by default).
+// The merchant is read from the description unless one is given.
+// Returns { expense } or { error }, with status 409 when the receipt image
+// is already another expense's.
+const buildConfirmedExpense = async (fields) => {
+  const { changes, error } = normalizeExpenseChanges(fields || {}, {}, { partial: false });
+  if (error) return { error };
+
+  const expense = {
+    id: randomUUID(),
+    amount: changes.amount,
+    currency: changes.currency || BASE_CURRENCY,
+    category: changes.category,
+    description: changes.description,
+    date: changes.date
+  };
+  if (changes.type === 'income') {
+    expense.type = 'income';
+    expense.source = changes.source || null;
+  }
+
+  if (fields.receipt !== undefined && fields.receipt !== null) {
+    if (!(await isPendingReceipt(fields.receipt))) {
+      return (await receiptExists(fields.receipt))
+        ? { error: 'Receipt image is already attached to another expense', status: 409 }
+        : { error: 'Receipt image not found' };
     }
+    expense.receipt = fields.receipt;
+  }
+  if (fields.tax !== undefined && fields.tax !== null) {
+    const tax = Number(fields.tax);
+    if (!Number.isFinite(tax) || tax < 0) {
+      return { error: 'Tax must be a non-negative number' };
+    }
+    expense.tax = tax;
+  }
 
-    console.log('Generated answer:', answer);
-    res.json({ answer: answer.trim() });
-  } catch (error) {
-    console.error('Error processing query:', error);
-    res.status(500).json({ error: 'Failed to process query: ' + error.message });
+  const { split, error: splitError } = await splitExpense(fields.split, expense);
+  if (splitError) return { error: splitError };
+  if (split) {
+    expense.split = split;
   }
-});
 
-// Get all expenses endpoint
-app.get('/api/expenses', async (req, res) => {
+  const labels = await labelExpense(expense, fields, { assignTrip: true });
+  if (labels.error) return { error: labels.error };
+  setLabels(expense, labels);
+
+  const { merchant, error: merchantError } = fields.merchant !== undefined
+    ? await nameMerchant(expense, fields.merchant)
+    : { merchant: isExpense(expense) ? extractMerchant(await loadMerchants(), stripTags(expense.description)) : null };
+  if (merchantError) return { error: merchantError };
+  setMerchant(expense, merchant);
+
+  return { expense };
+};
+
+// Preview (dry-run) endpoint: parse text into expenses without saving them.
+// Each expense comes with a confidence value and the issues behind it.
+app.post('/api/expenses/preview', async (req, res) => {
   try {
-    const endDate = new Date();
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - 30); // Last 30 days by default
-    
-    const expenses = await loadExpensesInRange(startDate, endDate);
-    res.json(expenses);
+    const items = await parseExpensesFromRequest(req, res);
+    if (!items) return;
+
+    res.json(toPreview(items));
   } catch (error) {
-    console.error('Error fetching expenses:', error);
+    console.error('Error previewing expense:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get AI insights endpoint
-app.get('/api/insights', async (req, res) => {
+// Receipt uploads are kept in memory until they've been read
+const RECEIPT_MAX_BYTES = 10 * 1024 * 1024;
+const receiptUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: RECEIPT_MAX_BYTES },
+  fileFilter: (req, file, done) => done(null, Boolean(RECEIPT_TYPES[file.mimetype]))
+}).single('receipt');
+
+// Receipt scan endpoint. Takes a multipart upload with the image in a
+// "receipt" field, reads it with local OCR, stores the image and returns a
+// preview of the expense (like /api/expenses/preview) with the stored
+// receipt's name and any tax found. Confirm it through POST /api/expenses;
+// the image is kept only once its expense is saved.
+app.post('/api/receipts', (req, res, next) => {
+  receiptUpload(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ error: error.code === 'LIMIT_FILE_SIZE' ? 'Receipt image is too large (10 MB max)' : error.message });
+    }
+    next();
+  });
+}, async (req, res) => {
   try {
-    const endDate = new Date();
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - 30); // Last 30 days
+    if (!req.file) {
+      return res.status(400).json({ error: `Upload a receipt image (${Object.values(RECEIPT_TYPES).join(', ')}) in the "receipt" field` });
+    }
+
+    // Images from earlier scans that were never confirmed are cleared out
+    await removeAbandonedReceipts();
+
+    const { text, confidence: ocrConfidence } = await recognizeReceipt(req.file.buffer);
+    const fields = parseReceiptText(text);
+    if (fields.total === null) {
+      return res.status(400).json({ error: 'Could not find a total on the receipt. Try a sharper photo or type the expense in.', text });
+    }
+
+    // Receipt details go through the same parsing and categorization as typed text
+    const result = await parseExpense(`${fields.merchant || 'Receipt'} ${formatMoney(fields.total, fields.currency)}`, {
+      fallbackDate: fields.date ? new Date(fields.date) : null
+    });
+    if (result.error) {
+      return res.status(400).json({ error: result.error, text });
+    }
+
+    const issues = [...result.issues];
+    let confidence = result.confidence;
+    if (!fields.merchant) {
+      issues.push('Could not read the merchant name');
+      confidence = Math.min(confidence, 0.5);
+    }
+    if (!fields.date) {
+      issues.push('No date found on the receipt; used today');
+      confidence = Math.min(confidence, 0.6);
+    }
+    if (ocrConfidence < 0.6) {
+      issues.push('Receipt text was hard to read');
+      confidence = Math.min(confidence, Math.round(ocrConfidence * 100) / 100);
+    }
+
+    const receipt = await saveReceipt(req.file.buffer, req.file.mimetype);
+    const expense = { ...result.expense, description: fields.merchant || result.expense.description, receipt };
+    if (fields.merchant && isExpense(expense)) {
+      expense.merchant = resolveMerchant(await loadMerchants(), fields.merchant);
+    }
+    if (fields.tax !== null) {
+      expense.tax = fields.tax;
+    }
+
+    res.json(toPreview([{ expense, confidence, issues }]));
+  } catch (error) {
+    console.error('Error scanning receipt:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a stored receipt image
+app.get('/api/receipts/:name', async (req, res) => {
+  try {
+    const file = await findReceipt(req.params.name);
+    if (!file) {
+      return res.status(404).json({ error: 'Receipt not found' });
+    }
+    res.sendFile(file);
+  } catch (error) {
+    console.error('Error fetching receipt:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Helper function to claim the receipt images of expenses about to be saved
+// (see claimReceipt). Returns false, with none of them claimed, when an image
+// has been claimed since the expenses were checked, e.g. by the same scan
+// being confirmed twice at once.
+const claimReceipts = async (expenses) => {
+  const claimed = [];
+  for (const { receipt } of expenses) {
+    if (!receipt) continue;
+    if (!(await claimReceipt(receipt))) {
+      await Promise.all(claimed.map(releaseReceipt));
+      return false;
+    }
+    claimed.push(receipt);
+  }
+  return true;
+};
+
+// Add expense endpoint. Accepts either { text } to parse, where text listing
+// several items creates one expense per item, or { expenses: [...] } with
+// fields already confirmed by the user. The response is the list of expenses
+// created. When CONFIRM_BELOW_CONFIDENCE is set, text that parses with low
+// confidence is answered with 409 and a preview to confirm instead.
+app.post('/api/expenses', async (req, res) => {
+  try {
+    let expenses;
+
+    if (Array.isArray(req.body && req.body.expenses)) {
+      expenses = [];
+      for (const [index, fields] of req.body.expenses.entries()) {
+        const { expense, error, status } = await buildConfirmedExpense(fields);
+        if (error) {
+          return res.status(status || 400).json({ error: `Expense ${index + 1}: ${error}` });
+        }
+        expenses.push(expense);
+      }
+    } else {
+      const items = await parseExpensesFromRequest(req, res);
+      if (!items) return;
+
+      if (items.some(item => item.confidence < CONFIRM_BELOW_CONFIDENCE)) {
+        return res.status(409).json({
+          error: 'Some details are uncertain. Please confirm the expense before saving.',
+          requiresConfirmation: true,
+          expenses: toPreview(items)
+        });
+      }
+      expenses = items.map(item => item.expense);
+    }
+
+    if (expenses.length === 0) {
+      return res.status(400).json({ error: 'No expenses to add' });
+    }
+
+    if (!(await claimReceipts(expenses))) {
+      return res.status(409).json({ error: 'Receipt image is already attached to another expense' });
+    }
+    for (const expense of expenses) {
+      await storage.addExpense(expense);
+      (await getLearner()).learn(expense);
+    }
+    
+    res.json(expenses);
+  } catch (error) {
+    console.error('Error saving expense:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Helper function to compare a month's spending with its budgets (see calculateBudgetStatus)
+const getBudgetStatus = async (month) => {
+  const { startDate, endDate } = getMonthRange(month);
+  const expenses = await attachBaseAmounts(await loadSpendingInRange(startDate, endDate));
+  return calculateBudgetStatus(await loadBudgets(), expenses, month);
+};
+
+// Helper function to answer budget questions, e.g. "am I over budget on food
+// this month?", from a structured query (see parseQuestion)
+const answerBudgetQuery = async (parsed) => {
+  const month = toMonthKey(parsed.range.startDate);
+  const period = parsed.range.label;
+  const pastMonth = month < toMonthKey(new Date());
+
+  const status = await getBudgetStatus(month);
+  if (status.categories.length === 0) {
+    return `You haven't set any budgets for ${period}.`;
+  }
+
+  const [category] = parsed.categories;
+  if (category) {
+    const entry = status.categories.find(item => item.category === category);
+    if (!entry) {
+      return `You don't have a budget for ${category} ${period}.`;
+    }
+
+    let answer = `You've spent ${formatMoney(entry.spent)} of your ${formatMoney(entry.budget)} ${entry.category} budget ${period} (${entry.percentUsed}%). `;
+    if (entry.status === 'over') {
+      answer += `Yes, you're over budget by ${formatMoney(-entry.remaining)}.`;
+    } else if (entry.status === 'projected-over' && !pastMonth) {
+      answer += `You're not over budget yet, but at this pace you'll spend about ${formatMoney(entry.projected)} by the end of the month, ${formatMoney(entry.projected - entry.budget)} over.`;
+    } else {
+      answer += `You're within budget with ${formatMoney(entry.remaining)} left`;
+      answer += pastMonth ? '.' : `; at this pace you'll spend about ${formatMoney(entry.projected)} by the end of the month.`;
+    }
+    return answer;
+  }
+
+  const over = status.categories.filter(entry => entry.status === 'over');
+  const atRisk = pastMonth ? [] : status.categories.filter(entry => entry.status === 'projected-over');
+  let answer = over.length > 0
+    ? `You're over budget ${period} on ${over.map(entry => `${entry.category} (${formatMoney(-entry.remaining)} over)`).join(', ')}.`
+    : `You're within all ${status.categories.length} of your budgets ${period}.`;
+  if (atRisk.length > 0) {
+    answer += ` At the current pace you'll go over on ${atRisk.map(entry => `${entry.category} (about ${formatMoney(entry.projected)} of ${formatMoney(entry.budget)})`).join(', ')}.`;
+  }
+  return answer;
+};
+
+// Helper function to list the category names a question can mention: the
+// category rules, budgets, categories of stored expenses and income categories
+const queryCategoryNames = async () => [
+  ...(await loadCategories()).map(category => category.name),
+  ...(await loadBudgets()).map(budget => budget.category),
+  ...(await getLearner()).categories(),
+  ...INCOME_CATEGORIES.map(category => category.name),
+  FALLBACK_INCOME_CATEGORY
+];
+
+// Query expenses endpoint. The question is parsed into a structured query
+// (metric, date range, filters, grouping and comparison) that is returned
+// with the answer.
+app.post('/api/query', async (req, res) => {
+  try {
+    const { query } = req.body;
+    if (typeof query !== 'string' || !query.trim()) {
+      return res.status(400).json({ error: 'Query text is required' });
+    }
+    console.log('Processing query:', query);
+
+    const parsed = await parseQuestion(query, {
+      categoryNames: await queryCategoryNames(),
+      projectNames: (await loadProjects()).map(project => project.name),
+      merchantAliases: await loadMerchants()
+    });
+
+    // Budget questions are answered from the budgets, whatever was spent
+    if (parsed.intent === 'budget') {
+      const answer = await answerBudgetQuery(parsed);
+      console.log('Generated answer:', answer);
+      return res.json({ answer, query: parsed });
+    }
+
+    // Answers are in the base currency; expenses without an exchange rate can't be included
+    let expenses;
+    let answer;
+    if (parsed.intent === 'trend') {
+      const { endMonth, months } = trendMonths(parsed);
+      const { startDate, endDate } = getTrendRange(endMonth, months);
+      expenses = filterByQuery(await attachBaseAmounts(await loadSpendingInRange(startDate, endDate)), parsed)
+        .filter(exp => exp.baseAmount !== null);
+      answer = describeTrend(parsed, calculateTrends(expenses, { endMonth, months }));
+    } else if (parsed.intent === 'savings' || parsed.intent === 'income') {
+      const { startDate, endDate } = queryDateSpan(parsed);
+      const records = (await attachBaseAmounts(await storage.loadExpensesInRange(startDate, endDate)))
+        .filter(record => record.baseAmount !== null);
+      expenses = records.filter(isExpense);
+      answer = parsed.intent === 'savings'
+        ? describeSavings(parsed, runSavingsQuery(parsed, records))
+        : describeIncome(parsed, runQuery(parsed, records.filter(isIncome)));
+    } else {
+      const { startDate, endDate } = queryDateSpan(parsed);
+      expenses = (await attachBaseAmounts(await loadSpendingInRange(startDate, endDate)))
+        .filter(exp => exp.baseAmount !== null);
+      answer = describeResult(parsed, runQuery(parsed, expenses));
+    }
+
+    // Add AI insights when the question asks for them
+    const lowerQuery = query.toLowerCase();
+    if (expenses.length > 0 && /pattern|trend|save|savings/.test(lowerQuery)) {
+      const aiAnalysis = await analyzeExpensesWithAI(expenses);
+      if (aiAnalysis) {
+        if (lowerQuery.includes('pattern') || lowerQuery.includes('trend')) {
+          answer += `\nSpending Pattern: ${aiAnalysis.pattern}`;
+        }
+        if (lowerQuery.includes('save') || lowerQuery.includes('savings')) {
+          answer += `\nSavings Suggestions: ${aiAnalysis.savings}`;
+        }
+      }
+    }
+
+    // Unusual expenses come from the anomaly checks rather than the model
+    if (/unusual|strange|anomal|suspicious/.test(lowerQuery)) {
+      const flagged = (await findAnomalies(parsed.range.startDate, parsed.range.endDate))
+        .filter(({ expense }) => filterByQuery([expense], parsed).length > 0);
+      answer += flagged.length > 0
+        ? `\n\nUnusual Expenses:${flagged.map(({ expense, reasons }) =>
+          `\n- ${expense.description} on ${dayOf(expense)}: ${reasons.map(reason => reason.message).join('; ')}`).join('')}`
+        : '\n\nNo unusual expenses found.';
+    }
+
+    console.log('Generated answer:', answer);
+    res.json({ answer: answer.trim(), query: parsed });
+  } catch (error) {
+    console.error('Error processing query:', error);
+    res.status(500).json({ error: 'Failed to process query: ' + error.message });
+  }
+});
+
+// Helper function to load the expenses matching parsed query options, with
+// base-currency amounts
+const loadFilteredExpenses = async (options) => {
+  const expenses = await attachBaseAmounts(
+    await storage.loadExpensesInRange(options.startDate, options.endDate, options)
+  );
+  return filterExpenses(expenses, options);
+};
+
+// Get expenses endpoint, with optional filters, sorting and cursor pagination.
+// The cursor for the next page is returned in the X-Next-Cursor header.
+app.get('/api/expenses', async (req, res) => {
+  try {
+    const { options, error } = parseExpenseQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { page, nextCursor } = paginateExpenses(await loadFilteredExpenses(options), options);
+
+    if (nextCursor) {
+      res.set('X-Next-Cursor', nextCursor);
+    }
+    res.json(page);
+  } catch (error) {
+    console.error('Error fetching expenses:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a single expense endpoint
+app.get('/api/expenses/:id', async (req, res) => {
+  try {
+    const expense = await storage.getExpense(req.params.id);
+    if (!expense) {
+      return res.status(404).json({ error: 'Expense not found' });
+    }
+
+    res.json(expense);
+  } catch (error) {
+    console.error('Error fetching expense:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replace (PUT) or partially update (PATCH) an expense. Its split, tags and
+// project are kept unless new ones (or null, for none) are given, with the
+// split's shares worked out again for a changed amount.
+const handleExpenseUpdate = (partial) => async (req, res) => {
+  try {
+    const existing = await storage.getExpense(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Expense not found' });
+    }
+
+    const { changes, error } = normalizeExpenseChanges(req.body || {}, existing, { partial });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const updated = { ...existing, ...changes };
+    const { split, error: splitError } = await splitExpense(
+      req.body.split !== undefined ? req.body.split : existing.split,
+      updated
+    );
+    if (splitError) {
+      return res.status(400).json({ error: splitError });
+    }
+    if (split) {
+      updated.split = split;
+    } else {
+      delete updated.split;
+    }
+
+    const labels = await labelExpense(updated, {
+      tags: req.body.tags !== undefined ? req.body.tags : existing.tags,
+      project: req.body.project !== undefined ? req.body.project : existing.project
+    });
+    if (labels.error) {
+      return res.status(400).json({ error: labels.error });
+    }
+    setLabels(updated, labels);
+
+    const { merchant, error: merchantError } = await nameMerchant(
+      updated,
+      req.body.merchant !== undefined ? req.body.merchant : existing.merchant
+    );
+    if (merchantError) {
+      return res.status(400).json({ error: merchantError });
+    }
+    setMerchant(updated, merchant);
+
+    const expense = await storage.updateExpense(updated);
+
+    // A corrected category teaches the learner
+    if (expense) {
+      const learner = await getLearner();
+      learner.forget(existing);
+      learner.learn(expense);
+    }
+    res.json(expense);
+  } catch (error) {
+    console.error('Error updating expense:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+app.put('/api/expenses/:id', handleExpenseUpdate(false));
+app.patch('/api/expenses/:id', handleExpenseUpdate(true));
+
+// Delete expense endpoint
+app.delete('/api/expenses/:id', async (req, res) => {
+  try {
+    const expense = await storage.deleteExpense(req.params.id);
+    if (!expense) {
+      return res.status(404).json({ error: 'Expense not found' });
+    }
+    (await getLearner()).forget(expense);
+    // Expenses saved before receipts could only be claimed once may share an image
+    if (expense.receipt && !(await loadAllExpenses()).some(other => other.receipt === expense.receipt)) {
+      await deleteReceipt(expense.receipt);
+    }
+
+    res.json(expense);
+  } catch (error) {
+    console.error('Error deleting expense:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Helper function to find unusual expenses between two dates, judged
+// against every stored expense
+const findAnomalies = async (startDate, endDate) => detectAnomalies(
+  await attachBaseAmounts((await loadAllExpenses()).filter(isExpense)),
+  { from: toDayKey(startDate), to: toDayKey(endDate) }
+);
+
+// Get AI insights endpoint
+app.get('/api/insights', async (req, res) => {
+  try {
+    const endDate = new Date();
+    const startDate = startOfDay(addDays(toDayKey(endDate), -30)); // Last 30 days
     
-    const expenses = await loadExpensesInRange(startDate, endDate);
+    const expenses = await loadSpendingInRange(startDate, endDate);
     if (!expenses || expenses.length === 0) {
       return res.json({
         message: "No expenses found for analysis",
-        insights: null
+        insights: null,
+        anomalies: []
       });
     }
 
+    const anomalies = await findAnomalies(startDate, endDate);
     const aiAnalysis = await analyzeExpensesWithAI(expenses);
     if (!aiAnalysis) {
       return res.json({
         message: "AI analysis not available",
-        insights: null
+        insights: null,
+        anomalies
       });
     }
 
     res.json({
       message: "AI analysis completed",
-      insights: aiAnalysis
+      insights: aiAnalysis,
+      anomalies
     });
   } catch (error) {
     console.error('Error generating AI insights:', error);
@@ -490,15 +1509,56 @@ app.get('/api/insights', async (req, res) => {
   }
 });
 
-// Get expense analysis endpoint
+// Unusual expenses (see detectAnomalies) from ?from to ?to, defaulting to the
+// last 30 days like GET /api/expenses
+app.get('/api/insights/anomalies', async (req, res) => {
+  try {
+    const { options, error } = parseExpenseQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json(await findAnomalies(options.startDate, options.endDate));
+  } catch (error) {
+    console.error('Error detecting anomalies:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Mark an expense as expected so it's no longer flagged as unusual, or
+// (DELETE) flag it again
+const handleExpectedChange = (expected) => async (req, res) => {
+  try {
+    const existing = await storage.getExpense(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Expense not found' });
+    }
+
+    const expense = { ...existing };
+    if (expected) {
+      expense.expected = true;
+    } else {
+      delete expense.expected;
+    }
+    res.json(await storage.updateExpense(expense));
+  } catch (error) {
+    console.error('Error updating expense:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+app.post('/api/expenses/:id/expected', handleExpectedChange(true));
+app.delete('/api/expenses/:id/expected', handleExpectedChange(false));
+
+// Get expense analysis endpoint (accepts the same filters as GET /api/expenses)
 app.get('/api/analysis', async (req, res) => {
   try {
-    const endDate = new Date();
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - 30); // Last 30 days by default
-    
-    const expenses = await loadExpensesInRange(startDate, endDate);
-    const analysis = analyzeExpenses(expenses);
+    const { options, error } = parseExpenseQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const analysis = analyzeExpenses(await loadFilteredExpenses(options));
     
     res.json(analysis);
   } catch (error) {
@@ -507,6 +1567,1149 @@ app.get('/api/analysis', async (req, res) => {
   }
 });
 
-app.listen(port, () => {
-  console.log(`Server running on port ${port}`);
+// Helper function to read the two periods of a comparison from query
+// parameters: explicit from/to and compareFrom/compareTo days, or the
+// calendar ?period (month, quarter or year) containing ?date, compared with
+// the one before it or, with ?against=lastYear, the same one a year earlier.
+// Returns { current, previous } or { error }.
+const parseComparisonQuery = (query) => {
+  const explicit = ['from', 'to', 'compareFrom', 'compareTo'];
+
+  if (explicit.some(param => query[param] !== undefined)) {
+    for (const param of explicit) {
+      if (!isDayKey(query[param])) {
+        return { error: `${param} must be a date in YYYY-MM-DD format` };
+      }
+    }
+    const toRange = (from, to) => ({
+      label: `${from} to ${to}`,
+      startDate: startOfDay(from),
+      endDate: endOfDay(to)
+    });
+    const current = toRange(query.from, query.to);
+    const previous = toRange(query.compareFrom, query.compareTo);
+    if (current.startDate > current.endDate || previous.startDate > previous.endDate) {
+      return { error: 'Periods must not start after they end' };
+    }
+    return { current, previous };
+  }
+
+  const period = query.period || 'month';
+  const against = query.against || 'previous';
+  if (!COMPARISON_PERIODS.includes(period)) {
+    return { error: `period must be one of: ${COMPARISON_PERIODS.join(', ')}` };
+  }
+  if (!COMPARISON_BASES.includes(against)) {
+    return { error: `against must be one of: ${COMPARISON_BASES.join(', ')}` };
+  }
+  if (query.date !== undefined && !isDayKey(query.date)) {
+    return { error: 'date must be in YYYY-MM-DD format' };
+  }
+
+  const date = query.date ? startOfDay(query.date) : new Date();
+  const current = getPeriodRange(period, date);
+  const previous = getComparisonRange(period, date, against);
+  return {
+    current: { label: describePeriod(period, current.startDate), ...current },
+    previous: { label: describePeriod(period, previous.startDate), ...previous }
+  };
+};
+
+// Compare spending between two periods: totals, deltas and percent changes,
+// overall and per category. Accepts ?category to compare some categories only.
+app.get('/api/compare', async (req, res) => {
+  try {
+    const { current, previous, error } = parseComparisonQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const categories = toList(req.query.category).map(category => category.toLowerCase());
+    const startDate = current.startDate < previous.startDate ? current.startDate : previous.startDate;
+    const endDate = current.endDate > previous.endDate ? current.endDate : previous.endDate;
+    const expenses = (await attachBaseAmounts(await loadSpendingInRange(startDate, endDate)))
+      .filter(expense => categories.length === 0 || categories.includes(expense.category.toLowerCase()));
+
+    res.json({ currency: BASE_CURRENCY, ...comparePeriods(expenses, current, previous) });
+  } catch (error) {
+    console.error('Error comparing periods:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const MAX_TREND_MONTHS = 60;
+
+// Monthly spending with rolling 3- and 12-month averages, for ?months
+// (default 12) months up to ?month (YYYY-MM, default this month).
+// Accepts ?category to follow some categories only.
+app.get('/api/trends', async (req, res) => {
+  try {
+    const endMonth = req.query.month || toMonthKey(new Date());
+    if (!isMonthKey(endMonth)) {
+      return res.status(400).json({ error: 'month must be in YYYY-MM format' });
+    }
+    const months = req.query.months === undefined ? 12 : Number(req.query.months);
+    if (!Number.isInteger(months) || months < 1 || months > MAX_TREND_MONTHS) {
+      return res.status(400).json({ error: `months must be an integer between 1 and ${MAX_TREND_MONTHS}` });
+    }
+
+    const categories = toList(req.query.category).map(category => category.toLowerCase());
+    const { startDate, endDate } = getTrendRange(endMonth, months);
+    const expenses = (await attachBaseAmounts(await loadSpendingInRange(startDate, endDate)))
+      .filter(expense => categories.length === 0 || categories.includes(expense.category.toLowerCase()));
+
+    res.json({ currency: BASE_CURRENCY, categories, months: calculateTrends(expenses, { endMonth, months }) });
+  } catch (error) {
+    console.error('Error calculating trends:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Forecast spending for the rest of this month and the next ?months months
+// (default 3), per category and per day, with 80% confidence bands. Uses
+// recent daily spending, weekday and seasonal patterns, and the amounts
+// recurring expenses will add. Accepts ?category to forecast some categories only.
+app.get('/api/forecast', async (req, res) => {
+  try {
+    const months = req.query.months === undefined ? DEFAULT_FORECAST_MONTHS : Number(req.query.months);
+    if (!Number.isInteger(months) || months < 0 || months > MAX_FORECAST_MONTHS) {
+      return res.status(400).json({ error: `months must be an integer between 0 and ${MAX_FORECAST_MONTHS}` });
+    }
+
+    const now = new Date();
+    const today = toDayKey(now);
+    const categories = toList(req.query.category).map(category => category.toLowerCase());
+    const inCategories = (expense) => categories.length === 0 || categories.includes(expense.category.toLowerCase());
+
+    const startDate = startOfDay(addDays(today, -FORECAST_HISTORY_DAYS));
+    const history = (await attachBaseAmounts(await loadSpendingInRange(startDate, now))).filter(inCategories);
+    const lastDay = toDayKey(getPeriodRange('month', now, months).endDate);
+    const upcoming = (await attachBaseAmounts(listUpcomingExpenses(await loadRecurring(), today, lastDay)))
+      .filter(inCategories);
+
+    res.json({ categories, ...forecastSpending({ history, upcoming, now, months }) });
+  } catch (error) {
+    console.error('Error forecasting spending:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Helper function to turn ?month=YYYY-MM into the matching from/to range.
+// Returns { query } or { error }.
+const withMonthRange = (query) => {
+  if (query.month === undefined) return { query };
+  if (!isMonthKey(query.month)) {
+    return { error: 'month must be in YYYY-MM format' };
+  }
+  const { startDate, endDate } = getMonthRange(query.month);
+  return {
+    query: {
+      ...query,
+      from: toDayKey(startDate),
+      to: toDayKey(endDate)
+    }
+  };
+};
+
+// Export expenses endpoint: ?format=csv (default) or jsonl, with the same
+// filters and sorting as GET /api/expenses, or ?month=YYYY-MM for a whole
+// month. Every matching expense is included; there's no pagination.
+app.get('/api/export', async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!['csv', 'jsonl'].includes(format)) {
+      return res.status(400).json({ error: 'format must be csv or jsonl' });
+    }
+
+    const monthRange = withMonthRange(req.query);
+    if (monthRange.error) {
+      return res.status(400).json({ error: monthRange.error });
+    }
+    const { options, error } = parseExpenseQuery({ ...monthRange.query, cursor: undefined, limit: undefined });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { page: expenses } = paginateExpenses(await loadFilteredExpenses(options), options);
+    const range = `${toDayKey(options.startDate)}_${toDayKey(options.endDate)}`;
+
+    res.attachment(`expenses_${range}.${format}`);
+    if (format === 'csv') {
+      res.type('text/csv').send(toCsv(expenses));
+    } else {
+      res.type('application/x-ndjson').send(toJsonLines(expenses));
+    }
+  } catch (error) {
+    console.error('Error exporting expenses:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
+
+// Printable report endpoint: a self-contained HTML page with category totals,
+// the spending analysis, daily spending and the top transactions. Use
+// ?month=YYYY-MM for a monthly report, or the same filters as GET /api/expenses.
+app.get('/api/export/report', async (req, res) => {
+  try {
+    const monthRange = withMonthRange(req.query);
+    if (monthRange.error) {
+      return res.status(400).json({ error: monthRange.error });
+    }
+    const { options, error } = parseExpenseQuery({ ...monthRange.query, cursor: undefined, limit: undefined });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const expenses = await loadFilteredExpenses(options);
+    const from = toDayKey(options.startDate);
+    const to = toDayKey(options.endDate);
+    const period = req.query.month
+      ? describePeriod('month', options.startDate)
+      : `${from} to ${to}`;
+    const filters = [
+      options.categories.length > 0 && `categories: ${options.categories.join(', ')}`,
+      options.tags.length > 0 && `tags: ${options.tags.map(tag => `#${tag}`).join(', ')}`,
+      options.projects.length > 0 && `projects: ${options.projects.join(', ')}`,
+      options.q && `matching "${options.q}"`,
+      options.minAmount !== undefined && `at least ${formatMoney(options.minAmount)}`,
+      options.maxAmount !== undefined && `at most ${formatMoney(options.maxAmount)}`
+    ].filter(Boolean);
+
+    res.type('html').send(renderReport({
+      title: req.query.month ? `Monthly Expense Report: ${period}` : 'Expense Report',
+      period: filters.length > 0 ? `${period} (${filters.join('; ')})` : period,
+      startDate: options.startDate,
+      endDate: options.endDate,
+      expenses: expenses.filter(isExpense),
+      analysis: analyzeExpenses(expenses)
+    }));
+  } catch (error) {
+    console.error('Error generating report:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get categories endpoint
+app.get('/api/categories', async (req, res) => {
+  try {
+    res.json(await loadCategories());
+  } catch (error) {
+    console.error('Error loading categories:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get income categories endpoint. Income is categorized by these keywords,
+// apart from the expense category rules.
+app.get('/api/income/categories', (req, res) => {
+  res.json([...INCOME_CATEGORIES, { name: FALLBACK_INCOME_CATEGORY, keywords: [] }]);
+});
+
+// Create category endpoint. Body: { name, keywords: [...], patterns: [...] }
+app.post('/api/categories', async (req, res) => {
+  try {
+    const { category, error } = normalizeCategory(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await withCategoriesLock(async () => {
+      const categories = await loadCategories();
+      if (category.name === FALLBACK_CATEGORY || categories.some(existing => existing.name === category.name)) {
+        return res.status(409).json({ error: `Category "${category.name}" already exists` });
+      }
+
+      categories.push(category);
+      await saveCategories(categories);
+      res.status(201).json(category);
+    });
+  } catch (error) {
+    console.error('Error creating category:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update category endpoint. Replaces the category's rules and, when the name
+// changes, renames it. With { "recategorize": true } past expenses in the old
+// category are moved to the new name.
+app.put('/api/categories/:name', async (req, res) => {
+  try {
+    const name = toCategoryName(req.params.name);
+    await withCategoriesLock(async () => {
+      const categories = await loadCategories();
+      const index = categories.findIndex(category => category.name === name);
+      if (index === -1) {
+        return res.status(404).json({ error: 'Category not found' });
+      }
+
+      const { category, error } = normalizeCategory({ name, ...req.body });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      if (category.name !== name &&
+          (category.name === FALLBACK_CATEGORY || categories.some(existing => existing.name === category.name))) {
+        return res.status(409).json({ error: `Category "${category.name}" already exists; merge instead` });
+      }
+
+      categories[index] = category;
+      await saveCategories(categories);
+      if (category.name !== name) {
+        await renameBudgetCategory(name, category.name);
+      }
+
+      let recategorized = 0;
+      if (req.body.recategorize && category.name !== name) {
+        recategorized = await storage.recategorizeExpenses(name, category.name);
+        await resetLearner();
+      }
+
+      res.json({ ...category, recategorized });
+    });
+  } catch (error) {
+    console.error('Error updating category:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Merge category endpoint. Body: { into, recategorize }. The category's rules
+// and budgets are added to the target and it is removed; with recategorize,
+// past expenses move to the target too. Merging into "other" just drops the
+// rules.
+app.post('/api/categories/:name/merge', async (req, res) => {
+  try {
+    const name = toCategoryName(req.params.name);
+    const into = req.body && typeof req.body.into === 'string' ? toCategoryName(req.body.into) : '';
+    if (!into || into === name) {
+      return res.status(400).json({ error: 'Merge target "into" must name a different category' });
+    }
+
+    await withCategoriesLock(async () => {
+      const categories = await loadCategories();
+      const source = categories.find(category => category.name === name);
+      const target = categories.find(category => category.name === into);
+      // A category that only exists on past expenses can still be merged away
+      if (!source && !req.body.recategorize) {
+        return res.status(404).json({ error: 'Category not found' });
+      }
+      if (!target && into !== FALLBACK_CATEGORY) {
+        return res.status(404).json({ error: `Target category "${into}" not found` });
+      }
+
+      if (source && target) {
+        target.keywords = [...new Set([...target.keywords, ...source.keywords])];
+        target.patterns = [...new Set([...target.patterns, ...source.patterns])];
+      }
+      await saveCategories(categories.filter(category => category !== source));
+      await mergeBudgetCategory(name, into);
+
+      const recategorized = req.body.recategorize ? await storage.recategorizeExpenses(name, into) : 0;
+      if (recategorized > 0) {
+        await resetLearner();
+      }
+      res.json({ merged: name, into, recategorized });
+    });
+  } catch (error) {
+    console.error('Error merging category:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete category endpoint. Past expenses and budgets keep the category unless
+// ?reassignTo=<category> is given.
+app.delete('/api/categories/:name', async (req, res) => {
+  try {
+    const name = toCategoryName(req.params.name);
+    await withCategoriesLock(async () => {
+      const categories = await loadCategories();
+      const category = categories.find(existing => existing.name === name);
+      if (!category) {
+        return res.status(404).json({ error: 'Category not found' });
+      }
+
+      await saveCategories(categories.filter(existing => existing !== category));
+
+      const reassignTo = req.query.reassignTo ? toCategoryName(req.query.reassignTo) : null;
+      if (reassignTo) {
+        await mergeBudgetCategory(name, reassignTo);
+      }
+      const recategorized = reassignTo ? await storage.recategorizeExpenses(name, reassignTo) : 0;
+      if (recategorized > 0) {
+        await resetLearner();
+      }
+      res.json({ ...category, recategorized });
+    });
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get budgets endpoint
+app.get('/api/budgets', async (req, res) => {
+  try {
+    res.json(await loadBudgets());
+  } catch (error) {
+    console.error('Error loading budgets:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Budget vs. actual endpoint. ?month=YYYY-MM, defaulting to the current month.
+// Each budgeted category comes with what was spent and a projection for the
+// end of the month at the current pace.
+app.get('/api/budgets/status', async (req, res) => {
+  try {
+    const month = req.query.month || toMonthKey(new Date());
+    if (!isMonthKey(month)) {
+      return res.status(400).json({ error: 'month must be in YYYY-MM format' });
+    }
+
+    res.json({ currency: BASE_CURRENCY, ...(await getBudgetStatus(month)) });
+  } catch (error) {
+    console.error('Error calculating budget status:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set budget endpoint. Body: { amount, month }, where amount is in the base
+// currency and month (YYYY-MM) is optional; without it the budget applies to
+// every month.
+app.put('/api/budgets/:category', async (req, res) => {
+  try {
+    const { budget, error } = normalizeBudget(req.params.category, req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await withBudgetsLock(async () => {
+      const budgets = (await loadBudgets())
+        .filter(existing => existing.category !== budget.category || existing.month !== budget.month);
+      budgets.push(budget);
+      await saveBudgets(budgets);
+      res.json(budget);
+    });
+  } catch (error) {
+    console.error('Error saving budget:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete budget endpoint. ?month=YYYY-MM removes that month's budget; without
+// it the every-month budget is removed.
+app.delete('/api/budgets/:category', async (req, res) => {
+  try {
+    const category = toCategoryName(req.params.category);
+    const month = req.query.month || null;
+    await withBudgetsLock(async () => {
+      const budgets = await loadBudgets();
+      const budget = budgets.find(existing => existing.category === category && existing.month === month);
+      if (!budget) {
+        return res.status(404).json({ error: 'Budget not found' });
+      }
+
+      await saveBudgets(budgets.filter(existing => existing !== budget));
+      res.json(budget);
+    });
+  } catch (error) {
+    console.error('Error deleting budget:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get recurring expenses endpoint
+app.get('/api/recurring', async (req, res) => {
+  try {
+    res.json(await loadRecurring());
+  } catch (error) {
+    console.error('Error loading recurring expenses:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Suggest recurring expenses from repeated similar expenses in past data
+app.get('/api/recurring/suggestions', async (req, res) => {
+  try {
+    res.json(detectSubscriptions((await loadAllExpenses()).filter(isExpense), await loadRecurring()));
+  } catch (error) {
+    console.error('Error detecting subscriptions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Helper function to fill in a recurring expense's category from its
+// description when none was given
+const withCategory = async (definition) => (
+  definition.category ? definition : { ...definition, category: (await categorizeExpense(definition.description)).category }
+);
+
+// Create recurring expense endpoint. Body: { description, amount, currency,
+// category, frequency, dayOfWeek, dayOfMonth, startDate, endDate }.
+// Occurrences already due are created straight away.
+app.post('/api/recurring', async (req, res) => {
+  try {
+    const { definition, error } = normalizeRecurring(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const recurring = await withCategory({ id: randomUUID(), ...definition, lastGenerated: null });
+    await withRecurringLock(async () => {
+      const definitions = await loadRecurring();
+      definitions.push(recurring);
+      await saveRecurring(definitions);
+    });
+
+    // Outside the lock, since the scheduler takes it to record its progress
+    const created = await scheduler.run();
+    res.status(201).json({ ...recurring, created: created.filter(expense => expense.recurringId === recurring.id).length });
+  } catch (error) {
+    console.error('Error creating recurring expense:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update recurring expense endpoint. Replaces the definition; expenses it
+// already created are left as they are.
+app.put('/api/recurring/:id', async (req, res) => {
+  try {
+    const { definition, error } = normalizeRecurring(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const updated = await withRecurringLock(async () => {
+      const definitions = await loadRecurring();
+      const index = definitions.findIndex(existing => existing.id === req.params.id);
+      if (index === -1) return null;
+
+      const { id, lastGenerated } = definitions[index];
+      definitions[index] = await withCategory({ id, ...definition, lastGenerated });
+      await saveRecurring(definitions);
+      return definitions[index];
+    });
+    if (!updated) {
+      return res.status(404).json({ error: 'Recurring expense not found' });
+    }
+
+    const created = await scheduler.run();
+    res.json({ ...updated, created: created.filter(expense => expense.recurringId === updated.id).length });
+  } catch (error) {
+    console.error('Error updating recurring expense:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete recurring expense endpoint. Expenses it already created are kept.
+app.delete('/api/recurring/:id', async (req, res) => {
+  try {
+    await withRecurringLock(async () => {
+      const definitions = await loadRecurring();
+      const definition = definitions.find(existing => existing.id === req.params.id);
+      if (!definition) {
+        return res.status(404).json({ error: 'Recurring expense not found' });
+      }
+
+      await saveRecurring(definitions.filter(existing => existing !== definition));
+      res.json(definition);
+    });
+  } catch (error) {
+    console.error('Error deleting recurring expense:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Helper function to load the expenses split with a group
+const loadGroupExpenses = async (groupId) =>
+  (await loadAllExpenses()).filter(expense => expense.split && expense.split.groupId === groupId);
+
+// Helper function to work out a group's balances (see calculateBalances)
+const getGroupBalances = async (group) => {
+  const expenses = await attachBaseAmounts(await loadGroupExpenses(group.id));
+  const settlements = await attachBaseAmounts(group.settlements);
+  return { ...calculateBalances(group, expenses, settlements), expenseCount: expenses.length };
+};
+
+// Helper function to check that no member with split expenses or
+// settlements in a group is being removed from it.
+// Returns the first such member, or null.
+const findRemovedActiveMember = async (group, members) => {
+  const removed = group.members.filter(member => !members.some(name => name.toLowerCase() === member.toLowerCase()));
+  if (removed.length === 0) return null;
+  const active = new Set(group.settlements.flatMap(settlement => [settlement.from, settlement.to]));
+  (await loadGroupExpenses(group.id)).forEach(expense => {
+    active.add(expense.split.paidBy);
+    expense.split.shares.forEach(share => active.add(share.member));
+  });
+  return removed.find(member => active.has(member)) || null;
+};
+
+// Get groups endpoint
+app.get('/api/groups', async (req, res) => {
+  try {
+    res.json(await loadGroups());
+  } catch (error) {
+    console.error('Error fetching groups:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create group endpoint. Body: { "name": "Flat", "members": ["Sam", "Alex"] }.
+// The user is a member of every group ("me") and isn't listed.
+app.post('/api/groups', async (req, res) => {
+  try {
+    const { group, error } = normalizeGroup(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await withGroupsLock(async () => {
+      const groups = await loadGroups();
+      if (groups.some(existing => existing.name.toLowerCase() === group.name.toLowerCase())) {
+        return res.status(409).json({ error: `Group "${group.name}" already exists` });
+      }
+
+      const created = { id: randomUUID(), ...group, settlements: [] };
+      groups.push(created);
+      await saveGroups(groups);
+      res.status(201).json(created);
+    });
+  } catch (error) {
+    console.error('Error creating group:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update group endpoint. Renames a group or changes its members; members
+// with split expenses or settlements can't be removed.
+app.put('/api/groups/:id', async (req, res) => {
+  try {
+    await withGroupsLock(async () => {
+      const groups = await loadGroups();
+      const index = groups.findIndex(existing => existing.id === req.params.id);
+      if (index === -1) {
+        return res.status(404).json({ error: 'Group not found' });
+      }
+
+      const { group, error } = normalizeGroup(req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      if (groups.some(existing => existing.id !== req.params.id && existing.name.toLowerCase() === group.name.toLowerCase())) {
+        return res.status(409).json({ error: `Group "${group.name}" already exists` });
+      }
+
+      const active = await findRemovedActiveMember(groups[index], group.members);
+      if (active) {
+        return res.status(400).json({ error: `${active} has shared expenses or settlements in this group and can't be removed` });
+      }
+
+      // Members keep the spelling their splits use
+      const members = group.members.map(name =>
+        groups[index].members.find(member => member.toLowerCase() === name.toLowerCase()) || name);
+      groups[index] = { ...groups[index], name: group.name, members };
+      await saveGroups(groups);
+      res.json(groups[index]);
+    });
+  } catch (error) {
+    console.error('Error updating group:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete group endpoint. A group can only be deleted once everyone is
+// settled up; its expenses stay, no longer split.
+app.delete('/api/groups/:id', async (req, res) => {
+  try {
+    await withGroupsLock(async () => {
+      const groups = await loadGroups();
+      const group = groups.find(existing => existing.id === req.params.id);
+      if (!group) {
+        return res.status(404).json({ error: 'Group not found' });
+      }
+
+      if (!(await getGroupBalances(group)).settled) {
+        return res.status(409).json({ error: 'Settle up before deleting this group' });
+      }
+
+      for (const expense of await loadGroupExpenses(group.id)) {
+        const unsplit = { ...expense };
+        delete unsplit.split;
+        await storage.updateExpense(unsplit);
+      }
+      await saveGroups(groups.filter(existing => existing !== group));
+      res.json(group);
+    });
+  } catch (error) {
+    console.error('Error deleting group:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Group balances endpoint. Each member's balance in the base currency
+// (positive when they're owed) and the fewest transfers that settle up.
+app.get('/api/groups/:id/balances', async (req, res) => {
+  try {
+    const group = (await loadGroups()).find(existing => existing.id === req.params.id);
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    res.json({ groupId: group.id, ...(await getGroupBalances(group)) });
+  } catch (error) {
+    console.error('Error calculating group balances:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Record settlement endpoint: one member paying another back.
+// Body: { "from": "Sam", "to": "me", "amount": 45, "date": "2025-03-01" }.
+// Currency defaults to the base currency and date to today.
+app.post('/api/groups/:id/settlements', async (req, res) => {
+  try {
+    await withGroupsLock(async () => {
+      const groups = await loadGroups();
+      const group = groups.find(existing => existing.id === req.params.id);
+      if (!group) {
+        return res.status(404).json({ error: 'Group not found' });
+      }
+
+      const { settlement, error } = normalizeSettlement(req.body, group);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const recorded = { id: randomUUID(), ...settlement };
+      group.settlements.push(recorded);
+      await saveGroups(groups);
+      res.status(201).json(recorded);
+    });
+  } catch (error) {
+    console.error('Error recording settlement:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete settlement endpoint, for one recorded by mistake
+app.delete('/api/groups/:id/settlements/:settlementId', async (req, res) => {
+  try {
+    await withGroupsLock(async () => {
+      const groups = await loadGroups();
+      const group = groups.find(existing => existing.id === req.params.id);
+      const settlement = group && group.settlements.find(existing => existing.id === req.params.settlementId);
+      if (!settlement) {
+        return res.status(404).json({ error: 'Settlement not found' });
+      }
+
+      group.settlements = group.settlements.filter(existing => existing !== settlement);
+      await saveGroups(groups);
+      res.json(settlement);
+    });
+  } catch (error) {
+    console.error('Error deleting settlement:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Helper function to move a project's expenses to another project name, or
+// out of any project with null. Returns how many were moved.
+const moveProjectExpenses = async (from, to) => {
+  let moved = 0;
+  for (const expense of await loadAllExpenses()) {
+    if (expense.project !== from) continue;
+    const updated = { ...expense };
+    setLabels(updated, { tags: expense.tags || [], project: to });
+    await storage.updateExpense(updated);
+    moved += 1;
+  }
+  return moved;
+};
+
+// Helper function to put the expenses made during a trip into it, apart from
+// those already in a project and those added by recurring expenses.
+// Returns how many were assigned.
+const assignTripExpenses = async (trip) => {
+  if (trip.kind !== 'trip') return 0;
+  let assigned = 0;
+  for (const expense of await storage.loadExpensesInRange(startOfDay(trip.startDate), endOfDay(trip.endDate))) {
+    if (!isExpense(expense) || expense.project || expense.recurringId) continue;
+    await storage.updateExpense({ ...expense, project: trip.name });
+    assigned += 1;
+  }
+  return assigned;
+};
+
+// Get projects endpoint: projects and trips with what was spent on each
+app.get('/api/projects', async (req, res) => {
+  try {
+    const expenses = await attachBaseAmounts(await loadAllExpenses());
+    res.json(summarizeProjects(await loadProjects(), expenses));
+  } catch (error) {
+    console.error('Error fetching projects:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create project endpoint. Body: { name, kind: "trip" | "project", startDate, endDate }.
+// Expenses already made during a new trip are put in it; assigned says how many.
+app.post('/api/projects', async (req, res) => {
+  try {
+    const { project, error } = normalizeProject(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await withProjectsLock(async () => {
+      const projects = await loadProjects();
+      if (findProject(projects, project.name)) {
+        return res.status(409).json({ error: `Project "${project.name}" already exists` });
+      }
+
+      const created = { id: randomUUID(), ...project };
+      await saveProjects([...projects, created]);
+      const assigned = await assignTripExpenses(created);
+      res.status(201).json({ ...created, assigned });
+    });
+  } catch (error) {
+    console.error('Error creating project:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update project endpoint. A new name is given to the project's expenses
+// too, and expenses made during a trip's new dates are put in it.
+app.put('/api/projects/:id', async (req, res) => {
+  try {
+    await withProjectsLock(async () => {
+      const projects = await loadProjects();
+      const index = projects.findIndex(existing => existing.id === req.params.id);
+      if (index === -1) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      const { project, error } = normalizeProject(req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      const clash = findProject(projects, project.name);
+      if (clash && clash.id !== req.params.id) {
+        return res.status(409).json({ error: `Project "${project.name}" already exists` });
+      }
+
+      const previous = projects[index];
+      projects[index] = { id: previous.id, ...project };
+      await saveProjects(projects);
+      if (project.name !== previous.name) {
+        await moveProjectExpenses(previous.name, project.name);
+      }
+      const assigned = await assignTripExpenses(projects[index]);
+      res.json({ ...projects[index], assigned });
+    });
+  } catch (error) {
+    console.error('Error updating project:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete project endpoint. Its expenses are kept, in no project;
+// unassigned says how many there were.
+app.delete('/api/projects/:id', async (req, res) => {
+  try {
+    await withProjectsLock(async () => {
+      const projects = await loadProjects();
+      const project = projects.find(existing => existing.id === req.params.id);
+      if (!project) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      await saveProjects(projects.filter(existing => existing !== project));
+      const unassigned = await moveProjectExpenses(project.name, null);
+      res.json({ ...project, unassigned });
+    });
+  } catch (error) {
+    console.error('Error deleting project:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get tags endpoint: the tags in use and how many expenses have each
+app.get('/api/tags', async (req, res) => {
+  try {
+    res.json(countTags(await loadAllExpenses()));
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Helper function to give a merchant's name to the expenses it covers: those
+// stored under one of its aliases or under `previous` (its old name), and
+// those with no merchant yet whose description uses an alias.
+// Returns how many were changed.
+const applyMerchant = async (merchant, previous = null) => {
+  let updated = 0;
+  for (const expense of await loadAllExpenses()) {
+    if (!isExpense(expense) || expense.merchant === merchant.name) continue;
+    const covered = expense.merchant
+      ? expense.merchant === previous || Boolean(matchAlias([merchant], expense.merchant))
+      : Boolean(matchAlias([merchant], stripTags(expense.description)));
+    if (!covered) continue;
+    await storage.updateExpense({ ...expense, merchant: merchant.name });
+    updated += 1;
+  }
+  return updated;
+};
+
+// Get merchants endpoint: the alias table with how many expenses were made
+// at each merchant, followed by merchants in use that aren't in it yet
+app.get('/api/merchants', async (req, res) => {
+  try {
+    const merchants = await loadMerchants();
+    const counts = countMerchants(await loadAllExpenses());
+    const countOf = (name) => (counts.find(entry => entry.merchant === name) || { count: 0 }).count;
+    res.json([
+      ...merchants.map(merchant => ({ ...merchant, listed: true, count: countOf(merchant.name) })),
+      ...counts
+        .filter(entry => !findMerchant(merchants, entry.merchant))
+        .map(entry => ({ name: entry.merchant, aliases: [], listed: false, count: entry.count }))
+    ]);
+  } catch (error) {
+    console.error('Error fetching merchants:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set merchant endpoint. Body: { name, aliases }, where name renames the
+// merchant (its expenses move with it) and defaults to the one in the URL.
+// Creates the merchant when the table doesn't have it. Expenses stored under
+// one of its aliases take its name; updated says how many.
+app.put('/api/merchants/:name', async (req, res) => {
+  try {
+    const { merchant, error } = normalizeMerchant({ name: req.params.name, ...req.body });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await withMerchantsLock(async () => {
+      const merchants = await loadMerchants();
+      const existing = findMerchant(merchants, req.params.name);
+      const clash = findMerchant(merchants, merchant.name);
+      if (clash && clash !== existing) {
+        return res.status(409).json({ error: `Merchant "${clash.name}" already exists` });
+      }
+      const owner = findAliasOwner(merchants, merchant.aliases, existing);
+      if (owner) {
+        return res.status(409).json({ error: `"${owner.alias}" is already an alias of ${owner.merchant.name}` });
+      }
+
+      const saved = existing
+        ? merchants.map(entry => (entry === existing ? merchant : entry))
+        : [...merchants, merchant];
+      await saveMerchants(saved);
+      const updated = await applyMerchant(merchant, existing ? existing.name : req.params.name);
+      res.status(existing ? 200 : 201).json({ ...merchant, updated });
+    });
+  } catch (error) {
+    console.error('Error saving merchant:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete merchant endpoint. Only the aliases go; expenses keep the merchant's name.
+app.delete('/api/merchants/:name', async (req, res) => {
+  try {
+    await withMerchantsLock(async () => {
+      const merchants = await loadMerchants();
+      const merchant = findMerchant(merchants, req.params.name);
+      if (!merchant) {
+        return res.status(404).json({ error: 'Merchant not found' });
+      }
+
+      await saveMerchants(merchants.filter(entry => entry !== merchant));
+      res.json(merchant);
+    });
+  } catch (error) {
+    console.error('Error deleting merchant:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Helper function to read a bank statement upload: { content, format, mapping }.
+// The format (csv, ofx or qfx) is detected when left out, and CSV columns are
+// guessed from the header row unless a mapping is given.
+// Returns { format, headers, mapping, transactions, skipped } or { error },
+// with the CSV headers and mapping so a bad mapping can be corrected.
+const readStatement = ({ content, format, mapping } = {}) => {
+  if (typeof content !== 'string' || !content.trim()) {
+    return { error: 'content must be the text of a CSV or OFX/QFX file' };
+  }
+
+  const kind = format ? String(format).toLowerCase() : (isOfx(content) ? 'ofx' : 'csv');
+  if (kind === 'ofx' || kind === 'qfx') {
+    return { format: 'ofx', ...ofxToTransactions(content) };
+  }
+  if (kind !== 'csv') {
+    return { error: 'format must be csv, ofx or qfx' };
+  }
+
+  const [headers, ...rows] = parseCsv(content);
+  if (!headers || rows.length === 0) {
+    return { error: 'The CSV file has no transactions' };
+  }
+  const columns = mapping || detectCsvMapping(headers);
+  const error = validateCsvMapping(columns, headers);
+  if (error) {
+    return { error, headers, mapping: columns };
+  }
+  return { format: 'csv', headers, ...csvToTransactions(rows, columns) };
+};
+
+// Import preview endpoint. Body: { content, format, mapping }, where mapping
+// picks CSV columns by index: { date, description, amount } or debit/credit
+// instead of amount, plus optional currency, dateFormat (MDY or DMY) and
+// spending (negative or positive). Nothing is saved; each transaction comes
+// back categorized, with its merchant and, when it looks like an expense
+// already stored, the duplicate it matches for review.
+app.post('/api/import/preview', importJson, async (req, res) => {
+  try {
+    const statement = readStatement(req.body);
+    if (statement.error) {
+      return res.status(400).json(statement);
+    }
+
+    const { transactions } = statement;
+    let existing = [];
+    if (transactions.length > 0) {
+      const { startDate, endDate } = duplicateSearchRange(transactions);
+      existing = await storage.loadExpensesInRange(startDate, endDate);
+    }
+
+    const merchants = await loadMerchants();
+    const reviewed = [];
+    for (const transaction of transactions) {
+      const { category, confidence } = await categorizeExpense(transaction.description);
+      reviewed.push({
+        ...transaction,
+        category,
+        confidence,
+        merchant: merchantFromPayee(merchants, transaction.description),
+        duplicate: findDuplicate(transaction, existing)
+      });
+    }
+
+    res.json({ ...statement, transactions: reviewed });
+  } catch (error) {
+    console.error('Error previewing import:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Import endpoint. Body: { expenses: [...] } with the reviewed transactions to
+// save, in the same shape as confirmed expenses plus an optional externalId
+// (the bank's transaction ID, used to spot the same transaction next time).
+app.post('/api/import', importJson, async (req, res) => {
+  try {
+    const rows = req.body && req.body.expenses;
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({ error: 'expenses must be a non-empty list' });
+    }
+
+    // A statement line is all payee, so the merchant is the line itself
+    // rather than a name after "at" as in typed text
+    const merchants = await loadMerchants();
+    const expenses = [];
+    for (const [index, fields] of rows.entries()) {
+      const payee = fields && fields.merchant === undefined && typeof fields.description === 'string'
+        ? { ...fields, merchant: merchantFromPayee(merchants, fields.description) }
+        : fields;
+      const { expense, error, status } = await buildConfirmedExpense(payee);
+      if (error) {
+        return res.status(status || 400).json({ error: `Expense ${index + 1}: ${error}` });
+      }
+      if (typeof fields.externalId === 'string' && fields.externalId) {
+        expense.externalId = fields.externalId;
+      }
+      expenses.push(expense);
+    }
+
+    if (!(await claimReceipts(expenses))) {
+      return res.status(409).json({ error: 'Receipt image is already attached to another expense' });
+    }
+    for (const expense of expenses) {
+      await storage.addExpense(expense);
+      (await getLearner()).learn(expense);
+    }
+
+    res.json(expenses);
+  } catch (error) {
+    console.error('Error importing expenses:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get exchange rates endpoint. The table is shared by every account, so it's
+// read-only here; it's changed by editing the file or with import:rates.
+app.get('/api/exchange-rates', async (req, res) => {
+  try {
+    const table = await loadExchangeRates();
+    res.json({ baseCurrency: BASE_CURRENCY, ...table });
+  } catch (error) {
+    console.error('Error loading exchange rates:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get settings endpoint: the timezone days and periods are worked out in, and
+// whether it was saved or comes from TIMEZONE (timezoneSource)
+app.get('/api/settings', async (req, res) => {
+  try {
+    res.json(await loadSettings());
+  } catch (error) {
+    console.error('Error loading settings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update settings endpoint. Body: { "timezone": "America/New_York" }.
+// Changing the timezone moves expenses to the day they fall on there;
+// moved says how many. The new timezone is only saved once they've all been
+// moved, and if that fails the expenses already moved are put back.
+app.put('/api/settings', async (req, res) => {
+  try {
+    const { settings, error } = normalizeSettings(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await withSettingsLock(async () => {
+      const previous = getTimeZone();
+      let moved = 0;
+      try {
+        if (settings.timezone !== previous) {
+          setTimeZone(settings.timezone);
+          moved = await storage.rebucketExpenses();
+        }
+        await saveSettings(settings);
+      } catch (error) {
+        setTimeZone(previous);
+        if (settings.timezone !== previous) {
+          await storage.rebucketExpenses().catch(rollbackError =>
+            console.error('Error moving expenses back to their days:', rollbackError));
+        }
+        throw error;
+      }
+      res.json({ ...settings, timezoneSource: 'saved', moved });
+    });
+  } catch (error) {
+    console.error('Error saving settings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Load models, start the scheduler and listen when run as the server
+// ("node index.js") rather than imported by a test
+if (process.argv[1] && fileURLToPath(import.meta.url) === path.resolve(process.argv[1])) {
+  loadModels();
+  scheduler.start();
+  app.listen(port, () => {
+    console.log(`Server running on port ${port}`);
+  });
+}
@@ -0,0 +1,123 @@
+import { FALLBACK_CATEGORY } from './categories.js';
+import { isIncome } from './income.js';
+
+// Words that say nothing about what an expense was for
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'at', 'bought', 'buy', 'for', 'from', 'got', 'i', 'in', 'my', 'of', 'on',
+  'paid', 'pay', 'some', 'spend', 'spent', 'the', 'to', 'today', 'with', 'yesterday', 'was',
+  'dollars', 'dollar', 'bucks', 'euros', 'euro', 'pounds', 'usd', 'eur', 'gbp'
+]);
+
+// Fewest past expenses needed before the learner makes predictions
+const MIN_TRAINING_EXAMPLES = 3;
+
+// Predictions below this probability fall back to the default category
+const MIN_PROBABILITY = 0.5;
+
+// Learned guesses are never trusted as much as an explicit keyword rule
+const MAX_CONFIDENCE = 0.8;
+
+// Helper function to split a description into the words the learner uses
+export const tokenize = (text) =>
+  text
+    .toLowerCase()
+    .replace(/[^a-z\s'-]/g, ' ')
+    .split(/[\s'-]+/)
+    .filter(word => word.length > 1 && !STOPWORDS.has(word));
+
+// Create a naive Bayes classifier that learns categories from past expenses.
+// It is kept in step with stored expenses: learn() when one is added,
+// forget() when one is removed, and both when one is recategorized.
+export const createCategoryLearner = () => {
+  let examples = 0;
+  let categoryExamples = new Map();
+  let wordCounts = new Map();
+  let categoryWordTotals = new Map();
+  let vocabulary = new Map();
+
+  const increment = (map, key, delta) => {
+    const value = (map.get(key) || 0) + delta;
+    if (value > 0) {
+      map.set(key, value);
+    } else {
+      map.delete(key);
+    }
+  };
+
+  // Add (delta 1) or remove (delta -1) one expense's evidence. Income has
+  // categories of its own and teaches nothing about expenses.
+  const adjust = (expense, delta) => {
+    if (!expense || !expense.category || !expense.description || isIncome(expense)) return;
+    const category = expense.category.toLowerCase();
+    if (category === FALLBACK_CATEGORY) return;
+
+    examples += delta;
+    increment(categoryExamples, category, delta);
+    if (!wordCounts.has(category)) {
+      wordCounts.set(category, new Map());
+    }
+
+    for (const word of tokenize(expense.description)) {
+      increment(wordCounts.get(category), word, delta);
+      increment(categoryWordTotals, category, delta);
+      increment(vocabulary, word, delta);
+    }
+  };
+
+  const learner = {
+    // Rebuild the model from a list of expenses
+    train: (expenses) => {
+      examples = 0;
+      categoryExamples = new Map();
+      wordCounts = new Map();
+      categoryWordTotals = new Map();
+      vocabulary = new Map();
+      expenses.forEach(expense => adjust(expense, 1));
+      return learner;
+    },
+
+    learn: (expense) => adjust(expense, 1),
+
+    forget: (expense) => adjust(expense, -1),
+
+    // Predict a category for a description.
+    // Returns { category, confidence } or null when the learner can't tell.
+    predict: (description) => {
+      if (examples < MIN_TRAINING_EXAMPLES) return null;
+
+      // Only words seen in training carry evidence
+      const words = tokenize(description).filter(word => vocabulary.has(word));
+      if (words.length === 0) return null;
+
+      const vocabularySize = vocabulary.size;
+      const scores = [];
+      for (const [category, count] of categoryExamples) {
+        const counts = wordCounts.get(category);
+        const total = categoryWordTotals.get(category) || 0;
+        let score = Math.log(count / examples);
+        for (const word of words) {
+          // Laplace smoothing so unseen words don't rule a category out
+          score += Math.log(((counts.get(word) || 0) + 1) / (total + vocabularySize));
+        }
+        scores.push([category, score]);
+      }
+
+      // Turn log scores into probabilities
+      const best = Math.max(...scores.map(([, score]) => score));
+      const weights = scores.map(([category, score]) => [category, Math.exp(score - best)]);
+      const sum = weights.reduce((acc, [, weight]) => acc + weight, 0);
+      const [category, weight] = weights.sort((a, b) => b[1] - a[1])[0];
+      const probability = weight / sum;
+
+      if (probability < MIN_PROBABILITY) return null;
+      return { category, confidence: Math.round(Math.min(MAX_CONFIDENCE, probability) * 100) / 100 };
+    },
+
+    // Categories of the expenses it has learned from
+    categories: () => [...categoryExamples.keys()],
+
+    size: () => examples
+  };
+
+  return learner;
+};
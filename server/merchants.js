@@ -0,0 +1,214 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { userDataDir } from './storage/index.js';
+import { writeJsonFile, withFileLock } from './storage/files.js';
+
+// The alias table: each merchant's name as it should be shown, and the other
+// ways it's written in expense text and bank statements ("AMZN Mktp" is
+// Amazon)
+export const merchantsFile = () => path.join(userDataDir(), 'merchants.json');
+
+// Aliases used until the user saves their own
+const DEFAULT_MERCHANTS = [
+  { name: 'Amazon', aliases: ['amazon', 'amzn', 'amzn mktp', 'amazon.com', 'amazon marketplace'] },
+  { name: 'Walmart', aliases: ['walmart', 'wal-mart', 'wm supercenter', 'walmart.com'] },
+  { name: 'Costco', aliases: ['costco', 'costco whse'] },
+  { name: 'Starbucks', aliases: ['starbucks', 'sbux'] },
+  { name: "McDonald's", aliases: ['mcdonalds', "mcdonald's"] },
+  { name: 'Uber', aliases: ['uber', 'uber trip'] },
+  { name: 'Uber Eats', aliases: ['uber eats', 'ubereats'] },
+  { name: 'Lyft', aliases: ['lyft'] },
+  { name: 'Netflix', aliases: ['netflix', 'netflix.com'] },
+  { name: 'Spotify', aliases: ['spotify', 'spotify usa'] },
+  { name: 'Apple', aliases: ['apple.com', 'apple.com/bill', 'itunes'] }
+];
+
+const MAX_MERCHANT_NAME_LENGTH = 60;
+const MAX_ALIASES = 50;
+
+// Words that end a merchant name after "at" or "from", as in "gas at Shell
+// yesterday" or "shoes from Nike for $80"
+const MERCHANT_STOP_WORDS = new Set([
+  'on', 'for', 'in', 'at', 'and', 'as', 'of', 'to', 'with', 'via', 'into', 'split', 'paid', 'by',
+  'today', 'yesterday', 'tonight', 'last', 'this', 'next', 'ago'
+]);
+// Words after "at" or "from" that name a place or time rather than a merchant
+const NOT_MERCHANT_WORDS = new Set([
+  'home', 'work', 'office', 'school', 'night', 'noon', 'midnight', 'lunch', 'dinner', 'breakfast',
+  'least', 'most', 'around', 'about', 'my', 'our', 'me', 'him', 'her', 'them'
+]);
+const MAX_MERCHANT_WORDS = 4;
+
+// Helper function to reduce a name to the form aliases are matched in:
+// lower case words, without punctuation ("AMZN Mktp US*2K3" -> "amzn mktp us 2k3")
+const toMatchKey = (value) => String(value)
+  .toLowerCase()
+  .replace(/['’]/g, '')
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+// Helper function to give a name written all in one case capital initials
+// ("STARBUCKS" and "starbucks" -> "Starbucks"). A short all-capital name like
+// "CVS" is kept, and so is a name already in mixed case.
+const tidyCase = (name) => {
+  if ((/\p{Ll}/u.test(name) && /\p{Lu}/u.test(name)) || /^\p{Lu}{2,3}$/u.test(name)) return name;
+  return name
+    .split(' ')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+    .join(' ');
+};
+
+// Helper function to load the current user's alias table
+export const loadMerchants = async () => {
+  try {
+    const data = JSON.parse(await fs.readFile(merchantsFile(), 'utf8'));
+    return data.merchants || [];
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return DEFAULT_MERCHANTS.map(merchant => ({ ...merchant, aliases: [...merchant.aliases] }));
+    }
+    throw error;
+  }
+};
+
+// Helper function to save the current user's alias table
+export const saveMerchants = async (merchants) => {
+  await writeJsonFile(merchantsFile(), { merchants });
+};
+
+// Helper function to load, change and save the current user's alias table after any earlier change
+export const withMerchantsLock = (task) => withFileLock(merchantsFile(), task);
+
+// Helper function to find a merchant in the alias table by name, ignoring case, or null
+export const findMerchant = (merchants, name) => {
+  if (typeof name !== 'string' || !name.trim()) return null;
+  const key = toMatchKey(name);
+  return merchants.find(merchant => toMatchKey(merchant.name) === key) || null;
+};
+
+// Helper function to find the merchant other than `except` that already uses
+// one of some aliases, for spotting clashes. Returns { merchant, alias } or null.
+export const findAliasOwner = (merchants, aliases, except = null) => {
+  for (const merchant of merchants) {
+    if (merchant === except) continue;
+    const alias = aliases.find(candidate => merchant.aliases.some(existing => toMatchKey(existing) === toMatchKey(candidate)));
+    if (alias) return { merchant, alias };
+  }
+  return null;
+};
+
+// Helper function to validate a merchant from a request body, e.g.
+// { "name": "Amazon", "aliases": ["amazon", "AMZN", "AMZN Mktp"] }. Aliases
+// are kept in lower case, without repeats. The name is only matched in text
+// when it's one of the aliases too, so "Apple" needn't catch "apple pie".
+// Returns { merchant } on success or { error } describing the first problem.
+export const normalizeMerchant = (body) => {
+  const { name, aliases = [] } = body || {};
+  if (typeof name !== 'string' || !name.trim()) {
+    return { error: 'name is required' };
+  }
+  const clean = name.trim().replace(/\s+/g, ' ');
+  if (clean.length > MAX_MERCHANT_NAME_LENGTH || !toMatchKey(clean)) {
+    return { error: `name must be up to ${MAX_MERCHANT_NAME_LENGTH} characters, with at least one letter or digit` };
+  }
+  if (!Array.isArray(aliases) || aliases.some(alias => typeof alias !== 'string')) {
+    return { error: 'aliases must be a list of strings' };
+  }
+
+  const cleanAliases = [];
+  for (const alias of aliases) {
+    const value = alias.trim().replace(/\s+/g, ' ').toLowerCase();
+    if (!value) continue;
+    if (!toMatchKey(value)) {
+      return { error: `Alias "${alias.trim()}" needs at least one letter or digit` };
+    }
+    if (!cleanAliases.some(existing => toMatchKey(existing) === toMatchKey(value))) {
+      cleanAliases.push(value);
+    }
+  }
+  if (cleanAliases.length > MAX_ALIASES) {
+    return { error: `A merchant can have at most ${MAX_ALIASES} aliases` };
+  }
+  return { merchant: { name: clean, aliases: cleanAliases } };
+};
+
+// Helper function to find the merchant whose alias appears in some text, as
+// whole words. The longest alias wins, so "uber eats" is Uber Eats rather
+// than Uber. Returns the merchant or null.
+export const matchAlias = (merchants, text) => {
+  const padded = ` ${toMatchKey(text)} `;
+  let best = null;
+  let bestLength = 0;
+  for (const merchant of merchants) {
+    for (const alias of merchant.aliases) {
+      const key = toMatchKey(alias);
+      if (key.length > bestLength && padded.includes(` ${key} `)) {
+        best = merchant;
+        bestLength = key.length;
+      }
+    }
+  }
+  return best;
+};
+
+// Helper function to turn a merchant name as written into the one it's
+// stored as: the alias table's name when it knows the merchant, otherwise
+// the name itself with tidied case. Returns null for a blank name.
+export const resolveMerchant = (merchants, name) => {
+  if (typeof name !== 'string' || !toMatchKey(name)) return null;
+  const known = findMerchant(merchants, name) || matchAlias(merchants, name);
+  return known ? known.name : tidyCase(name.trim().replace(/\s+/g, ' ').slice(0, MAX_MERCHANT_NAME_LENGTH));
+};
+
+// Helper function to find the merchant in typed expense text: one the alias
+// table knows anywhere in it ("netflix $15"), or the name after "at" or
+// "from" ("I spent $20 on gas at Shell" -> "Shell"). Returns null when the
+// text doesn't name one.
+export const extractMerchant = (merchants, text) => {
+  const known = matchAlias(merchants, text);
+  if (known) return known.name;
+
+  for (const match of text.matchAll(/\b(?:at|from)\s+(?=\S)/gi)) {
+    const words = [];
+    for (const word of text.slice(match.index + match[0].length).split(/\s+/)) {
+      const clean = word.replace(/[.,;:!?]+$/, '');
+      if (!clean || MERCHANT_STOP_WORDS.has(clean.toLowerCase()) || /\d/.test(clean)) break;
+      words.push(clean);
+      if (words.length === MAX_MERCHANT_WORDS || clean !== word) break;
+    }
+    if (words[0] && ['the', 'a', 'an'].includes(words[0].toLowerCase())) words.shift();
+    if (words.length > 0 && !NOT_MERCHANT_WORDS.has(words[0].toLowerCase())) {
+      return resolveMerchant(merchants, words.join(' '));
+    }
+  }
+  return null;
+};
+
+// Helper function to get the merchant from a bank statement description,
+// where the whole line is the payee: a known alias, or the line without
+// card-processor prefixes, store numbers and reference codes
+// ("SQ *BLUE BOTTLE COFFEE #123 OAKLAND" -> "Blue Bottle Coffee Oakland").
+// Returns null when nothing is left.
+export const merchantFromPayee = (merchants, description) => {
+  const known = matchAlias(merchants, description);
+  if (known) return known.name;
+
+  const words = String(description)
+    .replace(/^(?:sq|tst|sp|pp|paypal|pos|dd)\s*\*\s*/i, '')
+    .split(/[\s/]+/)
+    .map(word => word.replace(/^[*#]+|[*#.,]+$/g, ''))
+    .filter(word => word && !/\d/.test(word) && !word.includes('*'));
+  return words.length > 0 ? resolveMerchant(merchants, words.slice(0, MAX_MERCHANT_WORDS).join(' ')) : null;
+};
+
+// Helper function to list the merchants in use with how many expenses were
+// made at each, most used first
+export const countMerchants = (expenses) => {
+  const counts = new Map();
+  expenses.forEach(expense => {
+    if (expense.merchant) counts.set(expense.merchant, (counts.get(expense.merchant) || 0) + 1);
+  });
+  return [...counts.entries()]
+    .map(([merchant, count]) => ({ merchant, count }))
+    .sort((a, b) => b.count - a.count || a.merchant.localeCompare(b.merchant));
+};
@@ -0,0 +1,175 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { userDataDir } from './storage/index.js';
+import { writeJsonFile, withFileLock } from './storage/files.js';
+import { isExpense } from './income.js';
+import { isDayKey, dayOf } from './timezone.js';
+
+// Tags and projects group expenses across categories: tags are free-form
+// labels ("#work"), and a project or trip ("Lisbon", "Kitchen remodel") is a
+// named piece of spending that an expense can belong to one of
+export const projectsFile = () => path.join(userDataDir(), 'projects.json');
+
+// Trips have dates and collect the expenses made during them; projects can
+// have dates too but are only assigned to on purpose
+export const PROJECT_KINDS = ['trip', 'project'];
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 32;
+const MAX_PROJECT_NAME_LENGTH = 60;
+const TAG_PATTERN = new RegExp(`^[\\p{L}\\p{N}][\\p{L}\\p{N}_-]{0,${MAX_TAG_LENGTH - 1}}$`, 'u');
+
+// A hashtag starts with a letter, so "#2 combo" isn't one
+const HASHTAG_PATTERN = /(?<![\p{L}\p{N}&#])#(\p{L}[\p{L}\p{N}_-]*)/gu;
+
+// Helper function to turn a tag as written ("#Lisbon") into the stored form ("lisbon")
+export const toTag = (value) => String(value).trim().replace(/^#/, '').toLowerCase();
+
+// Helper function to validate tags from a request body, given as a list or
+// as comma-separated text. Returns { tags } (lower case, without repeats) or
+// { error }.
+export const normalizeTags = (value) => {
+  if (value === undefined || value === null) return { tags: [] };
+  const items = typeof value === 'string' ? value.split(',') : value;
+  if (!Array.isArray(items)) {
+    return { error: 'tags must be a list of words' };
+  }
+
+  const tags = [];
+  for (const item of items) {
+    if (typeof item !== 'string') {
+      return { error: 'tags must be a list of words' };
+    }
+    const tag = toTag(item);
+    if (!tag) continue;
+    if (!TAG_PATTERN.test(tag)) {
+      return { error: `Tag "${item.trim()}" must be up to ${MAX_TAG_LENGTH} letters, digits, "-" or "_"` };
+    }
+    if (!tags.includes(tag)) tags.push(tag);
+  }
+  if (tags.length > MAX_TAGS) {
+    return { error: `An expense can have at most ${MAX_TAGS} tags` };
+  }
+  return { tags };
+};
+
+// Helper function to find the #hashtags in expense text, e.g. "dinner $40
+// #lisbon #work" has the tags lisbon and work
+export const extractTags = (text) => {
+  const tags = [];
+  for (const [, tag] of text.matchAll(HASHTAG_PATTERN)) {
+    const clean = tag.toLowerCase();
+    if (TAG_PATTERN.test(clean) && !tags.includes(clean) && tags.length < MAX_TAGS) {
+      tags.push(clean);
+    }
+  }
+  return tags;
+};
+
+// Helper function to take the #hashtags out of expense text
+export const stripTags = (text) => text.replace(HASHTAG_PATTERN, '').replace(/\s+/g, ' ').trim();
+
+// A project's name as a hashtag would write it: "Kitchen remodel" is
+// #kitchenremodel, #kitchen-remodel or #kitchen_remodel
+const compact = (value) => value.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+
+// Helper function to find the project a tag names, or null
+export const findProjectByTag = (projects, tag) =>
+  projects.find(project => compact(project.name) === compact(tag)) || null;
+
+// Helper function to find a project by name, ignoring case, or null
+export const findProject = (projects, name) => {
+  if (typeof name !== 'string' || !name.trim()) return null;
+  const wanted = name.trim().toLowerCase();
+  return projects.find(project => project.name.toLowerCase() === wanted) || null;
+};
+
+// Helper function to find the trip an expense was made on: the one whose
+// dates include the expense's day. When trips overlap, the one that started
+// last wins, so a side trip takes its expenses from the longer one.
+// Income isn't part of a trip. Returns the trip or null.
+export const findActiveTrip = (projects, expense) => {
+  if (!isExpense(expense)) return null;
+  const day = dayOf(expense);
+  return projects
+    .filter(project => project.kind === 'trip' && project.startDate <= day && day <= project.endDate)
+    .sort((a, b) => b.startDate.localeCompare(a.startDate))[0] || null;
+};
+
+// Helper function to load the current user's projects and trips
+export const loadProjects = async () => {
+  try {
+    const data = JSON.parse(await fs.readFile(projectsFile(), 'utf8'));
+    return data.projects || [];
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+};
+
+// Helper function to save the current user's projects and trips
+export const saveProjects = async (projects) => {
+  await writeJsonFile(projectsFile(), { projects });
+};
+
+// Helper function to load, change and save the current user's projects and trips after any earlier change
+export const withProjectsLock = (task) => withFileLock(projectsFile(), task);
+
+// Helper function to validate a project from a request body, e.g.
+// { "name": "Lisbon", "kind": "trip", "startDate": "2025-05-02", "endDate": "2025-05-09" }.
+// Trips need both dates; a project's are optional.
+// Returns { project } on success or { error } describing the first problem.
+export const normalizeProject = (body) => {
+  const { name, kind = 'project' } = body || {};
+  if (typeof name !== 'string' || !name.trim()) {
+    return { error: 'name is required' };
+  }
+  const clean = name.trim().replace(/\s+/g, ' ');
+  if (clean.length > MAX_PROJECT_NAME_LENGTH || clean.includes(',') || clean.startsWith('#')) {
+    return { error: `name must be up to ${MAX_PROJECT_NAME_LENGTH} characters, without commas or a leading "#"` };
+  }
+  if (!PROJECT_KINDS.includes(kind)) {
+    return { error: `kind must be one of: ${PROJECT_KINDS.join(', ')}` };
+  }
+
+  const startDate = body.startDate || null;
+  const endDate = body.endDate || null;
+  for (const [field, value] of [['startDate', startDate], ['endDate', endDate]]) {
+    if (value !== null && !isDayKey(value)) {
+      return { error: `${field} must be a date in YYYY-MM-DD format` };
+    }
+  }
+  if (kind === 'trip' && (!startDate || !endDate)) {
+    return { error: 'A trip needs a startDate and an endDate' };
+  }
+  if (startDate && endDate && endDate < startDate) {
+    return { error: 'endDate must not be before startDate' };
+  }
+
+  return { project: { name: clean, kind, startDate, endDate } };
+};
+
+// Helper function to add up the spending in each project. Expects expenses
+// with base-currency amounts; those without an exchange rate are counted
+// but left out of spent.
+export const summarizeProjects = (projects, expenses) => projects.map(project => {
+  const own = expenses.filter(expense => isExpense(expense) && expense.project === project.name);
+  return {
+    ...project,
+    spent: own.reduce((sum, expense) => sum + (expense.baseAmount ?? 0), 0),
+    expenseCount: own.length,
+    unconvertedCount: own.filter(expense => expense.baseAmount === null).length
+  };
+});
+
+// Helper function to list the tags in use with how many expenses carry
+// each, most used first
+export const countTags = (expenses) => {
+  const counts = new Map();
+  expenses.forEach(expense => (expense.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+  return [...counts.entries()]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+};
@@ -0,0 +1,932 @@
+import * as chrono from 'chrono-node';
+import { FALLBACK_CATEGORY, matchCategory, toCategoryName } from './categories.js';
+import { currencyOf, formatMoney } from './currency.js';
+import { getPeriodRange, comparePeriods } from './trends.js';
+import { summarizeCashFlow } from './income.js';
+import { resolveMerchant, findMerchant, findAliasOwner } from './merchants.js';
+import {
+  getTimeZone,
+  toDayKey,
+  toMonthKey,
+  dayOf,
+  parseDayKey,
+  addDays,
+  weekdayOf,
+  daysBetween,
+  startOfDay,
+  endOfDay,
+  chronoReference
+} from './timezone.js';
+
+// What a question can ask for, and how results can be grouped
+export const METRICS = ['sum', 'avg', 'count', 'max'];
+export const GROUP_BYS = ['category', 'merchant', 'tag', 'project', 'day', 'week', 'month'];
+
+// Range used when a question doesn't mention a time period
+const DEFAULT_RANGE_DAYS = 30;
+
+// Number of matching expenses listed under a filtered total, of groups
+// listed in a grouped answer and of category changes listed under a
+// period comparison
+const RECENT_EXPENSES = 3;
+const LISTED_GROUPS = 10;
+const LISTED_CHANGES = 3;
+
+// Months shown when a trend question doesn't mention a period, and the most shown
+const DEFAULT_TREND_MONTHS = 6;
+const MAX_TREND_MONTHS = 24;
+
+const METRIC_PATTERNS = [
+  ['count', /\bhow many\b|\bnumber of\b|\bcount\b|\bhow often\b/i],
+  ['avg', /\baverage\b|\bavg\b|\bmean\b|\btypical(?:ly)?\b/i],
+  ['max', /\bbiggest\b|\blargest\b|\bhighest\b|\bmost expensive\b|\bmax(?:imum)?\b/i]
+];
+
+const GROUP_PATTERNS = [
+  ['category', /\b(?:by|per|each|every) categor(?:y|ies)\b|\bcategories\b|\bbreak ?down\b|\bbroken down\b|\bwhat did i spend the most on\b/i],
+  ['merchant', /\b(?:by|per|each|every) (?:merchant|store|shop|vendor|place)s?\b|\bmerchants\b|\bwhere did i spend the most\b/i],
+  ['tag', /\b(?:by|per|each|every) tags?\b|\btags\b/i],
+  ['project', /\b(?:by|per|each|every) (?:project|trip)s?\b|\bprojects\b/i],
+  ['day', /\b(?:by|per|each|every) day\b|\bdaily\b/i],
+  ['week', /\b(?:by|per|each|every) week\b|\bweekly\b/i],
+  ['month', /\b(?:by|per|each|every) month\b|\bmonthly\b/i]
+];
+
+// Questions about what was saved (income less spending), and about income
+const SAVINGS_PATTERN = /\b(?:did|have|do) (?:i|we) (?:save|saved)\b|\bsaved\b|\bnet savings\b|\bsavings rate\b|\bnet (?:income|cash ?flow)\b|\bcash ?flow\b/i;
+const INCOME_PATTERN = /\b(?:income|earn(?:ed|ings)?|got paid|get paid|paid me|salary|how much (?:did|do|have) (?:i|we) (?:make|made))\b/i;
+
+// Words that ask for two or more things side by side
+const COMPARE_PATTERN = /\b(?:vs\.?|versus|compare[sd]?|comparison|comparing|difference|or)\b/i;
+
+// Phrases that frame a question and would otherwise match category rules
+// ("show" is an entertainment keyword)
+const FRAMING_PATTERN = /\bshow me\b|\btell me\b|\bgive me\b/gi;
+
+const NUMBER_WORDS = {
+  a: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12
+};
+const COUNT = `(\\d+|${Object.keys(NUMBER_WORDS).join('|')})`;
+
+// Words that end a merchant name, and words after "at"/"from"/"on" that
+// don't start one
+const MERCHANT_STOP_WORDS = new Set([
+  'in', 'on', 'during', 'since', 'this', 'last', 'past', 'for', 'between', 'from', 'before',
+  'after', 'until', 'till', 'through', 'vs', 'versus', 'compared', 'and', 'or', 'by', 'per',
+  'each', 'every', 'over', 'within', 'than', 'so', 'at', 'to', 'with', 'when', 'did', 'do',
+  'was', 'were', 'is', 'are', 'i', 'me', 'my', 'we', 'our'
+]);
+const NOT_MERCHANT_WORDS = new Set([
+  'least', 'most', 'all', 'average', 'a', 'an', 'it', 'that', 'this', 'those', 'these',
+  'what', 'which', 'each', 'every', 'total', 'stuff', 'things', 'everything', 'home', 'work',
+  'night', 'weekends', 'once', 'times', 'time', 'day', 'week', 'month', 'year', 'me', 'my'
+]);
+// A blanked-out period or category leaves a run of spaces, which doesn't count
+const MERCHANT_PREPOSITION = /\b(at|from|on)\s{1,2}(?=[\p{L}\p{N}])/giu;
+// What joins the names in a list of merchants: "Costco, Target or Walmart"
+const MERCHANT_LIST_JOINER = /^(?:,\s*(?:(?:or|and)\s+)?|\s+(?:or|and)\s+)(?=[\p{L}\p{N}])/iu;
+const MAX_MERCHANT_WORDS = 4;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Helper function to blank out part of a string, keeping every other index in place
+const mask = (text, index, length) => text.slice(0, index) + ' '.repeat(length) + text.slice(index + length);
+
+// Helper function to get the start of a calendar day in the user's timezone.
+// month is 0-11 and fields out of range roll over, as with Date.UTC.
+const dayStart = (year, month, day) => startOfDay(new Date(Date.UTC(year, month, day)).toISOString().split('T')[0]);
+
+// Helper function to get the calendar day, week (Sunday to Saturday), month,
+// quarter or year containing a date, `offset` units away, in the user's timezone
+const unitRange = (unit, date, offset = 0) => {
+  const today = toDayKey(date);
+  switch (unit) {
+    case 'day': {
+      const day = addDays(today, offset);
+      return { startDate: startOfDay(day), endDate: endOfDay(day) };
+    }
+    case 'week': {
+      const first = addDays(today, -weekdayOf(today) + offset * 7);
+      return { startDate: startOfDay(first), endDate: endOfDay(addDays(first, 6)) };
+    }
+    default:
+      return getPeriodRange(unit, date, offset);
+  }
+};
+
+// Number of units in a year, for "the same month last year"
+const UNITS_PER_YEAR = { week: 52, month: 12, quarter: 4 };
+
+// Helper function to get the range from `count` units ago up to the end of today
+const rollingRange = (unit, count, now) => {
+  const { year, month, day } = parseDayKey(toDayKey(now));
+  const back = {
+    day: [0, 0, count - 1],
+    week: [0, 0, count * 7 - 1],
+    month: [0, count, 0],
+    quarter: [0, count * 3, 0],
+    year: [count, 0, 0]
+  }[unit];
+  return {
+    startDate: dayStart(year - back[0], month - 1 - back[1], day - back[2]),
+    endDate: unitRange('day', now).endDate
+  };
+};
+
+const formatDay = (date) => date.toLocaleDateString('en-US', { timeZone: getTimeZone(), month: 'short', day: 'numeric', year: 'numeric' });
+const formatMonth = (date) => date.toLocaleDateString('en-US', { timeZone: getTimeZone(), month: 'long', year: 'numeric' });
+const yearOf = (date) => parseDayKey(toDayKey(date)).year;
+
+// Time periods written out in words. Each returns the range and how to describe it.
+const PERIOD_MATCHERS = [
+  [/\btoday\b/i, (match, now) => ({ label: 'today', ...unitRange('day', now) })],
+  [/\byesterday\b/i, (match, now) => ({ label: 'yesterday', ...unitRange('day', now, -1) })],
+  [/\b(?:the )?same (week|month|quarter) (?:last|a) year\b/i, ([, unit], now) => ({
+    label: `the same ${unit.toLowerCase()} last year`,
+    ...unitRange(unit.toLowerCase(), now, -UNITS_PER_YEAR[unit.toLowerCase()])
+  })],
+  [/\b(?:this|current) (week|month|quarter|year)\b/i, ([, unit], now) => ({
+    label: `this ${unit.toLowerCase()}`,
+    ...unitRange(unit.toLowerCase(), now)
+  })],
+  [new RegExp(`\\b(?:the )?(?:last|past|previous) ${COUNT} (day|week|month|quarter|year)s?\\b`, 'i'), ([, count, unit], now) => {
+    const number = NUMBER_WORDS[count.toLowerCase()] || Number(count);
+    return {
+      label: `in the last ${number} ${unit.toLowerCase()}${number === 1 ? '' : 's'}`,
+      ...rollingRange(unit.toLowerCase(), number, now)
+    };
+  }],
+  [/\b(?:the )?past (day|week|month|quarter|year)\b/i, ([, unit], now) => ({
+    label: `in the past ${unit.toLowerCase()}`,
+    ...rollingRange(unit.toLowerCase(), 1, now)
+  })],
+  [/\b(?:last|previous) (week|month|quarter|year)\b/i, ([, unit], now) => ({
+    label: `last ${unit.toLowerCase()}`,
+    ...unitRange(unit.toLowerCase(), now, -1)
+  })],
+  [/\byear to date\b|\bytd\b/i, (match, now) => ({
+    label: 'this year so far',
+    startDate: unitRange('year', now).startDate,
+    endDate: unitRange('day', now).endDate
+  })],
+  [/\bQ([1-4])(?:\s+((?:19|20)\d{2}))?\b/i, ([, quarter, year], now) => {
+    let range = unitRange('quarter', dayStart(year ? Number(year) : yearOf(now), (quarter - 1) * 3, 1));
+    if (!year && range.startDate > now) range = unitRange('quarter', range.startDate, -4);
+    return { label: `in Q${quarter} ${yearOf(range.startDate)}`, ...range };
+  }],
+  [/(?<=\b(?:in|during|for|of|since|before|after|until|through)\s+)(?:19|20)\d{2}\b/i, ([year]) => ({
+    label: `in ${year}`,
+    ...unitRange('year', dayStart(Number(year), 0, 1))
+  })]
+];
+
+// Helper function to turn a chrono date into the day, month or year it names.
+// Dates without a year that would be in the future mean the last one.
+const chronoRange = (component, now) => {
+  const year = component.get('year');
+  const month = component.get('month') - 1;
+  const day = component.get('day');
+
+  if (component.isCertain('day') || component.isCertain('weekday')) {
+    let start = dayStart(year, month, day);
+    if (start > now && !component.isCertain('year')) {
+      start = component.isCertain('day') ? dayStart(year - 1, month, day) : dayStart(year, month, day - 7);
+    }
+    return { label: `on ${formatDay(start)}`, ...unitRange('day', start) };
+  }
+  if (component.isCertain('month')) {
+    let start = dayStart(year, month, 1);
+    if (start > now && !component.isCertain('year')) start = dayStart(year - 1, month, 1);
+    return { label: `in ${formatMonth(start)}`, ...unitRange('month', start) };
+  }
+  if (component.isCertain('year')) {
+    return { label: `in ${year}`, ...unitRange('year', dayStart(year, 0, 1)) };
+  }
+  return null;
+};
+
+// Helper function to strip "on"/"in" from a period's label, for "since ..." and "before ..."
+const bareLabel = (label) => label.replace(/^(?:on|in) /, '');
+
+// Helper function to find the time periods a question mentions, in the order
+// written. "since", "before", "between ... and ..." and the like widen a
+// period into an open or joined range. Returns the periods and the question
+// with them blanked out.
+const findPeriods = (question, now) => {
+  let text = question;
+  const found = [];
+
+  for (const [pattern, toRange] of PERIOD_MATCHERS) {
+    const global = new RegExp(pattern.source, 'gi');
+    for (const match of question.matchAll(global)) {
+      if (text.slice(match.index, match.index + match[0].length).trim() !== match[0].trim()) continue;
+      found.push({ index: match.index, length: match[0].length, ...toRange(match, now) });
+      text = mask(text, match.index, match[0].length);
+    }
+  }
+
+  for (const result of chrono.parse(text, chronoReference(now), { forwardDate: false })) {
+    const start = chronoRange(result.start, now);
+    if (!start) continue;
+    const period = { index: result.index, length: result.text.length, ...start };
+    if (result.end) {
+      const end = chronoRange(result.end, now);
+      if (end) {
+        period.endDate = end.endDate;
+        period.label = `from ${bareLabel(start.label)} to ${bareLabel(end.label)}`;
+      }
+    }
+    found.push(period);
+    text = mask(text, result.index, result.text.length);
+  }
+
+  found.sort((a, b) => a.index - b.index);
+
+  const periods = [];
+  found.forEach(period => {
+    const before = question.slice(0, period.index);
+    const word = (before.match(/\b(since|from|after|before|until|till|through|between|and)\s+$/i) || [])[1];
+    const modifier = word ? word.toLowerCase() : null;
+    const previous = periods[periods.length - 1];
+
+    if (modifier === 'and' && previous && previous.between) {
+      previous.endDate = period.endDate;
+      previous.label = `between ${bareLabel(previous.label)} and ${bareLabel(period.label)}`;
+      delete previous.between;
+      return;
+    }
+
+    const range = { label: period.label, startDate: period.startDate, endDate: period.endDate };
+    if (modifier === 'since' || (modifier === 'from' && !period.label.startsWith('from '))) {
+      range.label = `since ${bareLabel(period.label)}`;
+      range.endDate = unitRange('day', now).endDate;
+    } else if (modifier === 'after') {
+      range.label = `after ${bareLabel(period.label)}`;
+      range.startDate = new Date(period.endDate.getTime() + 1);
+      range.endDate = unitRange('day', now).endDate;
+    } else if (modifier === 'before') {
+      range.label = `before ${bareLabel(period.label)}`;
+      range.startDate = new Date(0);
+      range.endDate = new Date(period.startDate.getTime() - 1);
+    } else if (modifier === 'until' || modifier === 'till' || modifier === 'through') {
+      range.label = `until ${bareLabel(period.label)}`;
+      range.startDate = new Date(0);
+    } else if (modifier === 'between') {
+      range.between = true;
+    }
+    periods.push(range);
+  });
+
+  periods.forEach(period => delete period.between);
+  return { periods, text };
+};
+
+// Helper function to find the categories a question names, in the order written.
+// The fallback category only counts when it can't be read as "other than".
+const findCategories = (text, categoryNames) => {
+  const found = [];
+  let masked = text;
+  for (const name of categoryNames) {
+    const pattern = new RegExp(`\\b${escapeRegExp(name)}(?:s|es)?\\b${name === FALLBACK_CATEGORY ? '(?!\\s+than)' : ''}`, 'gi');
+    for (const match of masked.matchAll(pattern)) {
+      if (!found.some(entry => entry.name === name)) found.push({ name, index: match.index });
+      masked = mask(masked, match.index, match[0].length);
+    }
+  }
+  return {
+    categories: found.sort((a, b) => a.index - b.index).map(entry => entry.name),
+    text: masked
+  };
+};
+
+// Helper function to find the projects and trips a question names, in the
+// order written, e.g. "what did the Lisbon trip cost?". The words around a
+// name ("the", "trip") are blanked out with it so they aren't read as a
+// category. Returns the names as stored and the question without them.
+const findProjects = (text, projectNames) => {
+  const found = [];
+  let masked = text;
+  for (const name of [...projectNames].sort((a, b) => b.length - a.length)) {
+    const pattern = new RegExp(`\\b(?:the\\s+)?${escapeRegExp(name)}(?:'s)?(?:\\s+(?:trip|project|vacation|holiday))?\\b`, 'gi');
+    for (const match of masked.matchAll(pattern)) {
+      if (!found.some(entry => entry.name === name)) found.push({ name, index: match.index });
+      masked = mask(masked, match.index, match[0].length);
+    }
+  }
+  return {
+    projects: found.sort((a, b) => a.index - b.index).map(entry => entry.name),
+    text: masked
+  };
+};
+
+// Helper function to find the tags a question names as "#work" or "tagged
+// work", in the order written. Returns them and the question without them.
+const findTags = (text) => {
+  const tags = [];
+  let masked = text;
+  for (const match of text.matchAll(/(?:\btagged(?:\s+(?:with|as))?\s+#?|(?<![\p{L}\p{N}&#])#)(\p{L}[\p{L}\p{N}_-]*)/giu)) {
+    const tag = match[1].toLowerCase();
+    if (!tags.includes(tag)) tags.push(tag);
+    masked = mask(masked, match.index, match[0].length);
+  }
+  return { tags, text: masked };
+};
+
+// Helper function to read the merchant name starting at some index of a
+// question. The longest run of words the alias table knows comes first, so
+// "Whole Foods" isn't cut short; otherwise the name runs up to a word that
+// ends one. Returns { name, known, length } or null.
+const readMerchantName = (text, index, merchantAliases) => {
+  const words = [];
+  for (const word of text.slice(index).split(' ')) {
+    const bare = word.replace(/[?!,.;:]+$/, '');
+    if (!/[\p{L}\p{N}]/u.test(bare)) break;
+    words.push(bare);
+    if (bare !== word || words.length === MAX_MERCHANT_WORDS) break;
+  }
+  const skip = words[0] && words[0].toLowerCase() === 'the' ? 1 : 0;
+  const lengthOf = (count) => words.slice(0, count).join(' ').length;
+
+  for (let count = words.length; count > skip; count--) {
+    const name = words.slice(skip, count).join(' ');
+    const known = findMerchant(merchantAliases, name) || (findAliasOwner(merchantAliases, [name]) || {}).merchant;
+    if (known) return { name: known.name, known: true, length: lengthOf(count) };
+  }
+
+  const stop = words.findIndex((word, position) => position >= skip && MERCHANT_STOP_WORDS.has(word.toLowerCase()));
+  const end = stop === -1 ? words.length : stop;
+  if (end <= skip || NOT_MERCHANT_WORDS.has(words[skip].toLowerCase())) return null;
+  return { name: words.slice(skip, end).join(' '), known: false, length: lengthOf(end) };
+};
+
+// Helper function to find the merchants a question names after "at", "from"
+// or "on" (e.g. "at Starbucks", "on Netflix"), in the order written. A list
+// like "at Whole Foods or Trader Joe's" names each of them. Returns each name
+// with the word before it, whether the alias table knows it and where it is.
+const findMerchants = (text, merchantAliases) => {
+  const merchants = [];
+  for (const match of text.matchAll(MERCHANT_PREPOSITION)) {
+    let index = match.index + match[0].length;
+    for (;;) {
+      const found = readMerchantName(text, index, merchantAliases);
+      if (!found) break;
+      if (!merchants.some(entry => entry.name.toLowerCase() === found.name.toLowerCase())) {
+        merchants.push({ preposition: match[1].toLowerCase(), ...found, index });
+      }
+      const joiner = text.slice(index + found.length).match(MERCHANT_LIST_JOINER);
+      if (!joiner) break;
+      index += found.length + joiner[0].length;
+    }
+  }
+  return merchants;
+};
+
+// Helper function to turn a question about spending into a structured query:
+//   {
+//     intent: 'spending' | 'budget' | 'trend' | 'savings' | 'income',
+//     metric: 'sum' | 'avg' | 'count' | 'max',
+//     per: null | 'day' | 'week' | 'month',   // avg per period instead of per expense
+//     range: { label, startDate, endDate },
+//     categories: [...], merchants: [...],      // filters, matched as any of
+//     tags: [...], projects: [...],
+//     groupBy: null | 'category' | 'merchant' | 'tag' | 'project' | 'day' | 'week' | 'month',
+//     compare: null | { by: 'category' | 'merchant' | 'tag' | 'project' | 'period', values: [...] }
+//   }
+// categoryNames are the categories that can be named; other words are
+// matched to a category through the category rules. projectNames are the
+// user's projects and trips, and tags are written "#work" or "tagged work".
+// Merchants are named as merchantAliases (the alias table) has them, so "at
+// AMZN" asks about Amazon.
+// For a period comparison, range is the first period and compare.values
+// holds every period. Savings and budget questions default to this month,
+// questions about a project or tag to everything so far, and income is
+// broken down by category unless the question groups it another way.
+export const parseQuestion = async (question, { categoryNames = [], projectNames = [], merchantAliases = [], now = new Date() } = {}) => {
+  let intent = 'spending';
+  if (/\bbudgets?\b/i.test(question)) {
+    intent = 'budget';
+  } else if (SAVINGS_PATTERN.test(question)) {
+    intent = 'savings';
+  } else if (INCOME_PATTERN.test(question)) {
+    intent = 'income';
+  } else if (/\btrend(?:s|ing)?\b/i.test(question)) {
+    intent = 'trend';
+  }
+  const { projects, text: withoutProjects } = findProjects(question, projectNames);
+  const { tags, text: withoutTags } = findTags(withoutProjects);
+  const { periods, text: withoutPeriods } = findPeriods(withoutTags, now);
+
+  const comparing = COMPARE_PATTERN.test(question) || /\b(?:more|less)\b.*\bthan\b/i.test(question);
+
+  let metric = 'sum';
+  let per = null;
+  let groupBy = null;
+  let text = withoutPeriods.replace(FRAMING_PATTERN, match => ' '.repeat(match.length));
+  for (const [name, pattern] of METRIC_PATTERNS) {
+    if (pattern.test(text)) {
+      metric = name;
+      break;
+    }
+  }
+  for (const [name, pattern] of GROUP_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) {
+      groupBy = name;
+      text = mask(text, match.index, match[0].length);
+      break;
+    }
+  }
+  if (metric === 'avg' && ['day', 'week', 'month'].includes(groupBy)) {
+    per = groupBy;
+    groupBy = null;
+  }
+
+  const names = [...new Set(categoryNames.map(toCategoryName))].sort((a, b) => b.length - a.length);
+  // Merchants are read before categories so "at Whole Foods" isn't taken for
+  // food, but a name that's nothing more than a category ("on groceries") is
+  // read as the category
+  const named = findMerchants(text, merchantAliases)
+    .filter(entry => entry.known || findCategories(entry.name, names).text.trim() !== '');
+  const withoutMerchants = named.reduce((masked, entry) => mask(masked, entry.index, entry.length), text);
+  const { categories, text: withoutCategories } = findCategories(withoutMerchants, names);
+  // "on gas" names a category through its rules; "at Shell" is always a merchant
+  const merchants = [];
+  for (const { preposition, name } of named) {
+    const matched = preposition === 'on' ? await matchCategory(name) : null;
+    if (matched && !categories.includes(matched)) {
+      categories.push(matched);
+    } else if (!matched) {
+      const merchant = resolveMerchant(merchantAliases, name);
+      if (!merchants.includes(merchant)) merchants.push(merchant);
+    }
+  }
+  if (categories.length === 0 && merchants.length === 0 && tags.length === 0 && projects.length === 0) {
+    const matched = await matchCategory(withoutCategories);
+    if (matched) categories.push(matched);
+  }
+
+  // "Did I spend more than last month?" compares with the current period
+  if (comparing && periods.length === 1 && categories.length < 2 && merchants.length < 2 &&
+      tags.length < 2 && projects.length < 2) {
+    const unit = (periods[0].label.match(/^(?:last|the same) (week|month|quarter|year)\b/) || [])[1];
+    if (unit) periods.unshift({ label: `this ${unit}`, ...unitRange(unit, now) });
+  }
+
+  let compare = null;
+  if (periods.length > 1) {
+    compare = { by: 'period', values: periods };
+  } else if (comparing && categories.length > 1) {
+    compare = { by: 'category', values: categories };
+  } else if (comparing && merchants.length > 1) {
+    compare = { by: 'merchant', values: merchants };
+  } else if (comparing && projects.length > 1) {
+    compare = { by: 'project', values: projects };
+  } else if (comparing && tags.length > 1) {
+    compare = { by: 'tag', values: tags };
+  }
+
+  // Income and savings are always totals
+  if (intent === 'income' || intent === 'savings') {
+    metric = 'sum';
+    per = null;
+  }
+  if (intent === 'income' && !groupBy && !compare) {
+    groupBy = 'category';
+  }
+
+  let range = periods[0];
+  if (!range && (intent === 'budget' || intent === 'savings')) {
+    range = { label: 'this month', ...unitRange('month', now) };
+  } else if (!range && (projects.length > 0 || tags.length > 0) && (intent === 'spending' || intent === 'income')) {
+    range = { label: 'in total', startDate: new Date(0), endDate: unitRange('day', now).endDate };
+  } else if (!range && intent === 'trend') {
+    range = {
+      label: `over the last ${DEFAULT_TREND_MONTHS} months`,
+      startDate: unitRange('month', now, 1 - DEFAULT_TREND_MONTHS).startDate,
+      endDate: unitRange('month', now).endDate
+    };
+  } else if (!range) {
+    range = { label: `in the last ${DEFAULT_RANGE_DAYS} days`, ...rollingRange('day', DEFAULT_RANGE_DAYS, now) };
+  }
+
+  return {
+    intent,
+    metric,
+    per,
+    range,
+    categories: compare && compare.by === 'category' ? [] : categories,
+    merchants: compare && compare.by === 'merchant' ? [] : merchants,
+    tags: compare && compare.by === 'tag' ? [] : tags,
+    projects: compare && compare.by === 'project' ? [] : projects,
+    groupBy,
+    compare
+  };
+};
+
+// Helper function to get the full span of dates a structured query reads
+export const queryDateSpan = (query) => {
+  const ranges = query.compare && query.compare.by === 'period' ? query.compare.values : [query.range];
+  return {
+    startDate: new Date(Math.min(...ranges.map(range => range.startDate.getTime()))),
+    endDate: new Date(Math.max(...ranges.map(range => range.endDate.getTime())))
+  };
+};
+
+const inRange = (expense, range) => {
+  const time = new Date(expense.date).getTime();
+  return time >= range.startDate.getTime() && time <= range.endDate.getTime();
+};
+
+const matchesCategories = (expense, categories) =>
+  categories.length === 0 || categories.includes(toCategoryName(expense.category));
+
+// An expense matches on its merchant or its description, and income also on
+// who paid it
+const matchesMerchants = (expense, merchants) =>
+  merchants.length === 0 ||
+  merchants.some(merchant =>
+    `${expense.merchant || ''} ${expense.description} ${expense.source || ''}`.toLowerCase().includes(merchant.toLowerCase()));
+
+const matchesTags = (expense, tags) =>
+  tags.length === 0 || (expense.tags || []).some(tag => tags.includes(tag));
+
+const matchesProjects = (expense, projects) =>
+  projects.length === 0 ||
+  (Boolean(expense.project) && projects.some(project => project.toLowerCase() === expense.project.toLowerCase()));
+
+// Helper function to check an expense against a structured query's filters
+const matchesFilters = (expense, { categories, merchants, tags, projects }) =>
+  matchesCategories(expense, categories) &&
+  matchesMerchants(expense, merchants) &&
+  matchesTags(expense, tags) &&
+  matchesProjects(expense, projects);
+
+// Helper function to keep the expenses matching a structured query's
+// category, merchant, tag and project filters, whatever their dates
+export const filterByQuery = (expenses, query) => expenses.filter(expense => matchesFilters(expense, query));
+
+// Helper function to count the days, weeks or months in a range that have
+// started by now, for averages per period
+const countPeriods = (range, per, now) => {
+  const end = Math.min(range.endDate.getTime(), now.getTime());
+  if (end < range.startDate.getTime()) return 0;
+  const first = toDayKey(range.startDate);
+  const last = toDayKey(new Date(end));
+  if (per === 'month') {
+    const start = parseDayKey(first);
+    const finish = parseDayKey(last);
+    return (finish.year - start.year) * 12 + finish.month - start.month + 1;
+  }
+  const days = daysBetween(first, last) + 1;
+  return per === 'week' ? Math.ceil(days / 7) : days;
+};
+
+// Helper function to apply a metric to a set of expenses with base-currency amounts
+const aggregate = (expenses, { metric, per }, range, now) => {
+  const total = expenses.reduce((sum, expense) => sum + expense.baseAmount, 0);
+  const result = { value: total, count: expenses.length };
+  if (metric === 'count') {
+    result.value = expenses.length;
+  } else if (metric === 'avg') {
+    const divisor = per ? countPeriods(range, per, now) : expenses.length;
+    result.value = divisor > 0 ? total / divisor : 0;
+  } else if (metric === 'max') {
+    const largest = expenses.reduce((max, expense) => (!max || expense.baseAmount > max.baseAmount ? expense : max), null);
+    result.value = largest ? largest.baseAmount : 0;
+    result.expense = largest;
+  }
+  return result;
+};
+
+// Helper function to describe a group for the answer
+const groupLabel = (key, groupBy, expense) => {
+  switch (groupBy) {
+    case 'merchant':
+      return (expense.merchant || expense.description).trim();
+    case 'tag':
+      return `#${key}`;
+    case 'day':
+      return formatDay(startOfDay(key));
+    case 'week':
+      return `week of ${formatDay(startOfDay(key))}`;
+    case 'month':
+      return formatMonth(startOfDay(`${key}-01`));
+    default:
+      return key;
+  }
+};
+
+// Helper function to get the groups an expense falls in for a group-by. An
+// expense is in one group for each of its tags, and in none when it has no
+// tags or project. Expenses without a merchant are grouped by description.
+const groupKeys = (expense, groupBy) => {
+  const date = new Date(expense.date);
+  switch (groupBy) {
+    case 'category':
+      return [toCategoryName(expense.category)];
+    case 'merchant':
+      return [(expense.merchant || expense.description).trim().toLowerCase()];
+    case 'tag':
+      return expense.tags || [];
+    case 'project':
+      return expense.project ? [expense.project] : [];
+    case 'day':
+      return [dayOf(expense)];
+    case 'week':
+      return [toDayKey(unitRange('week', date).startDate)];
+    default:
+      return [toMonthKey(date)];
+  }
+};
+
+// The filter each kind of comparison (other than periods) sets for its values
+const COMPARED_FILTERS = { category: 'categories', merchant: 'merchants', tag: 'tags', project: 'projects' };
+
+// Helper function to run a structured query (see parseQuestion) against
+// expenses with base-currency amounts. Returns the metric's value and the
+// number of matching expenses, plus:
+//   total        spending in the range with no filters, for shares
+//   expense      the largest expense, for max
+//   recent       the latest matching expenses
+//   groups       [{ key, label, value, count }] for a group-by, largest first
+//   comparison   [{ label, value, count }] for a comparison, in the order asked
+//   changes      for a comparison of two periods, the change per category
+//                (see comparePeriods)
+export const runQuery = (query, expenses, now = new Date()) => {
+  const matching = (range, filters = {}) =>
+    expenses.filter(expense => inRange(expense, range) && matchesFilters(expense, { ...query, ...filters }));
+
+  const selected = matching(query.range);
+  const result = {
+    ...aggregate(selected, query, query.range, now),
+    total: expenses.filter(expense => inRange(expense, query.range)).reduce((sum, expense) => sum + expense.baseAmount, 0),
+    recent: [...selected].sort((a, b) => new Date(b.date) - new Date(a.date)).slice(0, RECENT_EXPENSES)
+  };
+
+  if (query.groupBy) {
+    const groups = new Map();
+    selected.forEach(expense => groupKeys(expense, query.groupBy).forEach(key => {
+      if (!groups.has(key)) {
+        groups.set(key, { key, label: groupLabel(key, query.groupBy, expense), expenses: [] });
+      }
+      groups.get(key).expenses.push(expense);
+    }));
+    result.groups = [...groups.values()]
+      .map(({ key, label, expenses: groupExpenses }) => {
+        const { value, count } = aggregate(groupExpenses, query, query.range, now);
+        return { key, label, value, count };
+      })
+      .sort((a, b) => (['day', 'week', 'month'].includes(query.groupBy)
+        ? a.key.localeCompare(b.key)
+        : b.value - a.value));
+  }
+
+  if (query.compare) {
+    result.comparison = query.compare.values.map(value => {
+      let range = query.range;
+      let items;
+      if (query.compare.by === 'period') {
+        range = value;
+        items = matching(value);
+      } else {
+        items = matching(range, { [COMPARED_FILTERS[query.compare.by]]: [value] });
+      }
+      const { value: amount, count } = aggregate(items, query, range, now);
+      const label = { period: value.label, tag: `#${value}` }[query.compare.by] || value;
+      return { label, value: amount, count };
+    });
+
+    if (query.compare.by === 'period' && query.compare.values.length === 2) {
+      const [current, previous] = query.compare.values;
+      result.changes = comparePeriods(filterByQuery(expenses, query), current, previous).categories;
+    }
+  }
+
+  return result;
+};
+
+// Helper function to describe a query's tag and project filters, e.g. "for Lisbon tagged #work"
+const describeLabels = ({ tags, projects }) => [
+  projects.length > 0 ? `for ${projects.join(' or ')}` : '',
+  tags.length > 0 ? `tagged ${tags.map(tag => `#${tag}`).join(' or ')}` : ''
+].filter(Boolean).join(' ');
+
+// Helper function to describe what a query's filters cover, e.g. "on food at Starbucks"
+const describeFilters = (query) => [
+  query.categories.length > 0 ? `on ${query.categories.join(' and ')}` : '',
+  query.merchants.length > 0 ? `at ${query.merchants.join(' or ')}` : '',
+  describeLabels(query)
+].filter(Boolean).join(' ');
+
+const formatValue = (metric, value) => (metric === 'count' ? String(value) : formatMoney(value));
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Helper function to write the answer to a structured query from its result
+export const describeResult = (query, result) => {
+  const filters = describeFilters(query);
+  const subject = [filters, query.range.label].filter(Boolean).join(' ');
+  const { metric } = query;
+
+  if (result.comparison) {
+    const lines = result.comparison.map(entry =>
+      `- ${entry.label}: ${formatValue(metric, entry.value)} (${plural(entry.count, 'expense')})`);
+    const context = query.compare.by === 'period' ? filters : query.range.label;
+    let answer = `${{ sum: 'Spending', avg: 'Average spending', count: 'Number of expenses', max: 'Largest expense' }[metric]}${context ? ` ${context}` : ''}:\n${lines.join('\n')}`;
+
+    if (result.comparison.length === 2) {
+      const [first, second] = result.comparison;
+      const difference = Math.abs(first.value - second.value);
+      const [higher, lower] = first.value >= second.value ? [first, second] : [second, first];
+      const name = (entry) => ({
+        category: `on ${entry.label}`,
+        merchant: `at ${entry.label}`,
+        project: `for ${entry.label}`,
+        tag: `tagged ${entry.label}`,
+        period: entry.label
+      }[query.compare.by]);
+      if (difference === 0) {
+        answer += '\nThat\'s the same for both.';
+        return answer;
+      }
+      if (metric === 'sum') {
+        answer += `\nYou spent ${formatMoney(difference)} more ${name(higher)} than ${name(lower)}`;
+      } else if (metric === 'count') {
+        answer += `\nYou made ${plural(difference, 'more expense')} ${name(higher)} than ${name(lower)}`;
+      } else {
+        answer += `\n${metric === 'avg' ? 'The average expense' : 'The largest expense'} was ${formatMoney(difference)} higher ${name(higher)} than ${name(lower)}`;
+      }
+      answer += lower.value > 0 ? ` (${(difference / lower.value * 100).toFixed(1)}% more).` : '.';
+    }
+
+    const changes = (result.changes || []).filter(entry => entry.delta !== 0).slice(0, LISTED_CHANGES);
+    if (metric === 'sum' && query.categories.length !== 1 && changes.length > 0) {
+      answer += '\n\nBiggest changes by category:';
+      changes.forEach(entry => {
+        answer += `\n- ${entry.category}: ${entry.delta > 0 ? 'up' : 'down'} ${formatMoney(Math.abs(entry.delta))}`;
+        if (entry.percentChange !== null) answer += ` (${Math.abs(entry.percentChange).toFixed(1)}%)`;
+      });
+    }
+    return answer;
+  }
+
+  if (result.groups) {
+    if (result.groups.length === 0) {
+      return `No expenses found ${subject}.`;
+    }
+    const lines = result.groups.slice(0, LISTED_GROUPS).map(group =>
+      `- ${group.label}: ${formatValue(metric, group.value)}${metric === 'count' ? '' : ` (${plural(group.count, 'expense')})`}`);
+    if (result.groups.length > LISTED_GROUPS) {
+      lines.push(`- and ${result.groups.length - LISTED_GROUPS} more`);
+    }
+    return `${{ sum: 'Spending', avg: 'Average expense', count: 'Number of expenses', max: 'Largest expense' }[metric]} by ${query.groupBy} ${subject}:\n${lines.join('\n')}`;
+  }
+
+  if (result.count === 0 && !(metric === 'avg' && query.per)) {
+    return `No expenses found ${subject}.`;
+  }
+
+  switch (metric) {
+    case 'count':
+      return `You made ${plural(result.count, 'expense')} ${subject}.`;
+    case 'avg':
+      return query.per
+        ? `You spent an average of ${formatMoney(result.value)} per ${query.per} ${subject}.`
+        : `Your average expense ${subject} was ${formatMoney(result.value)}, across ${plural(result.count, 'expense')}.`;
+    case 'max': {
+      const { expense } = result;
+      return `Your largest expense ${subject} was ${formatMoney(expense.amount, currencyOf(expense))} for ${expense.description} on ${formatDay(new Date(expense.date))}.`;
+    }
+    default: {
+      let answer = `You spent ${formatMoney(result.value)} ${subject}.`;
+      if (filters) {
+        answer += `\nYou made ${plural(result.count, 'expense')}, averaging ${formatMoney(result.value / result.count)} per expense.`;
+        if (result.total > 0) {
+          answer += `\nThis represents ${(result.value / result.total * 100).toFixed(1)}% of your total spending.`;
+        }
+        answer += '\n\nRecent transactions:';
+        result.recent.forEach(expense => {
+          answer += `\n- ${formatMoney(expense.amount, currencyOf(expense))} on ${formatDay(new Date(expense.date))} (${expense.description})`;
+        });
+      }
+      return answer;
+    }
+  }
+};
+
+// Helper function to get the YYYY-MM months a trend question covers, up to
+// this month and at most MAX_TREND_MONTHS of them
+export const trendMonths = (query, now = new Date()) => {
+  const end = query.range.endDate < now ? query.range.endDate : now;
+  const endMonth = toMonthKey(end);
+  const start = parseDayKey(toDayKey(query.range.startDate));
+  const finish = parseDayKey(toDayKey(end));
+  const months = (finish.year - start.year) * 12 + finish.month - start.month + 1;
+  return { endMonth, months: Math.min(Math.max(months, 1), MAX_TREND_MONTHS) };
+};
+
+// Helper function to write the answer to a trend question from calculateTrends
+export const describeTrend = (query, trend) => {
+  const filters = describeFilters(query);
+  const lines = trend.map(entry => {
+    let line = `- ${formatMonth(startOfDay(`${entry.month}-01`))}: ${formatMoney(entry.total)}`;
+    if (entry.rolling3 !== null) line += ` (3-month average ${formatMoney(entry.rolling3)})`;
+    return line;
+  });
+  let answer = `Monthly spending${filters ? ` ${filters}` : ''} ${query.range.label}:\n${lines.join('\n')}`;
+
+  const latest = trend[trend.length - 1];
+  if (latest && latest.rolling3 !== null && latest.rolling12 > 0) {
+    const percent = (latest.rolling3 - latest.rolling12) / latest.rolling12 * 100;
+    answer += `\nYour 3-month average of ${formatMoney(latest.rolling3)} is `;
+    answer += Math.abs(percent) < 0.05
+      ? `in line with your 12-month average.`
+      : `${Math.abs(percent).toFixed(1)}% ${percent > 0 ? 'above' : 'below'} your 12-month average of ${formatMoney(latest.rolling12)}.`;
+  }
+  return answer;
+};
+
+// Helper function to work out income, spending and savings for a savings
+// question, for each period when it compares periods. Expects expenses and
+// income with base-currency amounts; category and merchant filters don't apply.
+export const runSavingsQuery = (query, records) => {
+  const ranges = query.compare && query.compare.by === 'period' ? query.compare.values : [query.range];
+  return ranges.map(range => ({
+    label: range.label,
+    ...summarizeCashFlow(records.filter(record => inRange(record, range)))
+  }));
+};
+
+// Helper function to describe one period's savings, e.g. "saved $500.00 (25.0% of your income)"
+const describeSaved = ({ netSavings, savingsRate }) => (netSavings >= 0
+  ? `saved ${formatMoney(netSavings)}${savingsRate !== null ? ` (${savingsRate.toFixed(1)}% of your income)` : ''}`
+  : `spent ${formatMoney(-netSavings)} more than you earned`);
+
+// Helper function to write the answer to a savings question from runSavingsQuery
+export const describeSavings = (query, flows) => {
+  if (flows.length > 1) {
+    const lines = flows.map(flow =>
+      `- ${flow.label}: earned ${formatMoney(flow.income)}, spent ${formatMoney(flow.expenses)}, ${describeSaved(flow)}`);
+    let answer = `Savings:\n${lines.join('\n')}`;
+    if (flows.length === 2) {
+      const [first, second] = flows;
+      const difference = first.netSavings - second.netSavings;
+      answer += difference === 0
+        ? '\nThat\'s the same for both.'
+        : `\nYou saved ${formatMoney(Math.abs(difference))} ${difference > 0 ? 'more' : 'less'} ${first.label} than ${second.label}.`;
+    }
+    return answer;
+  }
+
+  const [flow] = flows;
+  const period = query.range.label;
+  if (flow.income === 0) {
+    return `You haven't recorded any income ${period}, and spent ${formatMoney(flow.expenses)}.`;
+  }
+  return `You earned ${formatMoney(flow.income)} and spent ${formatMoney(flow.expenses)} ${period}, so you ${describeSaved(flow)}.`;
+};
+
+// Helper function to write the answer to an income question from runQuery's
+// result over income, e.g. "You received $3,000.00 in salary from Acme this month"
+export const describeIncome = (query, result) => {
+  const filters = [
+    query.categories.length > 0 ? `in ${query.categories.join(' and ')}` : '',
+    query.merchants.length > 0 ? `from ${query.merchants.join(' or ')}` : '',
+    describeLabels(query)
+  ].filter(Boolean).join(' ');
+  const subject = [filters, query.range.label].filter(Boolean).join(' ');
+
+  if (result.comparison) {
+    const lines = result.comparison.map(entry =>
+      `- ${entry.label}: ${formatMoney(entry.value)} (${plural(entry.count, 'payment')})`);
+    let answer = `Income${filters ? ` ${filters}` : ''}:\n${lines.join('\n')}`;
+    if (result.comparison.length === 2) {
+      const [first, second] = result.comparison;
+      const difference = first.value - second.value;
+      answer += difference === 0
+        ? '\nThat\'s the same for both.'
+        : `\nYou received ${formatMoney(Math.abs(difference))} ${difference > 0 ? 'more' : 'less'} ${first.label} than ${second.label}.`;
+    }
+    return answer;
+  }
+
+  const total = result.groups
+    ? result.groups.reduce((sum, group) => sum + group.value, 0)
+    : result.value;
+  const count = result.groups
+    ? result.groups.reduce((sum, group) => sum + group.count, 0)
+    : result.count;
+  if (count === 0) {
+    return `No income found ${subject}.`;
+  }
+
+  let answer = `You received ${formatMoney(total)} ${subject}, from ${plural(count, 'payment')}.`;
+  if (result.groups && result.groups.length > 1) {
+    answer += `\n\nBy ${query.groupBy}:`;
+    result.groups.slice(0, LISTED_GROUPS).forEach(group => {
+      answer += `\n- ${group.label}: ${formatMoney(group.value)}`;
+    });
+  }
+  return answer;
+};
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runAsUser } from './context.js';
+import { parseQuestion } from './query.js';
+
+// Fixed so periods ("last month") are read the same way on every run
+const NOW = new Date('2025-06-15T12:00:00Z');
+
+// The default category names, and an alias table like a user's
+const CATEGORY_NAMES = ['food', 'groceries', 'transportation', 'utilities', 'entertainment', 'shopping', 'health', 'housing', 'other'];
+const MERCHANT_ALIASES = [
+  { name: 'Amazon', aliases: ['amazon', 'amzn'] },
+  { name: 'Starbucks', aliases: ['starbucks', 'sbux'] },
+  { name: 'Whole Foods', aliases: ['whole foods', 'wholefds'] },
+  { name: 'Bed Bath & Beyond', aliases: ['bed bath and beyond'] }
+];
+
+// Category rules are read from the user's data, so questions are parsed as a
+// user with none saved (the defaults)
+const parse = (question, merchantAliases = MERCHANT_ALIASES) => runAsUser({ id: 'query-test' }, () =>
+  parseQuestion(question, { categoryNames: CATEGORY_NAMES, merchantAliases, now: NOW }));
+
+// Helper function to get the merchants a question asks about, whether as
+// filters or compared with each other
+const merchantsOf = (query) => (query.compare && query.compare.by === 'merchant' ? query.compare.values : query.merchants);
+
+// Questions, and the merchants and categories each should be about
+const QUESTIONS = [
+  ["how much did I spend at Whole Foods or Trader Joe's last month", ['Whole Foods', "Trader Joe's"], []],
+  ['spent at Costco and Walmart', ['Costco', 'Walmart'], []],
+  ['spending at Costco, Target or Amazon this month', ['Costco', 'Target', 'Amazon'], []],
+  ['what did I spend at AMZN', ['Amazon'], []],
+  ['how much at bed bath and beyond', ['Bed Bath & Beyond'], []],
+  ['coffee at the Blue Bottle in March', ['Blue Bottle'], []],
+  ['how much at Shell gas station', ['Shell gas station'], []],
+  ['how much on food at Starbucks', ['Starbucks'], ['food']],
+  ['what did I spend on groceries at costco', ['Costco'], ['groceries']],
+  ['how much on gas last week', [], ['transportation']],
+  ['food at home this week', [], ['food']]
+];
+
+for (const [question, merchants, categories] of QUESTIONS) {
+  test(`"${question}" is about ${[...merchants, ...categories].join(', ') || 'nothing in particular'}`, async () => {
+    const query = await parse(question);
+    assert.deepEqual(merchantsOf(query), merchants);
+    assert.deepEqual(query.categories, categories);
+  });
+}
+
+test('a merchant the alias table does not know keeps every word of its name', async () => {
+  const query = await parse("how much did I spend at Whole Foods or Trader Joe's last month", []);
+  assert.deepEqual(merchantsOf(query), ['Whole Foods', "Trader Joe's"]);
+  assert.deepEqual(query.categories, []);
+});
+
+test('merchants joined by "or" are compared', async () => {
+  const query = await parse("how much did I spend at Whole Foods or Trader Joe's last month");
+  assert.equal(query.compare.by, 'merchant');
+  assert.equal(query.range.label, 'last month');
+});
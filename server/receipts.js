@@ -0,0 +1,215 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import * as chrono from 'chrono-node';
+import Tesseract from 'tesseract.js';
+import englishData from '@tesseract.js-data/eng';
+import { userDataDir } from './storage/index.js';
+import { BASE_CURRENCY } from './currency.js';
+import { findAmountCandidates } from './amounts.js';
+import { parseStatementAmount } from './importers.js';
+import { chronoReference, chronoDate } from './timezone.js';
+
+// Receipt images are kept in the current user's data directory
+export const receiptsDir = () => path.join(userDataDir(), 'receipts');
+
+// Images from scans wait here until their expense is saved (see claimReceipt)
+const pendingReceiptsDir = () => path.join(receiptsDir(), 'pending');
+
+// How long the image from a scan that's never confirmed is kept
+const PENDING_RECEIPT_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Image types the OCR engine reads, and the extension each is stored with
+export const RECEIPT_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/bmp': 'bmp'
+};
+
+const RECEIPT_NAME = /^[0-9a-f-]{36}\.(?:jpg|png|webp|bmp)$/;
+
+// A price as printed on a receipt: "23.45", "1,234.50", "12,99", "$ 4.00"
+const PRICE = /(?:[$€£¥]\s?)?(\d{1,3}(?:[,.]\d{3})*[.,]\d{2})(?!\d)/g;
+
+// Lines that give the total, and lines that look like one but aren't
+const TOTAL_LINE = /\b(?:grand\s*total|total|amount\s*due|balance\s*due|to\s*pay)\b/i;
+const NOT_TOTAL_LINE = /sub\s*-?\s*total|total\s*(?:tax|vat|gst|savings?|discount|items?|qty)|(?:tax|vat|gst)\s*total/i;
+const TAX_LINE = /\b(?:sales\s*tax|tax|vat|gst|hst|pst)\b/i;
+const NOT_TAX_LINE = /before\s*tax|pre-?tax|excl|incl|tax\s*id|vat\s*(?:no|number|reg)/i;
+
+// Lines that hold money handed over rather than the price
+const NOT_PRICE_LINE = /\b(?:cash|change|tendered|tend)\b/i;
+
+const PHONE_NUMBER = /\d{3}[-.\s]\d{3}[-.\s]\d{4}/;
+
+// Lines near the top of a receipt that aren't the merchant's name
+const NOT_MERCHANT_LINE = /receipt|invoice|welcome|thank|tel\b|phone|www\.|https?:|@|\d{3}[-.\s]\d{3,4}|^\d+\s|^#/i;
+
+// Read the English model from the installed language package rather than
+// downloading it, so OCR works offline
+let worker = null;
+const getWorker = () => {
+  if (!worker) {
+    worker = Tesseract.createWorker('eng', Tesseract.OEM.LSTM_ONLY, {
+      langPath: englishData.langPath,
+      gzip: englishData.gzip,
+      cacheMethod: 'none'
+    }).catch(error => {
+      worker = null;
+      throw error;
+    });
+  }
+  return worker;
+};
+
+// Helper function to check a stored receipt's file name
+export const isReceiptName = (name) => typeof name === 'string' && RECEIPT_NAME.test(name);
+
+export const receiptPath = (name) => path.join(receiptsDir(), name);
+const pendingReceiptPath = (name) => path.join(pendingReceiptsDir(), name);
+
+// Helper function to keep a scanned receipt image until its expense is saved
+// or the scan is abandoned. Returns its file name.
+export const saveReceipt = async (buffer, mimetype) => {
+  const name = `${randomUUID()}.${RECEIPT_TYPES[mimetype]}`;
+  await fs.mkdir(pendingReceiptsDir(), { recursive: true });
+  await fs.writeFile(pendingReceiptPath(name), buffer);
+  return name;
+};
+
+// Helper function to keep a scanned receipt image for good once its expense
+// is saved. Each image can be claimed once: returns false when it isn't
+// waiting for an expense, because another expense has it or there's no such image.
+export const claimReceipt = async (name) => {
+  if (!isReceiptName(name)) return false;
+  try {
+    await fs.rename(pendingReceiptPath(name), receiptPath(name));
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+};
+
+// Helper function to put a claimed receipt image back to wait for its
+// expense, when the expense couldn't be saved after all
+export const releaseReceipt = async (name) => {
+  if (!isReceiptName(name)) return;
+  await fs.rename(receiptPath(name), pendingReceiptPath(name));
+};
+
+// Helper function to delete a stored receipt image, if it's still there
+export const deleteReceipt = async (name) => {
+  if (!isReceiptName(name)) return;
+  try {
+    await fs.unlink(receiptPath(name));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+// Helper function to find a receipt image, kept or still waiting for its
+// expense. Returns the file's path, or null when there's no such image.
+export const findReceipt = async (name) => {
+  if (!isReceiptName(name)) return null;
+  for (const file of [receiptPath(name), pendingReceiptPath(name)]) {
+    try {
+      await fs.access(file);
+      return file;
+    } catch (error) {
+      // Not here; try the next place
+    }
+  }
+  return null;
+};
+
+// Helper function to check that a receipt image has been stored
+export const receiptExists = async (name) => (await findReceipt(name)) !== null;
+
+// Helper function to check that a receipt image is waiting for its expense,
+// so no expense has claimed it yet
+export const isPendingReceipt = async (name) => {
+  const file = await findReceipt(name);
+  return file !== null && file === pendingReceiptPath(name);
+};
+
+// Helper function to delete the images of scans that were never confirmed.
+// Returns how many were deleted.
+export const removeAbandonedReceipts = async (now = Date.now()) => {
+  let names;
+  try {
+    names = await fs.readdir(pendingReceiptsDir());
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+
+  let removed = 0;
+  for (const name of names) {
+    const stats = await fs.stat(pendingReceiptPath(name)).catch(() => null);
+    if (stats && now - stats.mtimeMs > PENDING_RECEIPT_MAX_AGE_MS) {
+      await fs.rm(pendingReceiptPath(name), { force: true });
+      removed += 1;
+    }
+  }
+  return removed;
+};
+
+// Helper function to read the text on a receipt image with local OCR.
+// Returns { text, confidence } where confidence is from 0 to 1.
+export const recognizeReceipt = async (image) => {
+  const { data } = await (await getWorker()).recognize(image);
+  return { text: data.text, confidence: data.confidence / 100 };
+};
+
+// Helper function to get the prices printed on a line
+const linePrices = (line) => [...line.matchAll(PRICE)]
+  .map(match => parseStatementAmount(match[1]))
+  .filter(amount => amount !== null && amount > 0);
+
+// Helper function to pull the merchant, total, currency, date and tax out of
+// receipt text. The total is the largest price on a "total" line, falling
+// back to the largest price on the receipt; fields that can't be found are null.
+export const parseReceiptText = (text, referenceDate = new Date()) => {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+
+  const merchantLine = lines
+    .slice(0, 5)
+    .find(line => (line.match(/[a-z]/gi) || []).length >= 3 &&
+      !NOT_MERCHANT_LINE.test(line) &&
+      chrono.parse(line, referenceDate).length === 0);
+  const merchant = merchantLine
+    ? merchantLine.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}.')]+$/gu, '').replace(/\s+/g, ' ')
+    : null;
+
+  const totalLines = lines.filter(line => TOTAL_LINE.test(line) && !NOT_TOTAL_LINE.test(line));
+  const byPrice = (candidates) => candidates
+    .flatMap(line => linePrices(line).map(amount => ({ line, amount })))
+    .sort((a, b) => b.amount - a.amount)[0] || null;
+  const totalMatch = byPrice(totalLines) || byPrice(lines.filter(line => !NOT_PRICE_LINE.test(line)));
+
+  const taxMatch = lines
+    .filter(line => TAX_LINE.test(line) && !NOT_TAX_LINE.test(line) && !totalLines.includes(line))
+    .map(line => linePrices(line).pop())
+    .find(amount => amount !== undefined && (!totalMatch || amount < totalMatch.amount));
+
+  // A currency marked on the total line wins over one elsewhere on the receipt
+  const currencyOn = (value) => (findAmountCandidates(value, referenceDate).find(candidate => candidate.currency) || {}).currency;
+  const currency = (totalMatch && currencyOn(totalMatch.line)) || currencyOn(text) || BASE_CURRENCY;
+
+  // Dates are read line by line so phone numbers don't run into them, in the
+  // user's timezone
+  const dated = lines
+    .filter(line => !PHONE_NUMBER.test(line))
+    .flatMap(line => chrono.parse(line, chronoReference(referenceDate), { forwardDate: false }))
+    .find(result => result.start.isCertain('day'));
+
+  return {
+    merchant,
+    total: totalMatch ? totalMatch.amount : null,
+    currency,
+    date: dated ? chronoDate(dated.start).toISOString() : null,
+    tax: taxMatch === undefined ? null : taxMatch
+  };
+};
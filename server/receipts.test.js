@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import { randomUUID } from 'crypto';
+import { runAsUser } from './context.js';
+import { userDataDir } from './storage/index.js';
+import {
+  receiptsDir,
+  receiptPath,
+  saveReceipt,
+  claimReceipt,
+  releaseReceipt,
+  findReceipt,
+  receiptExists,
+  isPendingReceipt,
+  removeAbandonedReceipts
+} from './receipts.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const IMAGE = Buffer.from('not really a png');
+
+// Helper function to run a test as a throwaway account whose files are removed afterwards
+const asTestUser = (task) => () => runAsUser({ id: `test-${randomUUID()}` }, async () => {
+  try {
+    await task();
+  } finally {
+    await fs.rm(userDataDir(), { recursive: true, force: true });
+  }
+});
+
+test('a scanned image waits outside the kept receipts until claimed', asTestUser(async () => {
+  const name = await saveReceipt(IMAGE, 'image/png');
+  assert.match(name, /\.png$/);
+  assert.ok(await receiptExists(name));
+  assert.notEqual(await findReceipt(name), receiptPath(name));
+  assert.deepEqual((await fs.readdir(receiptsDir())).filter(file => file !== 'pending'), []);
+
+  assert.ok(await isPendingReceipt(name));
+  assert.equal(await claimReceipt(name), true);
+  assert.equal(await findReceipt(name), receiptPath(name));
+  assert.deepEqual(await fs.readFile(receiptPath(name)), IMAGE);
+  assert.equal(await isPendingReceipt(name), false);
+}));
+
+test('an image can be claimed for one expense only', asTestUser(async () => {
+  const name = await saveReceipt(IMAGE, 'image/png');
+  const claims = await Promise.all([claimReceipt(name), claimReceipt(name)]);
+  assert.deepEqual(claims.sort(), [false, true]);
+  assert.equal(await claimReceipt(name), false);
+  assert.ok(await receiptExists(name));
+
+  assert.equal(await claimReceipt(`${randomUUID()}.png`), false);
+}));
+
+test('a released image waits to be claimed again', asTestUser(async () => {
+  const name = await saveReceipt(IMAGE, 'image/png');
+  await claimReceipt(name);
+  await releaseReceipt(name);
+  assert.ok(await isPendingReceipt(name));
+  assert.equal(await claimReceipt(name), true);
+}));
+
+test('images from abandoned scans are removed after a day', asTestUser(async () => {
+  const abandoned = await saveReceipt(IMAGE, 'image/jpeg');
+  const kept = await saveReceipt(IMAGE, 'image/jpeg');
+  await claimReceipt(kept);
+
+  assert.equal(await removeAbandonedReceipts(), 0);
+  assert.equal(await removeAbandonedReceipts(Date.now() + 2 * DAY_MS), 1);
+  assert.equal(await receiptExists(abandoned), false);
+  assert.ok(await receiptExists(kept));
+}));
+
+test('names that are not receipt images are never looked up', asTestUser(async () => {
+  assert.equal(await findReceipt('../settings.json'), null);
+  assert.equal(await receiptExists('pending'), false);
+  assert.equal(await removeAbandonedReceipts(), 0);
+}));
@@ -0,0 +1,317 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { userDataDir } from './storage/index.js';
+import { writeJsonFile, withFileLock } from './storage/files.js';
+import { BASE_CURRENCY, currencyOf } from './currency.js';
+import { toCategoryName } from './categories.js';
+import { tokenize } from './learner.js';
+import { toDayKey, dayOf, isDayKey, parseDayKey, addDays, weekdayOf, daysBetween, startOfDay, endOfDay, noonOf } from './timezone.js';
+
+export const recurringFile = () => path.join(userDataDir(), 'recurring.json');
+
+export const FREQUENCIES = ['weekly', 'monthly', 'yearly'];
+
+// How often the scheduler checks for expenses that have fallen due
+const SCHEDULER_INTERVAL_MS = 60 * 60 * 1000;
+
+// Repeated expenses are suggested as subscriptions when they occur at least
+// this often, with gaps (in days) in the frequency's range and amounts close
+// to their median
+const MIN_OCCURRENCES = 3;
+const FREQUENCY_GAPS = {
+  weekly: [6, 8],
+  monthly: [27, 33],
+  yearly: [355, 375]
+};
+const AMOUNT_TOLERANCE = 0.1;
+
+// Helper function to get a day in a month, moved back to the month's last
+// day when the month is shorter ("monthly on the 31st" falls on Feb 28)
+const dayInMonth = (year, monthIndex, day) => {
+  const lastDay = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, monthIndex, Math.min(day, lastDay))).toISOString().split('T')[0];
+};
+
+// Helper function to load the recurring expense definitions
+export const loadRecurring = async () => {
+  try {
+    const data = JSON.parse(await fs.readFile(recurringFile(), 'utf8'));
+    return data.recurring || [];
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+};
+
+// Helper function to save the recurring expense definitions
+export const saveRecurring = async (recurring) => {
+  await writeJsonFile(recurringFile(), { recurring });
+};
+
+// Helper function to load, change and save the recurring expense definitions after any earlier change
+export const withRecurringLock = (task) => withFileLock(recurringFile(), task);
+
+// Helper function to validate and normalize a recurring expense from a request body.
+// Schedules are weekly (on dayOfWeek, 0 = Sunday), monthly (on dayOfMonth) or
+// yearly (on the start date's anniversary), from startDate until an optional
+// endDate. The day defaults to the start date's. Category may be left out for
+// the caller to fill in.
+// Returns { definition } on success or { error } describing the first problem.
+export const normalizeRecurring = (body) => {
+  if (!body || typeof body.description !== 'string' || !body.description.trim()) {
+    return { error: 'description is required' };
+  }
+
+  const amount = Number(body.amount);
+  if (body.amount === undefined || body.amount === null || !Number.isFinite(amount) || amount <= 0) {
+    return { error: 'amount must be a positive number' };
+  }
+
+  const currency = body.currency === undefined ? BASE_CURRENCY : String(body.currency).toUpperCase();
+  if (!/^[A-Z]{3}$/.test(currency)) {
+    return { error: 'currency must be a 3-letter ISO code' };
+  }
+
+  if (body.category !== undefined && (typeof body.category !== 'string' || !body.category.trim())) {
+    return { error: 'category must be a non-empty string' };
+  }
+
+  if (!FREQUENCIES.includes(body.frequency)) {
+    return { error: `frequency must be one of: ${FREQUENCIES.join(', ')}` };
+  }
+
+  const startDate = body.startDate === undefined ? toDayKey(new Date()) : body.startDate;
+  if (!isDayKey(startDate)) {
+    return { error: 'startDate must be a date in YYYY-MM-DD format' };
+  }
+  const endDate = body.endDate === undefined || body.endDate === null || body.endDate === '' ? null : body.endDate;
+  if (endDate !== null && (!isDayKey(endDate) || endDate < startDate)) {
+    return { error: 'endDate must be a date in YYYY-MM-DD format, not before startDate' };
+  }
+
+  const definition = {
+    description: body.description.trim(),
+    amount,
+    currency,
+    category: body.category === undefined ? undefined : toCategoryName(body.category),
+    frequency: body.frequency,
+    startDate,
+    endDate
+  };
+
+  if (body.frequency === 'weekly') {
+    const dayOfWeek = body.dayOfWeek === undefined ? weekdayOf(startDate) : Number(body.dayOfWeek);
+    if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+      return { error: 'dayOfWeek must be an integer from 0 (Sunday) to 6 (Saturday)' };
+    }
+    definition.dayOfWeek = dayOfWeek;
+  } else if (body.frequency === 'monthly') {
+    const dayOfMonth = body.dayOfMonth === undefined ? parseDayKey(startDate).day : Number(body.dayOfMonth);
+    if (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31) {
+      return { error: 'dayOfMonth must be an integer from 1 to 31' };
+    }
+    definition.dayOfMonth = dayOfMonth;
+  }
+
+  return { definition };
+};
+
+// Helper function to list the days a recurring expense falls due, after
+// afterDay (exclusive, null for none) and up to untilDay (inclusive)
+export const listOccurrences = (definition, afterDay, untilDay) => {
+  const lastDay = definition.endDate && definition.endDate < untilDay ? definition.endDate : untilDay;
+  const start = parseDayKey(definition.startDate);
+  const days = [];
+
+  if (definition.frequency === 'weekly') {
+    let day = addDays(definition.startDate, (definition.dayOfWeek - weekdayOf(definition.startDate) + 7) % 7);
+    for (; day <= lastDay; day = addDays(day, 7)) {
+      days.push(day);
+    }
+  } else if (definition.frequency === 'monthly') {
+    for (let index = start.year * 12 + start.month - 1; ; index++) {
+      const day = dayInMonth(Math.floor(index / 12), index % 12, definition.dayOfMonth);
+      if (day > lastDay) break;
+      if (day >= definition.startDate) days.push(day);
+    }
+  } else if (definition.frequency === 'yearly') {
+    for (let year = start.year; ; year++) {
+      const day = dayInMonth(year, start.month - 1, start.day);
+      if (day > lastDay) break;
+      days.push(day);
+    }
+  }
+
+  return afterDay ? days.filter(day => day > afterDay) : days;
+};
+
+// Helper function to build the expense a recurring definition creates on a
+// day, without an id. It's dated noon that day in the user's timezone.
+const toExpense = (definition, day) => ({
+  amount: definition.amount,
+  currency: definition.currency,
+  category: definition.category,
+  description: definition.description,
+  date: noonOf(day).toISOString(),
+  recurringId: definition.id
+});
+
+// Helper function to list the expenses recurring definitions will add after
+// afterDay (exclusive) up to untilDay (inclusive), without ids
+export const listUpcomingExpenses = (definitions, afterDay, untilDay) => definitions.flatMap(definition =>
+  listOccurrences(definition, afterDay, untilDay).map(day => toExpense(definition, day)));
+
+// Create the scheduler that adds recurring expenses to storage when they fall
+// due. Each run catches up on every occurrence since the definition's
+// lastGenerated day, so periods missed while the server was down are filled
+// in. Runs are queued one after another, and an occurrence already in storage
+// is never added twice. run() works on the current user's definitions; the
+// periodic runs go through forEachUser, which runs a task as each user.
+export const createRecurringScheduler = ({ storage, forEachUser = (task) => task(), onExpenseCreated = () => {} }) => {
+  let queue = Promise.resolve();
+  let timer = null;
+
+  // Record how far a definition has been generated, re-reading the file so
+  // edits made in the meantime are kept
+  const markGenerated = (id, day) => withRecurringLock(async () => {
+    const definitions = await loadRecurring();
+    const definition = definitions.find(existing => existing.id === id);
+    if (!definition) return;
+    definition.lastGenerated = day;
+    await saveRecurring(definitions);
+  });
+
+  const generate = async (now) => {
+    const today = toDayKey(now);
+    const created = [];
+
+    for (const definition of await loadRecurring()) {
+      const days = listOccurrences(definition, definition.lastGenerated, today);
+      for (const day of days) {
+        const existing = await storage.loadExpensesInRange(startOfDay(day), endOfDay(day));
+        if (!existing.some(expense => expense.recurringId === definition.id)) {
+          const expense = { id: randomUUID(), ...toExpense(definition, day) };
+          await storage.addExpense(expense);
+          await onExpenseCreated(expense);
+          created.push(expense);
+        }
+      }
+      if (days.length > 0) {
+        await markGenerated(definition.id, days[days.length - 1]);
+      }
+    }
+
+    if (created.length > 0) {
+      console.log(`Created ${created.length} recurring expenses`);
+    }
+    return created;
+  };
+
+  const scheduler = {
+    // Create every expense that has fallen due. Resolves to the expenses created.
+    run: (now = new Date()) => {
+      const result = queue.then(() => generate(now));
+      queue = result.catch(() => {});
+      return result;
+    },
+
+    // Run now and then periodically, for every user
+    start: (intervalMs = SCHEDULER_INTERVAL_MS) => {
+      const runSafely = () => forEachUser(() => scheduler.run()).catch(error => {
+        console.error('Error creating recurring expenses:', error);
+      });
+      runSafely();
+      timer = setInterval(runSafely, intervalMs);
+      timer.unref();
+    },
+
+    stop: () => {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+
+  return scheduler;
+};
+
+// Helper function to reduce a description to the words that identify what
+// was paid for, so "Netflix $15.99" and "netflix 15.99 on March 3" match
+const descriptionKey = (description) => tokenize(description).join(' ');
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Helper function to find repeated similar expenses that look like
+// subscriptions: the same description and currency, at a steady weekly,
+// monthly or yearly interval, for about the same amount, and still going.
+// Expenses created by a recurring definition, and descriptions that already
+// have one, are skipped. Returns suggested definitions, most occurrences first.
+export const detectSubscriptions = (expenses, definitions, now = new Date()) => {
+  const defined = new Set(definitions.map(definition => descriptionKey(definition.description)));
+  const groups = new Map();
+
+  for (const expense of expenses) {
+    if (expense.recurringId) continue;
+    const key = descriptionKey(expense.description);
+    if (!key || defined.has(key)) continue;
+
+    const groupKey = `${key}|${currencyOf(expense)}`;
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, { key, expenses: [] });
+    }
+    groups.get(groupKey).expenses.push(expense);
+  }
+
+  const suggestions = [];
+  for (const { key, expenses: group } of groups.values()) {
+    // One expense per day; several on the same day aren't a schedule
+    const byDay = new Map(group.map(expense => [dayOf(expense), expense]));
+    if (byDay.size < MIN_OCCURRENCES) continue;
+
+    const days = [...byDay.keys()].sort();
+    const gaps = days.slice(1).map((day, index) => daysBetween(days[index], day));
+    const frequency = FREQUENCIES.find(name => {
+      const [min, max] = FREQUENCY_GAPS[name];
+      return gaps.every(gap => gap >= min && gap <= max);
+    });
+    if (!frequency) continue;
+
+    const amounts = days.map(day => byDay.get(day).amount);
+    const typical = median(amounts);
+    if (amounts.some(amount => Math.abs(amount - typical) > typical * AMOUNT_TOLERANCE)) continue;
+
+    // A subscription that hasn't been charged for well over a period has likely ended
+    const lastDay = days[days.length - 1];
+    if (daysBetween(lastDay, toDayKey(now)) > FREQUENCY_GAPS[frequency][1] * 1.5) continue;
+
+    const latest = byDay.get(lastDay);
+    const definition = {
+      description: key,
+      amount: latest.amount,
+      currency: currencyOf(latest),
+      category: latest.category,
+      frequency,
+      startDate: lastDay,
+      endDate: null
+    };
+    if (frequency === 'weekly') definition.dayOfWeek = weekdayOf(lastDay);
+    if (frequency === 'monthly') definition.dayOfMonth = parseDayKey(lastDay).day;
+
+    // Start from the next charge so expenses already entered aren't repeated
+    const [nextDay] = listOccurrences(definition, lastDay, addDays(lastDay, FREQUENCY_GAPS.yearly[1]));
+    suggestions.push({
+      ...definition,
+      startDate: nextDay,
+      occurrences: days.length,
+      lastDate: lastDay
+    });
+  }
+
+  return suggestions.sort((a, b) => b.occurrences - a.occurrences);
+};
@@ -0,0 +1,118 @@
+// Offline evaluation of the category learner.
+// Splits the stored expenses (excluding income and "other") into a training and a
+// held-out test set, trains the learner on the first and reports how often
+// it predicts the right category for the second. Each user's learner is
+// trained on their own expenses, so this looks at one account's (the first
+// one's unless --user is given).
+//
+// Usage: npm run evaluate:categorizer -- [--user sam] [--test-ratio 0.2] [--seed 42]
+import 'dotenv/config';
+import { createStorage } from '../storage/index.js';
+import { applySavedSettings } from '../settings.js';
+import { runAsUser } from '../context.js';
+import { listUsers, findUser } from '../accounts.js';
+import { createCategoryLearner } from '../learner.js';
+import { FALLBACK_CATEGORY } from '../categories.js';
+import { isExpense } from '../income.js';
+
+const readOption = (name, fallback, parse = Number) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] !== undefined ? parse(process.argv[index + 1]) : fallback;
+};
+
+// Small seeded random number generator (mulberry32) so splits are repeatable
+const createRandom = (seed) => () => {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const shuffle = (items, random) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+const main = async () => {
+  const testRatio = readOption('test-ratio', 0.2);
+  const seed = readOption('seed', 42);
+  const username = readOption('user', null, String);
+
+  const user = username ? await findUser(username) : (await listUsers())[0];
+  if (!user) {
+    console.log(username ? `No account named "${username}".` : 'No accounts yet; register in the app first.');
+    return;
+  }
+
+  const expenses = await runAsUser(user, async () => {
+    await applySavedSettings();
+    const storage = await createStorage();
+    try {
+      // Income has categories of its own and isn't learned from
+      return (await storage.loadExpensesInRange(new Date('1970-01-01'), new Date('9999-12-31')))
+        .filter(isExpense)
+        .filter(expense => expense.category && expense.category.toLowerCase() !== FALLBACK_CATEGORY);
+    } finally {
+      await storage.close();
+    }
+  });
+
+  const shuffled = shuffle(expenses, createRandom(seed));
+  const testSize = Math.max(1, Math.round(shuffled.length * testRatio));
+  const test = shuffled.slice(0, testSize);
+  const train = shuffled.slice(testSize);
+
+  if (train.length === 0) {
+    console.log(`Only ${expenses.length} categorized expenses; not enough data to evaluate.`);
+    return;
+  }
+
+  const learner = createCategoryLearner().train(train);
+
+  let correct = 0;
+  let abstained = 0;
+  const mistakes = [];
+  for (const expense of test) {
+    const prediction = learner.predict(expense.description);
+    const actual = expense.category.toLowerCase();
+    if (!prediction) {
+      abstained++;
+    } else if (prediction.category === actual) {
+      correct++;
+    } else {
+      mistakes.push(`  "${expense.description}": predicted ${prediction.category}, actually ${actual}`);
+    }
+  }
+
+  // Baseline: always predict the most common training category
+  const counts = {};
+  train.forEach(expense => {
+    const category = expense.category.toLowerCase();
+    counts[category] = (counts[category] || 0) + 1;
+  });
+  const [majority] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  const baseline = test.filter(expense => expense.category.toLowerCase() === majority).length;
+
+  const percent = (count, total) => `${((count / Math.max(1, total)) * 100).toFixed(1)}%`;
+  const predicted = test.length - abstained;
+
+  console.log(`Account:  ${user.username}`);
+  console.log(`Expenses: ${expenses.length} categorized (train ${train.length}, test ${test.length}, seed ${seed})`);
+  console.log(`Accuracy:           ${percent(correct, test.length)} (${correct}/${test.length})`);
+  console.log(`Accuracy when sure: ${percent(correct, predicted)} (${correct}/${predicted})`);
+  console.log(`Abstained:          ${percent(abstained, test.length)} (falls back to "${FALLBACK_CATEGORY}")`);
+  console.log(`Baseline:           ${percent(baseline, test.length)} (always "${majority}")`);
+  if (mistakes.length > 0) {
+    console.log('Mistakes:');
+    mistakes.forEach(mistake => console.log(mistake));
+  }
+};
+
+main().catch(error => {
+  console.error('Evaluation failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,57 @@
+// Merge exchange rates from a CSV or JSON file into data/exchange-rates.json.
+//
+// CSV: one rate per line, "date,currency,rate" (a header line is optional), e.g.
+//   2025-03-01,EUR,0.95
+// JSON: the same shape as data/exchange-rates.json ({ "rates": { "YYYY-MM-DD": { "EUR": 0.95 } } }).
+// Rates are units of currency per one unit of the table's quote currency.
+//
+// Usage: npm run import:rates -- <file>
+import 'dotenv/config';
+import { promises as fs } from 'fs';
+import { loadExchangeRates, saveExchangeRates, validateRates } from '../currency.js';
+
+const parseCsv = (contents) => {
+  const rates = {};
+  contents.split(/\r?\n/).forEach((line, index) => {
+    const [date, currency, rate] = line.split(',').map(field => field.trim());
+    if (!date || (index === 0 && !/^\d{4}-\d{2}-\d{2}$/.test(date))) return;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      throw new Error(`Line ${index + 1}: invalid date "${date}"`);
+    }
+    if (!currency) {
+      throw new Error(`Line ${index + 1}: missing currency`);
+    }
+    if (!rate) {
+      throw new Error(`Line ${index + 1}: missing rate for ${currency.toUpperCase()}`);
+    }
+    rates[date] = { ...rates[date], [currency.toUpperCase()]: Number(rate) };
+  });
+  return rates;
+};
+
+const main = async () => {
+  const file = process.argv[2];
+  if (!file) {
+    throw new Error('Usage: npm run import:rates -- <file.csv|file.json>');
+  }
+
+  const contents = await fs.readFile(file, 'utf8');
+  const incoming = file.endsWith('.json') ? JSON.parse(contents).rates || {} : parseCsv(contents);
+
+  const table = await loadExchangeRates();
+  for (const [date, rates] of Object.entries(incoming)) {
+    const error = validateRates(rates);
+    if (error) {
+      throw new Error(`${date}: ${error}`);
+    }
+    table.rates[date] = { ...table.rates[date], ...rates };
+  }
+
+  await saveExchangeRates(table);
+  console.log(`Imported rates for ${Object.keys(incoming).length} days`);
+};
+
+main().catch(error => {
+  console.error('Import failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,41 @@
+// Import every user's per-day JSON files (in server/data/users/<id>) into
+// the SQLite backend. Safe to run more than once: expenses are upserted by ID.
+//
+// Usage: npm run migrate:sqlite
+import 'dotenv/config';
+import { createStorage } from '../storage/index.js';
+import { applySavedSettings } from '../settings.js';
+import { runAsUser } from '../context.js';
+import { listUsers } from '../accounts.js';
+
+const migrateUser = async (user) => {
+  await applySavedSettings();
+  // Initializing the JSON backend also assigns IDs to any legacy expenses
+  const source = await createStorage('json');
+  const target = await createStorage('sqlite');
+
+  try {
+    const expenses = await source.loadExpensesInRange(new Date('1970-01-01'), new Date('9999-12-31'));
+    const imported = await target.importExpenses(expenses);
+    console.log(`Imported ${imported} expenses into SQLite for ${user.username}`);
+  } finally {
+    await source.close();
+    await target.close();
+  }
+};
+
+const main = async () => {
+  const users = await listUsers();
+  if (users.length === 0) {
+    console.log('No accounts yet; register in the app first, which moves existing data to the first account.');
+    return;
+  }
+  for (const user of users) {
+    await runAsUser(user, () => migrateUser(user));
+  }
+};
+
+main().catch(error => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,53 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { userDataDir } from './storage/index.js';
+import { writeJsonFile, withFileLock } from './storage/files.js';
+import { DEFAULT_TIME_ZONE, isValidTimeZone, setTimeZone } from './timezone.js';
+
+export const settingsFile = () => path.join(userDataDir(), 'settings.json');
+
+// Helper function to load the current user's saved settings. A timezone that was never
+// saved comes from TIMEZONE, and timezoneSource says which it was.
+export const loadSettings = async () => {
+  let saved = {};
+  try {
+    saved = JSON.parse(await fs.readFile(settingsFile(), 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+
+  const timezone = isValidTimeZone(saved.timezone) ? saved.timezone : null;
+  return {
+    timezone: timezone || DEFAULT_TIME_ZONE,
+    timezoneSource: timezone ? 'saved' : 'default'
+  };
+};
+
+// Helper function to load the current user's settings and switch to their
+// saved timezone. Run it before touching their storage, which files expenses
+// by day in that timezone.
+export const applySavedSettings = async () => {
+  const settings = await loadSettings();
+  setTimeZone(settings.timezone);
+  return settings;
+};
+
+// Helper function to save the settings
+export const saveSettings = async ({ timezone }) => {
+  await writeJsonFile(settingsFile(), { timezone });
+};
+
+// Helper function to load, change and save the settings after any earlier change
+export const withSettingsLock = (task) => withFileLock(settingsFile(), task);
+
+// Helper function to validate settings from a request body.
+// Returns { settings } on success or { error } describing the first problem.
+export const normalizeSettings = (body) => {
+  const { timezone } = body || {};
+  if (!isValidTimeZone(timezone)) {
+    return { error: 'timezone must be an IANA timezone name, e.g. "America/New_York"' };
+  }
+  return { settings: { timezone: new Intl.DateTimeFormat('en-US', { timeZone: timezone }).resolvedOptions().timeZone } };
+};
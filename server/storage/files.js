@@ -0,0 +1,59 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+// Helpers for the JSON files the server keeps: the day files of the JSON
+// storage backend, the small files kept beside the expenses (categories,
+// budgets, recurring expenses, groups, projects, merchants, settings), the
+// exchange-rate table and the account files.
+//
+// Each of these is changed by reading the whole file, changing it and writing
+// it back, so changes to a file are made one at a time (withFileLock) and the
+// file is replaced in one step (writeJsonFile).
+
+// Tail of the queue of pending tasks for each file path
+const locks = new Map();
+
+// Helper function to run a task once every earlier task for the same file has finished
+export const withFileLock = async (file, task) => {
+  const key = path.resolve(file);
+  const previous = locks.get(key) || Promise.resolve();
+  let release;
+  const current = new Promise(resolve => {
+    release = resolve;
+  });
+  const tail = previous.then(() => current);
+  locks.set(key, tail);
+
+  await previous;
+  try {
+    return await task();
+  } finally {
+    release();
+    if (locks.get(key) === tail) {
+      locks.delete(key);
+    }
+  }
+};
+
+// Helper function to write a JSON file atomically: write and flush a
+// temporary file in the same directory, then rename it over the target, so
+// the file is never read half-written
+export const writeJsonFile = async (file, data) => {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tempFile = `${file}.${randomUUID()}.tmp`;
+  const handle = await fs.open(tempFile, 'w');
+  try {
+    await handle.writeFile(JSON.stringify(data, null, 2));
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  try {
+    await fs.rename(tempFile, file);
+  } catch (error) {
+    await fs.rm(tempFile, { force: true });
+    throw error;
+  }
+};
@@ -0,0 +1,65 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { withFileLock, writeJsonFile } from './files.js';
+
+let dir;
+let file;
+
+const readList = async () => JSON.parse(await fs.readFile(file, 'utf8')).items;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'expenses-files-'));
+  file = path.join(dir, 'user', 'items.json');
+});
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('writeJsonFile creates the directory and leaves no temporary file', async () => {
+  await writeJsonFile(file, { items: [1] });
+  await writeJsonFile(file, { items: [1, 2] });
+
+  assert.deepEqual(await readList(), [1, 2]);
+  assert.deepEqual(await fs.readdir(path.dirname(file)), ['items.json']);
+});
+
+test('parallel changes under the file lock all persist', async () => {
+  await writeJsonFile(file, { items: [] });
+  await Promise.all(Array.from({ length: 50 }, (_, index) => withFileLock(file, async () => {
+    const items = await readList();
+    await writeJsonFile(file, { items: [...items, index] });
+  })));
+
+  assert.deepEqual((await readList()).sort((a, b) => a - b), Array.from({ length: 50 }, (_, index) => index));
+});
+
+test('a failed change releases the lock for the next one', async () => {
+  await writeJsonFile(file, { items: [] });
+  const failed = withFileLock(file, async () => {
+    throw new Error('bad change');
+  });
+  const next = withFileLock(file, async () => {
+    await writeJsonFile(file, { items: ['after'] });
+    return 'done';
+  });
+
+  await assert.rejects(failed, /bad change/);
+  assert.equal(await next, 'done');
+  assert.deepEqual(await readList(), ['after']);
+});
+
+test('locks on different files do not wait for each other', async () => {
+  const other = path.join(dir, 'user', 'other.json');
+  let release;
+  const held = withFileLock(file, () => new Promise(resolve => {
+    release = resolve;
+  }));
+
+  assert.equal(await withFileLock(other, async () => 'free'), 'free');
+  release();
+  await held;
+});
@@ -0,0 +1,145 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createJsonStorage } from './json.js';
+import { createSqliteStorage } from './sqlite.js';
+import { toDayKey } from '../timezone.js';
+import { currentUser } from '../context.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SERVER_DIR = path.join(__dirname, '..');
+
+// Where everything is kept: DATA_DIR, relative to server/ (default: data)
+export const DATA_DIR = path.resolve(SERVER_DIR, process.env.DATA_DIR || 'data');
+
+// Each user's expenses, categories, budgets, recurring expenses, receipts
+// and settings are kept in a directory of their own under USERS_DIR
+export const USERS_DIR = path.join(DATA_DIR, 'users');
+
+// The SQLite database from before there were accounts (see adoptLegacyData)
+const LEGACY_SQLITE_FILE = path.resolve(SERVER_DIR, process.env.SQLITE_FILE || 'data/expenses.db');
+
+// Helper function to get the directory a user's data is kept in, by default
+// the user the current task runs as (see context.js)
+export const userDataDir = (user = currentUser()) => {
+  if (!user) {
+    throw new Error('No user to load data for');
+  }
+  return path.join(USERS_DIR, user.id);
+};
+
+// Every backend exposes the same interface:
+//   init()                                         prepare storage and run migrations
+//   loadExpensesInRange(startDate, endDate, { categories })
+//                                                  expenses whose day (in the user's timezone) is
+//                                                  within the days startDate and endDate fall on
+//   getExpense(id)                                 a single expense, or null
+//   addExpense(expense)                            store a new expense
+//   updateExpense(expense)                         replace the expense with the same ID, or return null
+//   deleteExpense(id)                              remove and return an expense, or null
+//   recategorizeExpenses(fromCategory, toCategory) move every expense in one category to another,
+//                                                  returning how many changed
+//   rebucketExpenses()                             file every expense under the day it falls on in
+//                                                  the current timezone, returning how many moved
+//   close()                                        release resources
+const INTERFACE = [
+  'loadExpensesInRange',
+  'getExpense',
+  'addExpense',
+  'updateExpense',
+  'deleteExpense',
+  'recategorizeExpenses',
+  'rebucketExpenses'
+];
+
+// Backends file expenses by day in the timezone current at the time (see
+// timezone.js), so the day key is looked up on every call
+const dayKeyOf = (date) => toDayKey(date);
+
+const backends = {
+  json: (dir) => createJsonStorage({ dataDir: dir, toDayKey: dayKeyOf }),
+  sqlite: (dir) => createSqliteStorage({ filename: path.join(dir, 'expenses.db'), toDayKey: dayKeyOf })
+};
+
+const checkBackend = (name) => {
+  if (!backends[name]) {
+    throw new Error(`Unknown storage backend "${name}". Expected one of: ${Object.keys(backends).join(', ')}`);
+  }
+};
+
+// Create and initialize the storage backend named by STORAGE_BACKEND (default: json)
+// for a user's data, by default the current user's. Initializing files
+// expenses by day in the timezone current at the time, so load the user's
+// settings first (see applySavedSettings).
+export const createStorage = async (name = process.env.STORAGE_BACKEND || 'json', user = currentUser()) => {
+  checkBackend(name);
+  const storage = backends[name](userDataDir(user));
+  await storage.init();
+  return storage;
+};
+
+// Create storage that works on the data of whichever user the current task
+// runs as. It has the interface above; each user's backend is created the
+// first time it's needed and kept open until close().
+export const createUserStorage = (name = process.env.STORAGE_BACKEND || 'json') => {
+  checkBackend(name);
+  const opened = new Map();
+
+  const backendFor = (user) => {
+    if (!user) {
+      return Promise.reject(new Error('No user to load data for'));
+    }
+    if (!opened.has(user.id)) {
+      const pending = createStorage(name, user);
+      opened.set(user.id, pending);
+      pending.catch(() => opened.delete(user.id));
+    }
+    return opened.get(user.id);
+  };
+
+  const storage = {
+    name,
+    close: async () => {
+      const pending = [...opened.values()];
+      opened.clear();
+      await Promise.all(pending.map(async backend => (await backend).close()));
+    }
+  };
+  INTERFACE.forEach(method => {
+    storage[method] = async (...args) => (await backendFor(currentUser()))[method](...args);
+  });
+  return storage;
+};
+
+// Helper function to move the data kept from before there were accounts
+// (everything straight in DATA_DIR, and the SQLite database) into a user's
+// directory. Names in `shared` belong to every user and stay where they are.
+// Returns how many files and directories were moved.
+export const adoptLegacyData = async (user, shared = []) => {
+  const target = userDataDir(user);
+  await fs.mkdir(target, { recursive: true });
+
+  const moves = [];
+  for (const suffix of ['', '-wal', '-shm']) {
+    moves.push([`${LEGACY_SQLITE_FILE}${suffix}`, path.join(target, `expenses.db${suffix}`)]);
+  }
+  const keep = new Set([path.basename(USERS_DIR), ...shared.map(file => path.basename(file))]);
+  for (const entry of await fs.readdir(DATA_DIR)) {
+    if (!keep.has(entry) && !entry.startsWith('.')) {
+      moves.push([path.join(DATA_DIR, entry), path.join(target, entry)]);
+    }
+  }
+
+  let moved = 0;
+  for (const [from, to] of moves) {
+    try {
+      await fs.rename(from, to);
+      moved++;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+  return moved;
+};
@@ -0,0 +1,293 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { withFileLock, writeJsonFile } from './files.js';
+
+// Storage backend that keeps one JSON file per day: data/YYYY-MM-DD.json
+//
+// Writes go to a temporary file that is then renamed over the day file, so a
+// crash can never leave a half-written file behind (writeJsonFile).
+// Read-modify-write cycles on a day are serialized with a lock on its file
+// (withFileLock) so concurrent requests for the same date can't overwrite
+// each other's changes.
+//
+// toDayKey gives the day an expense is filed under; it follows the user's
+// timezone, so when that changes the files are rebucketed (see
+// rebucketExpenses).
+export const createJsonStorage = ({ dataDir, toDayKey }) => {
+  const quarantineDir = path.join(dataDir, 'quarantine');
+
+  // Helper function to get file path for a day key (YYYY-MM-DD)
+  const getFilePath = (dayKey) => path.join(dataDir, `${dayKey}.json`);
+
+  // Helper function to run a task once every earlier task for the same day has finished
+  const withDayLock = (dayKey, task) => withFileLock(getFilePath(dayKey), task);
+
+  // Helper function to hold several day locks at once. Locks are always taken
+  // in sorted order so two tasks can't deadlock waiting on each other.
+  const withDayLocks = (dayKeys, task) => {
+    const [first, ...rest] = [...new Set(dayKeys)].sort();
+    if (!first) return task();
+    return withDayLock(first, () => withDayLocks(rest, task));
+  };
+
+  // Helper function to move an unreadable day file out of the way so the
+  // rest of the data stays usable. The file is kept for manual recovery.
+  const quarantineFile = async (filePath, reason) => {
+    await fs.mkdir(quarantineDir, { recursive: true });
+    const target = path.join(quarantineDir, `${path.basename(filePath, '.json')}.${Date.now()}.json`);
+    await fs.rename(filePath, target);
+    console.error(`Quarantined corrupt expense file ${filePath} -> ${target}: ${reason}`);
+  };
+
+  // Helper function to load expenses for a day.
+  // Files that aren't valid day records are quarantined and treated as empty.
+  const loadDailyExpenses = async (dayKey) => {
+    const filePath = getFilePath(dayKey);
+    const empty = { date: dayKey, expenses: [] };
+
+    let contents;
+    try {
+      contents = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return empty;
+      }
+      throw error;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(contents);
+    } catch (error) {
+      await quarantineFile(filePath, error.message);
+      return empty;
+    }
+
+    if (!data || !Array.isArray(data.expenses)) {
+      await quarantineFile(filePath, 'missing expenses array');
+      return empty;
+    }
+    return data;
+  };
+
+  // Helper function to save expenses for a day.
+  // A day with no expenses left has its file removed.
+  const saveDailyExpenses = async (dayKey, expenses) => {
+    const filePath = getFilePath(dayKey);
+    if (expenses.length === 0) {
+      await fs.rm(filePath, { force: true });
+      return;
+    }
+    await writeJsonFile(filePath, { date: dayKey, expenses });
+  };
+
+  // Helper function to list the dates that have a daily expense file
+  const listExpenseDates = async () => {
+    const files = await fs.readdir(dataDir);
+    return files
+      .filter(file => /^\d{4}-\d{2}-\d{2}\.json$/.test(file))
+      .map(file => file.replace('.json', ''))
+      .sort();
+  };
+
+  // Helper function to find an expense by ID along with the daily file holding it
+  const findExpense = async (id) => {
+    for (const fileDate of await listExpenseDates()) {
+      const data = await loadDailyExpenses(fileDate);
+      const index = data.expenses.findIndex(exp => exp.id === id);
+      if (index !== -1) {
+        return { fileDate, expenses: data.expenses, index };
+      }
+    }
+    return null;
+  };
+
+  // Helper function to delete temporary files left behind by interrupted writes
+  const removeStaleTempFiles = async () => {
+    const files = await fs.readdir(dataDir);
+    await Promise.all(files
+      .filter(file => file.endsWith('.tmp'))
+      .map(file => fs.rm(path.join(dataDir, file), { force: true })));
+  };
+
+  // Migration: assign IDs to expenses that were saved before IDs existed
+  const migrateExpenseIds = async () => {
+    let migrated = 0;
+
+    for (const fileDate of await listExpenseDates()) {
+      await withDayLock(fileDate, async () => {
+        const data = await loadDailyExpenses(fileDate);
+        const missing = data.expenses.filter(exp => !exp.id);
+        if (missing.length === 0) return;
+
+        missing.forEach(exp => {
+          exp.id = randomUUID();
+        });
+        await saveDailyExpenses(fileDate, data.expenses);
+        migrated += missing.length;
+      });
+    }
+
+    if (migrated > 0) {
+      console.log(`Assigned IDs to ${migrated} existing expenses`);
+    }
+  };
+
+  // Migration: move expenses filed under a day they don't fall on, because
+  // they were saved before days followed the user's timezone (every day was
+  // a UTC day then) or because the timezone has changed since.
+  // Returns how many moved.
+  const rebucketExpenses = async () => {
+    let moved = 0;
+
+    for (const fileDate of await listExpenseDates()) {
+      const { expenses } = await loadDailyExpenses(fileDate);
+      const targets = new Set(expenses
+        .map(exp => toDayKey(new Date(exp.date)))
+        .filter(dayKey => dayKey !== fileDate));
+
+      for (const target of targets) {
+        await withDayLocks([fileDate, target], async () => {
+          const source = await loadDailyExpenses(fileDate);
+          const misplaced = source.expenses.filter(exp => toDayKey(new Date(exp.date)) === target);
+          if (misplaced.length === 0) return;
+
+          // Write to the new day first so a failure can't lose an expense;
+          // one copied there before an earlier failure isn't copied again
+          const dailyData = await loadDailyExpenses(target);
+          const present = new Set(dailyData.expenses.map(exp => exp.id));
+          dailyData.expenses.push(...misplaced.filter(exp => !present.has(exp.id)));
+          await saveDailyExpenses(target, dailyData.expenses);
+          await saveDailyExpenses(fileDate, source.expenses.filter(exp => !misplaced.includes(exp)));
+          moved += misplaced.length;
+        });
+      }
+    }
+
+    return moved;
+  };
+
+  return {
+    name: 'json',
+
+    init: async () => {
+      await fs.mkdir(dataDir, { recursive: true });
+      await removeStaleTempFiles();
+      await migrateExpenseIds();
+      const moved = await rebucketExpenses();
+      if (moved > 0) {
+        console.log(`Moved ${moved} expenses to the daily file for the day they fall on`);
+      }
+    },
+
+    loadExpensesInRange: async (startDate, endDate, { categories = [] } = {}) => {
+      const startKey = toDayKey(startDate);
+      const endKey = toDayKey(endDate);
+      const expenses = [];
+
+      for (const fileDate of await listExpenseDates()) {
+        if (fileDate >= startKey && fileDate <= endKey) {
+          const data = await loadDailyExpenses(fileDate);
+          expenses.push(...data.expenses);
+        }
+      }
+
+      if (categories.length === 0) return expenses;
+      return expenses.filter(exp => categories.includes(exp.category.toLowerCase()));
+    },
+
+    getExpense: async (id) => {
+      const found = await findExpense(id);
+      return found ? found.expenses[found.index] : null;
+    },
+
+    addExpense: async (expense) => {
+      const dayKey = toDayKey(new Date(expense.date));
+      return withDayLock(dayKey, async () => {
+        const dailyData = await loadDailyExpenses(dayKey);
+        dailyData.expenses.push(expense);
+        await saveDailyExpenses(dayKey, dailyData.expenses);
+        return expense;
+      });
+    },
+
+    // Replaces the stored expense with the same ID, moving it to another
+    // daily file when its date changes
+    updateExpense: async (expense) => {
+      const newDayKey = toDayKey(new Date(expense.date));
+
+      // The expense may move between finding it and taking the locks, so
+      // look it up again under the locks and retry if it's gone
+      for (;;) {
+        const found = await findExpense(expense.id);
+        if (!found) return null;
+
+        const result = await withDayLocks([found.fileDate, newDayKey], async () => {
+          const { expenses } = await loadDailyExpenses(found.fileDate);
+          const index = expenses.findIndex(exp => exp.id === expense.id);
+          if (index === -1) return null;
+
+          if (newDayKey === found.fileDate) {
+            expenses[index] = expense;
+            await saveDailyExpenses(newDayKey, expenses);
+          } else {
+            // Write to the new day first so a failure can't lose the expense
+            const dailyData = await loadDailyExpenses(newDayKey);
+            dailyData.expenses.push(expense);
+            await saveDailyExpenses(newDayKey, dailyData.expenses);
+            expenses.splice(index, 1);
+            await saveDailyExpenses(found.fileDate, expenses);
+          }
+          return expense;
+        });
+
+        if (result) return result;
+      }
+    },
+
+    deleteExpense: async (id) => {
+      for (;;) {
+        const found = await findExpense(id);
+        if (!found) return null;
+
+        const result = await withDayLock(found.fileDate, async () => {
+          const { expenses } = await loadDailyExpenses(found.fileDate);
+          const index = expenses.findIndex(exp => exp.id === id);
+          if (index === -1) return null;
+
+          const [expense] = expenses.splice(index, 1);
+          await saveDailyExpenses(found.fileDate, expenses);
+          return expense;
+        });
+
+        if (result) return result;
+      }
+    },
+
+    recategorizeExpenses: async (fromCategory, toCategory) => {
+      const from = fromCategory.toLowerCase();
+      let changed = 0;
+
+      for (const fileDate of await listExpenseDates()) {
+        await withDayLock(fileDate, async () => {
+          const data = await loadDailyExpenses(fileDate);
+          const matching = data.expenses.filter(exp => exp.category.toLowerCase() === from);
+          if (matching.length === 0) return;
+
+          matching.forEach(exp => {
+            exp.category = toCategory;
+          });
+          await saveDailyExpenses(fileDate, data.expenses);
+          changed += matching.length;
+        });
+      }
+
+      return changed;
+    },
+
+    rebucketExpenses,
+
+    close: async () => {}
+  };
+};
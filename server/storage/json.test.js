@@ -0,0 +1,107 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { createJsonStorage } from './json.js';
+
+const DAY = '2025-03-01';
+const toDayKey = (date) => date.toISOString().split('T')[0];
+
+let dataDir;
+let storage;
+
+const makeExpense = (fields = {}) => ({
+  id: randomUUID(),
+  amount: 10,
+  currency: 'USD',
+  category: 'food',
+  description: 'lunch',
+  date: `${DAY}T12:00:00.000Z`,
+  ...fields
+});
+
+const readDay = async (dayKey) => JSON.parse(await fs.readFile(path.join(dataDir, `${dayKey}.json`), 'utf8'));
+
+beforeEach(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'expenses-json-'));
+  storage = createJsonStorage({ dataDir, toDayKey });
+  await storage.init();
+});
+
+afterEach(async () => {
+  await storage.close();
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+test('parallel adds for the same day all persist', async () => {
+  const expenses = Array.from({ length: 100 }, (_, index) => makeExpense({ amount: index }));
+  await Promise.all(expenses.map(expense => storage.addExpense(expense)));
+
+  const { expenses: stored } = await readDay(DAY);
+  assert.equal(stored.length, 100);
+  assert.deepEqual(new Set(stored.map(expense => expense.id)), new Set(expenses.map(expense => expense.id)));
+  assert.deepEqual((await fs.readdir(dataDir)).filter(file => file.endsWith('.tmp')), []);
+});
+
+test('concurrent updates and deletes on the same day keep every other change', async () => {
+  const expenses = Array.from({ length: 40 }, () => makeExpense());
+  for (const expense of expenses) {
+    await storage.addExpense(expense);
+  }
+
+  const [toDelete, toUpdate] = [expenses.slice(0, 20), expenses.slice(20)];
+  const results = await Promise.all([
+    ...toDelete.map(expense => storage.deleteExpense(expense.id)),
+    ...toUpdate.map(expense => storage.updateExpense({ ...expense, amount: 99 })),
+    storage.addExpense(makeExpense({ description: 'added meanwhile' }))
+  ]);
+  assert.ok(results.every(Boolean));
+
+  const { expenses: stored } = await readDay(DAY);
+  assert.equal(stored.length, 21);
+  assert.ok(toDelete.every(expense => !stored.some(other => other.id === expense.id)));
+  assert.ok(toUpdate.every(expense => stored.find(other => other.id === expense.id).amount === 99));
+  assert.ok(stored.some(expense => expense.description === 'added meanwhile'));
+});
+
+test('concurrent updates moving expenses to another day lose nothing', async () => {
+  const expenses = Array.from({ length: 30 }, () => makeExpense());
+  for (const expense of expenses) {
+    await storage.addExpense(expense);
+  }
+
+  await Promise.all(expenses.map((expense, index) => (index % 2
+    ? storage.updateExpense({ ...expense, date: '2025-03-02T12:00:00.000Z' })
+    : storage.updateExpense({ ...expense, amount: 5 }))));
+
+  const first = (await readDay(DAY)).expenses;
+  const second = (await readDay('2025-03-02')).expenses;
+  assert.equal(first.length, 15);
+  assert.equal(second.length, 15);
+  assert.ok(first.every(expense => expense.amount === 5));
+});
+
+test('a corrupt day file is quarantined and treated as empty', async () => {
+  await fs.writeFile(path.join(dataDir, `${DAY}.json`), '{"date": "2025-03-01", "expenses": [');
+
+  const loaded = await storage.loadExpensesInRange(new Date(`${DAY}T00:00:00Z`), new Date(`${DAY}T23:59:59Z`));
+  assert.deepEqual(loaded, []);
+
+  const quarantined = await fs.readdir(path.join(dataDir, 'quarantine'));
+  assert.equal(quarantined.length, 1);
+  assert.match(quarantined[0], /^2025-03-01\.\d+\.json$/);
+  await assert.rejects(fs.access(path.join(dataDir, `${DAY}.json`)));
+
+  // The day can be written to again afterwards
+  await storage.addExpense(makeExpense());
+  assert.equal((await readDay(DAY)).expenses.length, 1);
+});
+
+test('a day file without an expenses array is quarantined too', async () => {
+  await fs.writeFile(path.join(dataDir, `${DAY}.json`), JSON.stringify({ date: DAY }));
+
+  assert.equal(await storage.getExpense('missing'), null);
+  assert.equal((await fs.readdir(path.join(dataDir, 'quarantine'))).length, 1);
+});
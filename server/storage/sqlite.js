@@ -0,0 +1,149 @@
+import path from 'path';
+import { promises as fs } from 'fs';
+import Database from 'better-sqlite3';
+
+// Storage backend that keeps expenses in an embedded SQLite database.
+// Indexed fields get their own columns; the full record is kept as JSON in
+// the data column so new expense fields don't need a schema change.
+// toDayKey gives the day column; it follows the user's timezone, so when that
+// changes the column is rewritten (see rebucketExpenses).
+export const createSqliteStorage = ({ filename, toDayKey }) => {
+  let db = null;
+  let statements = null;
+
+  // Helper function to map an expense to its row values
+  const toRow = (expense) => ({
+    id: expense.id,
+    day: toDayKey(new Date(expense.date)),
+    date: expense.date,
+    category: expense.category.toLowerCase(),
+    amount: expense.amount,
+    data: JSON.stringify(expense)
+  });
+
+  const fromRow = (row) => (row ? JSON.parse(row.data) : null);
+
+  // Migration: fix the day of expenses saved before days followed the user's
+  // timezone (every day was a UTC day then) or before the timezone changed.
+  // Returns how many changed.
+  const rebucketExpenses = async () => {
+    const rebucketAll = db.transaction(() => statements.days.all()
+      .filter(row => toDayKey(new Date(row.date)) !== row.day)
+      .map(row => statements.setDay.run({ id: row.id, day: toDayKey(new Date(row.date)) }))
+      .length);
+    return rebucketAll();
+  };
+
+  return {
+    name: 'sqlite',
+
+    init: async () => {
+      await fs.mkdir(path.dirname(filename), { recursive: true });
+      db = new Database(filename);
+      db.pragma('journal_mode = WAL');
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS expenses (
+          id TEXT PRIMARY KEY,
+          day TEXT NOT NULL,
+          date TEXT NOT NULL,
+          category TEXT NOT NULL,
+          amount REAL NOT NULL,
+          data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_expenses_day ON expenses (day);
+        CREATE INDEX IF NOT EXISTS idx_expenses_category_day ON expenses (category, day);
+      `);
+
+      statements = {
+        inRange: db.prepare('SELECT data FROM expenses WHERE day BETWEEN ? AND ? ORDER BY date'),
+        get: db.prepare('SELECT data FROM expenses WHERE id = ?'),
+        insert: db.prepare(`
+          INSERT INTO expenses (id, day, date, category, amount, data)
+          VALUES (@id, @day, @date, @category, @amount, @data)
+        `),
+        upsert: db.prepare(`
+          INSERT INTO expenses (id, day, date, category, amount, data)
+          VALUES (@id, @day, @date, @category, @amount, @data)
+          ON CONFLICT (id) DO UPDATE SET
+            day = excluded.day, date = excluded.date, category = excluded.category,
+            amount = excluded.amount, data = excluded.data
+        `),
+        update: db.prepare(`
+          UPDATE expenses
+          SET day = @day, date = @date, category = @category, amount = @amount, data = @data
+          WHERE id = @id
+        `),
+        delete: db.prepare('DELETE FROM expenses WHERE id = ?'),
+        days: db.prepare('SELECT id, day, date FROM expenses'),
+        setDay: db.prepare('UPDATE expenses SET day = @day WHERE id = @id'),
+        recategorize: db.prepare(`
+          UPDATE expenses
+          SET category = lower(@to), data = json_set(data, '$.category', @to)
+          WHERE category = lower(@from)
+        `)
+      };
+
+      const moved = await rebucketExpenses();
+      if (moved > 0) {
+        console.log(`Moved ${moved} expenses to the day they fall on`);
+      }
+    },
+
+    loadExpensesInRange: async (startDate, endDate, { categories = [] } = {}) => {
+      const startKey = toDayKey(startDate);
+      const endKey = toDayKey(endDate);
+
+      if (categories.length === 0) {
+        return statements.inRange.all(startKey, endKey).map(fromRow);
+      }
+
+      const placeholders = categories.map(() => '?').join(', ');
+      return db
+        .prepare(`
+          SELECT data FROM expenses
+          WHERE category IN (${placeholders}) AND day BETWEEN ? AND ?
+          ORDER BY date
+        `)
+        .all(...categories, startKey, endKey)
+        .map(fromRow);
+    },
+
+    getExpense: async (id) => fromRow(statements.get.get(id)),
+
+    addExpense: async (expense) => {
+      statements.insert.run(toRow(expense));
+      return expense;
+    },
+
+    updateExpense: async (expense) => {
+      const { changes } = statements.update.run(toRow(expense));
+      return changes > 0 ? expense : null;
+    },
+
+    deleteExpense: async (id) => {
+      const expense = fromRow(statements.get.get(id));
+      if (!expense) return null;
+      statements.delete.run(id);
+      return expense;
+    },
+
+    recategorizeExpenses: async (fromCategory, toCategory) =>
+      statements.recategorize.run({ from: fromCategory, to: toCategory }).changes,
+
+    // Inserts or replaces many expenses in one transaction (used by imports)
+    importExpenses: async (expenses) => {
+      const importAll = db.transaction((rows) => {
+        rows.forEach(row => statements.upsert.run(row));
+      });
+      importAll(expenses.map(toRow));
+      return expenses.length;
+    },
+
+    rebucketExpenses,
+
+    close: async () => {
+      if (db) db.close();
+      db = null;
+    }
+  };
+};
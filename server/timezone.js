@@ -0,0 +1,198 @@
+import { currentContext } from './context.js';
+
+// The user's timezone (an IANA name such as "America/New_York"). Expenses are
+// filed under the day they fall on there, and "today", "this week" and every
+// other period are worked out on its calendar. TIMEZONE sets the default; each
+// user can save their own (see /api/settings).
+const FALLBACK_TIME_ZONE = 'UTC';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_KEY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Helper function to check an IANA timezone name
+export const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone.trim()) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export const DEFAULT_TIME_ZONE = (() => {
+  const configured = process.env.TIMEZONE;
+  if (!configured) return FALLBACK_TIME_ZONE;
+  if (isValidTimeZone(configured)) return configured;
+  console.error(`Unknown TIMEZONE "${configured}", using ${FALLBACK_TIME_ZONE}`);
+  return FALLBACK_TIME_ZONE;
+})();
+
+// Helper functions to get and change the timezone in use. It's kept for the
+// user the current task runs as (see context.js); outside one it's the default.
+export const getTimeZone = () => {
+  const context = currentContext();
+  return (context && context.timeZone) || DEFAULT_TIME_ZONE;
+};
+export const setTimeZone = (timeZone) => {
+  const context = currentContext();
+  if (!context) {
+    throw new Error('The timezone can only be set for a user');
+  }
+  context.timeZone = timeZone;
+};
+
+// Formatters are slow to create, so one is kept per timezone
+const formatters = new Map();
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+// Helper function to get the wall-clock time of an instant in a timezone:
+// { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) }
+export const zonedParts = (date, timeZone = getTimeZone()) => {
+  const parts = {};
+  formatterFor(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+};
+
+// Helper function to get a timezone's offset from UTC in minutes at an
+// instant (-240 for New York in summer)
+export const getOffsetMinutes = (date, timeZone = getTimeZone()) => {
+  const parts = zonedParts(date, timeZone);
+  const wallTime = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((wallTime - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+// Helper function to find the instant a wall-clock time happens in a
+// timezone. Fields out of range roll over as with Date.UTC (day 0 is the
+// last day of the month before). A time skipped when clocks go forward is
+// read with the offset from before the change, so 02:30 on the spring-forward
+// day in New York is 03:30 EDT; a time that happens twice when clocks go
+// back is the first of the two.
+export const fromZonedTime = ({ year, month, day = 1, hour = 0, minute = 0, second = 0, millisecond = 0 }, timeZone = getTimeZone()) => {
+  const wallTime = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+  const before = getOffsetMinutes(new Date(wallTime - DAY_MS), timeZone);
+  const after = getOffsetMinutes(new Date(wallTime + DAY_MS), timeZone);
+  const candidates = [...new Set([before, after])]
+    .map(offset => wallTime - offset * 60000)
+    .filter(time => getOffsetMinutes(new Date(time), timeZone) * 60000 === wallTime - time);
+  return new Date(candidates.length > 0 ? Math.min(...candidates) : wallTime - before * 60000);
+};
+
+// Helper functions for YYYY-MM-DD days. Day arithmetic is on the calendar,
+// so it doesn't depend on the timezone.
+export const isDayKey = (value) => {
+  const match = typeof value === 'string' && value.match(DAY_KEY_PATTERN);
+  if (!match) return false;
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+export const parseDayKey = (dayKey) => {
+  const [year, month, day] = dayKey.split('-').map(Number);
+  return { year, month, day };
+};
+
+const formatDayKey = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.toISOString().split('T')[0];
+};
+
+export const addDays = (dayKey, days) => {
+  const { year, month, day } = parseDayKey(dayKey);
+  return formatDayKey(year, month, day + days);
+};
+
+// Helper function to count the days from one day to another (negative when
+// `to` is earlier)
+export const daysBetween = (from, to) => {
+  const start = parseDayKey(from);
+  const end = parseDayKey(to);
+  return Math.round((Date.UTC(end.year, end.month - 1, end.day) - Date.UTC(start.year, start.month - 1, start.day)) / DAY_MS);
+};
+
+// Helper function to get the first day of the month `offset` months from a day's
+export const monthStart = (dayKey, offset = 0) => {
+  const { year, month } = parseDayKey(dayKey);
+  return formatDayKey(year, month + offset, 1);
+};
+export const monthEnd = (dayKey, offset = 0) => addDays(monthStart(dayKey, offset + 1), -1);
+
+// Helper function to get the weekday of a day (0 = Sunday)
+export const weekdayOf = (dayKey) => {
+  const { year, month, day } = parseDayKey(dayKey);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+// Helper function to get the day (YYYY-MM-DD) an instant falls on in a timezone
+export const toDayKey = (date, timeZone = getTimeZone()) => {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+// Helper function to get the YYYY-MM month an instant falls in
+export const toMonthKey = (date, timeZone = getTimeZone()) => toDayKey(new Date(date), timeZone).slice(0, 7);
+
+// Helper function to get the day a stored record's ISO date falls on
+export const dayOf = (record, timeZone = getTimeZone()) => toDayKey(new Date(record.date), timeZone);
+
+// Helper functions to get the first and last instant of a day. Days aren't
+// always 24 hours long: they're 23 or 25 when clocks change.
+export const startOfDay = (dayKey, timeZone = getTimeZone()) => fromZonedTime(parseDayKey(dayKey), timeZone);
+export const endOfDay = (dayKey, timeZone = getTimeZone()) =>
+  new Date(startOfDay(addDays(dayKey, 1), timeZone).getTime() - 1);
+
+// Helper function to get noon on a day, used to date records known only by
+// their day (recurring and imported expenses) so they stay on that day
+export const noonOf = (dayKey, timeZone = getTimeZone()) => fromZonedTime({ ...parseDayKey(dayKey), hour: 12 }, timeZone);
+
+// Helper function to get the reference chrono-node parses dates against, so
+// "today" and "yesterday" are days in the user's timezone
+export const chronoReference = (instant, timeZone = getTimeZone()) => ({
+  instant,
+  timezone: getOffsetMinutes(instant, timeZone)
+});
+
+// Helper function to get the instant a chrono-node result (result.start)
+// stands for. chrono applies the UTC offset at the reference time to every
+// date, which is an hour out for dates across a clock change from it, so the
+// wall-clock fields are read in the timezone instead. Dates with an offset
+// of their own ("3pm EST", "2 hours ago") are kept as chrono read them.
+export const chronoDate = (component, timeZone = getTimeZone()) => {
+  if (component.isCertain('timezoneOffset')) return component.date();
+  return fromZonedTime({
+    year: component.get('year'),
+    month: component.get('month'),
+    day: component.get('day'),
+    hour: component.get('hour'),
+    minute: component.get('minute'),
+    second: component.get('second'),
+    millisecond: component.get('millisecond')
+  }, timeZone);
+};
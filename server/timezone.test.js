@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import * as chrono from 'chrono-node';
+import { runAsUser } from './context.js';
+import { createJsonStorage } from './storage/json.js';
+import { createSqliteStorage } from './storage/sqlite.js';
+import {
+  fromZonedTime,
+  startOfDay,
+  endOfDay,
+  toDayKey,
+  chronoReference,
+  chronoDate,
+  setTimeZone
+} from './timezone.js';
+
+const NEW_YORK = 'America/New_York';
+const HOUR_MS = 60 * 60 * 1000;
+
+// In 2025, New York's clocks went forward at 02:00 on March 9 (02:00-02:59
+// never happened) and back at 02:00 on November 2 (01:00-01:59 happened twice)
+const SPRING_FORWARD = '2025-03-09';
+const FALL_BACK = '2025-11-02';
+
+// Helper function to read a date phrase the way parseExpense does
+const parseDate = (text, reference) => {
+  const [parsed] = chrono.parse(text, chronoReference(reference, NEW_YORK), { forwardDate: false });
+  return chronoDate(parsed.start, NEW_YORK);
+};
+
+test('fromZonedTime reads wall-clock times on either side of a clock change', () => {
+  assert.equal(fromZonedTime({ year: 2025, month: 3, day: 9, hour: 1, minute: 30 }, NEW_YORK).toISOString(), '2025-03-09T06:30:00.000Z');
+  assert.equal(fromZonedTime({ year: 2025, month: 3, day: 9, hour: 3, minute: 30 }, NEW_YORK).toISOString(), '2025-03-09T07:30:00.000Z');
+  assert.equal(fromZonedTime({ year: 2025, month: 11, day: 2, hour: 3 }, NEW_YORK).toISOString(), '2025-11-02T08:00:00.000Z');
+});
+
+test('fromZonedTime reads the skipped 02:30 with the offset from before the change', () => {
+  // 02:30 EST is 07:30Z, which New York clocks showed as 03:30 EDT
+  assert.equal(fromZonedTime({ year: 2025, month: 3, day: 9, hour: 2, minute: 30 }, NEW_YORK).toISOString(), '2025-03-09T07:30:00.000Z');
+});
+
+test('fromZonedTime reads the repeated 01:30 as the first of the two', () => {
+  // 01:30 EDT (05:30Z) comes an hour before 01:30 EST (06:30Z)
+  assert.equal(fromZonedTime({ year: 2025, month: 11, day: 2, hour: 1, minute: 30 }, NEW_YORK).toISOString(), '2025-11-02T05:30:00.000Z');
+});
+
+test('the spring-forward day is 23 hours long', () => {
+  assert.equal(startOfDay(SPRING_FORWARD, NEW_YORK).toISOString(), '2025-03-09T05:00:00.000Z');
+  assert.equal(endOfDay(SPRING_FORWARD, NEW_YORK).toISOString(), '2025-03-10T03:59:59.999Z');
+  assert.equal(endOfDay(SPRING_FORWARD, NEW_YORK) - startOfDay(SPRING_FORWARD, NEW_YORK) + 1, 23 * HOUR_MS);
+});
+
+test('the fall-back day is 25 hours long', () => {
+  assert.equal(startOfDay(FALL_BACK, NEW_YORK).toISOString(), '2025-11-02T04:00:00.000Z');
+  assert.equal(endOfDay(FALL_BACK, NEW_YORK).toISOString(), '2025-11-03T04:59:59.999Z');
+  assert.equal(endOfDay(FALL_BACK, NEW_YORK) - startOfDay(FALL_BACK, NEW_YORK) + 1, 25 * HOUR_MS);
+});
+
+test('every instant of a clock-change day is filed under that day', () => {
+  for (const day of [SPRING_FORWARD, FALL_BACK]) {
+    assert.equal(toDayKey(startOfDay(day, NEW_YORK), NEW_YORK), day);
+    assert.equal(toDayKey(endOfDay(day, NEW_YORK), NEW_YORK), day);
+    assert.notEqual(toDayKey(new Date(endOfDay(day, NEW_YORK).getTime() + 1), NEW_YORK), day);
+  }
+});
+
+test('chronoDate reads times on clock-change days in the timezone', () => {
+  const reference = new Date('2025-03-20T16:00:00Z');
+  assert.equal(parseDate('March 9 at 2:30am', reference).toISOString(), '2025-03-09T07:30:00.000Z');
+  assert.equal(parseDate('March 9 at 1:30am', reference).toISOString(), '2025-03-09T06:30:00.000Z');
+
+  const november = new Date('2025-11-10T16:00:00Z');
+  assert.equal(parseDate('November 2 at 1:30am', november).toISOString(), '2025-11-02T05:30:00.000Z');
+  assert.equal(parseDate('November 2 at 3pm', november).toISOString(), '2025-11-02T20:00:00.000Z');
+});
+
+test('chronoDate uses the offset of the date read, not of the reference', () => {
+  // The reference is in winter (EST) but July 4 is in summer (EDT)
+  const january = new Date('2026-01-15T17:00:00Z');
+  assert.equal(parseDate('July 4 2025 at noon', january).toISOString(), '2025-07-04T16:00:00.000Z');
+});
+
+test('chronoDate keeps dates written with an offset of their own', () => {
+  const reference = new Date('2025-03-20T16:00:00Z');
+  assert.equal(parseDate('March 9 at 3pm UTC', reference).toISOString(), '2025-03-09T15:00:00.000Z');
+});
+
+// Each backend files expenses by the day they fall on in the user's timezone
+const BACKENDS = {
+  json: (dir) => createJsonStorage({ dataDir: dir, toDayKey: (date) => toDayKey(date) }),
+  sqlite: (dir) => createSqliteStorage({ filename: path.join(dir, 'expenses.db'), toDayKey: (date) => toDayKey(date) })
+};
+
+for (const [name, create] of Object.entries(BACKENDS)) {
+  test(`changing the timezone rebuckets existing ${name} expenses`, () => runAsUser({ id: 'test' }, async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), `expenses-${name}-`));
+    const storage = create(dir);
+    try {
+      setTimeZone('UTC');
+      await storage.init();
+      // 03:30 UTC on March 9 is still the evening of March 8 in New York
+      const expense = { id: 'late', amount: 20, currency: 'USD', category: 'food', description: 'late dinner', date: '2025-03-09T03:30:00.000Z' };
+      await storage.addExpense(expense);
+      const utcDay = await storage.loadExpensesInRange(startOfDay('2025-03-09'), endOfDay('2025-03-09'));
+      assert.deepEqual(utcDay.map(item => item.id), ['late']);
+
+      setTimeZone(NEW_YORK);
+      assert.equal(await storage.rebucketExpenses(), 1);
+      assert.equal(await storage.rebucketExpenses(), 0);
+
+      const march8 = await storage.loadExpensesInRange(startOfDay('2025-03-08'), endOfDay('2025-03-08'));
+      const march9 = await storage.loadExpensesInRange(startOfDay(SPRING_FORWARD), endOfDay(SPRING_FORWARD));
+      assert.deepEqual(march8.map(item => item.id), ['late']);
+      assert.deepEqual(march9, []);
+      if (name === 'json') {
+        assert.deepEqual((await fs.readdir(dir)).filter(file => file.endsWith('.json')), ['2025-03-08.json']);
+      }
+    } finally {
+      await storage.close();
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  }));
+}
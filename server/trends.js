@@ -0,0 +1,148 @@
+import { toCategoryName } from './categories.js';
+import { toDayKey, toMonthKey, parseDayKey, monthStart, monthEnd, startOfDay, endOfDay } from './timezone.js';
+
+// Periods that can be compared with the one before or the same one a year earlier
+export const COMPARISON_PERIODS = ['month', 'quarter', 'year'];
+export const COMPARISON_BASES = ['previous', 'lastYear'];
+
+// Months averaged by the rolling trend lines
+export const ROLLING_WINDOWS = [3, 12];
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+// Helper function to get the calendar month, quarter or year containing a
+// date, `offset` periods away, in the user's timezone
+export const getPeriodRange = (period, date, offset = 0) => {
+  const day = toDayKey(date);
+  const month = parseDayKey(day).month - 1;
+  let first;
+  let length;
+  if (period === 'month') {
+    first = monthStart(day, offset);
+    length = 1;
+  } else if (period === 'quarter') {
+    first = monthStart(day, -(month % 3) + offset * 3);
+    length = 3;
+  } else {
+    first = monthStart(day, -month + offset * 12);
+    length = 12;
+  }
+  return {
+    startDate: startOfDay(first),
+    endDate: endOfDay(monthEnd(first, length - 1))
+  };
+};
+
+// Helper function to name a calendar period, e.g. "March 2025", "Q1 2025" or "2025"
+export const describePeriod = (period, startDate) => {
+  const { year, month } = parseDayKey(toDayKey(startDate));
+  if (period === 'month') return `${MONTH_NAMES[month - 1]} ${year}`;
+  if (period === 'quarter') return `Q${Math.floor((month - 1) / 3) + 1} ${year}`;
+  return String(year);
+};
+
+// Helper function to get the period a comparison is made against: the one
+// just before (previous) or the same one a year earlier (lastYear)
+export const getComparisonRange = (period, date, against) => (
+  against === 'lastYear'
+    ? getPeriodRange(period, date, period === 'year' ? -1 : { month: -12, quarter: -4 }[period])
+    : getPeriodRange(period, date, -1)
+);
+
+// Helper function to get the change from one amount to another.
+// percentChange is null when there was nothing to change from.
+const change = (current, previous) => ({
+  delta: current - previous,
+  percentChange: previous > 0 ? Math.round((current - previous) / previous * 1000) / 10 : null
+});
+
+const inRange = (expense, range) => {
+  const time = new Date(expense.date).getTime();
+  return time >= range.startDate.getTime() && time <= range.endDate.getTime();
+};
+
+// Helper function to compare spending in two periods. Expects expenses with
+// base-currency amounts (see attachBaseAmounts); ones without are left out.
+// Periods are { startDate, endDate } plus anything to pass through, like a
+// label. Returns each period's total and count, the overall change, and the
+// change per category, largest change first.
+export const comparePeriods = (expenses, current, previous) => {
+  const converted = expenses.filter(expense => expense.baseAmount !== null);
+  const summarize = (range) => {
+    const items = converted.filter(expense => inRange(expense, range));
+    const byCategory = {};
+    items.forEach(expense => {
+      const category = toCategoryName(expense.category);
+      byCategory[category] = (byCategory[category] || 0) + expense.baseAmount;
+    });
+    return {
+      period: { ...range, total: items.reduce((sum, expense) => sum + expense.baseAmount, 0), count: items.length },
+      byCategory
+    };
+  };
+
+  const now = summarize(current);
+  const before = summarize(previous);
+  const categories = [...new Set([...Object.keys(now.byCategory), ...Object.keys(before.byCategory)])]
+    .map(category => {
+      const currentTotal = now.byCategory[category] || 0;
+      const previousTotal = before.byCategory[category] || 0;
+      return { category, current: currentTotal, previous: previousTotal, ...change(currentTotal, previousTotal) };
+    })
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta) || a.category.localeCompare(b.category));
+
+  return {
+    current: now.period,
+    previous: before.period,
+    ...change(now.period.total, before.period.total),
+    categories
+  };
+};
+
+// Helper function to list the YYYY-MM months from `count` months before
+// endMonth up to it
+const listMonths = (endMonth, count) => Array.from({ length: count }, (_, index) =>
+  monthStart(`${endMonth}-01`, index - count + 1).slice(0, 7));
+
+// Helper function to get the range of expenses calculateTrends needs: the
+// months shown plus the history the longest rolling average looks back over
+export const getTrendRange = (endMonth, months) => {
+  const [first] = listMonths(endMonth, months + Math.max(...ROLLING_WINDOWS) - 1);
+  return {
+    startDate: startOfDay(`${first}-01`),
+    endDate: endOfDay(monthEnd(`${endMonth}-01`))
+  };
+};
+
+// Helper function to build monthly spending with rolling 3- and 12-month
+// averages for the `months` months up to endMonth. Expects expenses covering
+// getTrendRange, with base-currency amounts. Months before the first expense
+// are treated as missing rather than as zero spending, so a short history
+// doesn't drag the averages down; an average with no months to go on is null.
+export const calculateTrends = (expenses, { endMonth, months }) => {
+  const totals = {};
+  let firstMonth = null;
+  expenses
+    .filter(expense => expense.baseAmount !== null)
+    .forEach(expense => {
+      const month = toMonthKey(expense.date);
+      totals[month] = (totals[month] || 0) + expense.baseAmount;
+      if (!firstMonth || month < firstMonth) firstMonth = month;
+    });
+
+  const history = listMonths(endMonth, months + Math.max(...ROLLING_WINDOWS) - 1);
+  const offset = history.length - months;
+  return history.slice(offset).map((month, index) => {
+    const entry = { month, total: totals[month] || 0 };
+    ROLLING_WINDOWS.forEach(window => {
+      const covered = history
+        .slice(offset + index - window + 1, offset + index + 1)
+        .filter(key => firstMonth && key >= firstMonth);
+      entry[`rolling${window}`] = covered.length > 0
+        ? covered.reduce((sum, key) => sum + (totals[key] || 0), 0) / covered.length
+        : null;
+    });
+    return entry;
+  });
+};